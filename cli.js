@@ -26,8 +26,16 @@ if (args.includes('--daemon-internal')) {
   install();
 } else if (cmd === 'doctor') {
   doctor();
+} else if (cmd === 'browse' && parseFlag('--from')) {
+  await batch();
 } else if (cmd === 'browse' && args[1]) {
   await oneShot();
+} else if (cmd === 'crawl' && args[1]) {
+  await cmdCrawl();
+} else if (cmd === 'replay' && args[1]) {
+  await cmdReplay();
+} else if (cmd === 'trace' && args[1] === 'view' && args[2]) {
+  await cmdTraceView();
 } else if (cmd === 'open') {
   await cmdOpen();
 } else if (cmd === 'close') {
@@ -37,11 +45,21 @@ if (args.includes('--daemon-internal')) {
 } else if (cmd === 'goto' && args[1]) {
   await cmdProxy('goto', { url: args[1], timeout: parseFlag('--timeout') });
 } else if (cmd === 'snapshot') {
-  await cmdProxy('snapshot', { mode: parseFlag('--mode') });
+  await cmdProxy('snapshot', { mode: parseFlag('--mode'), diff: hasFlag('--diff') || undefined, focus: parseFlag('--focus'), format: parseFlag('--format'), root: parseFlag('--root') });
+} else if (cmd === 'find') {
+  await cmdProxy('find', {
+    role: parseFlag('--role'), name: parseFlag('--name'), text: parseFlag('--text'),
+    exact: hasFlag('--exact') || undefined, near: parseFlag('--near'), limit: parseFlag('--limit'),
+  });
+} else if (cmd === 'actions') {
+  await cmdProxy('actions', { goal: parseFlag('--goal'), limit: parseFlag('--limit') });
 } else if (cmd === 'readable') {
   await cmdProxy('readable');
 } else if (cmd === 'screenshot') {
-  await cmdProxy('screenshot', { format: parseFlag('--format') });
+  await cmdProxy('screenshot', {
+    format: parseFlag('--format'), annotate: hasFlag('--annotate') || undefined,
+    ref: parseFlag('--ref'), fullPage: hasFlag('--full-page') || undefined,
+  });
 } else if (cmd === 'click' && args[1]) {
   await cmdProxy('click', { ref: args[1] });
 } else if (cmd === 'type' && args[1] && args[2]) {
@@ -64,6 +82,8 @@ if (args.includes('--daemon-internal')) {
   await cmdProxy('console-logs', { level: parseFlag('--level'), clear: hasFlag('--clear') });
 } else if (cmd === 'network-log') {
   await cmdProxy('network-log', { failed: hasFlag('--failed') });
+} else if (cmd === 'har') {
+  await cmdProxy('har', { content: hasFlag('--content') });
 } else if (cmd === 'back') {
   await cmdProxy('back');
 } else if (cmd === 'forward') {
@@ -125,6 +145,10 @@ async function cmdOpen() {
     blockUrls: parseFlagAll('--block-urls'),
     blockPrivateNetwork: hasFlag('--block-private-network') || undefined,
     uploadDir: parseFlag('--upload-dir') ? resolve(parseFlag('--upload-dir')) : undefined,
+    replayHar: parseFlag('--replay-har') ? resolve(parseFlag('--replay-har')) : undefined,
+    replayHarMiss: parseFlag('--replay-har-miss'),
+    record: parseFlag('--record') ? resolve(parseFlag('--record')) : undefined,
+    trace: parseFlag('--trace') ? resolve(parseFlag('--trace')) : undefined,
   };
 
   try {
@@ -201,10 +225,119 @@ async function cmdProxy(command, cmdArgs) {
 async function oneShot() {
   const { browse } = await import('./src/index.js');
   const url = args[1];
-  const mode = args[2] || 'headless';
+  const mode = args[2] && !args[2].startsWith('--') ? args[2] : 'headless';
   try {
-    const snapshot = await browse(url, { mode, incognito: hasFlag('--incognito') || undefined });
-    process.stdout.write(snapshot + '\n');
+    const format = parseFlag('--format');
+    const snapshot = await browse(url, { mode, focus: parseFlag('--focus'), format, incognito: hasFlag('--incognito') || undefined });
+    process.stdout.write((format === 'json' ? JSON.stringify(snapshot, null, 2) : snapshot) + '\n');
+    process.exit(0);
+  } catch (err) {
+    process.stderr.write(`Error: ${err.message}\n`);
+    process.exit(1);
+  }
+}
+
+// browse --from: one URL per line in, one JSONL record per URL out.
+async function batch() {
+  const { browseMany } = await import('./src/index.js');
+  const { parseUrlList } = await import('./src/batch.js');
+  try {
+    const urls = parseUrlList(readFileSync(parseFlag('--from'), 'utf8'));
+    const out = parseFlag('--out');
+    let failed = 0;
+    await browseMany(urls, {
+      concurrency: parseFlag('--concurrency') ? Number(parseFlag('--concurrency')) : undefined,
+      mode: parseFlag('--mode') || 'headless',
+      pruneMode: parseFlag('--prune-mode'),
+      focus: parseFlag('--focus'),
+      format: parseFlag('--format'),
+      incognito: hasFlag('--incognito') || undefined,
+      engine: parseFlag('--engine'),
+      out,
+      onResult(record) {
+        if (record.error) failed++;
+        if (out) process.stderr.write(`${record.error ? 'FAIL' : 'ok  '} ${record.ms}ms ${record.url}\n`);
+        else process.stdout.write(JSON.stringify(record) + '\n');
+      },
+    });
+    process.stderr.write(`${urls.length - failed}/${urls.length} pages browsed${out ? ` -> ${out}` : ''}\n`);
+    process.exit(0);
+  } catch (err) {
+    process.stderr.write(`Error: ${err.message}\n`);
+    process.exit(1);
+  }
+}
+
+// crawl <url>: records as JSONL on stdout, or a corpus under --out.
+async function cmdCrawl() {
+  const { crawl } = await import('./src/index.js');
+  const num = (name) => (parseFlag(name) !== undefined ? Number(parseFlag(name)) : undefined);
+  const out = parseFlag('--out');
+  try {
+    const { pages, blocked } = await crawl(args[1], {
+      maxDepth: num('--max-depth'),
+      maxPages: num('--max-pages'),
+      sameOrigin: !hasFlag('--cross-origin'),
+      include: parseFlagAll('--include'),
+      exclude: parseFlagAll('--exclude'),
+      content: hasFlag('--readable') ? 'readable' : undefined,
+      pruneMode: parseFlag('--prune-mode'),
+      format: parseFlag('--format'),
+      delay: num('--delay'),
+      robots: !hasFlag('--no-robots'),
+      timeout: num('--timeout'),
+      engine: parseFlag('--engine'),
+      mode: parseFlag('--mode') || 'headless',
+      proxy: parseFlag('--proxy'),
+      blockPrivateNetwork: hasFlag('--block-private-network') || undefined,
+      out,
+      onPage(record) {
+        if (out) process.stderr.write(`${record.error ? 'FAIL' : 'ok  '} d${record.depth} ${record.ms}ms ${record.url}\n`);
+        else process.stdout.write(JSON.stringify(record) + '\n');
+      },
+    });
+    const failed = pages.filter((p) => p.error).length;
+    process.stderr.write(`${pages.length - failed}/${pages.length} pages crawled, ${blocked.length} kept out by robots.txt${out ? ` -> ${out}` : ''}\n`);
+    process.exit(0);
+  } catch (err) {
+    process.stderr.write(`Error: ${err.message}\n`);
+    process.exit(1);
+  }
+}
+
+// replay <script>: re-run a recorded flow in a fresh browser, then print
+// the page it ends on.
+async function cmdReplay() {
+  const { replay } = await import('./src/index.js');
+  try {
+    const { page } = await replay(resolve(args[1]), {
+      engine: parseFlag('--engine'),
+      mode: parseFlag('--mode') || 'headless',
+      proxy: parseFlag('--proxy'),
+      timeout: parseFlag('--timeout') ? Number(parseFlag('--timeout')) : undefined,
+      onStep(result) {
+        process.stderr.write(`ok   ${result.step}. ${result.description}${result.ref ? ` [ref=${result.ref}]` : ''}\n`);
+      },
+    });
+    try {
+      process.stdout.write(await page.snapshot() + '\n');
+    } finally {
+      await page.close();
+    }
+    process.exit(0);
+  } catch (err) {
+    process.stderr.write(`Error: ${err.message}\n`);
+    process.exit(1);
+  }
+}
+
+// trace view <archive|dir>: render a trace archive as a static HTML
+// timeline next to it (or at --out).
+async function cmdTraceView() {
+  const { writeTraceViewer } = await import('./src/trace.js');
+  try {
+    const out = parseFlag('--out');
+    process.stdout.write(writeTraceViewer(resolve(args[2]), out ? resolve(out) : undefined) + '\n');
     process.exit(0);
   } catch (err) {
     process.stderr.write(`Error: ${err.message}\n`);
@@ -232,6 +365,10 @@ async function runDaemonInternal() {
     blockUrls: parseFlagAll('--block-urls'),
     blockPrivateNetwork: hasFlag('--block-private-network') || undefined,
     uploadDir: parseFlag('--upload-dir'),
+    replayHar: parseFlag('--replay-har'),
+    replayHarMiss: parseFlag('--replay-har-miss'),
+    record: parseFlag('--record'),
+    trace: parseFlag('--trace'),
   };
   const outputDir = parseFlag('--output-dir') || resolve('.barebrowse');
   const url = parseFlag('--url');
@@ -507,6 +644,12 @@ Session:
                                     cloud-metadata hosts. Off by default so localhost browsing works.
     --upload-dir=DIR                Sandbox uploads: reject files outside DIR (symlinks resolved).
                                     Default: no restriction. (file:/chrome: schemes are always blocked.)
+    --replay-har=FILE               Serve every request from a recorded HAR (from the har command) instead of the network.
+    --replay-har-miss=fail|passthrough
+                                    Requests missing from the HAR: fail them (default) or go to the network.
+    --record=FILE                   Record goto/click/type/press/select/upload to a JSONL script for replay.
+    --trace=DIR                     Trace every action (snapshots, screenshot, console, network, dialogs,
+                                    timings) into DIR/trace-*.jsonl. View with trace view.
 
 Navigation:
   barebrowse goto <url>             Navigate to URL
@@ -514,8 +657,19 @@ Navigation:
   barebrowse forward                Go forward in history
   barebrowse reload [--no-cache]    Reload current page
   barebrowse snapshot [--mode=M]    ARIA snapshot -> .barebrowse/page-*.yml
+    --diff                          Only what changed since the previous snapshot (+/- lines)
+    --focus="goal words"            Keep only the branches relevant to the goal
+    --format=json|markdown          Typed JSON tree (.json) or Markdown (.md) instead of YAML
+    --root=N                        Only the subtree under ref N (dialog, form, list, iframe)
+  barebrowse find [--role=R] [--name=N] [--text=T] [--exact] [--near=REF|NAME]
+                                    Matching refs + landmark path + context (JSON)
+  barebrowse actions [--goal="add to cart"] [--limit=N]
+                                    Top interactions, ranked: ref + description + score (JSON)
   barebrowse readable               Clean article text -> .barebrowse/article-*.txt
   barebrowse screenshot [--format]  Screenshot -> .barebrowse/screenshot-*.png
+    --annotate                      Box + number interactive elements by ref (ref map -> .json)
+    --ref N                         Just that element (scrolled into view)
+    --full-page                     The whole page, beyond the viewport
   barebrowse pdf [--landscape]      PDF export -> .barebrowse/page-*.pdf
 
 Interaction:
@@ -542,12 +696,40 @@ Debugging:
     --timeout=N                     Max wait time in ms (default: 30000)
   barebrowse console-logs           Console logs -> .barebrowse/console-*.json
   barebrowse network-log            Network log -> .barebrowse/network-*.json
+  barebrowse har [--content]        Network traffic as HAR 1.2 -> .barebrowse/session-*.har
   barebrowse dialog-log             JS dialog log -> .barebrowse/dialogs-*.json
   barebrowse downloads              List Content-Disposition downloads + savedPath (JSON)
   barebrowse save-state             Cookies + localStorage -> .barebrowse/state-*.json
 
 One-shot:
   barebrowse browse <url> [mode]    Browse + print snapshot to stdout
+    --focus="goal words"            Keep only the branches relevant to the goal
+    --format=json|markdown          Print a typed JSON tree or Markdown
+  barebrowse browse --from=urls.txt Browse every URL in the file (one per line), print JSONL records
+    --concurrency=N                 Pages in flight at once (default: 4)
+    --out=FILE                      Write the JSONL records to FILE, progress to stderr
+    --mode, --prune-mode, --engine  As for open; --focus, --format, --incognito as above
+
+Crawl:
+  barebrowse crawl <url>            Breadth-first crawl, one JSONL record per page on stdout
+    --max-depth=N                   Link hops from <url> (default: 2)
+    --max-pages=N                   Pages in total (default: 50)
+    --cross-origin                  Follow links to other origins too
+    --include=GLOB, --exclude=GLOB  Follow only / never URLs matching (repeatable, blockUrls syntax)
+    --readable                      Store the readable() article instead of a snapshot
+    --prune-mode=MODE               Snapshot prune mode (default: read); --format=json|markdown
+    --delay=MS                      Minimum gap between requests to one host (default: 1000)
+    --no-robots                     Ignore robots.txt (obeyed by default)
+    --out=DIR|FILE.jsonl            A corpus directory (page files + index.jsonl) or a JSONL file
+
+Replay:
+  barebrowse replay <flow.jsonl>    Re-run a script from open --record in a fresh browser, print the final snapshot
+    --timeout=MS                    How long each step waits for its element (default: 5000)
+    --engine, --mode, --proxy       As for open
+
+Trace:
+  barebrowse trace view <file|dir>  Static HTML timeline of a trace archive (a dir: its newest), prints its path
+    --out=FILE                      Where to write it (default: next to the archive, .html)
 
 MCP:
   barebrowse mcp                    Start MCP server (JSON-RPC over stdio)
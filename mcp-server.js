@@ -3,15 +3,21 @@
  * mcp-server.js — MCP server for barebrowse.
  *
  * Raw JSON-RPC 2.0 over stdio. No SDK dependency.
- * Tools: browse, goto, snapshot, readable, click, type, press, scroll, back,
- * forward, drag, upload, pdf, reload, screenshot, wait_for, tabs, select, hover.
+ * Tools: browse, goto, snapshot, find, actions, readable, click, type, press,
+ * scroll, back, forward, drag, upload, pdf, reload, screenshot, wait_for, tabs,
+ * select, hover, fill_form.
  *
  * Session tools share a singleton page, lazy-created on first use.
  * Action tools return 'ok' — agent calls snapshot explicitly to observe.
  */
 
-import { browse, connect } from './src/index.js';
+import { browse, connect, createBrowsePool } from './src/index.js';
 import { formatReadable } from './src/readable.js';
+import { createPager } from './src/paginate.js';
+import { formatMatches } from './src/find.js';
+import { formatForms, formatFillResult } from './src/forms.js';
+import { formatActions } from './src/actions.js';
+import { formatMarks } from './src/annotate.js';
 import { mkdirSync, writeFileSync, readFileSync } from 'node:fs';
 import { join, dirname } from 'node:path';
 import { pathToFileURL, fileURLToPath } from 'node:url';
@@ -28,9 +34,10 @@ const PKG_VERSION = JSON.parse(readFileSync(_pkgPath, 'utf8')).version;
  *   - navigation (goto/reload): 60s
  *   - browser-history nav (back/forward): 30s
  *   - interactive ops (click/type/press/scroll/hover/select/drag): 15s
- *   - read-only ops (snapshot/tabs/eval/wait_for): 15s (wait_for has its own
+ *   - read-only ops (snapshot/find/actions/tabs/eval/wait_for): 15s (wait_for has its own
  *     internal deadline; this is the outer cap)
  *   - heavy I/O (pdf/screenshot/upload): 45s
+ *   - fill_form: 30s — one call types/selects/checks a whole form
  * Exported so tests can pin the contract.
  */
 export const TIMEOUTS = {
@@ -39,6 +46,8 @@ export const TIMEOUTS = {
   back: 30000,
   forward: 30000,
   snapshot: 15000,
+  find: 15000,
+  actions: 15000,
   click: 15000,
   type: 15000,
   press: 15000,
@@ -52,6 +61,7 @@ export const TIMEOUTS = {
   upload: 45000,
   pdf: 45000,
   screenshot: 45000,
+  fill_form: 30000,
 };
 
 // Optional: privacy assessment via wearehere
@@ -102,8 +112,38 @@ async function withRetry(fn, timeoutMs, { retry = true } = {}) {
 }
 
 const MAX_CHARS_DEFAULT = 30000;
+// Pages of oversized browse/snapshot results, fetched by cursor (paginate.js)
+const pager = createPager();
 const OUTPUT_DIR = join(process.cwd(), '.barebrowse');
 
+/**
+ * Marks a tool result that is already a list of MCP content items (an image,
+ * say), so tools/call passes it through instead of wrapping it as text.
+ */
+const CONTENT = Symbol('content');
+
+/**
+ * MCP content for a screenshot: the image item, then a text item per
+ * non-empty note (saved file path, ref marks).
+ * @param {string} data - base64
+ * @param {'png'|'jpeg'|'webp'} format
+ * @param {(?string)[]} [notes]
+ */
+export function screenshotContent(data, format, notes = []) {
+  const content = [{ type: 'image', data, mimeType: `image/${format}` }];
+  for (const text of notes) if (text) content.push({ type: 'text', text });
+  return { [CONTENT]: content };
+}
+
+/**
+ * A tool result as MCP content: content items pass through, a string is one
+ * text item, anything else is JSON text.
+ * @param {any} result
+ */
+export function toolContent(result) {
+  return result?.[CONTENT] || [{ type: 'text', text: typeof result === 'string' ? result : JSON.stringify(result) }];
+}
+
 export function saveSnapshot(text, { prefix = 'page', ext = 'yml' } = {}) {
   // Owner-only: snapshots/articles can hold authenticated page content
   // (logged-in text, reflected session data). Matches the daemon's 0600/0700
@@ -146,6 +186,24 @@ async function getPage() {
   }
 }
 
+// Warm browsers for the browse tool (pool.js). Opt-in and launch-time like the
+// engine: BAREBROWSE_POOL=N keeps N browsers alive between calls instead of
+// launching one per call, and runs up to N browse calls at once.
+let _browsePool = null;
+
+function getBrowsePool() {
+  const size = parseInt(process.env.BAREBROWSE_POOL || '', 10);
+  if (!(size > 0)) return null;
+  if (!_browsePool) {
+    _browsePool = createBrowsePool({
+      size,
+      engine: process.env.BAREBROWSE_ENGINE === 'firefox' ? 'firefox' : 'chromium',
+      incognito: process.env.BAREBROWSE_INCOGNITO === '1',
+    });
+  }
+  return _browsePool;
+}
+
 // Concurrency limiter — one assess at a time.
 // Headless tabs are fast, but headed fallback uses the user's single browser.
 // Running multiple headed navigations simultaneously hangs the browser.
@@ -170,7 +228,9 @@ export const TOOLS = [
         mode: { type: 'string', enum: ['headless', 'headed', 'hybrid'], description: 'Browser mode (default: headless)' },
         pruneMode: { type: 'string', enum: ['act', 'read'], description: 'Pruning mode. "act" (default) keeps interactive elements and short labels — best for clicking/filling. "read" keeps paragraphs, headings, and long text — best for articles, docs, and content extraction. If the page is content-heavy and act-mode returns mostly empty, retry with "read".' },
         incognito: { type: 'boolean', description: 'Clean, unauthenticated session: skip cookie injection so the page loads logged-out (default: false).' },
-        maxChars: { type: 'number', description: 'Max chars to return inline. Larger snapshots are saved to .barebrowse/ and a file path is returned instead. Default: 30000.' },
+        focus: { type: 'string', description: 'The current goal in a few words (e.g. "shipping address form"). Keeps the page branches relevant to it and drops the rest — use on huge pages (shops, portals) to cut the snapshot down.' },
+        format: { type: 'string', enum: ['text', 'json', 'markdown'], description: 'Output format. "text" (default) is the YAML-like tree. "json" is the same pruned tree as objects ({role, name, ref, properties, children}) for programmatic use. "markdown" renders headings, lists, links and tables as Markdown for reading.' },
+        maxChars: { type: 'number', description: 'Max chars per result. A larger snapshot is split into pages on landmark boundaries: the first page ends with a cursor — call snapshot with it for the next page. Default: 30000; at least 200 when a snapshot needs paging.' },
       },
       required: ['url'],
     },
@@ -193,7 +253,39 @@ export const TOOLS = [
       type: 'object',
       properties: {
         pruneMode: { type: 'string', enum: ['act', 'read'], description: 'Pruning mode. "act" (default) keeps interactive elements and short labels — best for clicking/filling. "read" keeps paragraphs, headings, and long text — best for articles, docs, and content extraction. If a previous snapshot looked empty on a content-heavy page, retry with "read".' },
-        maxChars: { type: 'number', description: 'Max chars to return inline. Larger snapshots are saved to .barebrowse/ and a file path is returned instead. Default: 30000.' },
+        diff: { type: 'boolean', description: 'Return only what changed since the previous snapshot of this page: "+" lines added, "-" lines removed (a changed node is a "-" old line then a "+" new one). Use after click/type to save tokens. Falls back to the full snapshot after a navigation or pruneMode/focus change. Text format only.' },
+        focus: { type: 'string', description: 'The current goal in a few words (e.g. "shipping address form"). Keeps the page branches relevant to it and drops the rest — use on huge pages (shops, portals) to cut the snapshot down.' },
+        format: { type: 'string', enum: ['text', 'json', 'markdown'], description: 'Output format. "text" (default) is the YAML-like tree. "json" is the same pruned tree as objects ({role, name, ref, properties, children}) for programmatic use. "markdown" renders headings, lists, links and tables as Markdown for reading.' },
+        root: { type: 'string', description: 'Ref of an element (dialog, form, results list, iframe) to snapshot only the subtree under it. Use on long pages once you know which part matters.' },
+        maxChars: { type: 'number', description: 'Max chars per result. A larger snapshot is split into pages on landmark boundaries: the first page ends with a cursor — call snapshot with it for the next page. Default: 30000; at least 200 when a snapshot needs paging.' },
+        cursor: { type: 'string', description: 'Cursor from the end of a paged browse/snapshot result ("s1.1"): returns that page of the same snapshot, without re-reading the browser. Other params are ignored.' },
+        offset: { type: 'number', description: 'Jump to a page by 0-based index — of the snapshot the cursor names, or of the latest paged one.' },
+      },
+    },
+  },
+  {
+    name: 'find',
+    description: 'Find elements by role, name or text in the current page and return their refs — with the landmark path and surrounding text of each — instead of a whole snapshot. Use to locate one control ("the Submit button", "the email field") on a large page. Searches the full page, iframes included.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        role: { type: 'string', description: 'ARIA role, e.g. "button", "link", "textbox", "checkbox", "heading"' },
+        name: { type: 'string', description: 'Accessible name to match (substring, case-insensitive unless exact)' },
+        text: { type: 'string', description: 'Text anywhere inside the element; the innermost element containing it matches' },
+        exact: { type: 'boolean', description: 'name/text must match the whole string, case-sensitively (default: false)' },
+        near: { type: 'string', description: 'A ref, or the name of another element: nearest matches first (e.g. the "Submit" near "Shipping address")' },
+        limit: { type: 'number', description: 'Max matches (default: 20)' },
+      },
+    },
+  },
+  {
+    name: 'actions',
+    description: 'List the current page\'s most likely interactions, best first: each with its ref, a one-line description such as: Click button "Add to cart" in main, and a 0–1 score from prominence, landmark, visibility and — with a goal — keyword match. Pick from this short list instead of reading a whole snapshot; call snapshot when nothing fits.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        goal: { type: 'string', description: 'What you are trying to do, e.g. "add to cart", "log in", "next page". Omit for the page\'s main actions.' },
+        limit: { type: 'number', description: 'Max candidates (default: 10)' },
       },
     },
   },
@@ -309,12 +401,17 @@ export const TOOLS = [
   },
   {
     name: 'screenshot',
-    description: 'Capture a screenshot of the current page. Saves to .barebrowse/screenshot-*.png (or .jpeg/.webp) and returns the file path. Use the file with your image tools.',
+    description: 'Capture a screenshot of the current page and return it as an image. Use maxWidth (e.g. 1024) and format: "jpeg" with a quality to keep it small. save: true also writes it to .barebrowse/screenshot-*.png (or .jpeg/.webp) and returns the file path. fullPage: true captures the whole scrollable page; ref captures just that element. With annotate: true, every interactive element in view is boxed and labelled with its ref number, and the result lists each ref with its role, name and box (CSS pixels) — look at the image, then act with click/type on the ref.',
     inputSchema: {
       type: 'object',
       properties: {
         format: { type: 'string', enum: ['png', 'jpeg', 'webp'], description: 'Image format (default: png)' },
         quality: { type: 'number', description: 'JPEG/WebP quality 0-100 (default: 80, ignored for PNG)' },
+        annotate: { type: 'boolean', description: 'Draw numbered boxes (the refs) over interactive elements (default: false)' },
+        ref: { type: 'string', description: 'Capture only this element (scrolled into view)' },
+        fullPage: { type: 'boolean', description: 'Capture the whole page, beyond the viewport (default: false)' },
+        maxWidth: { type: 'number', description: 'Downscale to at most this many pixels wide (default: no downscaling)' },
+        save: { type: 'boolean', description: 'Also save the image under .barebrowse/ and return its path (default: false)' },
       },
     },
   },
@@ -363,6 +460,17 @@ export const TOOLS = [
       required: ['ref'],
     },
   },
+  {
+    name: 'fill_form',
+    description: 'Read or fill the forms on the current page. Without values: lists each form with its fields — label, type, purpose (email, password, postal-code, card-number, …), required, current value, options and validation errors — plus its buttons. With values: fills the form by purpose, field name or label in one call (types text, selects options, checks boxes, picks radios) and returns what was filled plus the form as it now reads, validation errors included. Does not submit: click the submit button ref afterwards.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        values: { type: 'object', description: 'Keyed by purpose or field name/label, nested for groups, e.g. {"email":"a@b.co","password":"…","address":{"street":"1 Main St","city":"Utrecht","zip":"3511AB","country":"Netherlands"},"card":{"number":"4242…","expiry":"12/29","cvc":"123"},"terms":true}. Omit to list the forms.' },
+        formRef: { type: 'string', description: 'Ref of the form to fill (from a listing). Default: the form matching the most keys.' },
+      },
+    },
+  },
 ];
 
 // Powerful escape hatch — guarded behind an explicit env-var opt-in.
@@ -400,21 +508,21 @@ if (assessFn) {
   });
 }
 
+// format:'json' snapshots are objects; tool results are text.
+function snapshotText(snap, format) {
+  return format === 'json' ? JSON.stringify(snap) : snap;
+}
+
 async function handleToolCall(name, args) {
   switch (name) {
     case 'browse': {
       let timer;
       const text = await Promise.race([
-        browse(args.url, { mode: args.mode, pruneMode: args.pruneMode, incognito: args.incognito }),
+        browse(args.url, { mode: args.mode, pruneMode: args.pruneMode, focus: args.focus, format: args.format, incognito: args.incognito, pool: getBrowsePool() || undefined }),
         new Promise((_, rej) => { timer = setTimeout(() => rej(new Error('browse timed out after 60s')), 60000); }),
-      ]);
+      ]).then((snap) => snapshotText(snap, args.format));
       clearTimeout(timer);
-      const limit = args.maxChars ?? MAX_CHARS_DEFAULT;
-      if (text.length > limit) {
-        const file = saveSnapshot(text);
-        return `Snapshot (${text.length} chars) saved to ${file}`;
-      }
-      return text;
+      return pager.first(text, args.maxChars ?? MAX_CHARS_DEFAULT);
     }
     case 'goto': return withRetry(async () => {
       const page = await getPage();
@@ -422,16 +530,22 @@ async function handleToolCall(name, args) {
       await page.goto(args.url);
       return 'ok';
     }, TIMEOUTS.goto);
-    case 'snapshot': return withRetry(async () => {
+    case 'snapshot':
+      if (args.cursor !== undefined || args.offset !== undefined) return pager.page(args.cursor, args.offset);
+      return withRetry(async () => {
+        const page = await getPage();
+        const text = snapshotText(await page.snapshot({ mode: args.pruneMode, diff: !!args.diff, focus: args.focus, format: args.format, root: args.root }), args.format);
+        return pager.first(text, args.maxChars ?? MAX_CHARS_DEFAULT);
+      }, TIMEOUTS.snapshot);
+    case 'find': return withRetry(async () => {
       const page = await getPage();
-      const text = await page.snapshot(args.pruneMode ? { mode: args.pruneMode } : undefined);
-      const limit = args.maxChars ?? MAX_CHARS_DEFAULT;
-      if (text.length > limit) {
-        const file = saveSnapshot(text);
-        return `Snapshot (${text.length} chars) saved to ${file}`;
-      }
-      return text;
-    }, TIMEOUTS.snapshot);
+      const { role, name, text, exact, near, limit } = args;
+      return formatMatches(await page.find({ role, name, text, exact, near, limit }));
+    }, TIMEOUTS.find);
+    case 'actions': return withRetry(async () => {
+      const page = await getPage();
+      return formatActions(await page.actions({ goal: args.goal, limit: args.limit }));
+    }, TIMEOUTS.actions);
     case 'readable': return withRetry(async () => {
       const page = await getPage();
       const r = await page.readable();
@@ -503,13 +617,13 @@ async function handleToolCall(name, args) {
     case 'screenshot': return withRetry(async () => {
       const page = await getPage();
       const format = args.format || 'png';
-      const b64 = await page.screenshot({ format, quality: args.quality });
-      mkdirSync(OUTPUT_DIR, { recursive: true, mode: 0o700 });
-      const ts = new Date().toISOString().replace(/[:.]/g, '-');
-      const file = join(OUTPUT_DIR, `screenshot-${ts}.${format}`);
-      // Owner-only: a screenshot of an authenticated page is sensitive too.
-      writeFileSync(file, Buffer.from(b64, 'base64'), { mode: 0o600 });
-      return file;
+      const shot = await page.screenshot({
+        format, quality: args.quality, annotate: !!args.annotate, ref: args.ref, fullPage: !!args.fullPage, maxWidth: args.maxWidth,
+      });
+      const data = args.annotate ? shot.data : shot;
+      // Owner-only, via saveSnapshot: a screenshot of an authenticated page is sensitive too.
+      const file = args.save ? saveSnapshot(Buffer.from(data, 'base64'), { prefix: 'screenshot', ext: format }) : null;
+      return screenshotContent(data, format, [file, args.annotate ? formatMarks(shot.refs) : null]);
     }, TIMEOUTS.screenshot);
     case 'wait_for': return withRetry(async () => {
       const page = await getPage();
@@ -535,6 +649,11 @@ async function handleToolCall(name, args) {
       await page.hover(args.ref);
       return 'ok';
     }, TIMEOUTS.hover, { retry: false });
+    case 'fill_form': return withRetry(async () => {
+      const page = await getPage();
+      if (!args.values) return formatForms(await page.forms());
+      return formatFillResult(await page.fillForm(args.formRef ?? null, args.values));
+    }, TIMEOUTS.fill_form, { retry: false });
     case 'eval': {
       // Only reachable when BAREBROWSE_MCP_EVAL=1 — the tool isn't registered
       // otherwise, but this guard is the second line of defense in case the
@@ -639,9 +758,7 @@ async function handleMessage(msg) {
     const { name, arguments: args } = params;
     try {
       const result = await handleToolCall(name, args || {});
-      return jsonrpcResponse(id, {
-        content: [{ type: 'text', text: typeof result === 'string' ? result : JSON.stringify(result) }],
-      });
+      return jsonrpcResponse(id, { content: toolContent(result) });
     } catch (err) {
       if (isTransient(err)) _page = null;
       return jsonrpcResponse(id, {
@@ -709,10 +826,12 @@ export function runStdio() {
   // Clean up on exit
   process.on('SIGINT', async () => {
     if (_page) await _page.close().catch(() => {});
+    if (_browsePool) await _browsePool.close().catch(() => {});
     process.exit(0);
   });
   process.on('SIGTERM', async () => {
     if (_page) await _page.close().catch(() => {});
+    if (_browsePool) await _browsePool.close().catch(() => {});
     process.exit(0);
   });
 }
@@ -0,0 +1,245 @@
+/**
+ * actions.js — Ranked action discovery: page.actions({ goal }).
+ *
+ * Returns the page's top N interactions (ref, a one-line description such as
+ * `Click button "Add to cart" in main`, and a score) instead of a whole
+ * snapshot. A small model picks far better from ten ranked candidates than
+ * from a 300-line tree. Port of sweetlink's discoverSelectors idea, on the
+ * AX tree instead of CSS selectors.
+ *
+ * Each interactive element gets four 0–1 scores, combined by weight:
+ *   - prominence: role (a button beats a menu option), having a name, size
+ *     on screen, document order, and how often the same control repeats
+ *     (one of fifty "Reply" buttons is not a prominent action)
+ *   - landmark: where it lives (dialog and main over navigation, footer last)
+ *   - visibility: in the viewport, just below it, far down, or zero-sized;
+ *     disabled controls sink
+ *   - keyword: how many of the goal's words (stemmed, with a few synonyms —
+ *     "login" finds "Sign in") appear in its name, else in its landmark path
+ *     or link URL
+ * Without a goal, keyword is left out and the ranking is "what does this
+ * page want you to do".
+ *
+ * Pure function over a buildTree()/ax-snapshot.js tree plus optional element
+ * geometry the engine measures; zero I/O.
+ */
+
+const ROLE_WEIGHT = {
+  button: 1, searchbox: 0.95, textbox: 0.9, combobox: 0.85, link: 0.7,
+  checkbox: 0.7, radio: 0.7, switch: 0.7, tab: 0.65, slider: 0.6, spinbutton: 0.6, listbox: 0.6,
+  menuitem: 0.6, menuitemcheckbox: 0.55, menuitemradio: 0.55, option: 0.4, treeitem: 0.4,
+};
+
+/**
+ * Roles an agent can act on — also what annotated screenshots mark
+ * (annotate.js).
+ */
+export const INTERACTIVE_ROLES = new Set(Object.keys(ROLE_WEIGHT));
+
+const LANDMARK_WEIGHT = {
+  dialog: 1, alertdialog: 1, main: 0.9, search: 0.9, form: 0.85, region: 0.75, article: 0.7,
+  banner: 0.6, navigation: 0.55, complementary: 0.4, contentinfo: 0.25,
+};
+const NO_LANDMARK = 0.6;
+
+/** Verb for each role's description and `action`. */
+const VERB = {
+  textbox: 'type', searchbox: 'type', combobox: 'select', listbox: 'select', slider: 'set', spinbutton: 'type',
+  checkbox: 'check', switch: 'check', radio: 'choose', menuitemcheckbox: 'check', menuitemradio: 'choose',
+};
+
+const WEIGHTS = {
+  goal: { keyword: 0.4, prominence: 0.25, landmark: 0.2, visibility: 0.15 },
+  none: { keyword: 0, prominence: 0.45, landmark: 0.3, visibility: 0.25 },
+};
+
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'to', 'of', 'for', 'on', 'in', 'at', 'and', 'or', 'my', 'me', 'i', 'want', 'please',
+  'this', 'that', 'with', 'it', 'is', 'be', 'some', 'page', 'button', 'link', 'click', 'go', 'into',
+]);
+
+/** Goal words that should find each other (stemmed like tokens()). */
+const SYNONYMS = [
+  ['login', 'log', 'signin', 'sign'],
+  ['signup', 'register', 'join', 'create'],
+  ['logout', 'signout'],
+  ['buy', 'purchase', 'cart', 'basket', 'checkout', 'order'],
+  ['search', 'find', 'query', 'look'],
+  ['subscribe', 'newsletter'],
+  ['next', 'continue', 'proceed'],
+  ['close', 'dismiss', 'cancel'],
+  ['accept', 'agree', 'allow', 'ok'],
+  ['reject', 'decline', 'deny'],
+  ['download', 'save', 'export'],
+  ['contact', 'support', 'help'],
+  ['price', 'pricing', 'plan'],
+  ['submit', 'send'],
+  ['setting', 'preference', 'option'],
+].map((group) => group.map(stem));
+
+const DEFAULT_LIMIT = 10;
+
+/**
+ * @typedef {object} ActionsQuery
+ * @property {string} [goal] - What the agent is trying to do: "add to cart", "log in"
+ * @property {number} [limit=10] - Max candidates returned
+ */
+
+/**
+ * @typedef {object} Action
+ * @property {string} ref
+ * @property {string} role
+ * @property {string} name
+ * @property {'click'|'type'|'select'|'set'|'check'|'choose'} action
+ * @property {string} description - `Click button "Add to cart" in main`
+ * @property {number} score - 0–1, two decimals
+ * @property {{prominence: number, landmark: number, visibility: number, keyword?: number}} scores
+ */
+
+/**
+ * @typedef {object} Geometry
+ * @property {Map<string, {x: number, y: number, width: number, height: number}>} boxes -
+ *   Viewport-relative CSS pixel boxes by ref (elements missing from it score neutral)
+ * @property {{width: number, height: number}} viewport
+ */
+
+/**
+ * Rank a tree's interactive elements.
+ * @param {?object} tree - Raw tree from ariaTree()/buildTree()
+ * @param {ActionsQuery} [query]
+ * @param {?Geometry} [geometry]
+ * @returns {Action[]}
+ */
+export function rankActions(tree, query = {}, geometry = null) {
+  const { goal = '', limit = DEFAULT_LIMIT } = query;
+  if (!(limit > 0)) throw new Error(`actions: limit must be a positive number, got ${limit}`);
+  const wanted = tokens(goal);
+  const weights = wanted.length ? WEIGHTS.goal : WEIGHTS.none;
+
+  /** @type {{node: object, chain: object[]}[]} */
+  const found = [];
+  (function walk(node, chain) {
+    if (!node) return;
+    if (!node.ignored && ROLE_WEIGHT[node.role] !== undefined) {
+      found.push({ node, chain });
+      if (node.role === 'combobox') return; // a select's options are picked through it
+    }
+    const here = [...chain, node];
+    for (const c of node.children || []) walk(c, here);
+  })(tree, /** @type {object[]} */ ([]));
+
+  const repeats = new Map();
+  for (const { node } of found) {
+    const key = `${node.role}|${node.name || ''}`;
+    repeats.set(key, (repeats.get(key) || 0) + 1);
+  }
+
+  const ranked = found.map(({ node, chain }, i) => {
+    const ref = String(node.nodeId);
+    const box = geometry?.boxes.get(ref);
+    const landmark = [...chain].reverse().find((a) => !a.ignored && LANDMARK_WEIGHT[a.role] !== undefined);
+    const url = node.properties?.url ? String(node.properties.url) : '';
+    const disabled = !!node.properties?.disabled;
+
+    const area = box ? box.width * box.height : null;
+    const prominence = (ROLE_WEIGHT[node.role] ?? 0.5)
+      * (node.name ? 1 : 0.4)
+      * (0.8 + 0.2 * (1 - i / found.length))
+      * (area === null ? 0.9 : 0.85 + 0.15 * Math.min(1, area / 12000))
+      / Math.sqrt(repeats.get(`${node.role}|${node.name || ''}`));
+
+    const scores = {
+      prominence: round(prominence),
+      landmark: landmark ? LANDMARK_WEIGHT[landmark.role] : NO_LANDMARK,
+      visibility: round(visibilityOf(box, geometry?.viewport) * (disabled ? 0.2 : 1)),
+    };
+    if (wanted.length) {
+      const context = chain.filter((a) => a.name && a.role !== 'RootWebArea').map((a) => a.name).join(' ');
+      scores.keyword = round(keywordScore(wanted, tokens(node.name || ''), tokens(`${context} ${urlWords(url)}`)));
+    }
+    const score = round(Object.entries(scores).reduce((sum, [k, v]) => sum + weights[k] * v, 0));
+
+    const verb = VERB[node.role] || 'click';
+    const where = landmark ? (landmark.name ? `${landmark.role} "${landmark.name}"` : landmark.role) : '';
+    const description = `${verb[0].toUpperCase()}${verb.slice(1)} ${node.role}`
+      + (node.name ? ` "${node.name}"` : ' (unlabeled)')
+      + (url ? ` → ${shortUrl(url)}` : '')
+      + (where ? ` in ${where}` : '')
+      + (disabled ? ' (disabled)' : '');
+    return { ref, role: node.role, name: node.name || '', action: /** @type {Action['action']} */ (verb), description, score, scores, order: i };
+  });
+
+  ranked.sort((a, b) => b.score - a.score || a.order - b.order);
+  return ranked.slice(0, limit).map(({ order, ...action }) => action);
+}
+
+/**
+ * Render actions for a text-only surface (MCP, bareagent, CLI).
+ * @param {Action[]} actions
+ * @returns {string}
+ */
+export function formatActions(actions) {
+  if (actions.length === 0) return 'no actions';
+  return actions.map((a, i) => `${i + 1}. [ref=${a.ref}] ${a.description} (${a.score.toFixed(2)})`).join('\n');
+}
+
+/** 1 in the viewport, less the further off it is; 0 for a zero-size box; 0.5 unknown. */
+function visibilityOf(box, viewport) {
+  if (!box || !viewport) return 0.5;
+  if (box.width <= 0 || box.height <= 0) return 0;
+  const bottom = box.y + box.height;
+  const right = box.x + box.width;
+  if (right <= 0 || box.x >= viewport.width) return 0.3; // off to the side: carousels, drawers
+  if (bottom > 0 && box.y < viewport.height) return 1;
+  if (box.y >= viewport.height) return box.y < viewport.height * 2 ? 0.6 : 0.35;
+  return 0.45; // scrolled past
+}
+
+/** Share of goal words found in the name (1 each; 0.8 for a synonym), else the context (0.5). */
+function keywordScore(wanted, nameWords, contextWords) {
+  let sum = 0;
+  for (const w of wanted) {
+    if (nameWords.includes(w)) sum += 1;
+    else if (synonymsOf(w).some((s) => nameWords.includes(s))) sum += 0.8;
+    else if (contextWords.includes(w) || synonymsOf(w).some((s) => contextWords.includes(s))) sum += 0.5;
+  }
+  return sum / wanted.length;
+}
+
+function synonymsOf(word) {
+  return SYNONYMS.filter((group) => group.includes(word)).flat().filter((s) => s !== word);
+}
+
+/** Lowercased, stemmed content words. */
+function tokens(text) {
+  return String(text).toLowerCase()
+    .replace(/\b(log|sign)[\s-]+(in|on)\b/g, 'login') // "Sign in" / "log-in" are one word here
+    .replace(/\b(sign)[\s-]+up\b/g, 'signup')
+    .replace(/\b(log|sign)[\s-]+out\b/g, 'logout')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((w) => w && !STOPWORDS.has(w))
+    .map(stem);
+}
+
+function stem(word) {
+  if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+  if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+/** A link URL's path words: /pricing/team-plans → "pricing team plans". */
+function urlWords(url) {
+  try { return new URL(url).pathname.replace(/[/_.-]+/g, ' '); } catch { return ''; }
+}
+
+function shortUrl(url) {
+  try {
+    const u = new URL(url);
+    return u.protocol.startsWith('http') ? u.host + (u.pathname === '/' ? '' : u.pathname) : url;
+  } catch { return url; }
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
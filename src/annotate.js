@@ -0,0 +1,179 @@
+/**
+ * annotate.js — Set-of-marks screenshots: page.screenshot({ annotate: true }).
+ *
+ * Draws a numbered box over every interactive element in the shot, the
+ * number being the element's ref, takes the screenshot, and removes the
+ * boxes again. It returns the image with a ref → box map. A multimodal agent
+ * can then say "click 13" after looking at the picture, through the usual
+ * click(ref), with no coordinate guessing.
+ *
+ * Boxes are drawn in the page (an aria-hidden, pointer-events:none layer at
+ * the top z-index, in document coordinates) rather than onto the image
+ * afterwards: no image library, and the same code on both engines. The layer
+ * lives only for the capture. The captured region is the viewport, the whole
+ * page (fullPage) or one element (ref); mark boxes are in that image's
+ * pixels.
+ *
+ * index.js and firefox-page.js call annotatedScreenshot() with their own
+ * tree, box reader, viewport size and scroll offset, evaluate() and capture,
+ * so marks land identically on Chromium and Firefox.
+ */
+
+import { INTERACTIVE_ROLES } from './actions.js';
+
+const LAYER_ID = '__barebrowse_marks';
+
+/** Distinct, readable on light and dark pages; cycled by mark index. */
+const COLORS = ['#e6194b', '#3cb44b', '#4363d8', '#f58231', '#911eb4', '#008080', '#f032e6', '#9a6324'];
+
+/**
+ * @typedef {object} Mark
+ * @property {number} x - CSS pixels from the image's top-left, clipped to the image
+ * @property {number} y
+ * @property {number} width
+ * @property {number} height
+ * @property {string} role
+ * @property {string} name
+ */
+
+/**
+ * @typedef {{x: number, y: number, width: number, height: number}} Box
+ */
+
+/**
+ * @typedef {object} View
+ * @property {number} width - Viewport size, CSS pixels
+ * @property {number} height
+ * @property {number} scrollX
+ * @property {number} scrollY
+ */
+
+/**
+ * Take an annotated screenshot.
+ * @param {object} io
+ * @param {() => Promise<?object>} io.tree - Full (unpruned) tree
+ * @param {(refs: string[]) => Promise<Map<string, Box>>} io.boxes - Viewport-relative boxes of those refs (missing: not measurable)
+ * @param {() => Promise<View>} io.view
+ * @param {(expression: string) => Promise<any>} io.evaluate - Run an expression in the top document
+ * @param {() => Promise<string>} io.capture - The engine's plain screenshot (base64) of the same region
+ * @param {?Box} [region] - What the capture covers, in document coordinates (default: the viewport)
+ * @returns {Promise<{data: string, refs: Record<string, Mark>}>}
+ */
+export async function annotatedScreenshot(io, region = null) {
+  const nodes = interactiveNodes(await io.tree());
+  const [boxes, view] = await Promise.all([io.boxes(nodes.map((n) => String(n.nodeId))), io.view()]);
+  const area = region || { x: view.scrollX, y: view.scrollY, width: view.width, height: view.height };
+  const refs = marksFor(nodes, boxes, view, area);
+  await io.evaluate(drawExpression(refs, area));
+  try {
+    return { data: await io.capture(), refs };
+  } finally {
+    await io.evaluate(CLEAR_EXPRESSION).catch(() => {});
+  }
+}
+
+/**
+ * Interactive nodes of a tree, in document order.
+ * @param {?object} tree
+ * @returns {object[]}
+ */
+export function interactiveNodes(tree) {
+  const out = [];
+  (function walk(node) {
+    if (!node) return;
+    if (!node.ignored && INTERACTIVE_ROLES.has(node.role)) {
+      out.push(node);
+      if (node.role === 'combobox') return; // a closed select's options have no box of their own
+    }
+    for (const c of node.children || []) walk(c);
+  })(tree);
+  return out;
+}
+
+/**
+ * The marks to draw: each node with a non-empty box inside the captured
+ * area, clipped to it and relative to its top-left. Keyed by ref, in
+ * document order.
+ * @param {object[]} nodes
+ * @param {Map<string, Box>} boxes - Viewport-relative
+ * @param {View} view
+ * @param {Box} area - Document coordinates
+ * @returns {Record<string, Mark>}
+ */
+export function marksFor(nodes, boxes, view, area) {
+  /** @type {Record<string, Mark>} */
+  const marks = {};
+  for (const node of nodes) {
+    const ref = String(node.nodeId);
+    const b = boxes.get(ref);
+    if (!b) continue;
+    const left = b.x + view.scrollX - area.x;
+    const top = b.y + view.scrollY - area.y;
+    const x = Math.max(0, left);
+    const y = Math.max(0, top);
+    const width = Math.min(area.width, left + b.width) - x;
+    const height = Math.min(area.height, top + b.height) - y;
+    if (width < 1 || height < 1) continue;
+    marks[ref] = { x: Math.round(x), y: Math.round(y), width: Math.round(width), height: Math.round(height), role: node.role, name: node.name || '' };
+  }
+  return marks;
+}
+
+/**
+ * The axis-aligned box around a CDP quad ([x1,y1, … x4,y4]).
+ * @param {number[]} quad
+ * @returns {Box}
+ */
+export function quadBox(quad) {
+  const xs = [quad[0], quad[2], quad[4], quad[6]];
+  const ys = [quad[1], quad[3], quad[5], quad[7]];
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+}
+
+/**
+ * Render marks as one line each, for a text-only surface next to the image.
+ * @param {Record<string, Mark>} refs
+ * @returns {string}
+ */
+export function formatMarks(refs) {
+  const lines = Object.entries(refs).map(([ref, m]) =>
+    `[${ref}] ${m.role}${m.name ? ` "${m.name}"` : ''} at ${m.x},${m.y} ${m.width}x${m.height}`);
+  return lines.length ? lines.join('\n') : 'no interactive elements in view';
+}
+
+/**
+ * In-page expression drawing the marks layer (replacing a stale one). The
+ * layer is absolutely positioned at the document origin; its measured
+ * offset corrects for a positioned <html>, so marks land in document
+ * coordinates on any page.
+ */
+function drawExpression(refs, area) {
+  const marks = Object.entries(refs).map(([ref, m], i) => ({ ref, ...m, color: COLORS[i % COLORS.length] }));
+  return `(() => {
+    document.getElementById(${JSON.stringify(LAYER_ID)})?.remove();
+    const layer = document.createElement('div');
+    layer.id = ${JSON.stringify(LAYER_ID)};
+    layer.setAttribute('aria-hidden', 'true');
+    layer.style.cssText = 'position:absolute;left:0;top:0;width:0;height:0;overflow:visible;z-index:2147483647;pointer-events:none;';
+    document.documentElement.appendChild(layer);
+    const at = layer.getBoundingClientRect();
+    const dx = ${area.x} - (at.left + scrollX);
+    const dy = ${area.y} - (at.top + scrollY);
+    for (const m of ${JSON.stringify(marks)}) {
+      const box = document.createElement('div');
+      box.style.cssText = 'position:absolute;box-sizing:border-box;border:2px solid ' + m.color
+        + ';left:' + (m.x + dx) + 'px;top:' + (m.y + dy) + 'px;width:' + m.width + 'px;height:' + m.height + 'px;';
+      const label = document.createElement('span');
+      label.textContent = m.ref;
+      // Above the box when there is room, else tucked inside its top-left corner.
+      label.style.cssText = 'position:absolute;left:-2px;' + (m.y >= 16 ? 'top:-16px;' : 'top:0;')
+        + 'background:' + m.color + ';color:#fff;font:bold 11px/14px monospace;padding:0 3px;white-space:nowrap;';
+      box.appendChild(label);
+      layer.appendChild(box);
+    }
+  })()`;
+}
+
+const CLEAR_EXPRESSION = `document.getElementById(${JSON.stringify(LAYER_ID)})?.remove()`;
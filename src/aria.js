@@ -5,6 +5,9 @@
  * and formats it as readable YAML-like text, similar to Playwright's ariaSnapshot.
  */
 
+/** Low-level rendering roles that are noise for agents. */
+const SKIP_ROLES = new Set(['InlineTextBox', 'LineBreak']);
+
 /**
  * Format a nested ARIA tree as readable text output.
  *
@@ -24,11 +27,37 @@ export function formatTree(node, depth = 0) {
   }
 
   // Skip low-level rendering nodes that are noise for agents
-  const SKIP_ROLES = new Set(['InlineTextBox', 'LineBreak']);
   if (SKIP_ROLES.has(node.role)) return '';
 
+  const lines = [formatLine(node, depth)];
+
+  // Recurse into children
+  for (const child of node.children) {
+    const childText = formatTree(child, depth + 1);
+    if (childText) lines.push(childText);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Whether formatTree() renders a line for this node (its children may still
+ * render when it doesn't).
+ * @param {object} node
+ * @returns {boolean}
+ */
+export function isRendered(node) {
+  return !node.ignored && !SKIP_ROLES.has(node.role);
+}
+
+/**
+ * Format a single node as one formatTree() line, without its children.
+ * @param {object} node - Tree node
+ * @param {number} [depth=0] - Indentation depth
+ * @returns {string} `- role "name" [props] [ref=N]`, indented
+ */
+export function formatLine(node, depth = 0) {
   const indent = '  '.repeat(depth);
-  const lines = [];
 
   // Build line: "- role "name" [properties] [ref=id]"
   let line = `${indent}- ${node.role || 'none'}`;
@@ -37,7 +66,22 @@ export function formatTree(node, depth = 0) {
     line += ` "${node.name}"`;
   }
 
-  // Notable properties that agents care about
+  const propText = formatProps(node);
+  if (propText) line += ` ${propText}`;
+
+  // Node ID as ref — agents use this to target interactions
+  if (node.nodeId) {
+    line += ` [ref=${node.nodeId}]`;
+  }
+
+  return line;
+}
+
+/**
+ * Notable properties that agents care about, as `[checked=true, level=2]`
+ * ('' when there are none).
+ */
+function formatProps(node) {
   const props = node.properties || {};
   const propParts = [];
   if (props.checked !== undefined) propParts.push(`checked=${props.checked}`);
@@ -47,23 +91,222 @@ export function formatTree(node, depth = 0) {
   if (props.selected) propParts.push('selected');
   if (props.required) propParts.push('required');
   if (props.value !== undefined && props.value !== '') propParts.push(`value="${props.value}"`);
+  return propParts.length > 0 ? `[${propParts.join(', ')}]` : '';
+}
+
+// --- Structured output: snapshot({ format: 'json' }) ---
+
+/**
+ * @typedef {object} SnapshotNode
+ * @property {string} role
+ * @property {string} [name]
+ * @property {string} [ref] - Pass to click()/type()/… like a `[ref=N]` marker
+ * @property {{checked?: boolean|'mixed', disabled?: boolean, expanded?: boolean,
+ *   level?: number, selected?: boolean, required?: boolean, value?: string}} [properties]
+ * @property {SnapshotNode[]} [children]
+ */
+
+/**
+ * The tree formatTree() renders, as plain objects: the same nodes (ignored
+ * nodes and prune's structural wrappers are transparent, rendering noise is
+ * dropped) with the same notable properties, typed. Empty fields are omitted.
+ * @param {?object} node - Tree node (pruned or raw)
+ * @returns {?SnapshotNode}
+ */
+export function treeToJSON(node) {
+  const nodes = toJSONNodes(node);
+  if (nodes.length === 0) return null;
+  if (nodes.length === 1) return nodes[0];
+  return { role: 'root', children: nodes };
+}
+
+function toJSONNodes(node) {
+  if (!node) return [];
+  if (node.ignored || node.role === '_promote') return (node.children || []).flatMap(toJSONNodes);
+  if (SKIP_ROLES.has(node.role)) return [];
+  /** @type {SnapshotNode} */
+  const out = { role: node.role || 'none' };
+  if (node.name) out.name = node.name;
+  if (node.nodeId) out.ref = String(node.nodeId);
+  const properties = jsonProps(node.properties || {});
+  if (Object.keys(properties).length > 0) out.properties = properties;
+  const children = (node.children || []).flatMap(toJSONNodes);
+  if (children.length > 0) out.children = children;
+  return [out];
+}
 
-  if (propParts.length > 0) {
-    line += ` [${propParts.join(', ')}]`;
+// CDP reports checked as the string 'true'|'false'|'mixed' and level as a
+// number; ax-snapshot.js uses booleans. Normalize both.
+function jsonProps(props) {
+  /** @type {SnapshotNode['properties']} */
+  const p = {};
+  if (props.checked !== undefined) {
+    p.checked = props.checked === 'mixed' ? 'mixed' : props.checked === true || props.checked === 'true';
   }
+  if (props.disabled) p.disabled = true;
+  if (props.expanded !== undefined) p.expanded = props.expanded === true || props.expanded === 'true';
+  if (props.level) p.level = Number(props.level);
+  if (props.selected) p.selected = true;
+  if (props.required) p.required = true;
+  if (props.value !== undefined && props.value !== '') p.value = String(props.value);
+  return p;
+}
 
-  // Node ID as ref — agents use this to target interactions
-  if (node.nodeId) {
-    line += ` [ref=${node.nodeId}]`;
+// --- Reading output: snapshot({ format: 'markdown' }) ---
+
+const INLINE_ROLES = new Set([
+  'StaticText', 'link', 'strong', 'emphasis', 'img', 'image', 'button', 'textbox',
+  'searchbox', 'checkbox', 'radio', 'combobox', 'listbox', 'menuitem', 'menuitemcheckbox',
+  'menuitemradio', 'option', 'slider', 'spinbutton', 'switch', 'tab', 'treeitem',
+]);
+const CELL_ROLES = new Set(['cell', 'gridcell', 'columnheader', 'rowheader', 'LayoutTableCell']);
+const ROW_ROLES = new Set(['row', 'LayoutTableRow']);
+// Bullets/numbers are Markdown's job
+const isMdNoise = (node) => SKIP_ROLES.has(node.role) || node.role === 'ListMarker';
+
+/**
+ * Render a tree as Markdown for an LLM to read: headings, paragraphs, lists,
+ * links, tables, quotes and code. Form controls stay actionable as inline
+ * `button "Buy" [ref=12]` runs, and links carry their ref after the link.
+ * @param {?object} node - Tree node (pruned or raw)
+ * @returns {string}
+ */
+export function formatMarkdown(node) {
+  return mdBlocks(node, 0).join('\n\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/** Block-level Markdown for a node: an array of blocks, joined by blank lines. */
+function mdBlocks(node, listDepth) {
+  if (!node) return [];
+  if (node.ignored || node.role === '_promote') return mdChildren(node, listDepth);
+  if (isMdNoise(node)) return [];
+  switch (node.role) {
+    case 'heading': {
+      const level = Math.min(Math.max(Number(node.properties?.level) || 2, 1), 6);
+      const text = node.name || mdInline(node.children);
+      return text ? [`${'#'.repeat(level)} ${text}`] : [];
+    }
+    case 'paragraph': {
+      const text = mdInline(node.children) || node.name || '';
+      return text ? [text] : [];
+    }
+    case 'list':
+    case 'directory':
+      return [mdList(node, listDepth)].filter(Boolean);
+    case 'table':
+    case 'grid':
+    case 'treegrid':
+    case 'LayoutTable':
+      return [mdTable(node)].filter(Boolean);
+    case 'blockquote':
+      return mdChildren(node, listDepth).map((b) => b.replace(/^/gm, '> '));
+    case 'code': {
+      const text = textOf(node);
+      return text ? ['```\n' + text + '\n```'] : [];
+    }
+    case 'separator':
+      return ['---'];
+    case 'figure':
+      return node.name ? [`![${node.name}]`] : mdChildren(node, listDepth);
+    default:
+      if (INLINE_ROLES.has(node.role)) return [mdInline([node])].filter(Boolean);
+      return mdChildren(node, listDepth);
   }
+}
 
-  lines.push(line);
+/** Children as blocks; runs of adjacent inline children share one paragraph. */
+function mdChildren(node, listDepth) {
+  const blocks = [];
+  let run = [];
+  const flush = () => {
+    const text = mdInline(run);
+    if (text) blocks.push(text);
+    run = [];
+  };
+  for (const child of node.children || []) {
+    if (INLINE_ROLES.has(child.role) && !child.ignored) {
+      run.push(child);
+    } else {
+      flush();
+      blocks.push(...mdBlocks(child, listDepth));
+    }
+  }
+  flush();
+  return blocks;
+}
 
-  // Recurse into children
-  for (const child of node.children) {
-    const childText = formatTree(child, depth + 1);
-    if (childText) lines.push(childText);
+/** Inline Markdown for a run of nodes, space-joined. */
+function mdInline(nodes) {
+  const parts = [];
+  for (const node of nodes || []) {
+    if (isMdNoise(node)) continue;
+    const ref = node.nodeId ? ` [ref=${node.nodeId}]` : '';
+    if (node.ignored || node.role === '_promote') {
+      parts.push(mdInline(node.children));
+    } else if (node.role === 'StaticText') {
+      parts.push(node.name || '');
+    } else if (node.role === 'link') {
+      const text = node.name || mdInline(node.children);
+      const url = node.properties?.url;
+      parts.push((url ? `[${text}](${url})` : `[${text}]`) + ref);
+    } else if (node.role === 'strong') {
+      parts.push(`**${node.name || mdInline(node.children)}**`);
+    } else if (node.role === 'emphasis') {
+      parts.push(`*${node.name || mdInline(node.children)}*`);
+    } else if (node.role === 'img' || node.role === 'image') {
+      if (node.name) parts.push(`![${node.name}]`);
+    } else if (INLINE_ROLES.has(node.role)) {
+      const props = formatProps(node);
+      parts.push(`${node.role}${node.name ? ` "${node.name}"` : ''}${props ? ` ${props}` : ''}${ref}`);
+    } else {
+      parts.push(node.name && !node.children?.length ? node.name : mdInline(node.children));
+    }
   }
+  return parts.filter(Boolean).join(' ').replace(/\s+/g, ' ').trim();
+}
 
+function mdList(node, depth) {
+  const indent = '  '.repeat(depth);
+  const lines = [];
+  for (const item of node.children || []) {
+    if (isMdNoise(item)) continue;
+    // Nested lists hang under the item; everything else is the item's text
+    const inline = [];
+    const nested = [];
+    for (const c of item.children || []) {
+      if (c.role === 'list' || c.role === 'directory') nested.push(mdList(c, depth + 1));
+      else inline.push(...mdBlocks(c, depth + 1));
+    }
+    const text = item.role === 'listitem' || item.role === 'treeitem'
+      ? inline.join(' ').replace(/\s+/g, ' ').trim()
+      : mdInline([item]);
+    if (text) lines.push(`${indent}- ${text}`);
+    lines.push(...nested.filter(Boolean));
+  }
   return lines.join('\n');
 }
+
+function mdTable(node) {
+  const rows = [];
+  (function collect(n) {
+    for (const c of n.children || []) {
+      if (ROW_ROLES.has(c.role)) rows.push(c);
+      else if (!CELL_ROLES.has(c.role)) collect(c);
+    }
+  })(node);
+  const cells = rows
+    .map((r) => (r.children || []).filter((c) => CELL_ROLES.has(c.role))
+      .map((c) => (mdInline(c.children) || c.name || '').replace(/\|/g, '\\|')))
+    .filter((r) => r.length > 0);
+  if (cells.length === 0) return mdChildren(node, 0).join('\n\n');
+  const width = Math.max(...cells.map((r) => r.length));
+  const pad = (r) => [...r, ...Array(width - r.length).fill('')];
+  const line = (r) => `| ${pad(r).join(' | ')} |`;
+  return [line(cells[0]), line(Array(width).fill('---')), ...cells.slice(1).map(line)].join('\n');
+}
+
+function textOf(node) {
+  if (node.role === 'StaticText') return node.name || '';
+  const kids = (node.children || []).map(textOf).filter(Boolean).join('');
+  return kids || node.name || '';
+}
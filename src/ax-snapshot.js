@@ -25,9 +25,12 @@
  *
  * Each kept element is tagged with a data-bb-ref attribute carrying its ref,
  * so firefox-page.js (resolveRef) can resolve a ref back to its element via
- * querySelector.
- * Refs are assigned from a caller-supplied `base` so they stay globally unique
- * across browsing contexts (iframes), matching CDP's flat integer refs.
+ * querySelector. The attribute outlives the snapshot: the next walk reuses it,
+ * so an element keeps its ref for as long as it stays in the DOM (text nodes,
+ * which can't carry attributes, keep theirs in a WeakMap on the document).
+ * New refs are allocated above a caller-supplied `base` — the highest ref
+ * handed out so far — so they stay globally unique across browsing contexts
+ * (iframes) and never reuse a number, matching CDP's stable refs (refs.js).
  */
 
 /** Attribute used to tag elements for ref → element resolution. */
@@ -35,12 +38,38 @@ export const REF_ATTR = 'data-bb-ref';
 
 /**
  * The in-page reconstruction function, as source text. Evaluated in a browsing
- * context with a `base` ref offset; returns JSON { tree, count }. Written as a
- * single self-contained function (no closures over module scope) because it
- * runs in the page, not in Node.
+ * context with `base` (highest ref issued so far); returns JSON
+ * { tree, last, refs, fresh } — `last` is the new highest ref, `refs` the
+ * element refs present in this context, `fresh` whether this is the first
+ * snapshot of the document. Written as a single self-contained function
+ * (no closures over module scope) because it runs in the page, not in Node.
  */
 const AX_FN = function reconstructAX(base, REF_ATTR) {
   let ref = base;
+  // Refs already used in this walk: a cloned element carries its source's
+  // attribute and must get its own ref rather than share one.
+  const seen = new Set();
+  const elementRefs = [];
+  const TEXT_KEY = Symbol.for('bb-node-refs');
+  // No map yet means no earlier snapshot saw this document: a new page.
+  const fresh = !document[TEXT_KEY];
+  if (fresh) Object.defineProperty(document, TEXT_KEY, { value: new WeakMap() });
+  const nodeRefs = document[TEXT_KEY];
+
+  // The stable ref for a DOM node: its existing one if it was issued by an
+  // earlier snapshot, else the next number up.
+  function refOf(key) {
+    const isEl = key.nodeType === 1;
+    let r = isEl ? key.getAttribute(REF_ATTR) : nodeRefs.get(key);
+    const n = Number(r);
+    if (!r || seen.has(r) || !Number.isInteger(n) || n < 1 || n > base) {
+      r = String(++ref);
+      if (isEl) key.setAttribute(REF_ATTR, r); else nodeRefs.set(key, r);
+    }
+    seen.add(r);
+    if (isEl) elementRefs.push(r);
+    return r;
+  }
 
   // Roles whose accessible name comes from descendant text (so we must NOT
   // also emit child StaticText nodes — CDP folds the text into the name).
@@ -167,6 +196,8 @@ const AX_FN = function reconstructAX(base, REF_ATTR) {
     if (exp !== null) p.expanded = exp === 'true';
     if (role === 'heading') p.level = Number(el.getAttribute('aria-level')) || Number(el.tagName[1]) || 2;
     if (el.getAttribute('aria-selected') === 'true') p.selected = true;
+    // Absolute target, as CDP reports it: markdown links and find() use it.
+    if (role === 'link' && typeof el.href === 'string' && el.href) p.url = el.href;
     if (el.required || el.getAttribute('aria-required') === 'true') p.required = true;
     if ((role === 'textbox' || role === 'searchbox' || role === 'combobox' || role === 'spinbutton') && el.value) {
       p.value = el.value;
@@ -174,8 +205,8 @@ const AX_FN = function reconstructAX(base, REF_ATTR) {
     return p;
   }
 
-  function makeNode(role, name, properties) {
-    return { nodeId: String(++ref), role, name: name || '', properties: properties || {}, children: [], ignored: false };
+  function makeNode(key, role, name, properties) {
+    return { nodeId: refOf(key), role, name: name || '', properties: properties || {}, children: [], ignored: false };
   }
 
   // Walk a DOM element → AX node (or null if hidden/irrelevant). Text runs
@@ -192,8 +223,7 @@ const AX_FN = function reconstructAX(base, REF_ATTR) {
     if (!name && NAME_FROM_CONTENT.has(role)) {
       name = el.textContent.replace(/\s+/g, ' ').trim();
     }
-    const node = makeNode(role, name, props(el, role));
-    el.setAttribute(REF_ATTR, node.nodeId);
+    const node = makeNode(el, role, name, props(el, role));
 
     // A collapsed native <select> exposes its current value via props/name;
     // don't expand its <option> list into the tree (a 200-item country select
@@ -204,7 +234,7 @@ const AX_FN = function reconstructAX(base, REF_ATTR) {
       for (const child of kidsOf(el)) {
         if (child.nodeType === 3) {
           const t = child.textContent.replace(/\s+/g, ' ').trim();
-          if (t) node.children.push(makeNode('StaticText', t, {}));
+          if (t) node.children.push(makeNode(child, 'StaticText', t, {}));
         } else if (child.nodeType === 1) {
           const c = walk(child);
           if (c) Array.isArray(c) ? node.children.push(...c) : node.children.push(c);
@@ -240,7 +270,7 @@ const AX_FN = function reconstructAX(base, REF_ATTR) {
     for (const child of kidsOf(el)) {
       if (child.nodeType === 3) {
         const t = child.textContent.replace(/\s+/g, ' ').trim();
-        if (t) out.push(makeNode('StaticText', t, {}));
+        if (t) out.push(makeNode(child, 'StaticText', t, {}));
       } else if (child.nodeType === 1 && !isHidden(child)) {
         const c = walk(child);
         if (c) Array.isArray(c) ? out.push(...c) : out.push(c);
@@ -249,38 +279,35 @@ const AX_FN = function reconstructAX(base, REF_ATTR) {
     return out;
   }
 
-  // Clear stale refs from a prior snapshot so resolution never hits a ghost.
-  for (const old of document.querySelectorAll('[' + REF_ATTR + ']')) old.removeAttribute(REF_ATTR);
-
   // Wrap body content in an ignored 'none' node, mirroring the html/body
   // wrappers CDP's getFullAXTree emits. prune.js's region extraction only
   // inspects RootWebArea's DIRECT children for landmarks, so without this
   // wrapper a top-level <form>/<nav> (no <main>) would be treated as a
   // directly-extractable region and dropped in act mode — a divergence from
   // CDP, where the same landmark is buried under body and flows through.
-  const root = makeNode('RootWebArea', document.title || '', {});
-  const body = makeNode('none', '', {});
+  const root = makeNode(document, 'RootWebArea', document.title || '', {});
+  const body = makeNode(document.body || document.documentElement, 'none', '', {});
   body.ignored = true;
   // childNodes (not .children) so bare text directly under <body> is kept as
   // StaticText, matching walk()/CDP; .children would silently drop it.
   for (const child of document.body ? document.body.childNodes : []) {
     if (child.nodeType === 3) {
       const t = child.textContent.replace(/\s+/g, ' ').trim();
-      if (t) body.children.push(makeNode('StaticText', t, {}));
+      if (t) body.children.push(makeNode(child, 'StaticText', t, {}));
     } else if (child.nodeType === 1) {
       const c = walk(child);
       if (c) Array.isArray(c) ? body.children.push(...c) : body.children.push(c);
     }
   }
   root.children.push(body);
-  return JSON.stringify({ tree: root, count: ref - base });
+  return JSON.stringify({ tree: root, last: ref, refs: elementRefs, fresh });
 };
 
 /**
  * Build the script.evaluate expression that reconstructs the AX tree in a
- * context, assigning refs from `base`.
- * @param {number} base - Starting ref offset (exclusive; first ref is base+1)
- * @returns {string} JS expression returning JSON { tree, count }
+ * context, keeping existing refs and allocating new ones above `base`.
+ * @param {number} base - Highest ref issued so far (first new ref is base+1)
+ * @returns {string} JS expression returning JSON { tree, last, refs, fresh }
  */
 export function axSnapshotExpression(base) {
   return `(${AX_FN.toString()})(${Number(base)}, ${JSON.stringify(REF_ATTR)})`;
@@ -15,6 +15,10 @@
 
 import { browse, connect } from './index.js';
 import { formatReadable } from './readable.js';
+import { formatMatches } from './find.js';
+import { formatForms, formatFillResult } from './forms.js';
+import { formatActions } from './actions.js';
+import { formatMarks } from './annotate.js';
 
 // Optional: privacy assessment via wearehere
 let assessFn = null;
@@ -35,7 +39,9 @@ const settle = () => new Promise((r) => setTimeout(r, SETTLE_MS));
 
 /**
  * Create bareagent-compatible browse tools.
- * @param {object} [opts] - Options passed to connect() for session tools
+ * @param {object} [opts] - Options passed to connect() for session tools.
+ *   `diff: true` additionally makes action tools return a snapshot diff
+ *   (only what changed) instead of the whole tree.
  * @returns {{ tools: Array, close: () => Promise<void> }}
  */
 export function createBrowseTools(opts = {}) {
@@ -50,7 +56,7 @@ export function createBrowseTools(opts = {}) {
     const page = await getPage();
     await fn(page);
     await settle();
-    return await page.snapshot();
+    return await page.snapshot(opts.diff ? { diff: true } : undefined);
   }
 
   /** @type {BrowseTool[]} */
@@ -63,10 +69,15 @@ export function createBrowseTools(opts = {}) {
         properties: {
           url: { type: 'string', description: 'URL to browse' },
           pruneMode: { type: 'string', enum: ['act', 'read'], description: '"act" (default) for interactive elements only; "read" for paragraphs and long text (articles/docs).' },
+          focus: { type: 'string', description: 'Current goal in a few words (e.g. "shipping address form") — keeps only the relevant parts of a large page.' },
+          format: { type: 'string', enum: ['text', 'json', 'markdown'], description: '"text" (default) YAML-like tree; "json" the tree as {role, name, ref, properties, children} objects; "markdown" headings/lists/links/tables as Markdown.' },
         },
         required: ['url'],
       },
-      execute: async ({ url, pruneMode }) => await browse(url, pruneMode ? { ...opts, pruneMode } : opts),
+      execute: async ({ url, pruneMode, focus, format }) => {
+        const snap = await browse(url, { ...opts, ...(pruneMode && { pruneMode }), ...(focus && { focus }), ...(format && { format }) });
+        return format === 'json' ? JSON.stringify(snap) : snap;
+      },
     },
     {
       name: 'goto',
@@ -87,11 +98,49 @@ export function createBrowseTools(opts = {}) {
         type: 'object',
         properties: {
           pruneMode: { type: 'string', enum: ['act', 'read'], description: '"act" (default) for interactive elements only; "read" for paragraphs and long text (articles/docs).' },
+          diff: { type: 'boolean', description: 'Only what changed since the previous snapshot: "+" added lines, "-" removed lines (a changed node shows as - old, + new). Full snapshot after a navigation.' },
+          focus: { type: 'string', description: 'Current goal in a few words (e.g. "shipping address form") — keeps only the relevant parts of a large page.' },
+          format: { type: 'string', enum: ['text', 'json', 'markdown'], description: '"text" (default) YAML-like tree; "json" the tree as {role, name, ref, properties, children} objects; "markdown" headings/lists/links/tables as Markdown.' },
+          root: { type: 'string', description: 'Ref of an element (dialog, form, list, iframe) — snapshot only its subtree.' },
+        },
+      },
+      execute: async (/** @type {{ pruneMode?: any, diff?: boolean, focus?: string, format?: any, root?: string }} */ { pruneMode, diff, focus, format, root } = {}) => {
+        const page = await getPage();
+        const snap = await page.snapshot({ mode: pruneMode, diff: !!diff, focus, format, root });
+        return format === 'json' ? JSON.stringify(snap) : snap;
+      },
+    },
+    {
+      name: 'find',
+      description: 'Find elements by role, name or text and return their refs with landmark path and surrounding text — cheaper than a full snapshot for locating one control.',
+      parameters: {
+        type: 'object',
+        properties: {
+          role: { type: 'string', description: 'ARIA role, e.g. "button", "link", "textbox"' },
+          name: { type: 'string', description: 'Accessible name (substring, case-insensitive unless exact)' },
+          text: { type: 'string', description: 'Text inside the element (innermost match)' },
+          exact: { type: 'boolean', description: 'Whole-string, case-sensitive match' },
+          near: { type: 'string', description: 'A ref or element name: nearest matches first' },
+        },
+      },
+      execute: async (/** @type {import('./find.js').FindQuery} */ query = {}) => {
+        const page = await getPage();
+        return formatMatches(await page.find(query));
+      },
+    },
+    {
+      name: 'actions',
+      description: 'The page\'s most likely interactions, best first: ref, one-line description and score (prominence, landmark, visibility, goal match). Cheaper than a snapshot when you know what you want to do.',
+      parameters: {
+        type: 'object',
+        properties: {
+          goal: { type: 'string', description: 'e.g. "add to cart", "log in"; omit for the main actions' },
+          limit: { type: 'number', description: 'Max candidates (default 10)' },
         },
       },
-      execute: async (/** @type {{ pruneMode?: string }} */ { pruneMode } = {}) => {
+      execute: async (/** @type {import('./actions.js').ActionsQuery} */ query = {}) => {
         const page = await getPage();
-        return await page.snapshot(pruneMode ? { mode: pruneMode } : undefined);
+        return formatActions(await page.actions(query));
       },
     },
     {
@@ -171,6 +220,22 @@ export function createBrowseTools(opts = {}) {
       },
       execute: async ({ ref, value }) => actionAndSnapshot((page) => page.select(ref, value)),
     },
+    {
+      name: 'fill_form',
+      description: 'Without values: list the forms with their fields (label, type, purpose such as email/password/postal-code/card-number, required, value, validation errors). With values: fill a form by purpose, field name or label in one call and return the re-read form. Does not submit.',
+      parameters: {
+        type: 'object',
+        properties: {
+          values: { type: 'object', description: 'e.g. {"email":"a@b.co","address":{"city":"Utrecht","zip":"3511AB"},"terms":true}' },
+          formRef: { type: 'string', description: 'Form ref from the listing (default: best-matching form)' },
+        },
+      },
+      execute: async ({ values, formRef }) => {
+        const page = await getPage();
+        if (!values) return formatForms(await page.forms());
+        return formatFillResult(await page.fillForm(formRef ?? null, values));
+      },
+    },
     {
       name: 'hover',
       description: 'Hover over an element by its ref. Returns the updated snapshot.',
@@ -259,16 +324,25 @@ export function createBrowseTools(opts = {}) {
     },
     {
       name: 'screenshot',
-      description: 'Take a screenshot of the current page. Returns base64-encoded image.',
+      description: 'Take a screenshot of the current page. Returns an image content item { type: "image", data (base64), mimeType }. Use maxWidth and format: "jpeg" with a quality to keep it small. fullPage: true captures the whole page; ref captures one element. With annotate: true, interactive elements are boxed and numbered with their refs, and a text item follows listing each ref\'s role, name and box.',
       parameters: {
         type: 'object',
         properties: {
           format: { type: 'string', enum: ['png', 'jpeg', 'webp'], description: 'Image format (default: png)' },
+          quality: { type: 'number', description: 'JPEG/WebP quality 0-100 (default: 80)' },
+          maxWidth: { type: 'number', description: 'Downscale to at most this many pixels wide' },
+          annotate: { type: 'boolean', description: 'Number interactive elements by ref (default: false)' },
+          ref: { type: 'string', description: 'Capture only this element' },
+          fullPage: { type: 'boolean', description: 'Capture the whole page, beyond the viewport (default: false)' },
         },
       },
-      execute: async (/** @type {{ format?: string }} */ { format } = {}) => {
+      execute: async (/** @type {{ format?: 'png'|'jpeg'|'webp', quality?: number, maxWidth?: number, annotate?: boolean, ref?: string, fullPage?: boolean }} */ { format = 'png', quality, maxWidth, annotate, ref, fullPage } = {}) => {
         const page = await getPage();
-        return await page.screenshot({ format });
+        const shot = await page.screenshot({ format, quality, maxWidth, annotate: !!annotate, ref, fullPage: !!fullPage });
+        /** @type {object[]} */
+        const content = [{ type: 'image', data: annotate ? shot.data : shot, mimeType: `image/${format}` }];
+        if (annotate) content.push({ type: 'text', text: formatMarks(shot.refs) });
+        return content;
       },
     },
     {
@@ -0,0 +1,98 @@
+/**
+ * batch.js — browse() over a list of URLs.
+ *
+ * Looping browse() launches a browser per URL and runs one at a time.
+ * browseMany() runs `concurrency` calls at once on a warm browser pool
+ * (pool.js), so each URL costs a browser context, not a browser launch, and
+ * the pool's hybrid mode retries bot-blocked pages headed just as browse()
+ * does. A failing URL becomes an `error` record; it never stops the batch.
+ *
+ * Usage:
+ *   const records = await browseMany(urls, { concurrency: 8, out: 'snaps.jsonl' });
+ *   // [{ url, snapshot, error: null, ms }, …] in input order
+ */
+
+import { open } from 'node:fs/promises';
+import { createBrowsePool } from './pool.js';
+
+/**
+ * @typedef {object} BrowseRecord
+ * @property {string} url
+ * @property {any} snapshot - browse() result, null when the URL failed
+ * @property {?string} error - Error message, null on success
+ * @property {number} ms - Wall time for this URL
+ */
+
+/**
+ * Browse many URLs, `concurrency` at a time, sharing warm browsers.
+ *
+ * @param {string[]} urls
+ * @param {object} [opts] - browse() options (mode, pruneMode, format, focus,
+ *   timeout, cookies, incognito, …) and createBrowsePool() options, plus:
+ * @param {number} [opts.concurrency=4] - URLs in flight at once; also the size
+ *   of the pool browseMany() creates
+ * @param {ReturnType<typeof createBrowsePool>} [opts.pool] - Run on this pool
+ *   (left open) instead of creating and closing one
+ * @param {string} [opts.out] - Write each record to this file as a JSONL line
+ *   as soon as it finishes (completion order)
+ * @param {(record: BrowseRecord) => void} [opts.onResult] - Called with each
+ *   record as soon as it finishes (completion order)
+ * @returns {Promise<BrowseRecord[]>} One record per URL, in input order
+ */
+export async function browseMany(urls, opts = {}) {
+  const { concurrency = 4, pool: given, out, onResult, ...browseOpts } = opts;
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`concurrency must be a positive integer, got ${concurrency}`);
+  }
+  // Open the output first: a bad path should fail before any browser starts.
+  const sink = out ? await open(out, 'w') : null;
+  let written = Promise.resolve();
+  const pool = given || createBrowsePool({ ...browseOpts, size: Math.min(concurrency, urls.length || 1) });
+  /** @type {BrowseRecord[]} */
+  const records = new Array(urls.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < urls.length) {
+      const i = next++;
+      const url = urls[i];
+      const start = Date.now();
+      /** @type {BrowseRecord} */
+      let record;
+      try {
+        const snapshot = await pool.browse(url, browseOpts);
+        record = { url, snapshot, error: null, ms: Date.now() - start };
+      } catch (err) {
+        record = { url, snapshot: null, error: err.message, ms: Date.now() - start };
+      }
+      records[i] = record;
+      // Chained so concurrent finishes land as whole lines.
+      if (sink) written = written.then(() => sink.appendFile(JSON.stringify(record) + '\n'));
+      if (onResult) {
+        try {
+          onResult(record);
+        } catch (err) {
+          console.warn(`barebrowse: browseMany() onResult threw (${err.message})`);
+        }
+      }
+    }
+  }
+
+  try {
+    await Promise.all(Array.from({ length: Math.min(concurrency, urls.length) }, worker));
+  } finally {
+    if (!given) await pool.close();
+    if (sink) await written.finally(() => sink.close());
+  }
+  return records;
+}
+
+/**
+ * URLs from a list file's text: one per line, blank lines and `#` comments
+ * skipped.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function parseUrlList(text) {
+  return text.split(/\r?\n/).map((l) => l.trim()).filter((l) => l && !l.startsWith('#'));
+}
@@ -34,7 +34,7 @@ export async function applyFirefoxBlocklist(bidi, pageOpts = {}) {
 
   const isBlocked = makeBlockMatcher(patterns);
 
-  await bidi.send('network.addIntercept', {
+  const { intercept } = await bidi.send('network.addIntercept', {
     phases: ['beforeRequestSent'],
     urlPatterns: [],
   });
@@ -49,6 +49,9 @@ export async function applyFirefoxBlocklist(bidi, pageOpts = {}) {
     try {
       if (isBlocked(e.request.url)) {
         await bidi.send('network.failRequest', { request: id });
+      } else if (intercept && e.intercepts?.some((other) => other !== intercept)) {
+        // Also paused by another intercept (page.route) — its owner decides.
+        return;
       } else {
         await bidi.send('network.continueRequest', { request: id });
       }
@@ -0,0 +1,234 @@
+/**
+ * capture.js — Console + network capture on the page object.
+ *
+ * Backs `page.consoleLogs`, `page.networkLog` and
+ * `page.on('console' | 'request' | 'response' | 'requestfailed', cb)` on both
+ * engines. `captureCdp` maps `Runtime.*`/`Network.*` events, `captureBiDi`
+ * maps `log.entryAdded`/`network.*`; both feed an engine-neutral store, so a
+ * console-logs or network-log entry has the same shape either way. The daemon's
+ * `console-logs`/`network-log` commands read these buffers.
+ *
+ * Both logs are ring buffers (oldest entries dropped past the limit), so a
+ * long-lived session can't grow without bound.
+ *
+ * Console capture is off until something wants it (`wantConsole()`: a
+ * page.on('console') listener, reading page.consoleLogs, or
+ * connect({ captureConsole })). On CDP it needs Runtime.enable, a well-known
+ * automation tell the stealth patches otherwise avoid. Network capture is
+ * always on.
+ */
+
+const MAX_CONSOLE = 1000;
+const MAX_NETWORK = 1000;
+
+/** Events page.on() accepts. */
+export const CAPTURE_EVENTS = ['console', 'request', 'response', 'requestfailed'];
+
+/**
+ * @typedef {object} ConsoleEntry
+ * @property {string} type - CDP vocabulary: 'log', 'info', 'warning', 'error', 'debug', …
+ * @property {string} timestamp - ISO time the entry was captured
+ * @property {Array<string|number|boolean|null>} args - Primitive args as values, objects by type/description
+ */
+
+/**
+ * @typedef {object} NetworkEntry
+ * @property {string} url
+ * @property {string} method
+ * @property {string} timestamp - ISO time the request was sent
+ * @property {number} [status] - 0 for a failed request
+ * @property {string} [statusText]
+ * @property {string} [mimeType]
+ * @property {string} [error] - Engine error text, failed requests only
+ */
+
+/**
+ * Engine-neutral capture store. Request ids are the engine's own.
+ * @param {object} [opts]
+ * @param {number} [opts.maxConsole=1000] - consoleLogs ring-buffer size
+ * @param {number} [opts.maxNetwork=1000] - networkLog ring-buffer size (also caps in-flight tracking)
+ */
+export function createCapture({ maxConsole = MAX_CONSOLE, maxNetwork = MAX_NETWORK } = {}) {
+  /** @type {ConsoleEntry[]} */
+  const consoleLogs = [];
+  /** @type {NetworkEntry[]} */
+  const networkLog = [];
+  /** @type {Map<string, NetworkEntry>} */
+  const pending = new Map();
+  /** @type {Map<string, Set<(payload: object) => void>>} */
+  const listeners = new Map(CAPTURE_EVENTS.map((e) => [e, new Set()]));
+  let consoleWanted = false;
+  /** @type {?() => void} */
+  let startConsole = null; // the engine's, for its current session
+
+  function emit(event, payload) {
+    for (const cb of listeners.get(event) || []) {
+      try {
+        cb(payload);
+      } catch (err) {
+        console.warn(`barebrowse: page.on('${event}') listener threw (${err.message})`);
+      }
+    }
+  }
+
+  // Trim in place: callers hold the arrays themselves (page.consoleLogs).
+  function push(buffer, max, entry) {
+    buffer.push(entry);
+    if (buffer.length > max) buffer.splice(0, buffer.length - max);
+  }
+
+  function complete(id, fields, event) {
+    const req = pending.get(id);
+    if (!req) return; // its start was never seen (or was evicted)
+    pending.delete(id);
+    const entry = { ...req, ...fields };
+    push(networkLog, maxNetwork, entry);
+    emit(event, entry);
+  }
+
+  return {
+    consoleLogs,
+    networkLog,
+
+    /**
+     * Subscribe to captured events.
+     * @param {string} event - 'console' | 'request' | 'response' | 'requestfailed'
+     * @param {(payload: object) => void} callback
+     * @returns {() => void} Unsubscribe function
+     */
+    on(event, callback) {
+      const set = listeners.get(event);
+      if (!set) throw new Error(`page.on(): unknown event "${event}" — use ${CAPTURE_EVENTS.join(', ')}`);
+      if (typeof callback !== 'function') throw new Error('page.on() callback must be a function');
+      set.add(callback);
+      if (event === 'console') this.wantConsole();
+      return () => set.delete(callback);
+    },
+
+    /** Start console capture, if it isn't on yet. */
+    wantConsole() {
+      if (consoleWanted) return;
+      consoleWanted = true;
+      startConsole?.();
+    },
+
+    get consoleWanted() {
+      return consoleWanted;
+    },
+
+    /**
+     * The engine's way to start console capture on its current session, run
+     * on the first wantConsole(). Replaces the previous session's.
+     * @param {() => void} start
+     */
+    onConsoleWanted(start) {
+      startConsole = start;
+    },
+
+    /** @param {{type: string, args: ConsoleEntry['args']}} entry */
+    console({ type, args }) {
+      const entry = { type, timestamp: new Date().toISOString(), args };
+      push(consoleLogs, maxConsole, entry);
+      emit('console', entry);
+    },
+
+    /** @param {string} id @param {{url: string, method: string}} req */
+    request(id, { url, method }) {
+      const req = { url, method, timestamp: new Date().toISOString() };
+      pending.set(id, req);
+      // Requests that never finish (a hung long-poll, a torn-down frame) would
+      // otherwise pile up here; Map order makes the first key the oldest.
+      if (pending.size > maxNetwork) pending.delete(pending.keys().next().value);
+      emit('request', { ...req });
+    },
+
+    /** @param {string} id @param {{status: number, statusText: string, mimeType: string}} res */
+    response(id, { status, statusText, mimeType }) {
+      complete(id, { status, statusText, mimeType }, 'response');
+    },
+
+    /** @param {string} id @param {string} error */
+    failed(id, error) {
+      complete(id, { status: 0, error }, 'requestfailed');
+    },
+  };
+}
+
+/** @typedef {ReturnType<typeof createCapture>} Capture */
+
+/**
+ * Feed a capture store from a CDP page session. Re-run on every session swap
+ * (hybrid relaunch, switchTab); the old session's listeners die with it.
+ * Runtime.enable waits for the capture's first wantConsole(); the Runtime
+ * listeners stay silent until then.
+ * @param {object} session - CDP session handle (send/on)
+ * @param {Capture} capture
+ */
+export async function captureCdp(session, capture) {
+  if (capture.consoleWanted) await session.send('Runtime.enable');
+  else capture.onConsoleWanted(() => { session.send('Runtime.enable').catch(() => {}); });
+  session.on('Runtime.consoleAPICalled', (p) => {
+    capture.console({ type: p.type, args: p.args.map((a) => a.value ?? a.description ?? a.type) });
+  });
+  // Uncaught errors — BiDi reports these as log entries too, so both engines
+  // surface them in consoleLogs as type 'error'.
+  session.on('Runtime.exceptionThrown', ({ exceptionDetails: d }) => {
+    capture.console({ type: 'error', args: [d.exception?.description || d.text] });
+  });
+
+  // Network.enable is already on (createPage).
+  session.on('Network.requestWillBeSent', (p) => {
+    // A redirect reuses the requestId: close out the previous hop first.
+    if (p.redirectResponse) capture.response(p.requestId, p.redirectResponse);
+    capture.request(p.requestId, { url: p.request.url, method: p.request.method });
+  });
+  session.on('Network.responseReceived', (p) => capture.response(p.requestId, p.response));
+  session.on('Network.loadingFailed', (p) => capture.failed(p.requestId, p.errorText));
+}
+
+/**
+ * Feed a capture store from a BiDi connection. Measured event shapes:
+ * `log.entryAdded` carries {method, level, args:[{type,value}], text}; the
+ * network events key in-flight requests by `request.request` and expose
+ * `response.{status,statusText,mimeType}` / top-level `errorText`.
+ * @param {object} bidi - BiDi client (async .subscribe(), .on(method, cb))
+ * @param {Capture} capture
+ * @param {(context: ?string) => boolean} [owns] - Whether an event's context
+ *   belongs to this page; the connection is shared by every tab handle.
+ * @returns {Promise<() => void>} Removes the listeners
+ */
+export async function captureBiDi(bidi, capture, owns = () => true) {
+  await bidi.subscribe([
+    'log.entryAdded',
+    'network.beforeRequestSent',
+    'network.responseCompleted',
+    'network.fetchError',
+  ]);
+
+  const offs = [];
+  const on = (event, context, cb) => offs.push(bidi.on(event, (e) => { if (owns(context(e))) cb(e); }));
+
+  on('log.entryAdded', (e) => e.source?.context, (e) => {
+    capture.console({
+      // Map BiDi's console method (or level for uncaught JS errors) to CDP's
+      // `type` vocabulary so `console-logs --level warning` matches on both
+      // engines — BiDi says 'warn', CDP says 'warning'.
+      type: e.method === 'warn' ? 'warning' : (e.method || e.level),
+      // Primitive args carry a usable `.value`; objects/arrays/functions carry a
+      // nested {type,value} serialization we must NOT splat into the log (it's
+      // deep junk) — fall back to the type name, mirroring the CDP capture which
+      // logs a RemoteObject's `.description` ("Object") for non-primitives.
+      args: Array.isArray(e.args) && e.args.length
+        ? e.args.map((a) => (a.value !== undefined && typeof a.value !== 'object' ? a.value : a.type))
+        : [e.text],
+    });
+  });
+
+  const context = (e) => e.context;
+  on('network.beforeRequestSent', context, (e) => {
+    capture.request(e.request.request, { url: e.request.url, method: e.request.method });
+  });
+  on('network.responseCompleted', context, (e) => capture.response(e.request.request, e.response));
+  on('network.fetchError', context, (e) => capture.failed(e.request.request, e.errorText));
+  return () => offs.forEach((off) => off());
+}
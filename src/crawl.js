@@ -0,0 +1,319 @@
+/**
+ * crawl.js — Breadth-first site crawl on one connect() page.
+ *
+ * Starting from one URL, crawl() visits pages level by level, stores a
+ * snapshot or readable() article per page, and queues the links the page's
+ * AX tree exposes (page.find({ role: 'link' }) — the same links an agent
+ * would see, iframes included). Scope: `maxDepth` link hops from the start,
+ * `maxPages` in total, the start URL's origin unless `sameOrigin: false`, and
+ * optional include/exclude URL globs (`blockUrls` syntax) or RegExps.
+ *
+ * Politeness: robots.txt (RFC 9309) is fetched once per origin and its
+ * Allow/Disallow rules for the `barebrowse` token (else `*`) are obeyed;
+ * requests to one host are spaced at least `delay` ms apart, or the
+ * robots.txt Crawl-delay if that is longer. robots.txt is fetched by Node,
+ * not the browser, so a browser-level proxy doesn't apply to it.
+ *
+ * Usage:
+ *   const { pages } = await crawl('https://docs.example.com/', { maxDepth: 2, out: 'corpus/' });
+ */
+
+import { mkdir, open, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { connect } from './index.js';
+import { makeBlockMatcher } from './blocklist.js';
+import { assertNavigable } from './url-guard.js';
+
+/** Product token matched against robots.txt User-agent lines. */
+export const ROBOTS_AGENT = 'barebrowse';
+
+const ROBOTS_TIMEOUT = 10000;
+
+/**
+ * @typedef {object} CrawlRecord
+ * @property {string} url
+ * @property {number} depth - Link hops from the start URL
+ * @property {?string} from - The page the link was found on (null for the start)
+ * @property {any} [snapshot] - page.snapshot() result (content 'snapshot')
+ * @property {object} [article] - page.readable() result (content 'readable')
+ * @property {number} links - Links found on the page (before scope filtering)
+ * @property {?string} error - Error message, null on success
+ * @property {number} ms - Wall time for this page, rate-limit wait excluded
+ * @property {string} [file] - Directory output only: the content's file name
+ */
+
+/**
+ * Crawl a site from `startUrl`.
+ *
+ * @param {string} startUrl
+ * @param {object} [opts] - connect() options (engine, mode, proxy, blockAds,
+ *   allowLocalUrls, blockPrivateNetwork, …), plus:
+ * @param {number} [opts.maxDepth=2] - Link hops from the start URL
+ * @param {number} [opts.maxPages=50] - Pages visited in total
+ * @param {boolean} [opts.sameOrigin=true] - Follow only links on the start URL's origin
+ * @param {Array<string|RegExp>} [opts.include] - Follow only URLs matching one of these
+ * @param {Array<string|RegExp>} [opts.exclude] - Never follow URLs matching one of these
+ * @param {'snapshot'|'readable'} [opts.content='snapshot'] - What to store per page
+ * @param {'act'|'browse'|'navigate'|'full'|'read'} [opts.pruneMode='read'] - Snapshot prune mode
+ * @param {'text'|'json'|'markdown'} [opts.format='text'] - Snapshot format
+ * @param {number} [opts.delay=1000] - Minimum ms between requests to one host
+ * @param {boolean} [opts.robots=true] - Obey robots.txt
+ * @param {number} [opts.timeout=30000] - Navigation timeout per page
+ * @param {boolean} [opts.allowLocalUrls=false] - Navigation guard, as in connect()
+ * @param {boolean} [opts.blockPrivateNetwork=false] - Navigation guard, as in connect()
+ * @param {string} [opts.out] - A `.jsonl` file (one record per page), or a
+ *   directory (one content file per page plus `index.jsonl`)
+ * @param {(record: CrawlRecord) => void} [opts.onPage] - Called as each page finishes
+ * @param {object} [opts.page] - Crawl in this connect() page (left open)
+ *   instead of launching a browser
+ * @param {typeof fetch} [opts.fetch] - fetch() used for robots.txt
+ * @returns {Promise<{pages: CrawlRecord[], blocked: string[]}>} Visited pages in
+ *   crawl order, and the URLs robots.txt kept out
+ */
+export async function crawl(startUrl, opts = {}) {
+  const {
+    maxDepth = 2, maxPages = 50, sameOrigin = true, include, exclude,
+    content = 'snapshot', pruneMode = 'read', format, delay = 1000, robots = true,
+    timeout = 30000, out, onPage, page: given, fetch: fetchImpl = fetch, ...connectOpts
+  } = opts;
+  if (content !== 'snapshot' && content !== 'readable') {
+    throw new Error(`crawl: content must be 'snapshot' or 'readable', got "${content}"`);
+  }
+  const start = normalizeUrl(startUrl);
+  if (!start) throw new Error(`crawl: not an http(s) URL: ${startUrl}`);
+  const guard = { allowLocalUrls: connectOpts.allowLocalUrls, blockPrivateNetwork: connectOpts.blockPrivateNetwork };
+  assertNavigable(start, guard);
+  // Links the guard rejects are never queued, so nothing — not even the
+  // robots.txt fetch — is sent to them.
+  const navigable = (url) => {
+    try {
+      assertNavigable(url, guard);
+      return true;
+    } catch {
+      return false;
+    }
+  };
+
+  const inScope = scopeFilter(start, { sameOrigin, include, exclude });
+  const sink = await openSink(out, content === 'readable' || format === 'json' ? 'json' : format === 'markdown' ? 'md' : 'txt');
+  const robotsCache = new Map();
+  const lastVisit = new Map();
+  /** @type {CrawlRecord[]} */
+  const pages = [];
+  /** @type {string[]} */
+  const blocked = [];
+  /** @type {{url: string, depth: number, from: ?string}[]} */
+  const queue = [{ url: start, depth: 0, from: null }];
+  const seen = new Set([start]);
+
+  const page = given || await connect(connectOpts);
+  try {
+    while (queue.length && pages.length < maxPages) {
+      const { url, depth, from } = /** @type {typeof queue[number]} */ (queue.shift());
+      const { host, origin, pathname, search } = new URL(url);
+      let rules = ALLOW_ALL;
+      if (robots) {
+        if (!robotsCache.has(origin)) robotsCache.set(origin, await fetchRobots(origin, fetchImpl));
+        rules = robotsCache.get(origin);
+        if (!rules.allows(pathname + search)) {
+          blocked.push(url);
+          continue;
+        }
+      }
+      const wait = (lastVisit.get(host) ?? -Infinity) + Math.max(delay, rules.delay) - Date.now();
+      if (wait > 0) await new Promise((r) => setTimeout(r, wait));
+      lastVisit.set(host, Date.now());
+
+      const began = Date.now();
+      /** @type {CrawlRecord} */
+      const record = { url, depth, from, links: 0, error: null, ms: 0 };
+      try {
+        await page.goto(url, timeout);
+        if (content === 'readable') record.article = await page.readable();
+        else record.snapshot = await page.snapshot({ mode: pruneMode, format });
+        if (depth < maxDepth) {
+          const links = await page.find({ role: 'link', limit: Infinity });
+          record.links = links.length;
+          for (const link of links) {
+            const next = normalizeUrl(link.url);
+            if (!next || seen.has(next) || !inScope(next) || !navigable(next)) continue;
+            seen.add(next);
+            queue.push({ url: next, depth: depth + 1, from: url });
+          }
+        }
+      } catch (err) {
+        record.error = err.message;
+      }
+      record.ms = Date.now() - began;
+      pages.push(record);
+      await sink.write(record, pages.length);
+      if (onPage) {
+        try {
+          onPage(record);
+        } catch (err) {
+          console.warn(`barebrowse: crawl() onPage threw (${err.message})`);
+        }
+      }
+    }
+  } finally {
+    if (!given) await page.close().catch(() => {});
+    await sink.close();
+  }
+  return { pages, blocked };
+}
+
+/**
+ * An http(s) URL without its fragment, or null for anything else (mailto:,
+ * javascript:, relative junk).
+ * @param {string} [url]
+ * @returns {?string}
+ */
+export function normalizeUrl(url) {
+  if (!url) return null;
+  let u;
+  try { u = new URL(url); } catch { return null; }
+  if (u.protocol !== 'http:' && u.protocol !== 'https:') return null;
+  u.hash = '';
+  return u.href;
+}
+
+/** Whether a discovered URL is in the crawl's scope. */
+function scopeFilter(start, { sameOrigin, include, exclude }) {
+  const origin = new URL(start).origin;
+  const included = include?.length ? urlMatcher(include) : () => true;
+  const excluded = exclude?.length ? urlMatcher(exclude) : () => false;
+  return (url) => (!sameOrigin || new URL(url).origin === origin) && included(url) && !excluded(url);
+}
+
+/** Globs compile with makeBlockMatcher (the blockUrls syntax); RegExps test as-is. */
+function urlMatcher(patterns) {
+  const globs = makeBlockMatcher(patterns.filter((p) => typeof p === 'string'));
+  const regexes = patterns.filter((p) => p instanceof RegExp);
+  return (url) => globs(url) || regexes.some((re) => re.test(url));
+}
+
+// --- robots.txt ---
+
+/** @typedef {{allows: (path: string) => boolean, delay: number}} RobotsRules */
+/** @typedef {{agents: string[], rules: {allow: boolean, length: number, re: RegExp}[], delay?: number}} RobotsGroup */
+
+/** @type {RobotsRules} */
+const ALLOW_ALL = { allows: () => true, delay: 0 };
+/** @type {RobotsRules} */
+const DISALLOW_ALL = { allows: () => false, delay: 0 };
+
+/**
+ * Parse robots.txt (RFC 9309) for one product token. Rules come from the
+ * groups naming `agent`, else the `*` groups; the longest matching pattern
+ * wins, Allow on a tie. `*` matches any run of characters and a trailing `$`
+ * anchors the end. Crawl-delay (not in the RFC, widely used) is honoured in
+ * seconds.
+ * @param {string} text
+ * @param {string} [agent]
+ * @returns {RobotsRules} `delay` in ms
+ */
+export function parseRobots(text, agent = ROBOTS_AGENT) {
+  /** @type {RobotsGroup[]} */
+  const groups = [];
+  /** @type {?RobotsGroup} */
+  let group = null;
+  let inAgentLines = false;
+  for (const raw of text.split(/\r?\n/)) {
+    const m = raw.replace(/#.*/, '').trim().match(/^([a-z-]+)\s*:\s*(.*)$/i);
+    if (!m) continue;
+    const key = m[1].toLowerCase();
+    const value = m[2].trim();
+    if (key === 'user-agent') {
+      // Consecutive User-agent lines share one group.
+      if (!group || !inAgentLines) groups.push(group = { agents: [], rules: [] });
+      group.agents.push(value.toLowerCase());
+      inAgentLines = true;
+      continue;
+    }
+    inAgentLines = false;
+    if (!group) continue;
+    if ((key === 'allow' || key === 'disallow') && value) {
+      group.rules.push({ allow: key === 'allow', length: value.length, re: robotsPattern(value) });
+    } else if (key === 'crawl-delay' && Number(value) >= 0) {
+      group.delay = Number(value) * 1000;
+    }
+  }
+
+  const token = agent.toLowerCase();
+  let chosen = groups.filter((g) => g.agents.includes(token));
+  if (!chosen.length) chosen = groups.filter((g) => g.agents.includes('*'));
+  const rules = chosen.flatMap((g) => g.rules);
+  return {
+    delay: Math.max(0, ...chosen.map((g) => g.delay ?? 0)),
+    allows(path) {
+      if (path === '/robots.txt') return true;
+      let best = null;
+      for (const rule of rules) {
+        if (!rule.re.test(path)) continue;
+        if (!best || rule.length > best.length || (rule.length === best.length && rule.allow)) best = rule;
+      }
+      return !best || best.allow;
+    },
+  };
+}
+
+/** A robots.txt path pattern as an anchored-prefix RegExp. */
+function robotsPattern(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*');
+  return new RegExp('^' + body + (anchored ? '$' : ''));
+}
+
+/**
+ * Fetch and parse an origin's robots.txt. Per RFC 9309, a 4xx means no
+ * rules; a 5xx or an unreachable server means stay out entirely.
+ * @param {string} origin
+ * @param {typeof fetch} fetchImpl
+ * @returns {Promise<RobotsRules>}
+ */
+async function fetchRobots(origin, fetchImpl) {
+  try {
+    const res = await fetchImpl(`${origin}/robots.txt`, { signal: AbortSignal.timeout(ROBOTS_TIMEOUT) });
+    if (res.ok) return parseRobots(await res.text());
+    if (res.status >= 400 && res.status < 500) return ALLOW_ALL;
+    console.warn(`barebrowse: ${origin}/robots.txt answered ${res.status} — not crawling ${origin}`);
+  } catch (err) {
+    console.warn(`barebrowse: ${origin}/robots.txt unreachable (${err.message}) — not crawling ${origin}`);
+  }
+  return DISALLOW_ALL;
+}
+
+// --- output ---
+
+/**
+ * Where records go: nowhere, a JSONL file, or a directory holding one content
+ * file per page and an index.jsonl of the records without their content.
+ * @param {string|undefined} out
+ * @param {string} ext - Content file extension
+ */
+async function openSink(out, ext) {
+  if (!out) return { write: async () => {}, close: async () => {} };
+  if (out.endsWith('.jsonl')) {
+    const fh = await open(out, 'w');
+    return {
+      write: (record) => fh.appendFile(JSON.stringify(record) + '\n'),
+      close: () => fh.close(),
+    };
+  }
+  await mkdir(out, { recursive: true });
+  const index = await open(join(out, 'index.jsonl'), 'w');
+  return {
+    async write(record, n) {
+      const body = record.article ?? record.snapshot;
+      const { snapshot, article, ...meta } = record;
+      if (body !== undefined) {
+        record.file = meta.file = `${String(n).padStart(4, '0')}.${ext}`;
+        await writeFile(join(out, meta.file), typeof body === 'string' ? body : JSON.stringify(body, null, 2));
+      }
+      await index.appendFile(JSON.stringify(meta) + '\n');
+    },
+    close: () => index.close(),
+  };
+}
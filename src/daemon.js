@@ -64,6 +64,10 @@ export function buildDaemonArgs(opts, absDir, initialUrl, cliPath) {
   }
   if (opts.blockPrivateNetwork) args.push('--block-private-network');
   if (opts.uploadDir) args.push('--upload-dir', opts.uploadDir);
+  if (opts.replayHar) args.push('--replay-har', opts.replayHar);
+  if (opts.replayHarMiss) args.push('--replay-har-miss', opts.replayHarMiss);
+  if (opts.record) args.push('--record', opts.record);
+  if (opts.trace) args.push('--trace', opts.trace);
   return args;
 }
 
@@ -92,78 +96,6 @@ export function deserializeBiDi(r) {
   }
 }
 
-/**
- * Wire Firefox/BiDi console + network capture onto the daemon's log arrays.
- * The BiDi analogue of the CDP `Runtime.consoleAPICalled` / `Network.*`
- * capture — measured event shapes: `log.entryAdded` carries {method, level,
- * args:[{type,value}], text}; the network events key in-flight requests by
- * `request.request` and expose `response.{status,statusText,mimeType}` /
- * top-level `errorText`. Pure + exported so the shape mapping (warn→warning
- * normalization, arg extraction, orphan-safe response/error pairing) is
- * unit-testable against a fake bidi without launching Firefox.
- *
- * @param {object} bidi - BiDi client (async .subscribe(), .on(method, cb))
- * @param {object} sinks
- * @param {Array} sinks.consoleLogs - push-target for console entries
- * @param {Array} sinks.networkLogs - push-target for completed/failed requests
- * @param {Map} sinks.pendingRequests - in-flight request bookkeeping
- * @returns {Promise<void>}
- */
-export async function attachBiDiCapture(bidi, { consoleLogs, networkLogs, pendingRequests }) {
-  await bidi.subscribe([
-    'log.entryAdded',
-    'network.beforeRequestSent',
-    'network.responseCompleted',
-    'network.fetchError',
-  ]);
-
-  bidi.on('log.entryAdded', (e) => {
-    consoleLogs.push({
-      // Map BiDi's console method (or level for uncaught JS errors) to CDP's
-      // `type` vocabulary so `console-logs --level warning` matches on both
-      // engines — BiDi says 'warn', CDP says 'warning'.
-      type: e.method === 'warn' ? 'warning' : (e.method || e.level),
-      timestamp: new Date().toISOString(),
-      // Primitive args carry a usable `.value`; objects/arrays/functions carry a
-      // nested {type,value} serialization we must NOT splat into the log (it's
-      // deep junk) — fall back to the type name, mirroring the CDP capture which
-      // logs a RemoteObject's `.description` ("Object") for non-primitives.
-      args: Array.isArray(e.args) && e.args.length
-        ? e.args.map((a) => (a.value !== undefined && typeof a.value !== 'object' ? a.value : a.type))
-        : [e.text],
-    });
-  });
-
-  bidi.on('network.beforeRequestSent', (e) => {
-    pendingRequests.set(e.request.request, {
-      url: e.request.url,
-      method: e.request.method,
-      timestamp: new Date().toISOString(),
-    });
-  });
-
-  bidi.on('network.responseCompleted', (e) => {
-    const req = pendingRequests.get(e.request.request);
-    if (req) {
-      networkLogs.push({
-        ...req,
-        status: e.response.status,
-        statusText: e.response.statusText,
-        mimeType: e.response.mimeType,
-      });
-      pendingRequests.delete(e.request.request);
-    }
-  });
-
-  bidi.on('network.fetchError', (e) => {
-    const req = pendingRequests.get(e.request.request);
-    if (req) {
-      networkLogs.push({ ...req, status: 0, error: e.errorText });
-      pendingRequests.delete(e.request.request);
-    }
-  });
-}
-
 /**
  * Spawn a detached child process that runs the daemon.
  * Parent polls for session.json, then exits.
@@ -231,66 +163,17 @@ export async function runDaemon(opts, outputDir, initialUrl) {
     blockUrls: opts.blockUrls,
     blockPrivateNetwork: opts.blockPrivateNetwork,
     uploadDir: opts.uploadDir,
+    replayHar: opts.replayHar,
+    replayHarMiss: opts.replayHarMiss,
+    record: opts.record,
+    trace: opts.trace,
+    // console-logs covers the whole session, as it always has.
+    captureConsole: true,
     // incognito neuters injectCookies() session-wide; cookies:false (below)
     // is the legacy per-open equivalent. Either yields a logged-out session.
     incognito: opts.incognito || opts.cookies === false,
   });
 
-  // Console + network log capture. CDP uses Runtime/Network events off
-  // page.cdp; the Firefox/BiDi engine (page.bidi) captures the same shape over
-  // log.entryAdded / network.* events (Phase 2 — attachBiDiCapture). Either
-  // way console-logs / network-log / wait-idle behave the same for both.
-  const consoleLogs = [];
-  const networkLogs = [];
-  const pendingRequests = new Map();
-
-  if (page.cdp) {
-    await page.cdp.send('Runtime.enable');
-    page.cdp.on('Runtime.consoleAPICalled', (params) => {
-      consoleLogs.push({
-        type: params.type,
-        timestamp: new Date().toISOString(),
-        args: params.args.map((a) => a.value ?? a.description ?? a.type),
-      });
-    });
-
-    // Network log capture (Network.enable already called by connect)
-    page.cdp.on('Network.requestWillBeSent', (params) => {
-      pendingRequests.set(params.requestId, {
-        url: params.request.url,
-        method: params.request.method,
-        timestamp: new Date().toISOString(),
-      });
-    });
-
-    page.cdp.on('Network.responseReceived', (params) => {
-      const req = pendingRequests.get(params.requestId);
-      if (req) {
-        networkLogs.push({
-          ...req,
-          status: params.response.status,
-          statusText: params.response.statusText,
-          mimeType: params.response.mimeType,
-        });
-        pendingRequests.delete(params.requestId);
-      }
-    });
-
-    page.cdp.on('Network.loadingFailed', (params) => {
-      const req = pendingRequests.get(params.requestId);
-      if (req) {
-        networkLogs.push({
-          ...req,
-          status: 0,
-          error: params.errorText,
-        });
-        pendingRequests.delete(params.requestId);
-      }
-    });
-  } else if (page.bidi) {
-    await attachBiDiCapture(page.bidi, { consoleLogs, networkLogs, pendingRequests });
-  }
-
   // Navigate to initial URL if provided
   if (initialUrl) {
     if (opts.cookies !== false) {
@@ -309,15 +192,25 @@ export async function runDaemon(opts, outputDir, initialUrl) {
       return { ok: true };
     },
 
-    async snapshot({ mode }) {
+    async snapshot({ mode, diff, focus, format, root }) {
       const pruneMode = mode || defaultPruneMode;
-      const text = await page.snapshot({ mode: pruneMode });
+      const snap = await page.snapshot({ mode: pruneMode, diff: !!diff, focus, format, root });
       const ts = new Date().toISOString().replace(/[:.]/g, '-');
-      const file = join(absDir, `page-${ts}.yml`);
-      writeFilePrivate(file, text);
+      const ext = format === 'json' ? 'json' : format === 'markdown' ? 'md' : 'yml';
+      const file = join(absDir, `page-${ts}.${ext}`);
+      writeFilePrivate(file, format === 'json' ? JSON.stringify(snap, null, 2) : snap);
       return { ok: true, file };
     },
 
+    async find({ role, name, text, exact, near, limit }) {
+      const matches = await page.find({ role, name, text, exact: !!exact, near, limit: limit ? Number(limit) : undefined });
+      return { ok: true, value: matches };
+    },
+
+    async actions({ goal, limit }) {
+      return { ok: true, value: await page.actions({ goal, limit: limit ? Number(limit) : undefined }) };
+    },
+
     async readable() {
       const r = await page.readable();
       // A non-article page is not an error — surface the hint so the agent
@@ -329,12 +222,14 @@ export async function runDaemon(opts, outputDir, initialUrl) {
       return { ok: true, file };
     },
 
-    async screenshot({ format }) {
-      const data = await page.screenshot({ format: format || 'png' });
+    async screenshot({ format, annotate, ref, fullPage }) {
+      const shot = await page.screenshot({ format: format || 'png', annotate: !!annotate, ref, fullPage: !!fullPage });
       const ts = new Date().toISOString().replace(/[:.]/g, '-');
       const ext = format || 'png';
       const file = join(absDir, `screenshot-${ts}.${ext}`);
-      writeFilePrivate(file, Buffer.from(data, 'base64'));
+      writeFilePrivate(file, Buffer.from(annotate ? shot.data : shot, 'base64'));
+      // The ref → box map goes next to the image: screenshot-<ts>.json
+      if (annotate) writeFilePrivate(join(absDir, `screenshot-${ts}.json`), JSON.stringify(shot.refs, null, 2));
       return { ok: true, file };
     },
 
@@ -485,17 +380,18 @@ export async function runDaemon(opts, outputDir, initialUrl) {
     },
 
     async 'console-logs'({ level, clear }) {
-      let logs = consoleLogs;
+      // Copy: `clear` empties the page's live buffer after the write.
+      let logs = [...page.consoleLogs];
       if (level) logs = logs.filter((l) => l.type === level);
       const ts = new Date().toISOString().replace(/[:.]/g, '-');
       const file = join(absDir, `console-${ts}.json`);
       writeFilePrivate(file, JSON.stringify(logs, null, 2));
-      if (clear) consoleLogs.length = 0;
+      if (clear) page.consoleLogs.length = 0;
       return { ok: true, file, count: logs.length };
     },
 
     async 'network-log'({ failed }) {
-      let logs = networkLogs;
+      let logs = page.networkLog;
       if (failed) logs = logs.filter((l) => l.status === 0 || l.status >= 400);
       const ts = new Date().toISOString().replace(/[:.]/g, '-');
       const file = join(absDir, `network-${ts}.json`);
@@ -503,6 +399,14 @@ export async function runDaemon(opts, outputDir, initialUrl) {
       return { ok: true, file, count: logs.length };
     },
 
+    async har({ content }) {
+      const log = await page.har({ content: !!content });
+      const ts = new Date().toISOString().replace(/[:.]/g, '-');
+      const file = join(absDir, `session-${ts}.har`);
+      writeFilePrivate(file, JSON.stringify(log, null, 2));
+      return { ok: true, file, count: log.log.entries.length };
+    },
+
     async close() {
       await page.close();
       // Clean up session file
@@ -0,0 +1,174 @@
+/**
+ * find.js — Locate elements in the AX tree by role, name or text.
+ *
+ * page.find() answers "which ref is the Submit button?" without sending the
+ * agent a whole snapshot to scan. It searches the full (unpruned) tree the
+ * snapshot is built from — iframes included — so pruning never hides a match,
+ * and returns each match's ref, its snapshot line, the path of landmark/named
+ * ancestors above it, and a short line of surrounding text.
+ *
+ * Pure function over a buildTree()/ax-snapshot.js tree; zero I/O.
+ */
+
+import { formatLine, isRendered } from './aria.js';
+
+const LANDMARKS = new Set([
+  'banner', 'main', 'contentinfo', 'navigation', 'complementary',
+  'search', 'form', 'region', 'dialog', 'alertdialog',
+]);
+
+// Text-bearing leaves: their name is the text they render
+const TEXT_ROLES = new Set(['StaticText', 'InlineTextBox']);
+
+const DEFAULT_LIMIT = 20;
+const CONTEXT_CHARS = 80;
+
+/**
+ * @typedef {object} FindQuery
+ * @property {string} [role] - AX role, e.g. 'button', 'link', 'textbox'
+ * @property {string} [name] - Accessible name (substring, case-insensitive)
+ * @property {string} [text] - Text anywhere inside the element (innermost match wins)
+ * @property {boolean} [exact=false] - name/text must match the whole string, case-sensitively
+ * @property {string|number} [near] - A ref, or text naming an element: rank matches by tree distance to it
+ * @property {number} [limit=20] - Max matches returned
+ */
+
+/**
+ * @typedef {object} FindMatch
+ * @property {string} ref
+ * @property {string} role
+ * @property {string} name
+ * @property {string} line - The element's snapshot line, `- button "Submit" [ref=42]`
+ * @property {string[]} path - Landmark/named ancestors, outermost first
+ * @property {string} context - Text around the element (its parent's), truncated
+ * @property {string} [url] - A link's absolute target
+ */
+
+/**
+ * Search a tree for elements matching a query.
+ * @param {?object} tree - Raw tree from ariaTree()/buildTree()
+ * @param {FindQuery} query
+ * @returns {FindMatch[]}
+ */
+export function findNodes(tree, query = {}) {
+  const { role, name, text, exact = false, near, limit = DEFAULT_LIMIT } = query;
+  if (!role && !name && !text) throw new Error('find requires at least one of "role", "name" or "text"');
+  const matchStr = (value, want) => (exact
+    ? value.trim() === want.trim()
+    : value.toLowerCase().includes(want.toLowerCase()));
+
+  /** @type {{node: object, chain: object[]}[]} */
+  const hits = [];
+  (function walk(node, chain) {
+    if (!node) return;
+    const here = [...chain, node];
+    const before = hits.length;
+    for (const c of node.children || []) walk(c, here);
+    const childHit = hits.length > before;
+
+    if (node.ignored || !isRendered(node) || TEXT_ROLES.has(node.role)) return;
+    if (role && node.role.toLowerCase() !== role.toLowerCase()) return;
+    if (name && !matchStr(node.name || '', name)) return;
+    if (text) {
+      if (!matchStr(textOf(node), text)) return;
+      // Innermost wins: a container whose descendant already matched the
+      // same text (and role) is noise.
+      if (childHit && !name) return;
+    }
+    hits.push({ node, chain });
+  })(tree, /** @type {object[]} */ ([]));
+
+  // Document order (the walk above is post-order)
+  const order = new Map();
+  let i = 0;
+  (function number(node) {
+    if (!node) return;
+    order.set(node, i++);
+    for (const c of node.children || []) number(c);
+  })(tree);
+  hits.sort((a, b) => order.get(a.node) - order.get(b.node));
+
+  if (near !== undefined && near !== '') {
+    const anchor = findAnchor(tree, String(near));
+    if (!anchor) throw new Error(`find: no element found for near "${near}"`);
+    const dist = (hit) => treeDistance([...hit.chain, hit.node], anchor);
+    hits.sort((a, b) => dist(a) - dist(b));
+  }
+
+  return hits.slice(0, limit).map(({ node, chain }) => ({
+    ref: String(node.nodeId),
+    role: node.role,
+    name: node.name || '',
+    line: formatLine(node).trim(),
+    path: chain.filter((a) => !a.ignored && (LANDMARKS.has(a.role) || (a.name && a.role !== 'RootWebArea')))
+      .map((a) => (a.name ? `${a.role} "${a.name}"` : a.role)),
+    context: contextOf(node, chain),
+    ...(node.properties?.url && { url: String(node.properties.url) }),
+  }));
+}
+
+/**
+ * Render matches for a text-only surface (MCP, bareagent).
+ * @param {FindMatch[]} matches
+ * @returns {string}
+ */
+export function formatMatches(matches) {
+  if (matches.length === 0) return 'no matches';
+  const lines = [`${matches.length} match${matches.length === 1 ? '' : 'es'}`];
+  for (const m of matches) {
+    lines.push(m.line);
+    if (m.path.length) lines.push(`  in: ${m.path.join(' > ')}`);
+    if (m.context) lines.push(`  context: ${m.context}`);
+  }
+  return lines.join('\n');
+}
+
+/** The visible text of a subtree, whitespace-collapsed. */
+function textOf(node) {
+  const parts = [];
+  (function walk(n) {
+    if (n.role === 'InlineTextBox') return;
+    if (n.role === 'StaticText') { if (n.name) parts.push(n.name); return; }
+    if (!n.children?.length && n.name) parts.push(n.name);
+    for (const c of n.children || []) walk(c);
+  })(node);
+  return parts.join(' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Text around an element: the nearest ancestor with more text than the
+ * element itself, the element's own text marked `…`, truncated.
+ */
+function contextOf(node, chain) {
+  const own = textOf(node);
+  for (let k = chain.length - 1; k >= 0; k--) {
+    let t = textOf(chain[k]);
+    if (!t || t === own) continue;
+    if (own) t = t.replace(own, '…');
+    return t.length > CONTEXT_CHARS ? t.slice(0, CONTEXT_CHARS - 1) + '…' : t;
+  }
+  return '';
+}
+
+/** Chain (root → node) of the anchor for `near`: a ref, else a name/text match. */
+function findAnchor(tree, near) {
+  let byRef = null;
+  let byText = null;
+  const want = near.toLowerCase();
+  (function walk(node, chain) {
+    if (!node || byRef) return;
+    const here = [...chain, node];
+    if (String(node.nodeId) === near) { byRef = here; return; }
+    if (!byText && !node.ignored && node.name && !TEXT_ROLES.has(node.role)
+      && node.name.toLowerCase().includes(want)) byText = here;
+    for (const c of node.children || []) walk(c, here);
+  })(tree, /** @type {object[]} */ ([]));
+  return byRef || byText;
+}
+
+/** Edges between two nodes, given each one's root-first ancestor chain. */
+function treeDistance(a, b) {
+  let common = 0;
+  while (common < a.length && common < b.length && a[common] === b[common]) common++;
+  return (a.length - common) + (b.length - common);
+}
@@ -13,18 +13,37 @@
  * fire) rather than a synthetic el.click(), so pages that need genuine mouse
  * events behave. Refs are resolved to BiDi element sharedIds per context, so
  * clicks land in the right frame.
+ *
+ * createTab() builds another page object over the same connection, bound to
+ * its own top-level browsing context. Events arrive connection-wide, so a
+ * shared scope records which tab owns each context: a tab handle takes the
+ * dialogs, downloads, HAR and capture events of its own context tree, and the
+ * main page everything else.
  */
 
-import { formatTree } from './aria.js';
+import { formatTree, treeToJSON, formatMarkdown } from './aria.js';
 import { prune as pruneTree } from './prune.js';
 import { axSnapshotExpression, REF_ATTR } from './ax-snapshot.js';
+import { refError, wasIssued, subtreeAt } from './refs.js';
+import { formatSnapshotDiff, diffMode, DIFF_FALLBACK_NOTE } from './snapshot-diff.js';
+import { findNodes } from './find.js';
 import { EXTRACT_EXPRESSION, finalizeReadable } from './readable.js';
 import { scopedCookiesForUrl } from './auth.js';
 import { assertNavigable, assertUploadAllowed } from './url-guard.js';
 import { dismissConsentFirefox } from './consent-firefox.js';
 import { waitForNetworkIdleBiDi } from './network-idle.js';
+import { scrollUntil } from './scroll-until.js';
+import { readForms, fillForm, FIELD_FACTS_FN } from './forms.js';
+import { rankActions } from './actions.js';
+import { annotatedScreenshot } from './annotate.js';
+import { recordActions } from './record.js';
+import { traceActions } from './trace.js';
 import { decideDialog, dialogLogEntry } from './dialog.js';
+import { createRouter } from './route.js';
+import { createHarRecorder, recordBiDiHar } from './har.js';
+import { createCapture, captureBiDi } from './capture.js';
 import { isChallengePage, countNodes } from './challenge.js';
+import { stateOrigins, seedOriginsBiDi, collectExpression, buildState, writeStorageState } from './storage-state.js';
 
 /** BiDi/WebDriver normalized key values for named keys (U+E000 block). */
 const BIDI_KEYS = {
@@ -34,6 +53,27 @@ const BIDI_KEYS = {
   PageUp: "\uE00E", PageDown: "\uE00F", Space: " ",
 };
 
+/**
+ * Which page object owns a browsing context: the tab handle that claimed its
+ * top-level context, else the main page (null). Child frames are mapped to
+ * their parent from contextCreated events, which the main page subscribes.
+ */
+function createContextScope() {
+  const parents = new Map(); // child context → parent context
+  const claimed = new Map(); // top-level context → owning tab's claim
+  function topOf(context) {
+    while (parents.has(context)) context = parents.get(context);
+    return context;
+  }
+  return {
+    parents,
+    claimed,
+    ownerOf(context) {
+      return (context && claimed.get(topOf(context))) || null;
+    },
+  };
+}
+
 /**
  * Build a Firefox/BiDi-backed page object.
  * @param {object} bidi - BiDi client from createBiDi()
@@ -46,6 +86,13 @@ const BIDI_KEYS = {
  * @param {boolean} [opts.hybrid=false] - Relaunch headed on a bot-challenge page and retry.
  * @param {boolean} [opts.headed=false] - Whether the browser was launched headed (skips hybrid fallback).
  * @param {?function(): Promise<{bidi: object, topContext: string}>} [opts.relaunchHeaded] - Hybrid relaunch hook (from connectFirefox).
+ * @param {?object} [opts.storageState] - Parsed state file (see storage-state.js) to restore
+ *   before the first navigation and again after a hybrid relaunch. Ignored under incognito.
+ * @param {?import('./route.js').RouteHandler} [opts.replay] - HAR replay route, the router's fallback (route.js).
+ * @param {string} [opts.record] - Record actions to this JSONL script (record.js).
+ * @param {string} [opts.trace] - Trace actions into a new archive in this directory (trace.js).
+ * @param {string} [opts.context] - Bind to this top-level browsing context (a createTab() handle).
+ * @param {ReturnType<typeof createContextScope>} [opts.scope] - The main page's context scope (createTab() handles).
  * @returns {Promise<object>} page object
  */
 export async function createFirefoxPage(bidi, opts = {}) {
@@ -65,14 +112,36 @@ export async function createFirefoxPage(bidi, opts = {}) {
   // Firefox profile) can re-inject them — otherwise the headed retry loads
   // unauthenticated, defeating hybrid on an auth-gated challenge page.
   let lastInject = null;
-  // The active browsing context. Starts at the initial tab; switchTab() points
-  // it at another top-level context, so it's mutable and read via a getter.
-  const { contexts } = await bidi.send('browsingContext.getTree', {});
-  let topContext = contexts[0].context;
+  const storageState = incognito ? null : opts.storageState || null;
+  // The active browsing context. Starts at the initial tab (or the context a
+  // createTab() handle is bound to); switchTab() points it at another
+  // top-level context, so it's mutable and read via a getter.
+  let topContext = opts.context
+    || (await bidi.send('browsingContext.getTree', {})).contexts[0].context;
 
-  // ref (string int) → owning browsing-context id, rebuilt every snapshot so a
-  // click after a snapshot routes to the frame the element actually lives in.
+  // Event ownership across the page objects sharing this connection. A tab
+  // handle claims its context; `claim` is what the main page's route listener
+  // reads to leave a tab's paused requests to that tab.
+  const isTab = !!opts.context;
+  const scope = opts.scope || createContextScope();
+  const claim = isTab ? { get routeIntercept() { return routeIntercept; } } : null;
+  if (claim) scope.claimed.set(topContext, claim);
+  const owns = (context) => scope.ownerOf(context) === claim;
+  // Listener removers, so a tab handle's close() leaves the connection clean.
+  const offs = [];
+
+  // ref (string int) → owning browsing-context id, so a click routes to the
+  // frame the element actually lives in. Refs are stable (ax-snapshot.js keeps
+  // an element's data-bb-ref across snapshots), so this accumulates until a
+  // navigation; `lastRef` is the highest ref ever issued, and never rewinds, so
+  // an old ref can't name a new element and fails as "element gone".
   let refContexts = new Map();
+  let lastRef = 0;
+  // Bumped whenever the top context shows a document no snapshot has seen,
+  // so snapshot({ diff: true }) never diffs across a navigation.
+  let documentGeneration = 0;
+  // The previous snapshot's pruned tree, for snapshot({ diff: true }).
+  let lastSnapshot = null;
 
   /**
    * Depth-first list of the ACTIVE tab's contexts (main frame + descendant
@@ -100,20 +169,19 @@ export async function createFirefoxPage(bidi, opts = {}) {
    */
   async function buildTree() {
     const contextIds = await allContexts();
-    refContexts = new Map();
 
-    // Snapshot each context, assigning refs from a shared running counter so
-    // they're globally unique (matching CDP's flat integer refs).
-    let base = 0;
+    // Snapshot each context, allocating new refs from a shared running counter
+    // so they're globally unique (matching CDP's flat integer refs).
     const treesByContext = new Map();
     for (const ctx of contextIds) {
       let raw;
       try {
-        raw = await bidi.evaluate(ctx, axSnapshotExpression(base), false);
+        raw = await bidi.evaluate(ctx, axSnapshotExpression(lastRef), false);
       } catch { continue; } // frame navigated mid-snapshot — skip it
-      const { tree, count } = JSON.parse(raw);
-      for (let r = base + 1; r <= base + count; r++) refContexts.set(String(r), ctx);
-      base += count;
+      const { tree, last, refs, fresh } = JSON.parse(raw);
+      if (fresh && ctx === topContext) documentGeneration++;
+      for (const r of refs) refContexts.set(r, ctx);
+      lastRef = Math.max(lastRef, last);
       treesByContext.set(ctx, tree);
     }
 
@@ -138,20 +206,81 @@ export async function createFirefoxPage(bidi, opts = {}) {
     return treesByContext.get(topContext) || null;
   }
 
-  /** Resolve a ref to a BiDi element sharedId in its owning context. */
+  /**
+   * Resolve a ref to a BiDi element sharedId in its owning context. A ref that
+   * was issued but whose element left the DOM (or whose frame navigated away)
+   * throws the same "element gone" error as the CDP path (refs.js).
+   */
   async function resolveRef(ref) {
     const context = refContexts.get(String(ref));
-    if (!context) throw new Error(`Unknown ref: ${ref} (snapshot first, or it's stale)`);
-    const res = await bidi.send('script.evaluate', {
-      expression: `document.querySelector('[${REF_ATTR}="${ref}"]')`,
-      target: { context }, awaitPromise: false, resultOwnership: 'root',
-    });
+    if (!context) throw refError(ref, wasIssued(ref, lastRef));
+    let res;
+    try {
+      res = await bidi.send('script.evaluate', {
+        expression: `document.querySelector('[${REF_ATTR}="${Number(ref)}"]')`,
+        target: { context }, awaitPromise: false, resultOwnership: 'root',
+      });
+    } catch { throw refError(ref, true); } // context destroyed
     if (res.type === 'exception' || !res.result || res.result.type !== 'node') {
-      throw new Error(`Could not resolve element for ref ${ref}`);
+      throw refError(ref, true);
     }
     return { context, sharedId: res.result.sharedId };
   }
 
+  /** A form field's DOM facts (forms.js FIELD_FACTS_FN) for a ref. */
+  async function fieldFacts(ref) {
+    const { context, sharedId } = await resolveRef(ref);
+    const res = await bidi.send('script.callFunction', {
+      functionDeclaration: FIELD_FACTS_FN,
+      this: { sharedId }, target: { context }, awaitPromise: false,
+    });
+    if (res.type === 'exception') throw new Error(`forms: could not read field ${ref}`);
+    return JSON.parse(res.result.value);
+  }
+
+  /**
+   * The document-coordinate region a screenshot({ ref, fullPage }) clips to,
+   * or null for the plain viewport (parity with the CDP cdpShotRegion()).
+   * @param {{ref?: string, fullPage?: boolean}} opts
+   */
+  async function shotRegion({ ref, fullPage }) {
+    if (ref && fullPage) throw new Error('screenshot: pass ref or fullPage, not both');
+    if (fullPage) {
+      return JSON.parse(await bidi.evaluate(topContext, `JSON.stringify({ x: 0, y: 0,
+        width: document.documentElement.scrollWidth, height: document.documentElement.scrollHeight })`, false));
+    }
+    if (!ref) return null;
+    const { context, sharedId } = await resolveRef(ref);
+    if (context !== topContext) {
+      throw new Error(`screenshot: ref ${ref} is inside an iframe; take a page screenshot instead`);
+    }
+    const res = await bidi.send('script.callFunction', {
+      functionDeclaration: `function() {
+        this.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+        const r = this.getBoundingClientRect();
+        return JSON.stringify({ x: r.x + scrollX, y: r.y + scrollY, width: r.width, height: r.height });
+      }`,
+      this: { sharedId }, target: { context }, awaitPromise: false,
+    });
+    const box = res.type === 'exception' ? null : JSON.parse(res.result.value);
+    if (!box || box.width < 1 || box.height < 1) throw new Error(`screenshot: ref ${ref} has no visible box`);
+    return box;
+  }
+
+  /**
+   * The devicePixelRatio that brings a screenshot of `region` (null: the
+   * viewport) down to maxWidth image pixels, or null when it already fits.
+   * @param {?{width: number}} region
+   * @param {number} maxWidth
+   */
+  async function shotRatio(region, maxWidth) {
+    if (!(maxWidth > 0)) throw new Error(`screenshot: maxWidth must be a positive number, got ${maxWidth}`);
+    const { width, dpr } = JSON.parse(await bidi.evaluate(topContext,
+      'JSON.stringify({ width: innerWidth, dpr: devicePixelRatio })', false));
+    const ratio = maxWidth / (region ? region.width : width);
+    return ratio < dpr ? ratio : null;
+  }
+
   async function pointerClick(ref) {
     const { context, sharedId } = await resolveRef(ref);
     await bidi.send('input.performActions', {
@@ -175,6 +304,39 @@ export async function createFirefoxPage(bidi, opts = {}) {
     });
   }
 
+  /**
+   * Set CDP-shaped cookies (auth.js extraction, state files) via BiDi
+   * storage.setCookie. Returns how many the browser accepted.
+   */
+  async function setCookies(cookies) {
+    let injected = 0;
+    for (const c of cookies) {
+      const cookie = {
+        name: c.name,
+        value: { type: 'string', value: String(c.value ?? '') },
+        domain: String(c.domain || '').replace(/^\./, ''),
+        path: c.path || '/',
+      };
+      if (c.secure) cookie.secure = true;
+      if (c.httpOnly) cookie.httpOnly = true;
+      if (c.sameSite) cookie.sameSite = String(c.sameSite).toLowerCase();
+      if (c.expires && c.expires > 0) cookie.expiry = Math.floor(c.expires);
+      try { await bidi.send('storage.setCookie', { cookie }); injected++; } catch { /* skip bad cookie */ }
+    }
+    return injected;
+  }
+
+  /**
+   * Restore `opts.storageState` into the current bidi connection: cookies via
+   * storage.setCookie, origins via a seeding preload script. Run at
+   * construction and after a hybrid relaunch (a fresh, empty profile).
+   */
+  async function applyStorageState() {
+    if (!storageState) return;
+    if (Array.isArray(storageState.cookies)) await setCookies(storageState.cookies);
+    try { await seedOriginsBiDi(bidi, stateOrigins(storageState)); } catch { /* best-effort */ }
+  }
+
   /**
    * Reject if `p` doesn't settle within `ms`. BiDi commands have no built-in
    * timeout, so a navigate/reload/traverse whose `wait:'complete'` never fires
@@ -196,7 +358,8 @@ export async function createFirefoxPage(bidi, opts = {}) {
   const downloads = [];
   async function setupDownloads() {
     await bidi.subscribe(['browsingContext.downloadWillBegin', 'browsingContext.downloadEnd']);
-    bidi.on('browsingContext.downloadWillBegin', (e) => {
+    offs.push(bidi.on('browsingContext.downloadWillBegin', (e) => {
+      if (!owns(e.context)) return;
       downloads.push({
         url: e.url,
         suggestedFilename: e.suggestedFilename || '',
@@ -205,8 +368,9 @@ export async function createFirefoxPage(bidi, opts = {}) {
         totalBytes: 0,
         receivedBytes: 0,
       });
-    });
-    bidi.on('browsingContext.downloadEnd', (e) => {
+    }));
+    offs.push(bidi.on('browsingContext.downloadEnd', (e) => {
+      if (!owns(e.context)) return;
       // Correlate to the most recent still-in-progress record for this URL.
       const d = [...downloads].reverse().find((x) => x.url === e.url && x.state === 'inProgress');
       if (!d) return;
@@ -214,7 +378,7 @@ export async function createFirefoxPage(bidi, opts = {}) {
       // 'completed' so callers can branch on one vocabulary across engines.
       d.state = e.status === 'complete' ? 'completed' : e.status || 'completed';
       d.savedPath = e.filepath || null;
-    });
+    }));
   }
 
   // JS dialog handling (alert/confirm/prompt/beforeunload), parity with the
@@ -228,7 +392,8 @@ export async function createFirefoxPage(bidi, opts = {}) {
   let onDialogHandler = null;
   async function setupDialogs() {
     await bidi.subscribe(['browsingContext.userPromptOpened']);
-    bidi.on('browsingContext.userPromptOpened', async (e) => {
+    offs.push(bidi.on('browsingContext.userPromptOpened', async (e) => {
+      if (!owns(e.context)) return;
       dialogLog.push(dialogLogEntry(e.type, e.message));
       // Shared decision core with the CDP path (dialog.js). BiDi's userText is
       // the CDP promptText; its defaultValue is the CDP defaultPrompt.
@@ -243,19 +408,105 @@ export async function createFirefoxPage(bidi, opts = {}) {
       } catch {
         // Prompt already gone (closed by page JS / navigation). Nothing to do.
       }
-    });
+    }));
   }
 
+  // The main page maps child frames to their parents so scope.ownerOf() can
+  // attribute an iframe's events to the tab it lives in.
+  async function watchContexts() {
+    await bidi.subscribe(['browsingContext.contextCreated', 'browsingContext.contextDestroyed']);
+    bidi.on('browsingContext.contextCreated', (e) => { if (e.parent) scope.parents.set(e.context, e.parent); });
+    bidi.on('browsingContext.contextDestroyed', (e) => { scope.parents.delete(e.context); });
+  }
+
+  // Request routing (page.route), parity with the CDP Fetch path. BiDi's
+  // urlPatterns can't express our globs (see blocklist-firefox.js), so while
+  // any route exists one catch-all intercept pauses every request and the
+  // shared router (route.js) matches in-process; the rest continue at once.
+  // The ad blocklist's own intercept leaves requests this one also paused to
+  // us, unless it blocks them. A tab handle's intercept covers only its own
+  // context; the main page's is connection-wide and leaves a tab's requests to
+  // that tab's intercept (or lets them through when the tab has none).
+  // HAR replay answers what no page.route() did, and survives unroute().
+  const router = createRouter({ fallback: opts.replay });
+  let routeIntercept = null;
+  let routeBidi = null; // the connection the listener below is wired on
+  async function applyRoutes() {
+    const wanted = router.patterns.length > 0;
+    if (wanted && routeBidi !== bidi) {
+      routeBidi = bidi; // fresh connection (first route, or a hybrid relaunch)
+      routeIntercept = null;
+      await bidi.subscribe(['network.beforeRequestSent']);
+      offs.push(bidi.on('network.beforeRequestSent', answerPaused));
+    }
+    if (wanted && !routeIntercept) {
+      const params = { phases: ['beforeRequestSent'], urlPatterns: [] };
+      if (isTab) params.contexts = [topContext];
+      ({ intercept: routeIntercept } = await bidi.send('network.addIntercept', params));
+    } else if (!wanted && routeIntercept) {
+      const intercept = routeIntercept;
+      routeIntercept = null;
+      try { await bidi.send('network.removeIntercept', { intercept }); } catch { /* connection gone */ }
+    }
+  }
+  async function answerPaused(e) {
+    if (!e.isBlocked || !routeIntercept || !e.intercepts?.includes(routeIntercept)) return;
+    const request = e.request.request;
+    if (!owns(e.context)) {
+      const owner = scope.ownerOf(e.context);
+      if (owner?.routeIntercept && e.intercepts.includes(owner.routeIntercept)) return;
+      try { await bidi.send('network.continueRequest', { request }); } catch { /* gone */ }
+      return;
+    }
+    /** @type {Record<string, string>} */
+    const headers = {};
+    for (const h of e.request.headers || []) {
+      const value = h.value?.value ?? '';
+      headers[h.name] = headers[h.name] === undefined ? value : `${headers[h.name]}, ${value}`;
+    }
+    const decision = await router.decide({ url: e.request.url, method: e.request.method, headers });
+    const bidiHeaders = (list) => list.map(({ name, value }) => ({ name, value: { type: 'string', value } }));
+    try {
+      if (decision.action === 'abort') {
+        await bidi.send('network.failRequest', { request });
+      } else if (decision.action === 'fulfill') {
+        await bidi.send('network.provideResponse', {
+          request, statusCode: decision.status, headers: bidiHeaders(decision.headers),
+          body: { type: 'base64', value: decision.body },
+        });
+      } else {
+        const params = { request };
+        if (decision.url) params.url = decision.url;
+        if (decision.method) params.method = decision.method;
+        if (decision.headers) params.headers = bidiHeaders(decision.headers);
+        if (decision.postData !== undefined) params.body = { type: 'base64', value: decision.postData };
+        await bidi.send('network.continueRequest', params);
+      }
+    } catch {
+      // "no such request" — blocked by the ad blocklist, or cancelled by a
+      // navigation, between the event and our reply.
+    }
+  }
+
+  // HAR recording (page.har), parity with the CDP path. It outlives a hybrid
+  // relaunch: setupSubscriptions() re-wires the fresh connection into it.
+  const har = createHarRecorder();
+  // Console + network capture (page.consoleLogs/networkLog/on), likewise.
+  const capture = createCapture();
+
   /**
-   * Wire all event subscriptions (dialogs, downloads, load) on the CURRENT
-   * bidi connection. Run once at construction, and again after a hybrid
+   * Wire all event subscriptions (dialogs, downloads, load, HAR, capture) on
+   * the CURRENT bidi connection. Run once at construction, and again after a hybrid
    * relaunch swaps in a fresh connection. Dialogs must be wired before any
    * navigation (the 'ignore' capability would otherwise hang a prompt).
    */
   async function setupSubscriptions() {
+    if (!isTab) await watchContexts();
     await setupDialogs();
     await setupDownloads();
     await bidi.subscribe(['browsingContext.load']);
+    offs.push(await recordBiDiHar(bidi, har, () => topContext, owns));
+    offs.push(await captureBiDi(bidi, capture, owns));
   }
 
   /**
@@ -306,9 +557,13 @@ export async function createFirefoxPage(bidi, opts = {}) {
           const relaunched = await relaunchHeaded();
           bidi = relaunched.bidi;          // rebind the closure — all inner fns follow
           topContext = relaunched.topContext;
+          scope.claimed.clear();           // createTab() handles died with the old browser
+          scope.parents.clear();
           currentlyHeaded = true;
           refContexts = new Map();
           await setupSubscriptions();      // re-wire dialogs/downloads/load on the new bidi
+          await applyStorageState();
+          await applyRoutes();             // routes outlive the relaunch
           // Re-inject cookies into the fresh profile BEFORE navigating, so the
           // headed retry is authenticated (the relaunch is a new Firefox profile
           // — the pre-relaunch session's cookies are gone).
@@ -326,20 +581,49 @@ export async function createFirefoxPage(bidi, opts = {}) {
       }
     },
 
+    /**
+     * ARIA snapshot of the active tab (parity with the CDP snapshot, including
+     * `{ diff: true }` — see snapshot-diff.js — `{ focus }`, `{ format }` and
+     * `{ root: ref }`).
+     * @param {false|{mode?: 'act'|'browse'|'navigate'|'full'|'read', diff?: boolean, focus?: string, format?: 'text'|'json'|'markdown', root?: string|number}} [pruneOpts]
+     * @returns {Promise<any>} Snapshot text, or `{ url, tree }` for format 'json'
+     */
     async snapshot(pruneOpts) {
-      const root = await buildTree();
-      if (!root) return '';
+      const whole = await buildTree();
+      const rootRef = (pruneOpts && pruneOpts.root) || undefined;
+      if (!whole && !rootRef) return pruneOpts && pruneOpts.format === 'json' ? { url: '', tree: null } : '';
+      // Reconstructed in-page like the whole tree (iframe placeholders hold
+      // their frame's tree), then cut at the ref's node.
+      const root = rootRef ? subtreeAt(whole, rootRef, wasIssued(rootRef, lastRef)) : whole;
 
       const pageUrl = await bidi.evaluate(topContext, 'location.href', false).catch(() => '');
       const raw = formatTree(root);
+      const mode = (pruneOpts && pruneOpts.mode) || defaultPruneMode;
+      const focus = (pruneOpts && pruneOpts.focus) || '';
+      const pruned = pruneOpts === false ? root : pruneTree(root, { mode, context: focus, subtree: !!rootRef });
+      const prev = lastSnapshot;
+      lastSnapshot = { document: `${topContext}:${documentGeneration}`, mode: pruneOpts === false ? 'raw' : diffMode(mode, focus, rootRef), tree: pruned };
+      const format = (pruneOpts && pruneOpts.format) || 'text';
+      if (format === 'json') return { url: pageUrl, tree: treeToJSON(pruned) };
+      if (format === 'markdown') return `url: ${pageUrl}\n\n` + formatMarkdown(pruned);
+      const diff = pruneOpts && pruneOpts.diff ? formatSnapshotDiff(prev, lastSnapshot) : null;
+      if (diff !== null) return `url: ${pageUrl}\n` + diff;
+      const note = pruneOpts && pruneOpts.diff ? DIFF_FALLBACK_NOTE + '\n' : '';
       if (pruneOpts === false) return `url: ${pageUrl}\n` + raw;
 
-      const mode = pruneOpts?.mode || defaultPruneMode;
-      const pruned = pruneTree(root, { mode });
       const out = pruned ? formatTree(pruned) : '';
       const stats = `url: ${pageUrl}\n${raw.length.toLocaleString()} chars → ${out.length.toLocaleString()} chars`
         + ` (${raw.length ? Math.round((1 - out.length / raw.length) * 100) : 0}% pruned)`;
-      return stats + '\n' + out;
+      return stats + '\n' + note + out;
+    },
+
+    /**
+     * Find elements by role, name or text (parity with the CDP find()).
+     * @param {import('./find.js').FindQuery} query
+     * @returns {Promise<import('./find.js').FindMatch[]>}
+     */
+    async find(query) {
+      return findNodes(await buildTree(), query);
     },
 
     async readable() {
@@ -347,6 +631,51 @@ export async function createFirefoxPage(bidi, opts = {}) {
       return finalizeReadable(JSON.parse(raw));
     },
 
+    /**
+     * The page's top interactions, ranked (parity with the CDP actions() —
+     * see actions.js). Geometry covers the top document's elements.
+     * @param {import('./actions.js').ActionsQuery} [query]
+     * @returns {Promise<import('./actions.js').Action[]>}
+     */
+    async actions(query) {
+      const tree = await buildTree();
+      const geometry = await bidi.evaluate(topContext, `JSON.stringify({
+        viewport: { width: innerWidth, height: innerHeight },
+        boxes: Array.from(document.querySelectorAll('[${REF_ATTR}]'), (el) => {
+          const r = el.getBoundingClientRect();
+          return [el.getAttribute('${REF_ATTR}'), { x: r.x, y: r.y, width: r.width, height: r.height }];
+        }),
+      })`, false).then((raw) => {
+        const { viewport, boxes } = JSON.parse(raw);
+        return { viewport, boxes: new Map(boxes) };
+      }).catch(() => null);
+      return rankActions(tree, query, geometry);
+    },
+
+    /**
+     * Every form on the page with its fields (parity with the CDP forms() —
+     * see forms.js).
+     * @returns {Promise<import('./forms.js').Form[]>}
+     */
+    async forms() {
+      return readForms(await buildTree(), fieldFacts);
+    },
+
+    /**
+     * Fill a form by field purpose, name or label (parity with the CDP
+     * fillForm() — see forms.js).
+     * @param {?string} formRef
+     * @param {object} values
+     */
+    async fillForm(formRef, values) {
+      return fillForm({
+        forms: () => page.forms(),
+        type: (ref, text) => page.type(ref, text, { clear: true }),
+        select: (ref, value) => page.select(ref, value),
+        click: (ref) => page.click(ref),
+      }, formRef, values);
+    },
+
     async click(ref) { await pointerClick(ref); },
 
     async type(ref, text, typeOpts = {}) {
@@ -375,6 +704,24 @@ export async function createFirefoxPage(bidi, opts = {}) {
       await bidi.evaluate(topContext, `window.scrollBy(0, ${Number(deltaY)})`, false);
     },
 
+    /**
+     * Scroll until a stop condition holds, merging new AX nodes into one
+     * snapshot (parity with the CDP scrollUntil() — see scroll-until.js).
+     * @param {import('./scroll-until.js').ScrollUntilOpts} [scrollOpts]
+     * @returns {Promise<any>}
+     */
+    async scrollUntil(scrollOpts) {
+      return scrollUntil({
+        scroll: (deltaY) => page.scroll(deltaY),
+        idle: (idleOpts) => waitForNetworkIdleBiDi(bidi, idleOpts),
+        tree: async (mode) => {
+          const tree = await buildTree();
+          return tree && pruneTree(tree, { mode });
+        },
+        url: () => bidi.evaluate(topContext, 'location.href', false).catch(() => ''),
+      }, scrollOpts);
+    },
+
     async hover(ref) {
       const { context, sharedId } = await resolveRef(ref);
       await bidi.send('input.performActions', {
@@ -395,21 +742,7 @@ export async function createFirefoxPage(bidi, opts = {}) {
       if (incognito) return 0;
       lastInject = { url, cookieOpts }; // remember for a hybrid re-inject
       const cookies = scopedCookiesForUrl(url, { browser: cookieOpts?.browser });
-      let injected = 0;
-      for (const c of cookies) {
-        const cookie = {
-          name: c.name,
-          value: { type: 'string', value: String(c.value ?? '') },
-          domain: String(c.domain || '').replace(/^\./, ''),
-          path: c.path || '/',
-        };
-        if (c.secure) cookie.secure = true;
-        if (c.httpOnly) cookie.httpOnly = true;
-        if (c.sameSite) cookie.sameSite = String(c.sameSite).toLowerCase();
-        if (c.expires && c.expires > 0) cookie.expiry = Math.floor(c.expires);
-        try { await bidi.send('storage.setCookie', { cookie }); injected++; } catch { /* skip bad cookie */ }
-      }
-      return injected;
+      return setCookies(cookies);
     },
 
     async select(ref, value) {
@@ -481,13 +814,52 @@ export async function createFirefoxPage(bidi, opts = {}) {
       await new Promise((r) => setTimeout(r, 300));
     },
 
+    /**
+     * Screenshot of the viewport, base64; `fullPage` / `ref` capture the
+     * whole document / one element, `maxWidth` downscales, and
+     * `{ data, refs }` comes back with `annotate: true` (parity with the CDP
+     * screenshot() — see annotate.js). Marks cover the top document's
+     * elements.
+     * @param {{format?: 'png'|'jpeg'|'webp', quality?: number, annotate?: boolean, ref?: string, fullPage?: boolean, maxWidth?: number}} [screenshotOpts]
+     * @returns {Promise<any>}
+     */
     async screenshot(screenshotOpts = {}) {
       const fmt = screenshotOpts.format || 'png';
       const type = fmt === 'jpeg' ? 'image/jpeg' : fmt === 'webp' ? 'image/webp' : 'image/png';
       const format = { type };
       if (type !== 'image/png') format.quality = (screenshotOpts.quality || 80) / 100;
-      const { data } = await bidi.send('browsingContext.captureScreenshot', { context: topContext, format });
-      return data; // base64
+      const region = await shotRegion(screenshotOpts);
+      const params = { context: topContext, format };
+      if (region) Object.assign(params, { origin: 'document', clip: { type: 'box', ...region } });
+      const ratio = screenshotOpts.maxWidth === undefined ? null : await shotRatio(region, screenshotOpts.maxWidth);
+      const capture = async () => {
+        if (!ratio) return (await bidi.send('browsingContext.captureScreenshot', params)).data;
+        // BiDi has no capture scale: render at a lower devicePixelRatio for
+        // the capture, then hand the default back.
+        await bidi.send('browsingContext.setViewport', { context: topContext, devicePixelRatio: ratio });
+        try {
+          return (await bidi.send('browsingContext.captureScreenshot', params)).data;
+        } finally {
+          await bidi.send('browsingContext.setViewport', { context: topContext, devicePixelRatio: null }).catch(() => {});
+        }
+      };
+      if (!screenshotOpts.annotate) return capture(); // base64
+      return annotatedScreenshot({
+        tree: buildTree,
+        boxes: async (refs) => {
+          const raw = await bidi.evaluate(topContext, `JSON.stringify(${JSON.stringify(refs)}.map((ref) => {
+            const el = document.querySelector('[${REF_ATTR}="' + ref + '"]');
+            if (!el) return null;
+            const r = el.getBoundingClientRect();
+            return [ref, { x: r.x, y: r.y, width: r.width, height: r.height }];
+          }).filter(Boolean))`, false);
+          return new Map(JSON.parse(raw));
+        },
+        view: async () => JSON.parse(await bidi.evaluate(topContext,
+          'JSON.stringify({ width: innerWidth, height: innerHeight, scrollX, scrollY })', false)),
+        evaluate: (expression) => bidi.evaluate(topContext, expression, false),
+        capture,
+      }, region);
     },
 
     async pdf(pdfOpts = {}) {
@@ -499,24 +871,6 @@ export async function createFirefoxPage(bidi, opts = {}) {
       return data; // base64
     },
 
-    async tabs() {
-      const { contexts: tree } = await bidi.send('browsingContext.getTree', {});
-      const out = [];
-      for (let i = 0; i < tree.length; i++) {
-        const title = await bidi.evaluate(tree[i].context, 'document.title', false).catch(() => '');
-        out.push({ index: i, url: tree[i].url, title, context: tree[i].context });
-      }
-      return out;
-    },
-
-    async switchTab(index) {
-      const { contexts: tree } = await bidi.send('browsingContext.getTree', {});
-      if (index < 0 || index >= tree.length) throw new Error(`Tab index ${index} out of range (0-${tree.length - 1})`);
-      topContext = tree[index].context;
-      refContexts = new Map(); // refs from the previous tab are invalid
-      await bidi.send('browsingContext.activate', { context: topContext }).catch(() => {});
-    },
-
     async waitFor(waitOpts = {}) {
       const timeout = waitOpts.timeout || 30000;
       const deadline = Date.now() + timeout;
@@ -558,13 +912,16 @@ export async function createFirefoxPage(bidi, opts = {}) {
     },
 
     /**
-     * Persist cookies + localStorage to a JSON file (parity with the CDP
-     * saveState). Cookies come from BiDi storage.getCookies (whose value is a
+     * Persist cookies + per-origin web storage to a JSON file (parity with the
+     * CDP saveState). Cookies come from BiDi storage.getCookies (whose value is a
      * `{type,value}` object) and are flattened to the CDP-symmetric shape so the
-     * file format matches across engines. Written 0600 — it holds session
-     * tokens, so a multi-user host must not be able to read another user's.
+     * file format matches across engines. Storage is collected from every frame
+     * of the active tab. Written 0600 — it holds session tokens, so a
+     * multi-user host must not be able to read another user's.
+     * @param {string} filePath
+     * @param {{indexedDB?: boolean}} [saveOpts] - indexedDB: also dump IndexedDB (best-effort JSON)
      */
-    async saveState(filePath) {
+    async saveState(filePath, saveOpts = {}) {
       const { cookies } = await bidi.send('storage.getCookies', {});
       const flat = cookies.map((c) => {
         const out = {
@@ -576,8 +933,8 @@ export async function createFirefoxPage(bidi, opts = {}) {
           httpOnly: !!c.httpOnly,
         };
         // BiDi reports sameSite lowercase (strict|lax|none); the CDP saveState /
-        // Network.setCookies vocabulary is capitalized (Strict|Lax|None). The only
-        // loader for a state file is connect()'s storageState (CDP-only), which
+        // Network.setCookies vocabulary is capitalized (Strict|Lax|None). The
+        // Chromium storageState loader hands cookies to Network.setCookies, which
         // rejects a lowercase enum and silently drops every cookie — so capitalize
         // here to keep the format truly symmetric and the round-trip working.
         if (c.sameSite && c.sameSite !== 'default') {
@@ -586,13 +943,14 @@ export async function createFirefoxPage(bidi, opts = {}) {
         if (c.expiry && c.expiry > 0) out.expires = c.expiry;
         return out;
       });
-      const lsRaw = await bidi
-        .evaluate(topContext, 'JSON.stringify(Object.fromEntries(Object.entries(localStorage)))', false)
-        .catch(() => '{}'); // opaque-origin pages (about:blank) throw — treat as empty
-      const state = { cookies: flat, localStorage: JSON.parse(lsRaw || '{}') };
-      const { writeFileSync, chmodSync } = await import('node:fs');
-      writeFileSync(filePath, JSON.stringify(state, null, 2), { mode: 0o600 });
-      try { chmodSync(filePath, 0o600); } catch { /* best effort if pre-existing */ }
+      const expression = collectExpression(!!saveOpts.indexedDB);
+      const raw = [];
+      for (const ctx of await allContexts()) {
+        // Frames that navigate away mid-save are skipped.
+        raw.push(await bidi.evaluate(ctx, expression, true).catch(() => null));
+      }
+      const topOrigin = raw[0] ? JSON.parse(raw[0]).origin : null;
+      writeStorageState(filePath, buildState(flat, raw, topOrigin));
     },
 
     /**
@@ -617,11 +975,97 @@ export async function createFirefoxPage(bidi, opts = {}) {
       }
     },
 
+    /**
+     * Intercept requests whose URL matches `pattern` (parity with the CDP
+     * route(); see route.js for the handler contract). BiDi exposes no request
+     * body or resource type, so the handler sees `postData`/`resourceType`
+     * undefined here.
+     * @param {string} pattern
+     * @param {import('./route.js').RouteHandler} handler
+     */
+    async route(pattern, handler) {
+      router.add(pattern, handler);
+      await applyRoutes();
+    },
+
+    /** Remove the routes registered for `pattern`, or every route when omitted. */
+    async unroute(pattern) {
+      router.remove(pattern);
+      await applyRoutes();
+    },
+
+    /**
+     * The session's network traffic as HAR 1.2 (parity with the CDP har()).
+     * BiDi can't read a finished response's body, so `content: true` has
+     * nothing to add here.
+     * @param {{content?: boolean}} [harOpts]
+     */
+    async har(harOpts) {
+      return har.toHAR(harOpts);
+    },
+
+    /** Console messages, oldest first (ring buffer), parity with CDP. */
+    consoleLogs: capture.consoleLogs,
+
+    /** Finished and failed requests, oldest first (ring buffer), parity with CDP. */
+    networkLog: capture.networkLog,
+
+    /** page.on('console' | 'request' | 'response' | 'requestfailed', cb), parity with CDP. */
+    on(event, callback) {
+      return capture.on(event, callback);
+    },
+
     async close() {
+      if (isTab) {
+        // The connection belongs to the main page: release only this tab.
+        offs.splice(0).forEach((off) => off());
+        scope.claimed.delete(topContext);
+        if (routeIntercept) {
+          try { await bidi.send('network.removeIntercept', { intercept: routeIntercept }); } catch {}
+          routeIntercept = null;
+        }
+        try { await bidi.send('browsingContext.close', { context: topContext }); } catch {}
+        return;
+      }
       try { await bidi.send('browsingContext.close', { context: topContext }); } catch {}
       bidi.close();
     },
   };
+  // Tab management stays with the main page.
+  if (!isTab) {
+    Object.assign(page, {
+      /**
+       * Open a new tab with its own page handle: refs, dialog handler, downloads,
+       * routes, HAR and capture all scoped to the new browsing context. Tab
+       * handles lack tabs/switchTab/createTab; close() closes only that tab.
+       * They don't survive a hybrid relaunch of the main page.
+       */
+      async createTab() {
+        const { context } = await bidi.send('browsingContext.create', { type: 'tab' });
+        return createFirefoxPage(bidi, {
+          ...opts, context, scope, hybrid: false, relaunchHeaded: null, storageState: null, record: undefined, trace: undefined,
+        });
+      },
+
+      async tabs() {
+        const { contexts: tree } = await bidi.send('browsingContext.getTree', {});
+        const out = [];
+        for (let i = 0; i < tree.length; i++) {
+          const title = await bidi.evaluate(tree[i].context, 'document.title', false).catch(() => '');
+          out.push({ index: i, url: tree[i].url, title, context: tree[i].context });
+        }
+        return out;
+      },
+
+      async switchTab(index) {
+        const { contexts: tree } = await bidi.send('browsingContext.getTree', {});
+        if (index < 0 || index >= tree.length) throw new Error(`Tab index ${index} out of range (0-${tree.length - 1})`);
+        topContext = tree[index].context;
+        refContexts = new Map(); // refs from the previous tab are invalid
+        await bidi.send('browsingContext.activate', { context: topContext }).catch(() => {});
+      },
+    });
+  }
 
   /** Walk session history by delta and settle (BiDi has no load-wait here). */
   async function traverse(delta) {
@@ -635,6 +1079,17 @@ export async function createFirefoxPage(bidi, opts = {}) {
   // Wire event subscriptions before returning — dialogs must precede any
   // navigation so an 'ignore' prompt (see bidi.js capability) is never hung.
   await setupSubscriptions();
+  await applyStorageState();
+  await applyRoutes();
 
+  if (opts.record) recordActions(page, { file: opts.record, tree: buildTree });
+  if (opts.trace) {
+    traceActions(page, {
+      dir: opts.trace,
+      engine: 'firefox',
+      tree: buildTree,
+      url: () => bidi.evaluate(topContext, 'location.href', false),
+    });
+  }
   return page;
 }
@@ -0,0 +1,457 @@
+/**
+ * forms.js — Form understanding: page.forms() and page.fillForm().
+ *
+ * forms() reads each form in the AX tree (plus a page-level group for fields
+ * outside any <form>) with its fields: role, label, input type, required, the
+ * field's purpose (email, password, postal-code, card-number, …), current
+ * value and validation state. fillForm() maps a values object onto those
+ * fields by purpose, name or label, and types, selects or checks each one, so
+ * one call replaces a dozen type()/select()/click() calls.
+ *
+ * The AX tree gives the structure (which fields belong to which form, their
+ * labels and refs); the rest comes from the element itself via FIELD_FACTS_FN,
+ * run by each engine on the ref's element. Purpose is the element's
+ * `autocomplete` token when it has one, else a guess from its type, name, id,
+ * label and placeholder. Password values are never reported, only masked.
+ *
+ * Nothing here talks to a browser: readForms() takes the tree and a function
+ * that runs FIELD_FACTS_FN on one ref, and fillForm() acts through the
+ * type/select/click it is handed, so both engines share every rule above.
+ */
+
+import { isRendered } from './aria.js';
+
+/**
+ * In-page function (`this` = the field's element) returning the field's DOM
+ * facts as a JSON string, so both engines get plain data back.
+ */
+export const FIELD_FACTS_FN = `function () {
+  const el = this;
+  const text = (node) => (node ? node.textContent.replace(/\\s+/g, ' ').trim() : '');
+  const byIds = (ids) => (ids || '').split(' ').filter(Boolean)
+    .map((id) => text(el.ownerDocument.getElementById(id))).filter(Boolean).join(' ');
+  const tag = el.tagName.toLowerCase();
+  const type = tag === 'input' ? (el.type || 'text').toLowerCase() : tag === 'textarea' ? 'textarea' : tag === 'select' ? 'select' : '';
+  let userInvalid = false;
+  try { userInvalid = el.matches(':user-invalid'); } catch (e) { /* older engine */ }
+  const invalid = el.getAttribute('aria-invalid') === 'true' || userInvalid;
+  const error = byIds(el.getAttribute('aria-errormessage'))
+    || (invalid ? el.validationMessage || byIds(el.getAttribute('aria-describedby')) : '');
+  const fieldset = el.closest('fieldset');
+  const radiogroup = el.closest('[role=radiogroup]');
+  const facts = {
+    tag, type,
+    name: el.getAttribute('name') || '',
+    id: el.id || '',
+    autocomplete: (el.getAttribute('autocomplete') || '').toLowerCase(),
+    placeholder: el.getAttribute('placeholder') || '',
+    required: !!el.required || el.getAttribute('aria-required') === 'true',
+    invalid, error,
+    group: (radiogroup && (radiogroup.getAttribute('aria-label') || byIds(radiogroup.getAttribute('aria-labelledby'))))
+      || (fieldset && text(fieldset.querySelector('legend'))) || '',
+  };
+  if (tag === 'select') {
+    facts.options = Array.from(el.options).map((o) => ({ label: text(o), value: o.value, selected: o.selected }));
+    facts.value = facts.options.filter((o) => o.selected).map((o) => o.label).join(', ');
+  } else if (type === 'checkbox' || type === 'radio') {
+    facts.checked = !!el.checked;
+    facts.value = el.value;
+  } else if (type === 'password') {
+    facts.value = el.value ? '********' : '';
+  } else if ('value' in el) {
+    facts.value = String(el.value);
+  } else {
+    facts.checked = el.getAttribute('aria-checked') === 'true';
+    facts.value = el.isContentEditable ? text(el) : '';
+  }
+  return JSON.stringify(facts);
+}`;
+
+/** AX roles read as form fields. */
+const FIELD_ROLES = new Set([
+  'textbox', 'searchbox', 'combobox', 'listbox', 'checkbox', 'radio', 'switch', 'spinbutton', 'slider',
+]);
+
+/** HTML autocomplete tokens → purpose. */
+const AUTOCOMPLETE_PURPOSE = {
+  'email': 'email', 'username': 'username', 'current-password': 'password', 'new-password': 'new-password',
+  'name': 'name', 'given-name': 'given-name', 'family-name': 'family-name', 'additional-name': 'middle-name',
+  'tel': 'tel', 'tel-national': 'tel', 'organization': 'organization',
+  'street-address': 'street-address', 'address-line1': 'address-line1', 'address-line2': 'address-line2',
+  'address-level2': 'city', 'address-level1': 'state', 'postal-code': 'postal-code',
+  'country': 'country', 'country-name': 'country',
+  'cc-number': 'card-number', 'cc-name': 'card-name', 'cc-exp': 'card-expiry',
+  'cc-exp-month': 'card-exp-month', 'cc-exp-year': 'card-exp-year', 'cc-csc': 'card-cvc',
+  'bday': 'bday', 'url': 'url', 'one-time-code': 'one-time-code',
+};
+
+/**
+ * Purpose guesses from name/id/label/placeholder, first match wins.
+ * @type {[RegExp, string][]}
+ */
+const PURPOSE_HINTS = [
+  [/e-?mail/, 'email'],
+  [/user.?name|login.?id/, 'username'],
+  [/card.?(number|no\b)|cc.?num|credit.?card/, 'card-number'],
+  [/name.?on.?card|card.?holder|cc.?name/, 'card-name'],
+  [/\bcvc|cvv|csc|security.?code/, 'card-cvc'],
+  [/expir|exp.?date|mm.?\/.?yy/, 'card-expiry'],
+  [/first.?name|given.?name|\bfname/, 'given-name'],
+  [/last.?name|family.?name|surname|\blname/, 'family-name'],
+  [/^(full.?)?name$|^your.?name$/, 'name'],
+  [/phone|mobile|\btel\b|telephone/, 'tel'],
+  [/zip|postal|post.?code/, 'postal-code'],
+  [/\bcity\b|town|locality/, 'city'],
+  [/\bstate\b|province|region|county/, 'state'],
+  [/country/, 'country'],
+  [/address.?(line)?.?2|apartment|suite|\bapt\b/, 'address-line2'],
+  [/street|address/, 'street-address'],
+  [/company|organi[sz]ation/, 'organization'],
+  [/birth|bday|\bdob\b/, 'bday'],
+  [/one.?time|\botp\b|verification.?code/, 'one-time-code'],
+  [/search|query/, 'search'],
+];
+
+/**
+ * fillForm() keys → purposes to try, in order. Nested objects join with '-'
+ * first (`card: { name }` → 'card-name'), then fall back to the leaf key.
+ */
+const KEY_PURPOSES = {
+  'email': ['email'], 'e-mail': ['email'],
+  'username': ['username', 'email'], 'user': ['username', 'email'], 'login': ['username', 'email'],
+  'password': ['password', 'new-password'], 'new-password': ['new-password', 'password'],
+  'name': ['name'], 'full-name': ['name'],
+  'first-name': ['given-name'], 'given-name': ['given-name'], 'name-first': ['given-name'],
+  'last-name': ['family-name'], 'family-name': ['family-name'], 'surname': ['family-name'], 'name-last': ['family-name'],
+  'phone': ['tel'], 'tel': ['tel'], 'telephone': ['tel'], 'mobile': ['tel'],
+  'company': ['organization'], 'organization': ['organization'],
+  'address': ['street-address', 'address-line1'], 'street': ['street-address', 'address-line1'],
+  'street-address': ['street-address', 'address-line1'], 'line1': ['address-line1', 'street-address'],
+  'address-line1': ['address-line1', 'street-address'], 'line2': ['address-line2'], 'address-line2': ['address-line2'],
+  'city': ['city'], 'town': ['city'], 'state': ['state'], 'region': ['state'], 'province': ['state'],
+  'zip': ['postal-code'], 'postcode': ['postal-code'], 'postal-code': ['postal-code'], 'zip-code': ['postal-code'],
+  'country': ['country'],
+  'card-number': ['card-number'], 'card-name': ['card-name'], 'cardholder': ['card-name'],
+  'card-expiry': ['card-expiry'], 'expiry': ['card-expiry'], 'card-exp': ['card-expiry'],
+  'card-exp-month': ['card-exp-month'], 'exp-month': ['card-exp-month'],
+  'card-exp-year': ['card-exp-year'], 'exp-year': ['card-exp-year'],
+  'card-cvc': ['card-cvc'], 'cvc': ['card-cvc'], 'cvv': ['card-cvc'], 'card-cvv': ['card-cvc'],
+  'birthday': ['bday'], 'bday': ['bday'], 'dob': ['bday'],
+  'website': ['url'], 'url': ['url'], 'search': ['search'], 'query': ['search'],
+  'otp': ['one-time-code'], 'one-time-code': ['one-time-code'],
+};
+
+/**
+ * @typedef {object} FormField
+ * @property {string} ref - Pass to type()/select()/click(); a radio group's first radio
+ * @property {string} role - AX role ('textbox', 'combobox', 'checkbox', 'radio', …)
+ * @property {string} label
+ * @property {string} type - Input type ('email', 'password', 'select', 'textarea', …)
+ * @property {?string} purpose - 'email', 'password', 'postal-code', 'card-number', …
+ * @property {boolean} required
+ * @property {string} value - Current value (selected option labels; masked for passwords)
+ * @property {boolean} [checked] - Checkboxes and switches
+ * @property {{label: string, value?: string, selected?: boolean, ref?: string, checked?: boolean}[]} [options] -
+ *   A select's options, or a radio group's radios
+ * @property {boolean} invalid
+ * @property {string} [error] - Validation message, when there is one
+ */
+
+/**
+ * @typedef {object} Form
+ * @property {string} ref - The form's ref (the page root's for fields outside any form)
+ * @property {string} name
+ * @property {FormField[]} fields
+ * @property {{ref: string, name: string}[]} buttons
+ * @property {string[]} errors - Alert text inside the form
+ */
+
+/**
+ * @typedef {object} FormSkeleton
+ * @property {string} ref
+ * @property {string} name
+ * @property {{ref: string, role: string, label: string}[]} fields
+ * @property {{ref: string, name: string}[]} buttons
+ * @property {string[]} errors
+ */
+
+/**
+ * Read every form on the page.
+ * @param {?object} tree - Full (unpruned) tree
+ * @param {(ref: string) => Promise<object>} factsOf - FIELD_FACTS_FN's result for a ref
+ * @returns {Promise<Form[]>}
+ */
+export async function readForms(tree, factsOf) {
+  const forms = [];
+  for (const skeleton of formSkeletons(tree)) {
+    const facts = new Map();
+    for (const f of skeleton.fields) facts.set(f.ref, await factsOf(f.ref).catch(() => ({})));
+    forms.push(buildForm(skeleton, facts));
+  }
+  return forms;
+}
+
+/**
+ * Forms in a tree, each with its field/button/alert nodes. Fields outside
+ * every form are grouped under the root, listed first.
+ * @param {?object} tree
+ * @returns {FormSkeleton[]}
+ */
+export function formSkeletons(tree) {
+  if (!tree) return [];
+  /** @type {FormSkeleton} */
+  const page = { ref: String(tree.nodeId), name: '', fields: [], buttons: [], errors: [] };
+  const forms = [page];
+  (function walk(node, form) {
+    if (!node.ignored && isRendered(node)) {
+      if (node.role === 'form') {
+        form = { ref: String(node.nodeId), name: node.name || '', fields: [], buttons: [], errors: [] };
+        forms.push(form);
+      } else if (FIELD_ROLES.has(node.role)) {
+        form.fields.push({ ref: String(node.nodeId), role: node.role, label: node.name || '' });
+        return; // a select's options, a combobox's popup: not fields of their own
+      } else if (node.role === 'button') {
+        form.buttons.push({ ref: String(node.nodeId), name: node.name || '' });
+      } else if (node.role === 'alert') {
+        const text = textOf(node);
+        if (text) form.errors.push(text);
+      }
+    }
+    for (const c of node.children || []) walk(c, form);
+  })(tree, page);
+  return forms.filter((f) => f.fields.length > 0);
+}
+
+/** A form's fields from its skeleton and each field's facts; radios of one name become one field. */
+function buildForm(skeleton, facts) {
+  const fields = [];
+  const radioGroups = new Map();
+  for (const { ref, role, label } of skeleton.fields) {
+    const f = facts.get(ref) || {};
+    if (role === 'radio') {
+      const key = f.name || `ref:${ref}`;
+      let group = radioGroups.get(key);
+      if (!group) {
+        group = {
+          ref, role, label: f.group || f.name || label, type: 'radio', purpose: purposeOf(f, f.group || ''),
+          required: false, value: '', options: [], invalid: false,
+        };
+        radioGroups.set(key, group);
+        fields.push(group);
+      }
+      group.options.push({ ref, label, checked: !!f.checked });
+      if (f.checked) group.value = label;
+      group.required ||= !!f.required;
+      group.invalid ||= !!f.invalid;
+      if (f.error && !group.error) group.error = f.error;
+      continue;
+    }
+    /** @type {FormField} */
+    const field = {
+      ref, role,
+      label: label || f.placeholder || f.name || '',
+      type: f.type || role,
+      purpose: purposeOf(f, label),
+      required: !!f.required,
+      value: f.value ?? '',
+      invalid: !!f.invalid,
+    };
+    if (role === 'checkbox' || role === 'switch') field.checked = !!f.checked;
+    if (f.options) field.options = f.options;
+    if (f.error) field.error = f.error;
+    fields.push(field);
+  }
+  return { ref: skeleton.ref, name: skeleton.name, fields, buttons: skeleton.buttons, errors: skeleton.errors };
+}
+
+/**
+ * A field's purpose: its autocomplete token, else a guess from its type,
+ * name, id, label and placeholder.
+ * @param {{autocomplete?: string, type?: string, name?: string, id?: string, placeholder?: string}} facts
+ * @param {string} label
+ * @returns {?string}
+ */
+export function purposeOf(facts, label) {
+  // "section-x shipping postal-code webauthn": the field token is in there somewhere.
+  for (const token of (facts.autocomplete || '').split(/\s+/)) {
+    if (AUTOCOMPLETE_PURPOSE[token]) return AUTOCOMPLETE_PURPOSE[token];
+  }
+  const hints = [facts.name, facts.id, label, facts.placeholder].filter(Boolean).map((s) => String(s).toLowerCase());
+  if (facts.type === 'password') return hints.some((h) => /new|confirm|repeat/.test(h)) ? 'new-password' : 'password';
+  if (facts.type === 'email') return 'email';
+  if (facts.type === 'tel') return 'tel';
+  if (facts.type === 'url') return 'url';
+  for (const [re, purpose] of PURPOSE_HINTS) {
+    if (hints.some((h) => re.test(h))) return purpose;
+  }
+  if (facts.type === 'search') return 'search';
+  return null;
+}
+
+/**
+ * Match a values object to a form's fields. Keys are purposes (or aliases:
+ * zip, phone, firstName, …), nested objects (`address: { city }`,
+ * `card: { number, cvc }`), a field's name/id or label, or a ref. Each field
+ * takes one value.
+ * @param {Form} form
+ * @param {object} values
+ * @returns {{steps: {key: string, field: FormField, value: any}[], unmatched: string[]}}
+ */
+export function planFill(form, values) {
+  const used = new Set();
+  const steps = [];
+  const unmatched = [];
+  const free = (f) => !used.has(f);
+
+  for (const { key, path, value } of flatten(values)) {
+    const purposes = KEY_PURPOSES[path] || KEY_PURPOSES[key] || [];
+    let field = form.fields.find((f) => free(f) && f.ref === key)
+      || purposes.map((p) => form.fields.find((f) => free(f) && f.purpose === p)).find(Boolean)
+      || form.fields.find((f) => free(f) && f.purpose === key)
+      || form.fields.find((f) => free(f) && normalize(f.label) === key)
+      || form.fields.find((f) => free(f) && normalize(f.label).split('-').includes(key));
+    if (!field) {
+      unmatched.push(path === key ? key : `${path.split('-')[0]}.${key}`);
+      continue;
+    }
+    used.add(field);
+    steps.push({ key: path, field, value });
+  }
+  return { steps, unmatched };
+}
+
+/** Leaf entries of a values object; `path` joins nested keys with '-'. */
+function flatten(values, parent = '') {
+  const out = [];
+  for (const [k, v] of Object.entries(values || {})) {
+    const key = normalize(k);
+    const path = parent ? `${parent}-${key}` : key;
+    if (v && typeof v === 'object' && !Array.isArray(v)) out.push(...flatten(v, path));
+    else out.push({ key, path, value: v });
+  }
+  return out;
+}
+
+/** "postalCode" / "Postal code" / "postal_code" → "postal-code". */
+function normalize(s) {
+  return String(s).replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase().trim()
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Fill a form by purpose. `formRef` picks the form; without it, the form
+ * that matches the most keys is filled.
+ * @param {object} io
+ * @param {() => Promise<Form[]>} io.forms
+ * @param {(ref: string, text: string) => Promise<void>} io.type - Replaces the field's content
+ * @param {(ref: string, value: string) => Promise<void>} io.select
+ * @param {(ref: string) => Promise<void>} io.click
+ * @param {?string|number|undefined} formRef
+ * @param {object} values
+ * @returns {Promise<{form: ?Form, filled: {key: string, ref: string, label: string}[], unmatched: string[], failed: {key: string, ref: string, error: string}[]}>}
+ *   The form as it reads after filling (validation included), and what happened to each key
+ */
+export async function fillForm(io, formRef, values) {
+  const forms = await io.forms();
+  const candidates = formRef == null || formRef === '' ? forms : forms.filter((f) => f.ref === String(formRef));
+  if (candidates.length === 0) {
+    throw new Error(formRef == null || formRef === ''
+      ? 'fillForm: no form fields on this page'
+      : `fillForm: no form with ref ${formRef} — call forms() for the current refs`);
+  }
+  const plans = candidates.map((form) => ({ form, ...planFill(form, values) }));
+  const plan = plans.reduce((best, p) => (p.steps.length > best.steps.length ? p : best));
+
+  const filled = [];
+  const failed = [];
+  for (const { key, field, value } of plan.steps) {
+    try {
+      await applyValue(io, field, value);
+      filled.push({ key, ref: field.ref, label: field.label });
+    } catch (err) {
+      failed.push({ key, ref: field.ref, error: err.message });
+    }
+  }
+  const form = (await io.forms()).find((f) => f.ref === plan.form.ref) || null;
+  return { form, filled, unmatched: plan.unmatched, failed };
+}
+
+async function applyValue(io, field, value) {
+  if (field.role === 'checkbox' || field.role === 'switch') {
+    const want = value === true || /^(true|yes|on|1|checked)$/i.test(String(value));
+    if (want !== !!field.checked) await io.click(field.ref);
+    return;
+  }
+  const text = String(value);
+  const want = text.toLowerCase();
+  if (field.role === 'radio') {
+    const radio = field.options?.find((o) => o.label.toLowerCase() === want)
+      || field.options?.find((o) => o.label.toLowerCase().includes(want));
+    if (!radio) throw new Error(`no option "${text}" (options: ${field.options?.map((o) => o.label).join(', ')})`);
+    if (!radio.checked) await io.click(/** @type {string} */ (radio.ref));
+    return;
+  }
+  if (field.options) {
+    // Case-insensitive on label or value ("nl", "Netherlands"); select() wants the exact one.
+    const option = field.options.find((o) => o.label.toLowerCase() === want || o.value?.toLowerCase() === want);
+    if (!option) throw new Error(`no option "${text}" (options: ${field.options.map((o) => o.label).join(', ')})`);
+    await io.select(field.ref, option.value ?? option.label);
+    return;
+  }
+  await io.type(field.ref, text);
+}
+
+/**
+ * Render forms for a text-only surface (MCP, bareagent).
+ * @param {Form[]} forms
+ * @returns {string}
+ */
+export function formatForms(forms) {
+  if (forms.length === 0) return 'no forms';
+  const lines = [];
+  for (const form of forms) {
+    lines.push(`form${form.name ? ` "${form.name}"` : ''} [ref=${form.ref}]`);
+    for (const f of form.fields) {
+      // The input type only where it says more than the role and purpose do.
+      const type = ![f.role, f.purpose, 'text', 'password'].includes(f.type) && f.type;
+      const bits = [f.purpose, type, f.required && 'required'].filter(Boolean);
+      if (f.checked !== undefined) bits.push(f.checked ? 'checked' : 'unchecked');
+      else if (f.value) bits.push(`value="${f.value}"`);
+      if (f.options) {
+        bits.push('options: ' + f.options.map((o) => (o.selected || o.checked ? `${o.label}*` : o.label)
+          + (o.ref ? ` [ref=${o.ref}]` : '')).join(', '));
+      }
+      if (f.invalid) bits.push(`invalid${f.error ? `: ${f.error}` : ''}`);
+      lines.push(`  ${f.role} "${f.label}" [ref=${f.ref}]${bits.length ? ' ' + bits.join(', ') : ''}`);
+    }
+    if (form.buttons.length) lines.push('  buttons: ' + form.buttons.map((b) => `"${b.name}" [ref=${b.ref}]`).join(', '));
+    for (const e of form.errors) lines.push(`  error: ${e}`);
+  }
+  return lines.join('\n');
+}
+
+/** The visible text of a subtree, whitespace-collapsed. */
+function textOf(node) {
+  const parts = [];
+  (function walk(n) {
+    if (n.role === 'InlineTextBox') return;
+    if (n.role === 'StaticText') { if (n.name) parts.push(n.name); return; }
+    if (!n.children?.length && n.name) parts.push(n.name);
+    for (const c of n.children || []) walk(c);
+  })(node);
+  return parts.join(' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Render a fillForm() result: what was filled, skipped or failed, then the
+ * form as it now reads.
+ * @param {Awaited<ReturnType<typeof fillForm>>} result
+ * @returns {string}
+ */
+export function formatFillResult({ form, filled, unmatched, failed }) {
+  const lines = [`filled ${filled.length}: ` + (filled.map((f) => `${f.key} → "${f.label}" [ref=${f.ref}]`).join(', ') || 'nothing')];
+  if (unmatched.length) lines.push(`no field for: ${unmatched.join(', ')}`);
+  for (const f of failed) lines.push(`failed ${f.key} [ref=${f.ref}]: ${f.error}`);
+  lines.push(form ? formatForms([form]) : 'form gone after filling (submitted or re-rendered?) — call snapshot');
+  return lines.join('\n');
+}
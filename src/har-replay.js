@@ -0,0 +1,89 @@
+/**
+ * har-replay.js — Serve a session from a recorded HAR instead of the network.
+ *
+ * `connect({ replayHar: 'run.har' })` installs a catch-all page.route()
+ * whose handler answers each request from the file, so an agent regression
+ * reproduces without the live site and prune/consent changes can be tested
+ * against frozen real-world pages. Both engines get it for free through the
+ * route plumbing (CDP Fetch.fulfillRequest, BiDi network.provideResponse).
+ *
+ * Requests match on method + URL. Repeats of the same request (polling, a
+ * reload) are served the recorded responses in order, then the last one
+ * again. A recorded failure (status 0) replays as a failed request. A miss
+ * fails the request by default, keeping the session hermetic; with
+ * `replayHarMiss: 'passthrough'` it goes to the network instead. Routes added
+ * later with page.route() take precedence, so a test can still override a
+ * recorded response.
+ */
+
+import { readFileSync } from 'node:fs';
+
+// Recorded bodies are stored decoded (HAR content.text), so the encoding and
+// framing headers of the original response no longer describe them.
+const STALE_HEADERS = new Set(['content-encoding', 'content-length', 'transfer-encoding']);
+
+/**
+ * Read and minimally validate a HAR file.
+ * @param {string} filePath
+ * @returns {{log: {entries: object[]}}}
+ */
+export function readHar(filePath) {
+  let har;
+  try {
+    har = JSON.parse(readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`replayHar: cannot read ${filePath} (${err.message})`);
+  }
+  if (!Array.isArray(har?.log?.entries)) throw new Error(`replayHar: ${filePath} is not a HAR file (no log.entries)`);
+  return har;
+}
+
+/**
+ * A route handler answering requests from a HAR's entries.
+ * @param {{log: {entries: object[]}}} har
+ * @param {object} [opts]
+ * @param {'fail'|'passthrough'} [opts.miss='fail'] - What to do with a request the HAR doesn't have
+ * @returns {import('./route.js').RouteHandler}
+ */
+export function harReplayHandler(har, { miss = 'fail' } = {}) {
+  if (miss !== 'fail' && miss !== 'passthrough') {
+    throw new Error(`replayHarMiss must be "fail" or "passthrough", got "${miss}"`);
+  }
+  /** @type {Map<string, {responses: object[], served: number}>} */
+  const byRequest = new Map();
+  for (const entry of har.log.entries) {
+    const k = key(entry.request.method, entry.request.url);
+    const recorded = byRequest.get(k) || { responses: [], served: 0 };
+    recorded.responses.push(entry.response);
+    byRequest.set(k, recorded);
+  }
+
+  return ({ method, url }) => {
+    const recorded = byRequest.get(key(method, url));
+    if (!recorded) return miss === 'fail' ? { action: 'abort' } : undefined;
+    const res = recorded.responses[Math.min(recorded.served++, recorded.responses.length - 1)];
+    if (!res || !res.status) return { action: 'abort' };
+    /** @type {Record<string, string>} */
+    const headers = {};
+    for (const h of res.headers || []) {
+      if (STALE_HEADERS.has(h.name.toLowerCase())) continue;
+      headers[h.name] = headers[h.name] === undefined ? h.value : `${headers[h.name]}, ${h.value}`;
+    }
+    if (res.redirectURL && !Object.keys(headers).some((n) => n.toLowerCase() === 'location')) {
+      headers.Location = res.redirectURL;
+    }
+    const { text = '', encoding } = res.content || {};
+    return {
+      action: 'fulfill',
+      status: res.status,
+      headers,
+      contentType: res.content?.mimeType || undefined,
+      body: encoding === 'base64' ? Buffer.from(text, 'base64') : text,
+    };
+  };
+}
+
+/** URL fragments never reach the network, so they don't take part in matching. */
+function key(method, url) {
+  return `${String(method).toUpperCase()} ${String(url).split('#')[0]}`;
+}
@@ -0,0 +1,456 @@
+/**
+ * har.js — Record the session's network traffic and export it as HAR 1.2.
+ *
+ * The daemon's network-log keeps url/method/status only, which no standard
+ * tool can load. A HAR recorder captures what DevTools, Charles or a HAR
+ * viewer expect: request and response headers, per-phase timings, sizes,
+ * redirect chains (one entry per hop), failures, and — on CDP — response
+ * bodies fetched with Network.getResponseBody at export time.
+ *
+ * Two engines, one core: `createHarRecorder` holds entries in engine-neutral
+ * terms (epoch-ms times, `{name, value}` headers), `recordCdpHar` feeds it
+ * from CDP `Network.*` events and `recordBiDiHar` from WebDriver BiDi
+ * `network.*` events. BiDi has no way to read a finished response's body, so
+ * Firefox HARs carry sizes but no `content.text`.
+ */
+
+import { readFileSync } from 'node:fs';
+
+// The package version, read like mcp-server.js's PKG_VERSION so it follows
+// release bumps.
+const PKG_VERSION = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf8')).version;
+const CREATOR = { name: 'barebrowse', version: PKG_VERSION };
+
+// Oldest entries are dropped beyond this, so a long-lived daemon can't grow
+// without bound.
+const MAX_ENTRIES = 5000;
+
+/**
+ * @typedef {object} HarPhases - Connection phases before the response, in ms
+ *   (-1 = not applicable). `receive` is derived when the request finishes.
+ * @property {number} blocked
+ * @property {number} dns
+ * @property {number} connect
+ * @property {number} ssl
+ * @property {number} send
+ * @property {number} wait
+ */
+
+/**
+ * Engine-neutral HAR recorder. Request ids are the engine's own; a redirect
+ * completes the current entry for an id and starts a new one under it.
+ * @param {object} [opts]
+ * @param {number} [opts.maxEntries=5000]
+ */
+export function createHarRecorder({ maxEntries = MAX_ENTRIES } = {}) {
+  let pages = [];
+  let entries = [];
+  const live = new Map(); // request id → its newest entry
+  let pageSeq = 0;
+
+  const current = () => pages.at(-1);
+
+  return {
+    /** A main-frame navigation started: later entries belong to a new page. */
+    startPage({ url, time }) {
+      pages.push({ id: `page_${++pageSeq}`, url, time, onLoad: -1 });
+      if (pages.length > maxEntries) pages.shift();
+    },
+
+    /** The current page fired its load event at `time`. */
+    pageLoaded(time) {
+      const page = current();
+      if (page && page.onLoad < 0) page.onLoad = Math.max(0, time - page.time);
+    },
+
+    /**
+     * @param {string} id
+     * @param {{url: string, method: string, headers: {name: string, value: string}[], postData?: string, time: number, resourceType?: string}} req
+     */
+    request(id, req) {
+      const entry = { id, pageref: current()?.id, start: req.time, request: req, response: null, error: null,
+        end: null, phases: null, responseTime: null, sizes: {}, fetchBody: null, redirectURL: '' };
+      live.set(id, entry);
+      entries.push(entry);
+      if (entries.length > maxEntries) {
+        // A request that never finishes (hung, long poll, stream) would
+        // otherwise keep its evicted entry in `live` for the whole session.
+        const evicted = entries.shift();
+        if (live.get(evicted.id) === evicted) live.delete(evicted.id);
+      }
+      return entry;
+    },
+
+    /**
+     * @param {string} id
+     * @param {{status: number, statusText: string, protocol?: string, headers: {name: string, value: string}[], mimeType?: string, time: number, phases?: HarPhases, serverIPAddress?: string}} res
+     */
+    response(id, res) {
+      const entry = live.get(id);
+      if (!entry) return;
+      entry.response = res;
+      entry.responseTime = res.time;
+      entry.phases = res.phases || null;
+    },
+
+    /**
+     * The current entry for `id` was answered with a redirect to `location`;
+     * it ends here and the next request(id) starts the following hop.
+     */
+    redirect(id, res, location) {
+      this.response(id, res);
+      const entry = live.get(id);
+      if (!entry) return;
+      entry.redirectURL = location;
+      entry.end = res.time;
+      live.delete(id);
+    },
+
+    /**
+     * @param {string} id
+     * @param {{time: number, bodySize?: number, contentSize?: number, headersSize?: number, fetchBody?: () => Promise<{body: string, base64Encoded: boolean}>}} done
+     */
+    finish(id, done) {
+      const entry = live.get(id);
+      if (!entry) return;
+      entry.end = done.time;
+      entry.sizes = { bodySize: done.bodySize, contentSize: done.contentSize, headersSize: done.headersSize };
+      entry.fetchBody = done.fetchBody || null;
+      live.delete(id);
+    },
+
+    fail(id, { time, error }) {
+      const entry = live.get(id);
+      if (!entry) return;
+      entry.end = time;
+      entry.error = error || 'failed';
+      live.delete(id);
+    },
+
+    clear() {
+      pages = [];
+      entries = [];
+      live.clear();
+    },
+
+    /** Requests recorded and not yet finished (evicted ones excluded). */
+    get inFlight() {
+      return live.size;
+    },
+
+    /**
+     * The HAR 1.2 log. Requests still in flight are included with what is
+     * known so far. `content: true` fetches response bodies where the engine
+     * can (CDP), best-effort: an evicted body is left out.
+     * @param {{content?: boolean}} [opts]
+     */
+    async toHAR({ content = false } = {}) {
+      const out = [];
+      for (const entry of entries) {
+        const har = harEntry(entry);
+        if (content && entry.fetchBody) {
+          try {
+            const { body, base64Encoded } = await entry.fetchBody();
+            har.response.content.text = body;
+            if (base64Encoded) har.response.content.encoding = 'base64';
+          } catch { /* body evicted or never buffered */ }
+        }
+        out.push(har);
+      }
+      return {
+        log: {
+          version: '1.2',
+          creator: CREATOR,
+          pages: pages.map((p) => ({
+            startedDateTime: new Date(p.time).toISOString(),
+            id: p.id,
+            title: p.url,
+            pageTimings: { onContentLoad: -1, onLoad: p.onLoad },
+          })),
+          entries: out,
+        },
+      };
+    },
+  };
+}
+
+/** One recorder entry → a HAR entry object. */
+function harEntry(entry) {
+  const { request: req, response: res } = entry;
+  const httpVersion = harHttpVersion(res?.protocol);
+  const end = entry.end ?? entry.responseTime ?? entry.start;
+  const timings = harTimings(entry, end);
+  const mimeType = res?.mimeType || headerValue(res?.headers, 'content-type') || '';
+  const bodySize = entry.sizes.bodySize ?? -1;
+  const out = {
+    ...(entry.pageref && { pageref: entry.pageref }),
+    startedDateTime: new Date(entry.start).toISOString(),
+    time: Object.entries(timings).reduce((sum, [k, v]) => (k === 'ssl' || v < 0 ? sum : sum + v), 0),
+    request: {
+      method: req.method,
+      url: req.url,
+      httpVersion,
+      cookies: [],
+      headers: req.headers,
+      queryString: queryString(req.url),
+      ...(req.postData !== undefined && {
+        postData: { mimeType: headerValue(req.headers, 'content-type') || '', text: req.postData },
+      }),
+      headersSize: -1,
+      bodySize: req.postData !== undefined ? Buffer.byteLength(req.postData) : 0,
+    },
+    response: {
+      status: res?.status ?? 0,
+      statusText: res?.statusText ?? '',
+      httpVersion,
+      cookies: [],
+      headers: res?.headers || [],
+      content: { size: entry.sizes.contentSize ?? Math.max(bodySize, 0), mimeType },
+      redirectURL: entry.redirectURL,
+      headersSize: entry.sizes.headersSize ?? -1,
+      bodySize,
+      ...(entry.error && { _error: entry.error }),
+    },
+    cache: {},
+    timings,
+  };
+  if (res?.serverIPAddress) out.serverIPAddress = res.serverIPAddress;
+  if (req.resourceType) out._resourceType = req.resourceType;
+  return out;
+}
+
+/**
+ * HAR timings for an entry. With connection phases from the engine, receive
+ * is what's left of the total after them; without (cache, data: URLs), the
+ * wait runs from the request to the response headers.
+ */
+function harTimings(entry, end) {
+  const total = Math.max(0, end - entry.start);
+  const p = entry.phases;
+  if (p) {
+    const before = [p.blocked, p.dns, p.connect, p.send, p.wait].reduce((s, v) => (v > 0 ? s + v : s), 0);
+    return { ...p, receive: Math.max(0, total - before) };
+  }
+  const wait = entry.responseTime !== null ? Math.max(0, entry.responseTime - entry.start) : total;
+  return { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait, receive: Math.max(0, total - wait) };
+}
+
+/** 'h2' → 'HTTP/2', 'http/1.1' → 'HTTP/1.1'; unknown stays as reported. */
+function harHttpVersion(protocol) {
+  if (!protocol) return '';
+  const p = protocol.toLowerCase();
+  if (p === 'h2' || p === 'http/2' || p === 'http/2.0') return 'HTTP/2';
+  if (p === 'h3' || p.startsWith('http/3')) return 'HTTP/3';
+  if (p.startsWith('http/')) return p.toUpperCase();
+  return protocol;
+}
+
+function headerValue(headers, name) {
+  return headers?.find((h) => h.name.toLowerCase() === name)?.value;
+}
+
+function queryString(url) {
+  try {
+    return [...new URL(url).searchParams].map(([name, value]) => ({ name, value }));
+  } catch {
+    return [];
+  }
+}
+
+/** `{ Name: 'a\nb' }` (CDP joins repeats with newlines) → `[{name, value}]` */
+function cdpHeaders(headers = {}) {
+  return Object.entries(headers).flatMap(([name, value]) =>
+    String(value).split('\n').map((v) => ({ name, value: v })));
+}
+
+/**
+ * Connection phases from a CDP ResourceTiming (ms offsets from requestTime,
+ * -1 when a phase didn't happen).
+ * @returns {HarPhases}
+ */
+function cdpPhases(t) {
+  const span = (a, b) => (a >= 0 && b >= 0 ? b - a : -1);
+  const firstStart = [t.dnsStart, t.connectStart, t.sendStart].find((v) => v >= 0) ?? 0;
+  return {
+    blocked: firstStart,
+    dns: span(t.dnsStart, t.dnsEnd),
+    connect: span(t.connectStart, t.connectEnd),
+    ssl: span(t.sslStart, t.sslEnd),
+    send: Math.max(0, span(t.sendStart, t.sendEnd)),
+    wait: Math.max(0, span(t.sendEnd, t.receiveHeadersEnd)),
+  };
+}
+
+/**
+ * Feed a recorder from a CDP page session (Network must be enabled). CDP
+ * event timestamps are monotonic seconds; requestWillBeSent's wallTime pins
+ * them to the epoch.
+ * @param {object} session - CDP session (send, on)
+ * @param {ReturnType<typeof createHarRecorder>} recorder
+ * @param {?() => string} mainFrameId - The page's main frame id (its
+ *   targetId); null for an OOPIF frame's session, which starts no pages
+ */
+export function recordCdpHar(session, recorder, mainFrameId) {
+  let offset = 0; // epoch ms − monotonic ms, set by every requestWillBeSent
+  const epoch = (ts) => offset + ts * 1000;
+  const started = new Map(); // requestId → { responseSize }
+
+  const asResponse = (r, ts) => ({
+    status: r.status,
+    statusText: r.statusText,
+    protocol: r.protocol,
+    headers: cdpHeaders(r.headers),
+    mimeType: r.mimeType,
+    time: epoch(ts),
+    phases: r.timing ? cdpPhases(r.timing) : undefined,
+    serverIPAddress: r.remoteIPAddress,
+  });
+
+  session.on('Network.requestWillBeSent', (p) => {
+    if (p.wallTime) offset = p.wallTime * 1000 - p.timestamp * 1000;
+    if (p.redirectResponse) {
+      recorder.redirect(p.requestId, asResponse(p.redirectResponse, p.timestamp), p.request.url);
+    }
+    if (mainFrameId && p.type === 'Document' && p.frameId === mainFrameId() && !p.redirectResponse) {
+      recorder.startPage({ url: p.request.url, time: epoch(p.timestamp) });
+    }
+    recorder.request(p.requestId, {
+      url: p.request.url,
+      method: p.request.method,
+      headers: cdpHeaders(p.request.headers),
+      postData: p.request.postData,
+      time: epoch(p.timestamp),
+      resourceType: p.type,
+    });
+    started.delete(p.requestId); // a redirect hop counts as the newest
+    started.set(p.requestId, { responseSize: 0 });
+    // Capped like the recorder's entries: a request that never finishes
+    // (hung, long poll) would otherwise stay here for the whole session.
+    if (started.size > MAX_ENTRIES) started.delete(started.keys().next().value);
+  });
+  session.on('Network.responseReceived', (p) => {
+    recorder.response(p.requestId, asResponse(p.response, p.timestamp));
+    const s = started.get(p.requestId);
+    if (s) s.headersSize = p.response.encodedDataLength;
+  });
+  session.on('Network.dataReceived', (p) => {
+    const s = started.get(p.requestId);
+    if (s) s.responseSize += p.dataLength;
+  });
+  session.on('Network.loadingFinished', (p) => {
+    const s = started.get(p.requestId) || {};
+    started.delete(p.requestId);
+    const headersSize = s.headersSize > 0 ? s.headersSize : -1;
+    recorder.finish(p.requestId, {
+      time: epoch(p.timestamp),
+      bodySize: headersSize > 0 ? Math.max(0, p.encodedDataLength - headersSize) : p.encodedDataLength,
+      contentSize: s.responseSize || undefined,
+      headersSize,
+      fetchBody: () => session.send('Network.getResponseBody', { requestId: p.requestId }),
+    });
+  });
+  session.on('Network.loadingFailed', (p) => {
+    started.delete(p.requestId);
+    recorder.fail(p.requestId, { time: epoch(p.timestamp), error: p.errorText });
+  });
+  if (mainFrameId) session.on('Page.loadEventFired', (p) => recorder.pageLoaded(epoch(p.timestamp)));
+}
+
+/** BiDi `[{name, value: {type, value}}]` headers → `[{name, value}]` */
+function bidiHeaders(headers = []) {
+  return headers.map((h) => ({ name: h.name, value: h.value?.value ?? '' }));
+}
+
+/**
+ * Connection phases from a BiDi FetchTimingInfo (timestamps on one clock,
+ * 0 = phase didn't happen).
+ * @returns {HarPhases}
+ */
+function bidiPhases(t) {
+  const span = (a, b) => (a > 0 && b >= a ? b - a : -1);
+  const firstStart = [t.dnsStart, t.connectStart, t.requestStart].find((v) => v > 0);
+  return {
+    blocked: firstStart && t.fetchStart > 0 ? Math.max(0, firstStart - t.fetchStart) : 0,
+    dns: span(t.dnsStart, t.dnsEnd),
+    connect: span(t.connectStart, t.connectEnd),
+    ssl: span(t.tlsStart, t.connectEnd),
+    send: 0,
+    wait: Math.max(0, span(t.requestStart, t.responseStart)),
+  };
+}
+
+/**
+ * A Location header resolved against the request URL. A malformed one is
+ * kept as sent: this runs in the socket's message handler, where a throw
+ * would be uncaught and skip the listeners after it.
+ */
+function resolveLocation(location, base) {
+  try {
+    return new URL(location, base).href;
+  } catch {
+    return location;
+  }
+}
+
+/**
+ * Feed a recorder from WebDriver BiDi network events. A redirect keeps the
+ * request id and bumps redirectCount, so entries key on both.
+ * @param {object} bidi - BiDi client (subscribe, on)
+ * @param {ReturnType<typeof createHarRecorder>} recorder
+ * @param {() => string} topContext - The active tab's browsing context
+ * @param {(context: ?string) => boolean} [owns] - Whether an event's context
+ *   belongs to this page; the connection is shared by every tab handle.
+ * @returns {Promise<() => void>} Removes the listeners
+ */
+export async function recordBiDiHar(bidi, recorder, topContext, owns = () => true) {
+  await bidi.subscribe([
+    'network.beforeRequestSent', 'network.responseCompleted', 'network.fetchError', 'browsingContext.load',
+  ]);
+  const key = (e) => `${e.request.request}:${e.redirectCount || 0}`;
+  const asResponse = (e) => ({
+    status: e.response.status,
+    statusText: e.response.statusText,
+    protocol: e.response.protocol,
+    headers: bidiHeaders(e.response.headers),
+    mimeType: e.response.mimeType,
+    time: e.timestamp,
+    phases: e.request.timings ? bidiPhases(e.request.timings) : undefined,
+  });
+
+  const offs = [];
+  const on = (event, cb) => offs.push(bidi.on(event, (e) => { if (owns(e.context)) cb(e); }));
+
+  on('network.beforeRequestSent', (e) => {
+    if (e.navigation && e.context === topContext() && !e.redirectCount) {
+      recorder.startPage({ url: e.request.url, time: e.timestamp });
+    }
+    recorder.request(key(e), {
+      url: e.request.url,
+      method: e.request.method,
+      headers: bidiHeaders(e.request.headers),
+      time: e.timestamp,
+    });
+  });
+  on('network.responseCompleted', (e) => {
+    const status = e.response.status;
+    const location = bidiHeaders(e.response.headers).find((h) => h.name.toLowerCase() === 'location');
+    if (status >= 300 && status < 400 && location) {
+      recorder.redirect(key(e), asResponse(e), resolveLocation(location.value, e.request.url));
+      return;
+    }
+    recorder.response(key(e), asResponse(e));
+    recorder.finish(key(e), {
+      time: e.timestamp,
+      bodySize: e.response.bodySize ?? -1,
+      contentSize: e.response.content?.size ?? undefined,
+      headersSize: e.response.headersSize ?? -1,
+    });
+  });
+  on('network.fetchError', (e) => {
+    recorder.fail(key(e), { time: e.timestamp, error: e.errorText });
+  });
+  on('browsingContext.load', (e) => {
+    if (e.context === topContext()) recorder.pageLoaded(e.timestamp);
+  });
+  return () => offs.forEach((off) => off());
+}
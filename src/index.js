@@ -13,7 +13,7 @@ import { launchFirefox, cleanupFirefox } from './firefox.js';
 import { createCDP } from './cdp.js';
 import { createBiDi } from './bidi.js';
 import { createFirefoxPage } from './firefox-page.js';
-import { formatTree } from './aria.js';
+import { formatTree, treeToJSON, formatMarkdown } from './aria.js';
 import { authenticate } from './auth.js';
 import { prune as pruneTree } from './prune.js';
 import { click as cdpClick, type as cdpType, scroll as cdpScroll, press as cdpPress, hover as cdpHover, select as cdpSelect, drag as cdpDrag, upload as cdpUpload } from './interact.js';
@@ -26,9 +26,23 @@ import { waitForNetworkIdle } from './network-idle.js';
 import { decideDialog, dialogLogEntry } from './dialog.js';
 import { isChallengePage } from './challenge.js';
 import { readable as extractReadable } from './readable.js';
+import { formatSnapshotDiff, diffMode, DIFF_FALLBACK_NOTE } from './snapshot-diff.js';
+import { findNodes } from './find.js';
+import { scrollUntil } from './scroll-until.js';
+import { readForms, fillForm, FIELD_FACTS_FN } from './forms.js';
+import { rankActions } from './actions.js';
+import { annotatedScreenshot, quadBox } from './annotate.js';
+import { recordActions } from './record.js';
+import { traceActions } from './trace.js';
+import { createRouter } from './route.js';
+import { createHarRecorder, recordCdpHar } from './har.js';
+import { createCapture, captureCdp } from './capture.js';
+import { readHar, harReplayHandler } from './har-replay.js';
 import { assertNavigable, assertUploadAllowed } from './url-guard.js';
+import { createRefRegistry, resolveCdpRef, subtreeAt } from './refs.js';
+import { readStorageState, stateOrigins, seedOriginsCDP, collectExpression, buildState, writeStorageState } from './storage-state.js';
+import { createBrowsePool } from './pool.js';
 import { join as pathJoin } from 'node:path';
-import { chmodSync } from 'node:fs';
 
 /**
  * Browse a URL and return an ARIA snapshot.
@@ -58,9 +72,19 @@ import { chmodSync } from 'node:fs';
  * @param {string} [opts.browser] - Source browser for cookie extraction.
  * @param {boolean} [opts.consent=true] - Auto-dismiss cookie consent dialogs.
  * @param {'act'|'browse'|'navigate'|'full'|'read'} [opts.pruneMode='act'] - Pruning mode.
- * @returns {Promise<string>} ARIA snapshot text
+ * @param {string} [opts.focus] - The agent's current goal ("shipping address
+ *   form"): prune keeps the branches relevant to it and drops the rest.
+ * @param {'text'|'json'|'markdown'} [opts.format='text'] - 'json' returns
+ *   `{ url, tree }` with SnapshotNode objects instead of text; 'markdown'
+ *   renders the tree as Markdown.
+ * @param {ReturnType<typeof createBrowsePool>} [opts.pool] - Serve the call from
+ *   a warm browser of this pool instead of launching one (see pool.js). The
+ *   pool's own options then decide the browser (engine, proxy, blocking, …).
+ * @returns {Promise<any>} ARIA snapshot text, or `{ url, tree }` for format 'json'
  */
 export async function browse(url, opts = {}) {
+  if (opts.pool) return opts.pool.browse(url, opts);
+
   const mode = opts.mode || 'headless';
   const timeout = opts.timeout || 30000;
   // Skip all auth injection when incognito (or the legacy cookies:false).
@@ -138,19 +162,23 @@ export async function browse(url, opts = {}) {
 
     // Step 6: Prune for agent consumption
     const raw = formatTree(tree);
+    const pruned = opts.prune !== false
+      ? pruneTree(tree, { mode: opts.pruneMode || 'act', context: opts.focus })
+      : tree;
     let snapshot;
-    if (opts.prune !== false) {
-      const pruned = pruneTree(tree, { mode: opts.pruneMode || 'act' });
-      snapshot = formatTree(pruned);
+    if (opts.format === 'json') {
+      snapshot = { url, tree: treeToJSON(pruned) };
+    } else if (opts.format === 'markdown') {
+      snapshot = `url: ${url}\n\n` + formatMarkdown(pruned);
     } else {
-      snapshot = raw;
+      const out = formatTree(pruned);
+      const stats = `url: ${url}\n${raw.length.toLocaleString()} chars → ${out.length.toLocaleString()} chars (${Math.round((1 - out.length / raw.length) * 100)}% pruned)`;
+      const actMode = !opts.pruneMode || opts.pruneMode === 'act';
+      const hint = (actMode && raw.length > 5000 && out.length < 500 && out.length < raw.length * 0.05)
+        ? `hint: act mode dropped most of the page — retry with pruneMode='read' for paragraphs and long text\n`
+        : '';
+      snapshot = stats + '\n' + hint + out;
     }
-    const stats = `url: ${url}\n${raw.length.toLocaleString()} chars → ${snapshot.length.toLocaleString()} chars (${Math.round((1 - snapshot.length / raw.length) * 100)}% pruned)`;
-    const actMode = !opts.pruneMode || opts.pruneMode === 'act';
-    const hint = (actMode && raw.length > 5000 && snapshot.length < 500 && snapshot.length < raw.length * 0.05)
-      ? `hint: act mode dropped most of the page — retry with pruneMode='read' for paragraphs and long text\n`
-      : '';
-    snapshot = stats + '\n' + hint + snapshot;
 
     // Step 7: Clean up
     await cdp.send('Target.closeTarget', { targetId: page.targetId });
@@ -198,7 +226,9 @@ export async function browse(url, opts = {}) {
  * @param {{width: number, height: number}} [opts.viewport] - Viewport dimensions.
  * @param {boolean} [opts.consent=true] - Auto-dismiss cookie consent dialogs.
  * @param {string} [opts.storageState] - Path to a storage-state JSON file
- *   (cookies + localStorage) to load before navigation.
+ *   (from saveState()) to load before navigation: cookies, plus each saved
+ *   origin's localStorage/sessionStorage/IndexedDB, seeded into the first
+ *   document of that origin. Honored on both engines.
  * @param {boolean} [opts.incognito=false] - Clean, unauthenticated session:
  *   skip storageState loading and make injectCookies() a no-op, so no auth
  *   ever enters the session even if a caller injects unconditionally.
@@ -206,14 +236,38 @@ export async function browse(url, opts = {}) {
  * @param {'chromium'|'firefox'} [opts.engine='chromium'] - Browser engine.
  *   'firefox' drives over WebDriver BiDi (a separate transport / page object);
  *   'chromium' (default) uses CDP.
+ * @param {string} [opts.replayHar] - Path to a HAR file (from page.har()) to
+ *   serve every request from instead of the network, via a catch-all route.
+ *   Routes added with route() still take precedence, and unroute() leaves
+ *   replay in place. Honored on both engines.
+ * @param {'fail'|'passthrough'} [opts.replayHarMiss='fail'] - What replayHar
+ *   does with a request the file has no entry for: fail it (hermetic), or let
+ *   it go to the network.
+ * @param {boolean} [opts.captureConsole=false] - Capture console messages
+ *   from the start. Otherwise capture starts on the first page.on('console')
+ *   or read of page.consoleLogs: on Chromium it needs Runtime.enable, which
+ *   pages can detect as automation. Firefox always captures.
+ * @param {string} [opts.record] - Record the main page's goto/click/type/
+ *   press/select/upload to this JSONL file, each ref step with a durable
+ *   locator, for replay() (record.js). The file is truncated first.
+ * @param {string} [opts.trace] - Trace the main page's actions into a new
+ *   archive in this directory (trace-<time>.jsonl): per action, snapshots
+ *   before and after, a screenshot, console/network entries, dialogs and
+ *   timings (trace.js). View it with writeTraceViewer() or
+ *   `barebrowse trace view`.
  * @returns {Promise<object>} Page handle with goto, snapshot, close
  */
 export async function connect(opts = {}) {
+  // Read the HAR up front so a bad path fails before a browser is launched.
+  const replay = opts.replayHar
+    ? harReplayHandler(readHar(opts.replayHar), { miss: opts.replayHarMiss })
+    : null;
+
   // Firefox is driven over WebDriver BiDi (CDP is deprecated there) — a
   // separate transport with its own page object. It reuses prune.js/aria.js/
   // readable.js but none of the CDP page machinery below, so branch early.
   if (opts.engine === 'firefox') {
-    return connectFirefox(opts);
+    return connectFirefox(opts, replay);
   }
 
   const mode = opts.mode || 'headless';
@@ -263,9 +317,40 @@ export async function connect(opts = {}) {
     blockAds: opts.blockAds !== undefined ? opts.blockAds : !attachMode,
     blockUrls: opts.blockUrls,
   };
-  let page = await createPage(cdp, !currentlyHeaded, pageOpts);
-  let refMap = new Map();
-  let botBlocked = false;
+
+  // Per-tab state. The main page and every createTab() handle own their refs,
+  // snapshot-diff baseline, bot verdict, dialogs, downloads, HAR, capture and
+  // routes; only the browser connection (`cdp`) is shared. `target` is the
+  // createPage() handle, swapped on the main tab by hybrid relaunch/switchTab.
+  // A newContext() tab also carries its browser context and incognito flag.
+  /** @param {{browserContextId?: ?string, incognito?: boolean}} [ctx] */
+  function newTab(target, ctx = {}) {
+    return {
+      target,
+      browserContextId: ctx.browserContextId || null,
+      incognito: ctx.incognito ?? incognito,
+      // Stable refs (refs.js): an element keeps its ref across snapshots while
+      // it stays in the DOM; refs never get reused for a different element.
+      refs: createRefRegistry(),
+      // The previous snapshot's pruned tree, for snapshot({ diff: true }).
+      lastSnapshot: null,
+      botBlocked: false,
+      dialogLog: [],
+      onDialog: null,
+      downloads: [],
+      // HAR recording (page.har). Always on and bounded (har.js), so a failed
+      // run can be exported after the fact.
+      har: createHarRecorder(),
+      // Console + network capture (page.consoleLogs/networkLog/on), bounded.
+      capture: createCapture(),
+      // HAR replay answers whatever no page.route() did, unroute() or not.
+      router: createRouter({ fallback: replay }),
+      routedSessions: new Set(), // sessionIds with a requestPaused listener
+    };
+  }
+  const main = newTab(await createPage(cdp, !currentlyHeaded, pageOpts));
+  if (opts.captureConsole) main.capture.wantConsole();
+  const openTabs = new Set(); // live createTab() tabs
 
   // Suppress permission prompts. Skipped in attach mode — Browser.setPermission
   // is browser-wide (no origin scope here), so flipping permissions to denied
@@ -274,17 +359,24 @@ export async function connect(opts = {}) {
     await suppressPermissions(cdp);
   }
 
-  // Load storage state (cookies + localStorage) from file.
-  // Skipped under incognito — storageState is an auth source too.
-  if (opts.storageState && !incognito) {
-    try {
-      const { readFileSync } = await import('node:fs');
-      const state = JSON.parse(readFileSync(opts.storageState, 'utf8'));
-      if (state.cookies?.length) {
-        await page.session.send('Network.setCookies', { cookies: state.cookies });
-      }
-    } catch { /* file not found or invalid — continue without */ }
+  // Load storage state (cookies + per-origin web storage) from file.
+  // Skipped under incognito — storageState is an auth source too. A missing or
+  // invalid file reads as null and the session continues without it.
+  const storageState = opts.storageState && !incognito ? readStorageState(opts.storageState) : null;
+  // Applied to every fresh page — the initial one and each hybrid relaunch,
+  // which starts a new profile with an empty jar — and, with its own state, to
+  // the first tab of each newContext(). The page session writes into the
+  // page's browser context.
+  async function applyStorageState(p, state = storageState) {
+    if (!state) return;
+    if (state.cookies?.length) {
+      try {
+        await p.session.send('Network.setCookies', { cookies: state.cookies });
+      } catch { /* malformed cookie list — continue without */ }
+    }
+    try { await seedOriginsCDP(p.session, stateOrigins(state)); } catch { /* best-effort */ }
   }
+  await applyStorageState(main.target);
 
   // Download tracking — wire Browser.setDownloadBehavior so files actually
   // land on disk (default Chromium would route them to ~/Downloads or
@@ -292,10 +384,12 @@ export async function connect(opts = {}) {
   // downloadProgress so callers can read `page.downloads` to know what
   // arrived. In attach mode we don't change the user's running browser's
   // download dir — they almost certainly have an existing preference.
-  const downloads = [];
+  // The events are browser-wide; a download is filed under the tab whose
+  // main frame started it, else the main page.
   let ownedDownloadDir = null;
+  let downloadPath = null;
   if (!attachMode) {
-    let downloadPath = opts.downloadPath;
+    downloadPath = opts.downloadPath;
     if (!downloadPath) {
       const { mkdtempSync } = await import('node:fs');
       const { tmpdir } = await import('node:os');
@@ -308,7 +402,8 @@ export async function connect(opts = {}) {
     // window is microscopic in practice, but ordering it correctly costs
     // nothing.
     cdp.on('Browser.downloadWillBegin', (params) => {
-      downloads.push({
+      const tab = [...openTabs].find((t) => t.target.targetId === params.frameId) || main;
+      tab.downloads.push({
         guid: params.guid,
         url: params.url,
         suggestedFilename: params.suggestedFilename,
@@ -319,24 +414,32 @@ export async function connect(opts = {}) {
       });
     });
     cdp.on('Browser.downloadProgress', (params) => {
-      const d = downloads.find((x) => x.guid === params.guid);
+      const d = [main, ...openTabs].flatMap((t) => t.downloads).find((x) => x.guid === params.guid);
       if (!d) return;
       d.state = params.state; // 'inProgress' | 'completed' | 'canceled'
       d.totalBytes = params.totalBytes;
       d.receivedBytes = params.receivedBytes;
     });
+    await allowDownloads();
+  }
+
+  // Browser.setDownloadBehavior is per browser context: the default one here,
+  // each newContext() its own. No-op in attach mode (no downloadPath).
+  async function allowDownloads(browserContextId) {
+    if (!downloadPath) return;
+    const scope = browserContextId ? { browserContextId } : {};
     try {
       // 'allowAndName' names saved files by guid for a stable, predictable
       // path; the suggested filename is still surfaced on the download record.
       await cdp.send('Browser.setDownloadBehavior', {
-        behavior: 'allowAndName', downloadPath, eventsEnabled: true,
+        behavior: 'allowAndName', downloadPath, eventsEnabled: true, ...scope,
       });
     } catch {
       // Older Chrome may not accept 'allowAndName' — fall back to 'allow'
       // which uses the suggested filename verbatim (no GUID).
       try {
         await cdp.send('Browser.setDownloadBehavior', {
-          behavior: 'allow', downloadPath, eventsEnabled: true,
+          behavior: 'allow', downloadPath, eventsEnabled: true, ...scope,
         });
       } catch {
         // Download capture unavailable on this Chrome — downloads still
@@ -350,73 +453,599 @@ export async function connect(opts = {}) {
   // can install a custom decision via page.onDialog(handler) — the handler
   // gets { type, message, defaultPrompt } and may return
   // { accept: bool, promptText: string } to override.
-  const dialogLog = [];
-  let onDialogHandler = null;
-  function setupDialogHandler(session) {
+  function setupDialogHandler(tab, session) {
     session.on('Page.javascriptDialogOpening', async (params) => {
-      dialogLog.push(dialogLogEntry(params.type, params.message));
+      tab.dialogLog.push(dialogLogEntry(params.type, params.message));
       const { accept, promptText } = await decideDialog(
         { type: params.type, message: params.message, defaultPrompt: params.defaultPrompt },
-        onDialogHandler,
+        tab.onDialog,
       );
-      await session.send('Page.handleJavaScriptDialog', { accept, promptText });
+      try {
+        await session.send('Page.handleJavaScriptDialog', { accept, promptText });
+      } catch {
+        // Already answered — another handle's session on the same target
+        // (switchTab onto a createTab() tab) got there first — or it closed.
+      }
+    });
+  }
+
+  /**
+   * Wire a tab's listeners onto its current target: dialogs, ref
+   * invalidation, HAR, capture and routes. Run for every new target — the
+   * main page's first, each hybrid relaunch and switchTab, each createTab().
+   */
+  async function wireTab(tab) {
+    const { session } = tab.target;
+    setupDialogHandler(tab, session);
+    // A main-frame navigation loads a new document — often in a new renderer
+    // whose backendNodeIds restart — so drop the node→ref mapping whenever one
+    // commits, including navigations the page starts itself (link clicks, form
+    // posts). Same-document (pushState) navigations keep their refs.
+    session.on('Page.frameNavigated', ({ frame }) => {
+      if (!frame.parentId) tab.refs.reset();
+    });
+    recordCdpHar(session, tab.har, () => tab.target.targetId);
+    // OOPIF requests arrive on the frame's own session, where Network starts
+    // off; same-origin frames share the page's session.
+    const recordFrame = (frameSession) => {
+      recordCdpHar(frameSession, tab.har, null);
+      frameSession.send('Network.enable').catch(() => {});
+    };
+    session.on('Target.attachedToTarget', (params) => {
+      if (params.targetInfo?.type === 'iframe') recordFrame(cdp.session(params.sessionId));
+    });
+    for (const frame of tab.target.framesByFrameId.values()) recordFrame(frame.session);
+    await captureCdp(session, tab.capture);
+    if (tab.router.patterns.length) await routePage(tab);
+  }
+
+  // Request routing (page.route). Requests matching a route pattern pause in
+  // the Fetch domain and the tab's router (route.js) decides whether they
+  // continue, abort or get a mocked response. Fetch is per target, so the page
+  // and each of its OOPIF frames is enabled with the current patterns.
+  async function routeSession(tab, session, sessionId) {
+    if (!tab.routedSessions.has(sessionId)) {
+      tab.routedSessions.add(sessionId);
+      session.on('Fetch.requestPaused', (params) => answerPaused(tab, session, params));
+    }
+    const patterns = tab.router.patterns;
+    try {
+      if (patterns.length) {
+        await session.send('Fetch.enable', {
+          patterns: patterns.map((urlPattern) => ({ urlPattern, requestStage: 'Request' })),
+        });
+      } else {
+        await session.send('Fetch.disable');
+      }
+    } catch {
+      // Frame session detached meanwhile — nothing left to route.
+    }
+  }
+  async function routePage(tab) {
+    const { target } = tab;
+    if (!tab.routedSessions.has(target.sessionId)) {
+      // Frames that attach later get the patterns in force at that moment.
+      target.session.on('Target.attachedToTarget', (params) => {
+        if (params.targetInfo?.type !== 'iframe' || !tab.router.patterns.length) return;
+        routeSession(tab, cdp.session(params.sessionId), params.sessionId);
+      });
+    }
+    await routeSession(tab, target.session, target.sessionId);
+    for (const frame of target.framesByFrameId.values()) await routeSession(tab, frame.session, frame.sessionId);
+  }
+  async function answerPaused(tab, session, { requestId, request, resourceType }) {
+    const decision = await tab.router.decide({
+      url: request.url, method: request.method, headers: request.headers, postData: request.postData, resourceType,
+    });
+    try {
+      if (decision.action === 'abort') {
+        await session.send('Fetch.failRequest', { requestId, errorReason: 'Failed' });
+      } else if (decision.action === 'fulfill') {
+        await session.send('Fetch.fulfillRequest', {
+          requestId, responseCode: decision.status, responseHeaders: decision.headers, body: decision.body,
+        });
+      } else {
+        const { action, ...overrides } = decision;
+        await session.send('Fetch.continueRequest', { requestId, ...overrides });
+      }
+    } catch {
+      // The request is gone — a navigation cancelled it or the target closed.
+    }
+  }
+  await wireTab(main);
+
+  /**
+   * Open a tab — in the default browser context, or a newContext() one — and
+   * wrap it in a page handle whose goto() never relaunches and whose close()
+   * closes just that tab.
+   * @param {{browserContextId?: string, incognito?: boolean}} [ctx]
+   */
+  async function openTab(ctx = {}) {
+    const tabPageOpts = ctx.browserContextId ? { ...pageOpts, browserContextId: ctx.browserContextId } : pageOpts;
+    const tab = newTab(await createPage(cdp, !currentlyHeaded, tabPageOpts), ctx);
+    await suppressPermissions(cdp, ctx.browserContextId);
+    openTabs.add(tab);
+    await wireTab(tab);
+    const handle = Object.assign(tabHandle(tab), {
+      async goto(url, timeout = 30000) {
+        assertNavigable(url, urlGuard);
+        tab.refs.reset();
+        await gotoTab(tab, url, timeout);
+      },
+      async close() {
+        openTabs.delete(tab);
+        await cdp.send('Target.closeTarget', { targetId: tab.target.targetId });
+      },
     });
+    return { tab, handle };
   }
-  setupDialogHandler(page.session);
 
-  return {
+  /** Navigate a tab, dismiss consent, and record whether it hit a bot challenge. */
+  async function gotoTab(tab, url, timeout) {
+    await navigate(tab.target, url, timeout);
+    if (opts.consent !== false) {
+      await dismissConsent(tab.target.session);
+    }
+    const { tree, nodeCount } = await ariaTree(tab.target, tab.refs);
+    tab.botBlocked = isChallengePage(tree, nodeCount);
+  }
+
+  /**
+   * The page API over one tab. Shared by the main page and createTab()
+   * handles; goto/tabs/switchTab/createTab/close are added per kind, since
+   * only the main page may relaunch or swap its target.
+   */
+  function tabHandle(tab) {
+    const handle = {
+      async goBack() {
+        const { currentIndex, entries } = await tab.target.session.send('Page.getNavigationHistory');
+        if (currentIndex <= 0) throw new Error('No previous page in history');
+        const loadPromise = tab.target.session.once('Page.loadEventFired', 30000);
+        await tab.target.session.send('Page.navigateToHistoryEntry', { entryId: entries[currentIndex - 1].id });
+        try { await loadPromise; } catch { await new Promise((r) => setTimeout(r, 500)); }
+        tab.refs.reset(); // refs from the previous page are now invalid
+      },
+
+      async goForward() {
+        const { currentIndex, entries } = await tab.target.session.send('Page.getNavigationHistory');
+        if (currentIndex >= entries.length - 1) throw new Error('No next page in history');
+        const loadPromise = tab.target.session.once('Page.loadEventFired', 30000);
+        await tab.target.session.send('Page.navigateToHistoryEntry', { entryId: entries[currentIndex + 1].id });
+        try { await loadPromise; } catch { await new Promise((r) => setTimeout(r, 500)); }
+        tab.refs.reset();
+      },
+
+      async reload(reloadOpts = {}) {
+        const timeout = reloadOpts.timeout || 30000;
+        const loadPromise = tab.target.session.once('Page.loadEventFired', timeout);
+        await tab.target.session.send('Page.reload', {
+          ignoreCache: !!reloadOpts.ignoreCache,
+        });
+        try { await loadPromise; } catch { await new Promise((r) => setTimeout(r, 500)); }
+        tab.refs.reset(); // refs from the pre-reload page are invalid
+      },
+
+      async injectCookies(url, cookieOpts) {
+        // No-op under incognito: callers (MCP goto, daemon) inject unconditionally,
+        // so the gate has to live here, not just at the call site.
+        if (tab.incognito) return 0;
+        return authenticate(tab.target.session, url, { browser: cookieOpts?.browser });
+      },
+
+      /**
+       * ARIA snapshot of the current page. `false` returns the raw tree.
+       * `{ diff: true }` returns only what changed since the previous snapshot
+       * of the same document and prune mode (snapshot-diff.js), falling back to
+       * the full tree with a note when there's nothing to compare against.
+       * `{ focus: 'shipping address form' }` drops the branches that aren't
+       * relevant to that goal (prune.js context filtering). `format: 'json'`
+       * returns `{ url, tree }` with the pruned tree as SnapshotNode objects;
+       * `format: 'markdown'` renders it as Markdown. `diff` applies to the
+       * default text format only. `root: ref` snapshots only the subtree under
+       * that element (a dialog, form, results list — or an iframe, whose
+       * placeholder holds the frame's tree). The whole tree is still built;
+       * only pruning and output are scoped.
+       * @param {false|{mode?: 'act'|'browse'|'navigate'|'full'|'read', diff?: boolean, focus?: string, format?: 'text'|'json'|'markdown', root?: string|number}} [pruneOpts]
+       * @returns {Promise<any>} Snapshot text, or `{ url, tree }` for format 'json'
+       */
+      async snapshot(pruneOpts) {
+        const result = await ariaTree(tab.target, tab.refs);
+        const root = (pruneOpts && pruneOpts.root) || undefined;
+        const tree = root ? subtreeAt(result.tree, root, tab.refs.issued(root)) : result.tree;
+        const raw = formatTree(tree);
+        const { currentIndex, entries } = await tab.target.session.send('Page.getNavigationHistory');
+        const pageUrl = entries[currentIndex]?.url || '';
+        const warn = tab.botBlocked ? '[BOT CHALLENGE DETECTED — page content may be incomplete or blocked]\n' : '';
+        const mode = (pruneOpts && pruneOpts.mode) || 'act';
+        const focus = (pruneOpts && pruneOpts.focus) || '';
+        const pruned = pruneOpts === false ? tree : pruneTree(tree, { mode, context: focus, subtree: !!root });
+        const prev = tab.lastSnapshot;
+        tab.lastSnapshot = { document: `${tab.target.targetId}:${tab.refs.generation}`, mode: pruneOpts === false ? 'raw' : diffMode(mode, focus, root), tree: pruned };
+        const format = (pruneOpts && pruneOpts.format) || 'text';
+        if (format === 'json') return { url: pageUrl, ...(tab.botBlocked && { botChallenge: true }), tree: treeToJSON(pruned) };
+        if (format === 'markdown') return `url: ${pageUrl}\n` + warn + '\n' + formatMarkdown(pruned);
+        const diff = pruneOpts && pruneOpts.diff ? formatSnapshotDiff(prev, tab.lastSnapshot) : null;
+        if (diff !== null) return `url: ${pageUrl}\n` + warn + diff;
+        const note = pruneOpts && pruneOpts.diff ? DIFF_FALLBACK_NOTE + '\n' : '';
+        if (pruneOpts === false) return `url: ${pageUrl}\n` + warn + raw;
+        const out = formatTree(pruned);
+        const stats = `url: ${pageUrl}\n${raw.length.toLocaleString()} chars → ${out.length.toLocaleString()} chars`
+          + ` (${raw.length ? Math.round((1 - out.length / raw.length) * 100) : 0}% pruned)`;
+        const hint = (mode === 'act' && raw.length > 5000 && out.length < 500 && out.length < raw.length * 0.05)
+          ? `hint: act mode dropped most of the page — retry with pruneMode='read' for paragraphs and long text\n`
+          : '';
+        return stats + '\n' + note + hint + warn + out;
+      },
+
+      /**
+       * Find elements by role, name or text in the full AX tree (find.js) —
+       * refs plus ancestor path and context, instead of a whole snapshot.
+       * @param {import('./find.js').FindQuery} query
+       * @returns {Promise<import('./find.js').FindMatch[]>}
+       */
+      async find(query) {
+        const { tree } = await ariaTree(tab.target, tab.refs);
+        return findNodes(tree, query);
+      },
+
+      // Clean article text (Firefox Reader View engine), for reading/summarising
+      // — not for interacting. Returns { ok:false, hint } on non-article pages.
+      // See readable.js for why this never hard-gates on article detection.
+      async readable() {
+        return extractReadable(tab.target.session);
+      },
+
+      /**
+       * The page's top interactions, ranked by prominence, landmark,
+       * visibility and match with `goal` (actions.js) — a short list to
+       * pick from instead of a whole snapshot.
+       * @param {import('./actions.js').ActionsQuery} [query]
+       * @returns {Promise<import('./actions.js').Action[]>}
+       */
+      async actions(query) {
+        const { tree } = await ariaTree(tab.target, tab.refs);
+        // Without geometry every element scores neutral on visibility.
+        const geometry = tree && await cdpGeometry(tab.target.session, tab.refs, tree).catch(() => null);
+        return rankActions(tree, query, geometry);
+      },
+
+      /**
+       * Every form on the page with its fields: label, type, purpose
+       * (email, postal-code, card-number, …), required, value, validation
+       * state (forms.js).
+       * @returns {Promise<import('./forms.js').Form[]>}
+       */
+      async forms() {
+        const { tree } = await ariaTree(tab.target, tab.refs);
+        return readForms(tree, (ref) => cdpFieldFacts(tab.refs, ref));
+      },
+
+      /**
+       * Fill a form by field purpose, name or label — types, selects and
+       * checks in one call, then returns the re-read form (forms.js).
+       * @param {?string} formRef - From forms(); null picks the best-matching form
+       * @param {object} values - e.g. `{ email, password, address: { city, zip } }`
+       */
+      async fillForm(formRef, values) {
+        // Through the handle's own type/select/click, as on Firefox, so
+        // connect({ record, trace }) sees each field.
+        return fillForm({
+          forms: () => handle.forms(),
+          type: (ref, text) => handle.type(ref, text, { clear: true }),
+          select: (ref, value) => handle.select(ref, value),
+          click: (ref) => handle.click(ref),
+        }, formRef, values);
+      },
+
+      async click(ref) {
+        const entry = await resolveCdpRef(tab.refs, ref);
+        await cdpClick(entry.session, entry.backendNodeId);
+      },
+
+      async type(ref, text, typeOpts) {
+        const entry = await resolveCdpRef(tab.refs, ref);
+        await cdpType(entry.session, entry.backendNodeId, text, typeOpts);
+      },
+
+      async scroll(deltaY) {
+        await cdpScroll(tab.target.session, deltaY);
+      },
+
+      /**
+       * Scroll, wait for network idle and merge the new AX nodes, until a
+       * stop condition holds — one deduplicated snapshot of an infinite
+       * feed (scroll-until.js).
+       * @param {import('./scroll-until.js').ScrollUntilOpts} [scrollOpts]
+       * @returns {Promise<any>} Snapshot text, or `{ url, scrolls, stopped, tree }` for format 'json'
+       */
+      async scrollUntil(scrollOpts) {
+        return scrollUntil({
+          scroll: (deltaY) => cdpScroll(tab.target.session, deltaY),
+          idle: (idleOpts) => waitForNetworkIdle(tab.target.session, idleOpts),
+          tree: async (mode) => {
+            const { tree } = await ariaTree(tab.target, tab.refs);
+            return tree && pruneTree(tree, { mode });
+          },
+          url: async () => {
+            const { currentIndex, entries } = await tab.target.session.send('Page.getNavigationHistory');
+            return entries[currentIndex]?.url || '';
+          },
+        }, scrollOpts);
+      },
+
+      async press(key) {
+        await cdpPress(tab.target.session, key);
+      },
+
+      async hover(ref) {
+        const entry = await resolveCdpRef(tab.refs, ref);
+        await cdpHover(entry.session, entry.backendNodeId);
+      },
+
+      async select(ref, value) {
+        const entry = await resolveCdpRef(tab.refs, ref);
+        await cdpSelect(entry.session, entry.backendNodeId, value);
+      },
+
+      async drag(fromRef, toRef) {
+        const from = await resolveCdpRef(tab.refs, fromRef);
+        const to = await resolveCdpRef(tab.refs, toRef);
+        // Drag across different frames isn't physically meaningful — bail
+        // rather than mix sessions and produce nonsense coordinates.
+        if (from.session !== to.session) {
+          throw new Error('drag() between elements in different frames is not supported');
+        }
+        await cdpDrag(from.session, from.backendNodeId, to.backendNodeId);
+      },
+
+      async upload(ref, files) {
+        const entry = await resolveCdpRef(tab.refs, ref);
+        // Upload sandbox: when uploadDir is set, every path must resolve
+        // (symlinks included, via realpath) inside it. Stops a prompt-injected
+        // agent from attaching ~/.ssh/id_rsa or other arbitrary local files.
+        assertUploadAllowed(files, uploadDir);
+        await cdpUpload(entry.session, entry.backendNodeId, files);
+      },
+
+      async pdf(pdfOpts = {}) {
+        const { data } = await tab.target.session.send('Page.printToPDF', {
+          landscape: pdfOpts.landscape || false,
+          printBackground: true,
+        });
+        return data; // base64
+      },
+
+      async waitFor(waitOpts = {}) {
+        const timeout = waitOpts.timeout || 30000;
+        const interval = 200;
+        const deadline = Date.now() + timeout;
+
+        while (Date.now() < deadline) {
+          if (waitOpts.text) {
+            const { result } = await tab.target.session.send('Runtime.evaluate', {
+              expression: 'document.body?.innerText || ""',
+              returnByValue: true,
+            });
+            if (result.value && result.value.includes(waitOpts.text)) return;
+          }
+          if (waitOpts.selector) {
+            const { result } = await tab.target.session.send('Runtime.evaluate', {
+              expression: `!!document.querySelector(${JSON.stringify(waitOpts.selector)})`,
+              returnByValue: true,
+            });
+            if (result.value) return;
+          }
+          await new Promise((r) => setTimeout(r, interval));
+        }
+        throw new Error(`waitFor timed out after ${timeout}ms`);
+      },
+
+      /**
+       * Persist cookies + per-origin localStorage/sessionStorage to a 0600 JSON
+       * file that `connect({ storageState })` restores. Storage is collected from
+       * the main frame and every OOPIF session, keyed by origin.
+       * @param {string} filePath
+       * @param {{indexedDB?: boolean}} [saveOpts] - indexedDB: also dump IndexedDB (best-effort JSON)
+       */
+      async saveState(filePath, saveOpts = {}) {
+        const { cookies } = await tab.target.session.send('Network.getAllCookies');
+        const expression = collectExpression(!!saveOpts.indexedDB);
+        const collect = async (session) => {
+          try {
+            const { result } = await session.send('Runtime.evaluate', {
+              expression, awaitPromise: true, returnByValue: true,
+            });
+            return result?.value ?? null;
+          } catch { return null; } // frame detached mid-save
+        };
+        const raw = [await collect(tab.target.session)];
+        for (const { session } of tab.target.framesByFrameId.values()) raw.push(await collect(session));
+        const topOrigin = raw[0] ? JSON.parse(raw[0]).origin : null;
+        writeStorageState(filePath, buildState(cookies, raw, topOrigin));
+      },
+
+      get botBlocked() { return tab.botBlocked; },
+
+      dialogLog: tab.dialogLog,
+
+      /**
+       * Install a custom JS dialog handler. The handler is called with
+       * `{ type, message, defaultPrompt }` and may return (sync or async)
+       * `{ accept: bool, promptText: string }` to override the auto-accept
+       * default. Pass null to restore the default behavior.
+       */
+      onDialog(handler) {
+        tab.onDialog = handler;
+      },
+
+      /**
+       * Intercept requests whose URL matches `pattern` — a CDP-format glob, as
+       * in `blockUrls`. The handler gets `{ url, method, headers, postData,
+       * resourceType }` and may return (sync or async) `{ action: 'continue',
+       * url?, method?, headers?, postData? }`, `{ action: 'abort' }` or
+       * `{ action: 'fulfill', status?, headers?, contentType?, body? }`.
+       * Returning nothing falls through to the previously registered matching
+       * route, then the network. Routes survive navigation, tab switches and a
+       * hybrid relaunch.
+       * @param {string} pattern
+       * @param {import('./route.js').RouteHandler} handler
+       */
+      async route(pattern, handler) {
+        tab.router.add(pattern, handler);
+        await routePage(tab);
+      },
+
+      /** Remove the routes registered for `pattern`, or every route when omitted. */
+      async unroute(pattern) {
+        tab.router.remove(pattern);
+        await routePage(tab);
+      },
+
+      /**
+       * The session's network traffic as a HAR 1.2 log: headers, timings,
+       * sizes, one entry per redirect hop, failures as status 0 with `_error`.
+       * `content: true` adds response bodies (Network.getResponseBody,
+       * best-effort — an evicted body is left out).
+       * @param {{content?: boolean}} [harOpts]
+       */
+      async har(harOpts) {
+        return tab.har.toHAR(harOpts);
+      },
+
+      /**
+       * Captured console messages, oldest first (ring buffer, newest 1000).
+       * The first read starts console capture (Runtime.enable, capture.js).
+       */
+      get consoleLogs() {
+        tab.capture.wantConsole();
+        return tab.capture.consoleLogs;
+      },
+
+      /** Finished and failed requests, oldest first (ring buffer, newest 1000). */
+      networkLog: tab.capture.networkLog,
+
+      /**
+       * Subscribe to 'console', 'request', 'response' or 'requestfailed'. The
+       * callback gets the same entry consoleLogs/networkLog record ('request'
+       * has no status yet). Returns an unsubscribe function.
+       * @param {string} event
+       * @param {(entry: object) => void} callback
+       * @returns {() => void}
+       */
+      on(event, callback) {
+        return tab.capture.on(event, callback);
+      },
+
+      downloads: tab.downloads,
+
+      /**
+       * Screenshot of the viewport, base64. `fullPage: true` captures the
+       * whole document beyond the viewport; `ref` clips to that element's
+       * box (scrolled into view first). `maxWidth` downscales the image to
+       * at most that many pixels wide (never up). With `annotate: true`,
+       * every interactive element in the shot is boxed and labelled with its
+       * ref, and the result is `{ data, refs }` with each ref's box in CSS
+       * pixels (annotate.js).
+       * @param {{format?: 'png'|'jpeg'|'webp', quality?: number, annotate?: boolean, ref?: string, fullPage?: boolean, maxWidth?: number}} [screenshotOpts]
+       * @returns {Promise<any>} base64 string, or `{ data, refs }` when annotating
+       */
+      async screenshot(screenshotOpts = {}) {
+        const session = tab.target.session;
+        const format = screenshotOpts.format || 'png';
+        const params = { format };
+        if (format === 'jpeg' || format === 'webp') {
+          params.quality = screenshotOpts.quality || 80;
+        }
+        const region = await cdpShotRegion(session, tab.refs, screenshotOpts);
+        if (region) {
+          params.captureBeyondViewport = true;
+          params.clip = { ...region, scale: 1 };
+        }
+        if (screenshotOpts.maxWidth !== undefined) {
+          const scaled = await cdpShotScale(session, region, screenshotOpts.maxWidth);
+          if (scaled) params.clip = scaled;
+        }
+        const capture = async () => (await session.send('Page.captureScreenshot', params)).data;
+        if (!screenshotOpts.annotate) return capture();
+        return annotatedScreenshot({
+          tree: async () => (await ariaTree(tab.target, tab.refs)).tree,
+          boxes: (refs) => cdpBoxes(session, tab.refs, refs),
+          view: async () => {
+            const { cssVisualViewport: vv } = await session.send('Page.getLayoutMetrics');
+            return { width: vv.clientWidth, height: vv.clientHeight, scrollX: vv.pageX, scrollY: vv.pageY };
+          },
+          evaluate: (expression) => session.send('Runtime.evaluate', { expression }),
+          capture,
+        }, region);
+      },
+
+      async waitForNavigation(timeout = 30000) {
+        // Wait for loadEventFired (full page load). If it doesn't fire within
+        // timeout, fall back to frameNavigated (SPA pushState/replaceState).
+        try {
+          await tab.target.session.once('Page.loadEventFired', timeout);
+        } catch {
+          // Timeout — likely SPA nav with no load event. frameNavigated may
+          // have already fired. Give a settle delay for DOM updates.
+          await new Promise((r) => setTimeout(r, 500));
+        }
+      },
+
+      waitForNetworkIdle(idleOpts = {}) {
+        return waitForNetworkIdle(tab.target.session, idleOpts);
+      },
+
+      /** Raw CDP session for escape hatch — getter so it survives hybrid fallback / tab swaps */
+      get cdp() { return tab.target.session; },
+    };
+    return handle;
+  }
+
+  const page = Object.assign(tabHandle(main), {
     async goto(url, timeout = 30000) {
       assertNavigable(url, urlGuard);
-      // Refs from the previous page are about to become invalid — clear
-      // before navigating so a stale click(ref) errors clearly instead of
-      // silently resolving to whatever backendNodeId happens to still be in
-      // the map.
-      refMap = new Map();
+      // Refs from the previous page are about to become invalid — drop the
+      // mapping before navigating so a stale click(ref) errors as "element
+      // gone" instead of resolving to whatever node reuses its backendNodeId.
+      main.refs.reset();
       // Switch back to headless if we fell back to headed previously.
       // Not in attach mode — we never own the browser there, so there's
-      // nothing to rewind.
+      // nothing to rewind. Tabs from createTab() die with the old browser.
       if (currentlyHeaded && mode === 'hybrid' && !attachMode) {
-        await cdp.send('Target.closeTarget', { targetId: page.targetId });
+        await cdp.send('Target.closeTarget', { targetId: main.target.targetId });
         cdp.close();
         await cleanupBrowser(browser); browser = null;
+        openTabs.clear();
 
         browser = await launch(launchOpts);
         cdp = await createCDP(browser.wsUrl);
-        page = await createPage(cdp, true, pageOpts);
-        setupDialogHandler(page.session);
+        main.target = await createPage(cdp, true, pageOpts);
+        await wireTab(main);
         await suppressPermissions(cdp);
+        await applyStorageState(main.target);
         currentlyHeaded = false;
       }
 
-      await navigate(page, url, timeout);
-      if (opts.consent !== false) {
-        await dismissConsent(page.session);
-      }
-
-      // Check for bot challenge
-      const { tree, nodeCount } = await ariaTree(page);
-      botBlocked = isChallengePage(tree, nodeCount);
+      await gotoTab(main, url, timeout);
 
       // Hybrid fallback: if bot-blocked, retry with headed browser.
       // Suppressed in attach mode — we can't tear down the user's running
       // browser and we don't know what mode they started it in.
-      if (botBlocked && mode === 'hybrid' && !attachMode) {
-        await cdp.send('Target.closeTarget', { targetId: page.targetId });
+      if (main.botBlocked && mode === 'hybrid' && !attachMode) {
+        await cdp.send('Target.closeTarget', { targetId: main.target.targetId });
         cdp.close();
         await cleanupBrowser(browser); browser = null;
+        openTabs.clear();
 
         try {
           browser = await launch({ ...launchOpts, headed: true });
           cdp = await createCDP(browser.wsUrl);
-          page = await createPage(cdp, false, pageOpts);
-          setupDialogHandler(page.session);
+          main.target = await createPage(cdp, false, pageOpts);
+          await wireTab(main);
           await suppressPermissions(cdp);
-          await navigate(page, url, timeout);
-          if (opts.consent !== false) await dismissConsent(page.session);
-
+          await applyStorageState(main.target);
           // Re-check after headed fallback
-          const after = await ariaTree(page);
-          botBlocked = isChallengePage(after.tree, after.nodeCount);
+          await gotoTab(main, url, timeout);
           currentlyHeaded = true;
         } catch {
           // Headed launch failed (no display?) — keep headless result, botBlocked stays true
@@ -424,129 +1053,6 @@ export async function connect(opts = {}) {
       }
     },
 
-    async goBack() {
-      const { currentIndex, entries } = await page.session.send('Page.getNavigationHistory');
-      if (currentIndex <= 0) throw new Error('No previous page in history');
-      const loadPromise = page.session.once('Page.loadEventFired', 30000);
-      await page.session.send('Page.navigateToHistoryEntry', { entryId: entries[currentIndex - 1].id });
-      try { await loadPromise; } catch { await new Promise((r) => setTimeout(r, 500)); }
-      refMap = new Map(); // refs from the previous page are now invalid
-    },
-
-    async goForward() {
-      const { currentIndex, entries } = await page.session.send('Page.getNavigationHistory');
-      if (currentIndex >= entries.length - 1) throw new Error('No next page in history');
-      const loadPromise = page.session.once('Page.loadEventFired', 30000);
-      await page.session.send('Page.navigateToHistoryEntry', { entryId: entries[currentIndex + 1].id });
-      try { await loadPromise; } catch { await new Promise((r) => setTimeout(r, 500)); }
-      refMap = new Map();
-    },
-
-    async reload(reloadOpts = {}) {
-      const timeout = reloadOpts.timeout || 30000;
-      const loadPromise = page.session.once('Page.loadEventFired', timeout);
-      await page.session.send('Page.reload', {
-        ignoreCache: !!reloadOpts.ignoreCache,
-      });
-      try { await loadPromise; } catch { await new Promise((r) => setTimeout(r, 500)); }
-      refMap = new Map(); // refs from the pre-reload page are invalid
-    },
-
-    async injectCookies(url, cookieOpts) {
-      // No-op under incognito: callers (MCP goto, daemon) inject unconditionally,
-      // so the gate has to live here, not just at the call site.
-      if (incognito) return 0;
-      return authenticate(page.session, url, { browser: cookieOpts?.browser });
-    },
-
-    async snapshot(pruneOpts) {
-      const result = await ariaTree(page);
-      refMap = result.refMap;
-      const raw = formatTree(result.tree);
-      const { currentIndex, entries } = await page.session.send('Page.getNavigationHistory');
-      const pageUrl = entries[currentIndex]?.url || '';
-      const warn = botBlocked ? '[BOT CHALLENGE DETECTED — page content may be incomplete or blocked]\n' : '';
-      if (pruneOpts === false) return `url: ${pageUrl}\n` + warn + raw;
-      const mode = pruneOpts?.mode || 'act';
-      const pruned = pruneTree(result.tree, { mode });
-      const out = formatTree(pruned);
-      const stats = `url: ${pageUrl}\n${raw.length.toLocaleString()} chars → ${out.length.toLocaleString()} chars (${Math.round((1 - out.length / raw.length) * 100)}% pruned)`;
-      const hint = (mode === 'act' && raw.length > 5000 && out.length < 500 && out.length < raw.length * 0.05)
-        ? `hint: act mode dropped most of the page — retry with pruneMode='read' for paragraphs and long text\n`
-        : '';
-      return stats + '\n' + hint + warn + out;
-    },
-
-    // Clean article text (Firefox Reader View engine), for reading/summarising
-    // — not for interacting. Returns { ok:false, hint } on non-article pages.
-    // See readable.js for why this never hard-gates on article detection.
-    async readable() {
-      return extractReadable(page.session);
-    },
-
-    async click(ref) {
-      const entry = refMap.get(ref);
-      if (!entry) throw new Error(`No element found for ref "${ref}"`);
-      await cdpClick(entry.session, entry.backendNodeId);
-    },
-
-    async type(ref, text, typeOpts) {
-      const entry = refMap.get(ref);
-      if (!entry) throw new Error(`No element found for ref "${ref}"`);
-      await cdpType(entry.session, entry.backendNodeId, text, typeOpts);
-    },
-
-    async scroll(deltaY) {
-      await cdpScroll(page.session, deltaY);
-    },
-
-    async press(key) {
-      await cdpPress(page.session, key);
-    },
-
-    async hover(ref) {
-      const entry = refMap.get(ref);
-      if (!entry) throw new Error(`No element found for ref "${ref}"`);
-      await cdpHover(entry.session, entry.backendNodeId);
-    },
-
-    async select(ref, value) {
-      const entry = refMap.get(ref);
-      if (!entry) throw new Error(`No element found for ref "${ref}"`);
-      await cdpSelect(entry.session, entry.backendNodeId, value);
-    },
-
-    async drag(fromRef, toRef) {
-      const from = refMap.get(fromRef);
-      const to = refMap.get(toRef);
-      if (!from) throw new Error(`No element found for ref "${fromRef}"`);
-      if (!to) throw new Error(`No element found for ref "${toRef}"`);
-      // Drag across different frames isn't physically meaningful — bail
-      // rather than mix sessions and produce nonsense coordinates.
-      if (from.session !== to.session) {
-        throw new Error('drag() between elements in different frames is not supported');
-      }
-      await cdpDrag(from.session, from.backendNodeId, to.backendNodeId);
-    },
-
-    async upload(ref, files) {
-      const entry = refMap.get(ref);
-      if (!entry) throw new Error(`No element found for ref "${ref}"`);
-      // Upload sandbox: when uploadDir is set, every path must resolve
-      // (symlinks included, via realpath) inside it. Stops a prompt-injected
-      // agent from attaching ~/.ssh/id_rsa or other arbitrary local files.
-      assertUploadAllowed(files, uploadDir);
-      await cdpUpload(entry.session, entry.backendNodeId, files);
-    },
-
-    async pdf(pdfOpts = {}) {
-      const { data } = await page.session.send('Page.printToPDF', {
-        landscape: pdfOpts.landscape || false,
-        printBackground: true,
-      });
-      return data; // base64
-    },
-
     async tabs() {
       const { targetInfos } = await cdp.send('Target.getTargets');
       return targetInfos
@@ -560,133 +1066,67 @@ export async function connect(opts = {}) {
       if (index < 0 || index >= pages.length) throw new Error(`Tab index ${index} out of range (0-${pages.length - 1})`);
       const target = pages[index];
       await cdp.send('Target.activateTarget', { targetId: target.targetId });
-      if (target.targetId === page.targetId) return; // already on this tab
-      // Detach from old session, attach to new — the page variable is the
-      // closure handle used by every method below, so swapping it makes
-      // snapshot/click/type/etc. operate on the new tab.
-      const oldSessionId = page.sessionId;
-      page = await attachToExistingTarget(cdp, target.targetId, pageOpts);
-      refMap = new Map(); // refs from the previous tab are no longer valid
-      setupDialogHandler(page.session);
+      if (target.targetId === main.target.targetId) return; // already on this tab
+      // Detach from old session, attach to new — main.target is what every
+      // page method reads, so swapping it makes snapshot/click/type/etc.
+      // operate on the new tab.
+      const oldSessionId = main.target.sessionId;
+      main.target = await attachToExistingTarget(cdp, target.targetId, pageOpts);
+      main.refs.reset(); // refs from the previous tab are no longer valid
+      await wireTab(main);
       try { await cdp.send('Target.detachFromTarget', { sessionId: oldSessionId }); } catch {}
     },
 
-    async waitFor(waitOpts = {}) {
-      const timeout = waitOpts.timeout || 30000;
-      const interval = 200;
-      const deadline = Date.now() + timeout;
-
-      while (Date.now() < deadline) {
-        if (waitOpts.text) {
-          const { result } = await page.session.send('Runtime.evaluate', {
-            expression: 'document.body?.innerText || ""',
-            returnByValue: true,
-          });
-          if (result.value && result.value.includes(waitOpts.text)) return;
-        }
-        if (waitOpts.selector) {
-          const { result } = await page.session.send('Runtime.evaluate', {
-            expression: `!!document.querySelector(${JSON.stringify(waitOpts.selector)})`,
-            returnByValue: true,
-          });
-          if (result.value) return;
-        }
-        await new Promise((r) => setTimeout(r, interval));
-      }
-      throw new Error(`waitFor timed out after ${timeout}ms`);
-    },
-
-    async saveState(filePath) {
-      const { cookies } = await page.session.send('Network.getAllCookies');
-      const { result } = await page.session.send('Runtime.evaluate', {
-        expression: 'JSON.stringify(Object.fromEntries(Object.entries(localStorage)))',
-        returnByValue: true,
-      });
-      const state = { cookies, localStorage: JSON.parse(result.value || '{}') };
-      const { writeFileSync } = await import('node:fs');
-      // State holds cookies + localStorage (session tokens) — write owner-only
-      // so a multi-user host can't read another user's credentials off disk.
-      writeFileSync(filePath, JSON.stringify(state, null, 2), { mode: 0o600 });
-      try { chmodSync(filePath, 0o600); } catch { /* best effort if pre-existing */ }
-    },
-
-    get botBlocked() { return botBlocked; },
-
-    dialogLog,
-
     /**
-     * Install a custom JS dialog handler. The handler is called with
-     * `{ type, message, defaultPrompt }` and may return (sync or async)
-     * `{ accept: bool, promptText: string }` to override the auto-accept
-     * default. Pass null to restore the default behavior.
+     * Open a new tab in the same browser and return a full page handle for
+     * it: the same API as this page (snapshot, click, route, har, …) with its
+     * own refs, dialog handler, downloads, HAR and logs, so several tabs can
+     * be worked concurrently. Its close() closes just that tab. A hybrid
+     * relaunch of the main page replaces the browser, closing every tab.
      */
-    onDialog(handler) {
-      onDialogHandler = handler;
-    },
-
-    downloads,
-
-    async screenshot(screenshotOpts = {}) {
-      const format = screenshotOpts.format || 'png';
-      const params = { format };
-      if (format === 'jpeg' || format === 'webp') {
-        params.quality = screenshotOpts.quality || 80;
-      }
-      const { data } = await page.session.send('Page.captureScreenshot', params);
-      return data;
+    async createTab() {
+      const { handle } = await openTab();
+      return handle;
     },
 
-    async waitForNavigation(timeout = 30000) {
-      // Wait for loadEventFired (full page load). If it doesn't fire within
-      // timeout, fall back to frameNavigated (SPA pushState/replaceState).
-      try {
-        await page.session.once('Page.loadEventFired', timeout);
-      } catch {
-        // Timeout — likely SPA nav with no load event. frameNavigated may
-        // have already fired. Give a settle delay for DOM updates.
-        await new Promise((r) => setTimeout(r, 500));
+    /**
+     * Open an isolated browser context (Target.createBrowserContext) — its
+     * own cookie jar, cache, storage and optionally proxy, inside this same
+     * Chromium process — and return a page handle on its first tab. Use one
+     * per identity instead of a connect() per identity. The handle's
+     * createTab() opens more tabs in the context; its close() disposes the
+     * context with all its tabs. Like createTab() tabs, contexts don't
+     * survive a hybrid relaunch of the main page.
+     * @param {object} [ctxOpts]
+     * @param {string} [ctxOpts.storageState] - State file (from saveState()) to load into the context
+     * @param {string} [ctxOpts.proxy] - Proxy server for this context only (e.g. 'http://host:port')
+     * @param {boolean} [ctxOpts.incognito] - No storageState, injectCookies() a no-op. Defaults to connect()'s.
+     */
+    async newContext(ctxOpts = {}) {
+      const { browserContextId } = await cdp.send('Target.createBrowserContext',
+        ctxOpts.proxy ? { proxyServer: ctxOpts.proxy } : {});
+      const ctxIncognito = ctxOpts.incognito ?? incognito;
+      await allowDownloads(browserContextId);
+      const { tab, handle } = await openTab({ browserContextId, incognito: ctxIncognito });
+      if (ctxOpts.storageState && !ctxIncognito) {
+        await applyStorageState(tab.target, readStorageState(ctxOpts.storageState));
       }
-    },
-
-    waitForNetworkIdle(idleOpts = {}) {
-      return waitForNetworkIdle(page.session, idleOpts);
-    },
-
-    /** Raw CDP session for escape hatch — getter so it survives hybrid fallback / tab swaps */
-    get cdp() { return page.session; },
-
-    async createTab() {
-      const tab = await createPage(cdp, !currentlyHeaded, pageOpts);
-      await suppressPermissions(cdp);
-      setupDialogHandler(tab.session);
-      let tabBotBlocked = false;
-      return {
-        async goto(url, timeout = 30000) {
-          assertNavigable(url, urlGuard);
-          await navigate(tab, url, timeout);
-          if (opts.consent !== false) {
-            await dismissConsent(tab.session);
-          }
-          const { tree, nodeCount } = await ariaTree(tab);
-          tabBotBlocked = isChallengePage(tree, nodeCount);
-        },
-        get botBlocked() { return tabBotBlocked; },
-        async injectCookies(url, cookieOpts) {
-          if (incognito) return 0;
-          return authenticate(tab.session, url, { browser: cookieOpts?.browser });
-        },
-        waitForNetworkIdle(idleOpts = {}) {
-          return waitForNetworkIdle(tab.session, idleOpts);
+      return Object.assign(handle, {
+        /** Open another tab in this context (same cookies and storage). */
+        async createTab() {
+          const { handle: next } = await openTab({ browserContextId, incognito: ctxIncognito });
+          return next;
         },
-        cdp: tab.session,
+        /** Dispose the context, closing every tab in it. */
         async close() {
-          await cdp.send('Target.closeTarget', { targetId: tab.targetId });
+          for (const t of openTabs) if (t.browserContextId === browserContextId) openTabs.delete(t);
+          await cdp.send('Target.disposeBrowserContext', { browserContextId });
         },
-      };
+      });
     },
 
     async close() {
-      await cdp.send('Target.closeTarget', { targetId: page.targetId });
+      await cdp.send('Target.closeTarget', { targetId: main.target.targetId });
       cdp.close();
       await cleanupBrowser(browser);
       // If we created the download dir ourselves, clean it up too. Caller-
@@ -698,7 +1138,23 @@ export async function connect(opts = {}) {
         } catch {}
       }
     },
-  };
+  });
+  // Recording and tracing wrap the main page's action methods (record.js,
+  // trace.js); tabs aren't recorded or traced.
+  const tree = async () => (await ariaTree(main.target, main.refs)).tree;
+  if (opts.record) recordActions(page, { file: opts.record, tree });
+  if (opts.trace) {
+    traceActions(page, {
+      dir: opts.trace,
+      engine: 'chromium',
+      tree,
+      url: async () => {
+        const { currentIndex, entries } = await main.target.session.send('Page.getNavigationHistory');
+        return entries[currentIndex]?.url || '';
+      },
+    });
+  }
+  return page;
 }
 
 // --- Internal helpers ---
@@ -713,12 +1169,13 @@ const DENY_PERMISSIONS = [
   'backgroundSync', 'sensors', 'idleDetection',
 ];
 
-async function suppressPermissions(cdp) {
+async function suppressPermissions(cdp, browserContextId) {
   for (const name of DENY_PERMISSIONS) {
     try {
       await cdp.send('Browser.setPermission', {
         permission: { name },
         setting: 'denied',
+        ...(browserContextId ? { browserContextId } : {}),
       });
     } catch {
       // Permission type not supported in this Chrome version — skip
@@ -741,11 +1198,13 @@ async function suppressPermissions(cdp) {
  * network capture + `waitForNetworkIdle` in Phase 2; stealth + consent in
  * v0.16.0. Still Firefox-limited: `reload({ignoreCache})` (upstream BiDi gap).
  * The navigation guard (`allowLocalUrls`/`blockPrivateNetwork`), `uploadDir`
- * sandbox, `incognito`, `proxy`, `viewport`, and `pruneMode` all apply.
- * @param {object} opts - connect() options ({ mode, proxy, binary, viewport, pruneMode, urlGuard, uploadDir, incognito, downloadPath, blockAds, blockUrls })
+ * sandbox, `incognito`, `storageState`, `proxy`, `viewport`, and `pruneMode`
+ * all apply.
+ * @param {object} opts - connect() options ({ mode, proxy, binary, viewport, pruneMode, urlGuard, uploadDir, incognito, storageState, downloadPath, blockAds, blockUrls })
+ * @param {?import('./route.js').RouteHandler} [replay] - HAR replay route (opts.replayHar), already built by connect()
  * @returns {Promise<object>} Firefox page object
  */
-async function connectFirefox(opts) {
+async function connectFirefox(opts, replay = null) {
   const hybrid = opts.mode === 'hybrid';
   const blockOpts = {
     blockAds: opts.blockAds !== undefined ? opts.blockAds : true,
@@ -804,6 +1263,10 @@ async function connectFirefox(opts) {
     hybrid,
     headed: opts.mode === 'headed',
     relaunchHeaded: hybrid ? relaunchHeaded : null,
+    storageState: opts.storageState && !opts.incognito ? readStorageState(opts.storageState) : null,
+    replay,
+    record: opts.record,
+    trace: opts.trace,
   });
   const closePage = page.close.bind(page);
   page.close = async () => {
@@ -823,9 +1286,14 @@ async function connectFirefox(opts) {
  * Create a new page target and return a session-scoped handle.
  * @param {object} cdp - CDP client
  * @param {boolean} [stealth=false] - Apply stealth patches (headless only)
+ * @param {object} [pageOpts] - viewport, blockAds/blockUrls, and browserContextId
+ *   to open the target in that context (newContext()) instead of the default one.
  */
 async function createPage(cdp, stealth = false, pageOpts = {}) {
-  const { targetId } = await cdp.send('Target.createTarget', { url: 'about:blank' });
+  const { targetId } = await cdp.send('Target.createTarget', {
+    url: 'about:blank',
+    ...(pageOpts.browserContextId ? { browserContextId: pageOpts.browserContextId } : {}),
+  });
   const { sessionId } = await cdp.send('Target.attachToTarget', {
     targetId,
     flatten: true,
@@ -968,17 +1436,140 @@ async function navigate(page, url, timeout = 30000) {
   await new Promise((r) => setTimeout(r, 500));
 }
 
+/**
+ * Viewport-relative boxes of the main frame's elements by ref, for
+ * actions.js's visibility score — one DOMSnapshot call instead of a box
+ * model query per element. Iframe elements are left out.
+ * @param {object} session - The tab's main session
+ * @param {ReturnType<typeof createRefRegistry>} refs
+ * @param {object} tree - ariaTree() output built on `refs`
+ * @returns {Promise<import('./actions.js').Geometry>}
+ */
+async function cdpGeometry(session, refs, tree) {
+  const [{ documents }, { cssVisualViewport: vv }] = await Promise.all([
+    session.send('DOMSnapshot.captureSnapshot', { computedStyles: [] }),
+    session.send('Page.getLayoutMetrics'),
+  ]);
+  const doc = documents[0];
+  const boundsOf = new Map();
+  doc.layout.nodeIndex.forEach((i, k) => boundsOf.set(doc.nodes.backendNodeId[i], doc.layout.bounds[k]));
+  const boxes = new Map();
+  (function walk(node) {
+    const entry = refs.get(node.nodeId);
+    const b = entry && entry.session === session && boundsOf.get(entry.backendNodeId);
+    // Bounds are document coordinates; the visual viewport's pageX/Y is the scroll.
+    if (b) boxes.set(String(node.nodeId), { x: b[0] - vv.pageX, y: b[1] - vv.pageY, width: b[2], height: b[3] });
+    for (const c of node.children || []) walk(c);
+  })(tree);
+  return { boxes, viewport: { width: vv.clientWidth, height: vv.clientHeight } };
+}
+
+/**
+ * The document-coordinate region a screenshot({ ref, fullPage }) clips to,
+ * or null for the plain viewport. Clip coordinates are document-relative,
+ * hence the visual viewport's page offset on the element's box.
+ * @param {object} session - The tab's main session
+ * @param {ReturnType<typeof createRefRegistry>} refs
+ * @param {{ref?: string, fullPage?: boolean}} opts
+ * @returns {Promise<?import('./annotate.js').Box>}
+ */
+async function cdpShotRegion(session, refs, { ref, fullPage }) {
+  if (ref && fullPage) throw new Error('screenshot: pass ref or fullPage, not both');
+  if (fullPage) {
+    const { cssContentSize: size } = await session.send('Page.getLayoutMetrics');
+    return { x: 0, y: 0, width: Math.ceil(size.width), height: Math.ceil(size.height) };
+  }
+  if (!ref) return null;
+  const entry = await resolveCdpRef(refs, String(ref));
+  if (entry.session !== session) {
+    throw new Error(`screenshot: ref ${ref} is inside a cross-origin iframe; take a page screenshot instead`);
+  }
+  await session.send('DOM.scrollIntoViewIfNeeded', { backendNodeId: entry.backendNodeId }).catch(() => {});
+  let box;
+  try {
+    const { model } = await session.send('DOM.getBoxModel', { backendNodeId: entry.backendNodeId });
+    box = quadBox(model.border);
+  } catch { /* no layout */ }
+  if (!box || box.width < 1 || box.height < 1) throw new Error(`screenshot: ref ${ref} has no visible box`);
+  const { cssVisualViewport: vv } = await session.send('Page.getLayoutMetrics');
+  return { x: box.x + vv.pageX, y: box.y + vv.pageY, width: box.width, height: box.height };
+}
+
+/**
+ * The clip that downscales a screenshot of `region` (null: the viewport) to
+ * at most maxWidth image pixels, or null when it is already narrow enough.
+ * Image pixels are CSS pixels × devicePixelRatio × clip scale.
+ * @param {object} session
+ * @param {?import('./annotate.js').Box} region
+ * @param {number} maxWidth
+ */
+async function cdpShotScale(session, region, maxWidth) {
+  if (!(maxWidth > 0)) throw new Error(`screenshot: maxWidth must be a positive number, got ${maxWidth}`);
+  const [{ cssVisualViewport: vv }, { result }] = await Promise.all([
+    session.send('Page.getLayoutMetrics'),
+    session.send('Runtime.evaluate', { expression: 'devicePixelRatio', returnByValue: true }),
+  ]);
+  const area = region || { x: vv.pageX, y: vv.pageY, width: vv.clientWidth, height: vv.clientHeight };
+  const scale = maxWidth / (area.width * (result.value || 1));
+  return scale < 1 ? { ...area, scale } : null;
+}
+
+/**
+ * Viewport-relative border boxes of refs, from DOM.getBoxModel. Refs in
+ * cross-process iframes are left out (their quads are relative to their own
+ * frame), as are elements without layout.
+ * @param {object} session - The tab's main session
+ * @param {ReturnType<typeof createRefRegistry>} refs
+ * @param {string[]} wanted
+ * @returns {Promise<Map<string, import('./annotate.js').Box>>}
+ */
+async function cdpBoxes(session, refs, wanted) {
+  const boxes = new Map();
+  for (const ref of wanted) {
+    const entry = refs.get(ref);
+    if (!entry || entry.session !== session) continue;
+    try {
+      const { model } = await session.send('DOM.getBoxModel', { backendNodeId: entry.backendNodeId });
+      boxes.set(ref, quadBox(model.border));
+    } catch { /* no layout: display:none, detached */ }
+  }
+  return boxes;
+}
+
+/**
+ * A form field's DOM facts (forms.js FIELD_FACTS_FN) for a ref, read on the
+ * ref's own frame session.
+ * @param {ReturnType<typeof createRefRegistry>} refs
+ * @param {string} ref
+ */
+async function cdpFieldFacts(refs, ref) {
+  const { session, backendNodeId } = await resolveCdpRef(refs, ref);
+  const { object: { objectId } } = await session.send('DOM.resolveNode', { backendNodeId });
+  try {
+    const { result } = await session.send('Runtime.callFunctionOn', {
+      objectId, functionDeclaration: FIELD_FACTS_FN, returnByValue: true,
+    });
+    return JSON.parse(result.value);
+  } finally {
+    session.send('Runtime.releaseObject', { objectId }).catch(() => {});
+  }
+}
+
 /**
  * Get the ARIA accessibility tree for a page as a nested object.
  *
  * Walks every frame (main + iframes) via Page.getFrameTree, queries each
  * frame's AX tree on the right session (child session for OOPIF, main
  * session with frameId param for same-origin), and splices child frame
- * trees under their iframe placeholders in the parent. Refs are assigned
- * by a flat global counter so click/type/etc can resolve the right session
- * without the agent having to think about frames at all.
+ * trees under their iframe placeholders in the parent. Refs come from a
+ * registry (refs.js) keyed by session + backendDOMNodeId, so click/type/etc
+ * can resolve the right session without the agent having to think about
+ * frames at all, and an element keeps its ref across snapshots. Pass the
+ * page's registry to keep refs stable; omit it for a one-off tree.
+ * @param {object} page - Page handle from createPage()
+ * @param {ReturnType<typeof createRefRegistry>} [refs]
  */
-async function ariaTree(page) {
+async function ariaTree(page, refs = createRefRegistry()) {
   const main = page.session;
   await main.send('Accessibility.enable');
 
@@ -990,15 +1581,13 @@ async function ariaTree(page) {
     for (const child of node.childFrames || []) walk(child, node.frame.id);
   })(frameTree, null);
 
-  // 2. For each frame, fetch its AX nodes and build a tree. refMap value is
-  //    { session, backendNodeId } so click(ref) routes to the right CDP
-  //    session (essential for cross-process iframes). refCounter is shared
-  //    across all frames in one snapshot — refs stay flat integers, so the
-  //    visible [ref=N] format and existing agent prompts don't change.
-  const refMap = new Map();
+  // 2. For each frame, fetch its AX nodes and build a tree. A registry entry
+  //    is { session, backendNodeId } so click(ref) routes to the right CDP
+  //    session (essential for cross-process iframes). The registry counter is
+  //    shared across all frames — refs stay flat integers, so the visible
+  //    [ref=N] format and existing agent prompts don't change.
   const treesByFrameId = new Map();
   const sessionByFrameId = new Map();
-  const refCounter = { value: 1 };
   let totalNodes = 0;
 
   for (let i = 0; i < frames.length; i++) {
@@ -1030,7 +1619,7 @@ async function ariaTree(page) {
     }
 
     totalNodes += nodes.length;
-    const tree = buildTree(nodes, frameSession, refMap, refCounter);
+    const tree = buildTree(nodes, frameSession, refs);
     if (tree) treesByFrameId.set(frame.id, tree);
   }
 
@@ -1053,38 +1642,39 @@ async function ariaTree(page) {
   }
 
   const root = treesByFrameId.get(frames[0].frame.id) || null;
-  return { tree: root, refMap, nodeCount: totalNodes };
+  return { tree: root, refMap: refs, nodeCount: totalNodes };
 }
 
 /**
  * Transform CDP's flat AXNode array into a nested tree. Every tree node gets
- * a globally unique flat ref string from `refCounter` (shared across all
- * frames in one snapshot), and refMap is populated with ref → { session,
- * backendNodeId } so click/type can route to the right CDP session even when
- * the element lives in an iframe.
+ * a flat ref string from the registry: DOM-backed nodes the ref already
+ * bound to their (session, backendDOMNodeId), so the same element gets the
+ * same ref in every snapshot and click/type can route to the right CDP
+ * session even when the element lives in an iframe; the rest a fresh one,
+ * flagged `transientRef` so a diff doesn't match them by it.
  * CDP nodes have parentId — we use that exclusively to avoid double-linking.
  */
-function buildTree(nodes, session, refMap, refCounter) {
+function buildTree(nodes, session, refs) {
   if (!nodes || nodes.length === 0) return null;
 
   const nodeMap = new Map();
   const linked = new Set();
 
-  // First pass: create tree nodes + populate refMap with flat global refs
+  // First pass: create tree nodes, resolving each one's ref
   for (const node of nodes) {
-    const ref = String(refCounter.value++);
+    const ref = node.backendDOMNodeId
+      ? refs.refFor(session, node.backendDOMNodeId)
+      : refs.allocate();
     nodeMap.set(node.nodeId, {
       nodeId: ref,
       backendDOMNodeId: node.backendDOMNodeId,
+      ...(!node.backendDOMNodeId && { transientRef: true }),
       role: node.role?.value || '',
       name: node.name?.value || '',
       properties: extractProps(node.properties),
       ignored: node.ignored || false,
       children: [],
     });
-    if (node.backendDOMNodeId && refMap) {
-      refMap.set(ref, { session, backendNodeId: node.backendDOMNodeId });
-    }
   }
 
   // Second pass: link via parentId only (avoids duplicates from childIds)
@@ -1127,3 +1717,11 @@ function extractProps(props) {
 // circular import. Re-exported (from the local import above) so existing
 // importers of `src/index.js` and the public API keep working unchanged.
 export { isChallengePage };
+
+// The warm-browser pool (pool.js) is built on connect(), so it lives in its
+// own module and is re-exported here as part of the public API.
+export { createBrowsePool };
+export { browseMany } from './batch.js';
+export { crawl } from './crawl.js';
+export { replay } from './record.js';
+export { readTrace, traceViewerHtml, writeTraceViewer } from './trace.js';
@@ -0,0 +1,161 @@
+/**
+ * paginate.js — Page through snapshots too large for one MCP tool result.
+ *
+ * Most MCP clients can't open a file path, so instead of spilling an oversized
+ * snapshot to disk the server returns it a page at a time. Pages split on
+ * subtree boundaries: the text is cut into units that each start at a
+ * top-level node (a landmark, in a pruned tree) and run to the next one, and
+ * units are packed into pages. Only a unit that alone exceeds the page size
+ * is re-cut — at its children's boundaries, one level down — so no page ends
+ * in the middle of a subtree unless that subtree can't fit on any page.
+ *
+ * Text that isn't a formatTree tree (the url/stats header, Markdown) splits
+ * at blank lines; a single line longer than a page (JSON) splits by length.
+ */
+
+/**
+ * Indent depth of a formatTree line (`    - link …` → 2), or -1 for a line
+ * that isn't a tree node.
+ * @param {string} line
+ */
+function depthOf(line) {
+  const m = /^( *)- /.exec(line);
+  return m ? Math.floor(m[1].length / 2) : -1;
+}
+
+const size = (lines) => lines.reduce((n, l) => n + l.length + 1, 0);
+
+/**
+ * Cut lines into units no larger than `max` where possible. A tree line at
+ * `depth` or shallower starts a new unit; deeper lines belong to it.
+ * @param {string[]} lines
+ * @param {number} depth
+ * @param {number} max
+ * @returns {string[][]}
+ */
+function units(lines, depth, max) {
+  const out = [];
+  let cur = [];
+  let curIsTree = false;
+  const flush = () => { if (cur.length) out.push(cur); cur = []; };
+  for (const line of lines) {
+    const d = depthOf(line);
+    if (d >= 0 && d <= depth) {
+      flush();
+      curIsTree = true;
+    } else if (d < 0 && curIsTree && line.trim()) {
+      flush();
+      curIsTree = false;
+    }
+    cur.push(line);
+    if (d < 0 && !line.trim() && !curIsTree) flush(); // blank line ends a paragraph
+  }
+  flush();
+
+  // Re-cut oversized units one level down (a tree unit's root line stays on
+  // its own, followed by its children's units), or by length for one line.
+  return out.flatMap((unit) => {
+    if (size(unit) <= max) return [unit];
+    if (unit.length === 1) {
+      const parts = [];
+      for (let i = 0; i < unit[0].length; i += max - 1) parts.push([unit[0].slice(i, i + max - 1)]);
+      return parts;
+    }
+    const d = depthOf(unit[0]);
+    if (d >= 0) return [[unit[0]], ...units(unit.slice(1), d + 1, max)];
+    return unit.flatMap((line) => units([line], 0, max));
+  });
+}
+
+/**
+ * Split text into pages of at most `maxChars` (lines kept whole where they
+ * fit), breaking only between units.
+ * @param {string} text
+ * @param {number} maxChars
+ * @returns {string[]}
+ */
+export function paginate(text, maxChars) {
+  if (text.length <= maxChars) return [text];
+  const pages = [];
+  let cur = [];
+  for (const unit of units(text.split('\n'), 0, maxChars)) {
+    if (cur.length && size(cur) + size(unit) > maxChars) {
+      pages.push(cur.join('\n'));
+      cur = [];
+    }
+    cur.push(...unit);
+  }
+  if (cur.length) pages.push(cur.join('\n'));
+  return pages;
+}
+
+// Kept free on each page for the `[page i/n …]` footer
+const FOOTER_ROOM = 100;
+// Smallest page body worth paging into
+const MIN_BODY = 100;
+
+/**
+ * Holds the pages of the last few oversized snapshots so follow-up calls get
+ * the rest of the same snapshot rather than a re-snapshot of a page that may
+ * have changed meanwhile. A cursor names one page of one snapshot.
+ * @param {object} [opts]
+ * @param {number} [opts.keep=5] - Paged snapshots to remember
+ * @returns {{
+ *   first: (text: string, maxChars: number) => string,
+ *   page: (cursor?: string, offset?: number) => string,
+ * }}
+ */
+export function createPager({ keep = 5 } = {}) {
+  const docs = new Map();
+  let seq = 0;
+
+  function render(id, index) {
+    const pages = docs.get(id);
+    const body = pages[index];
+    const footer = index + 1 < pages.length
+      ? `[page ${index + 1}/${pages.length} — more follows: call snapshot with cursor: "${id}.${index + 1}"]`
+      : `[page ${index + 1}/${pages.length} — end of snapshot]`;
+    return body + '\n' + footer;
+  }
+
+  return {
+    /**
+     * The text itself if it fits, else its first page with a cursor. Every
+     * page, footer included, stays within `maxChars`; one too small to hold
+     * the footer and a useful body is rejected.
+     */
+    first(text, maxChars) {
+      if (text.length <= maxChars) return text;
+      if (!(maxChars >= FOOTER_ROOM + MIN_BODY)) {
+        throw new Error(`maxChars must be at least ${FOOTER_ROOM + MIN_BODY} to page a snapshot, got ${maxChars}`);
+      }
+      const pages = paginate(text, maxChars - FOOTER_ROOM);
+      const id = `s${++seq}`;
+      docs.set(id, pages);
+      if (docs.size > keep) docs.delete(docs.keys().next().value);
+      return render(id, 0);
+    },
+
+    /**
+     * A page by cursor ("s3.1"), or by 0-based `offset` into the snapshot the
+     * cursor names (default: the most recent paged snapshot).
+     */
+    page(cursor, offset) {
+      let id = [...docs.keys()].at(-1);
+      let index = 0;
+      if (cursor) {
+        const m = /^(s\d+)\.(\d+)$/.exec(cursor);
+        if (!m || !docs.has(m[1])) throw new Error(`Unknown or expired cursor "${cursor}" — take a new snapshot`);
+        id = m[1];
+        index = Number(m[2]);
+      }
+      if (offset !== undefined) index = offset;
+      if (!id) throw new Error('No paged snapshot to continue — take a snapshot first');
+      const pages = docs.get(id);
+      if (!Number.isInteger(index) || index < 0 || index >= pages.length) {
+        throw new Error(`Page ${index} out of range — snapshot has ${pages.length} pages (0-${pages.length - 1})`);
+      }
+      return render(id, index);
+    },
+  };
+}
@@ -0,0 +1,221 @@
+/**
+ * pool.js — Warm browsers for browse().
+ *
+ * browse() launches and kills a whole browser per call, and most of its
+ * latency is process start plus stealth setup. createBrowsePool() keeps up to
+ * `size` connect() sessions alive and serves each call from a fresh, isolated
+ * browser context (Chromium newContext(): its own cookies, cache and storage)
+ * or a fresh tab (Firefox createTab()), closed when the call ends.
+ *
+ * A browser serves one call at a time, so `size` is also the concurrency
+ * bound: further calls queue, first come first served. Browsers start on
+ * first demand and stay warm until pool.close(). Each one is recycled after
+ * `maxUses` calls, and one that fails a health check (a protocol round trip)
+ * before a call is replaced.
+ *
+ * Usage:
+ *   const pool = createBrowsePool({ size: 4 });
+ *   const snaps = await Promise.all(urls.map((url) => browse(url, { pool })));
+ *   await pool.close();
+ */
+
+import { connect } from './index.js';
+import { assertNavigable } from './url-guard.js';
+
+const HEALTH_TIMEOUT = 5000;
+
+/**
+ * A bounded pool of reusable resources. acquire() waits for a free slot,
+ * opens the slot's resource on first use, replaces it once it has served
+ * `maxUses` leases or fails `healthy()`, and resolves to a lease whose
+ * release() frees the slot for the next waiter.
+ * @template T
+ * @param {object} opts
+ * @param {number} opts.size - Number of slots (resources alive at once)
+ * @param {number} [opts.maxUses=Infinity] - Leases a resource serves before it is replaced
+ * @param {() => Promise<T>} opts.open
+ * @param {(resource: T) => Promise<void>} opts.dispose
+ * @param {(resource: T) => Promise<boolean>} [opts.healthy] - Checked before each reuse; a throw counts as unhealthy
+ */
+export function createLeasePool({ size, maxUses = Infinity, open, dispose, healthy = async () => true }) {
+  if (!Number.isInteger(size) || size < 1) throw new Error(`pool size must be a positive integer, got ${size}`);
+  /** @type {{resource: ?T, uses: number, busy: boolean}[]} */
+  const slots = Array.from({ length: size }, () => ({ resource: null, uses: 0, busy: false }));
+  /** @type {{resolve: (slot: typeof slots[number]) => void, reject: (err: Error) => void}[]} */
+  const waiters = [];
+  let closed = false;
+
+  async function retire(slot) {
+    const old = slot.resource;
+    slot.resource = null;
+    try { await dispose(old); } catch { /* already gone */ }
+  }
+
+  async function prepare(slot) {
+    if (slot.resource) {
+      const fine = slot.uses < maxUses && await healthy(slot.resource).catch(() => false);
+      if (!fine) await retire(slot);
+    }
+    if (!slot.resource) {
+      slot.resource = await open();
+      slot.uses = 0;
+    }
+    slot.uses++;
+  }
+
+  function free(slot) {
+    const next = waiters.shift();
+    if (next) next.resolve(slot);
+    else slot.busy = false;
+  }
+
+  return {
+    /** @returns {Promise<{resource: T, release: () => void}>} */
+    async acquire() {
+      if (closed) throw new Error('pool is closed');
+      const idle = slots.find((s) => !s.busy);
+      if (idle) idle.busy = true;
+      const slot = idle || await /** @type {Promise<typeof slots[number]>} */ (
+        new Promise((resolve, reject) => waiters.push({ resolve, reject })));
+      try {
+        await prepare(slot);
+      } catch (err) {
+        free(slot);
+        throw err;
+      }
+      let released = false;
+      return {
+        resource: /** @type {T} */ (slot.resource),
+        release() {
+          if (released) return;
+          released = true;
+          free(slot);
+        },
+      };
+    },
+
+    /** Slots currently leased out, and callers waiting for one. */
+    get stats() {
+      return { busy: slots.filter((s) => s.busy).length, waiting: waiters.length };
+    },
+
+    /** Fail pending acquires and dispose every resource, leased or not. */
+    async close() {
+      closed = true;
+      for (const w of waiters.splice(0)) w.reject(new Error('pool is closed'));
+      await Promise.all(slots.filter((s) => s.resource).map(retire));
+    },
+  };
+}
+
+/**
+ * Keep browsers warm for browse(). Browser-level options (engine, proxy,
+ * binary, viewport, blockAds, blockUrls, consent, allowLocalUrls,
+ * blockPrivateNetwork, incognito) are set once here and passed to connect();
+ * page-level ones (pruneMode, focus, format, prune, timeout, cookies,
+ * incognito, browser) come with each call.
+ *
+ * Firefox tabs share their browser's cookie jar, so on Firefox cookies
+ * injected for one call stay visible to later calls on the same browser.
+ *
+ * @param {object} [opts] - connect() options, plus:
+ * @param {number} [opts.size=2] - Browsers kept warm; also the number of calls run at once
+ * @param {number} [opts.maxUses=50] - Calls a browser serves before it is relaunched
+ * @param {'chromium'|'firefox'} [opts.engine='chromium']
+ * @param {'headless'|'headed'|'hybrid'} [opts.mode='headless'] - Pool browsers run
+ *   headed only for 'headed'. Under 'hybrid' they run headless, and a call that
+ *   lands on a bot challenge is retried once in a one-off headed browser.
+ * @param {boolean} [opts.allowLocalUrls=false] - Navigation guard, as in connect()
+ * @param {boolean} [opts.blockPrivateNetwork=false] - Navigation guard, as in connect()
+ * @param {boolean} [opts.incognito=false] - Never inject cookies, whatever a call asks
+ */
+export function createBrowsePool(opts = {}) {
+  const { size = 2, maxUses = 50, engine = 'chromium', mode = 'headless', ...connectOpts } = opts;
+  const urlGuard = { allowLocalUrls: connectOpts.allowLocalUrls, blockPrivateNetwork: connectOpts.blockPrivateNetwork };
+  const launchOpts = { ...connectOpts, engine };
+
+  const leases = createLeasePool({
+    size,
+    maxUses,
+    open: () => connect({ ...launchOpts, mode: mode === 'headed' ? 'headed' : 'headless' }),
+    dispose: (page) => page.close(),
+    healthy: (page) => withTimeout(
+      engine === 'firefox'
+        ? page.bidi.send('session.status', {})
+        : page.cdp.send('Runtime.evaluate', { expression: '1' }),
+      HEALTH_TIMEOUT,
+    ).then(() => true),
+  });
+
+  /**
+   * Load `url` in a page handle and snapshot it like browse() would.
+   * @returns {Promise<{blocked: boolean, snapshot: any}>}
+   */
+  async function visit(handle, url, callOpts) {
+    const noAuth = !!callOpts.incognito || callOpts.cookies === false;
+    if (!noAuth) {
+      try { await handle.injectCookies(url, { browser: callOpts.browser }); } catch { /* public pages still work */ }
+    }
+    await handle.goto(url, callOpts.timeout || 30000);
+    const snapshot = await handle.snapshot(callOpts.prune === false
+      ? false
+      : { mode: callOpts.pruneMode || 'act', focus: callOpts.focus, format: callOpts.format });
+    return { blocked: handle.botBlocked, snapshot };
+  }
+
+  return {
+    /**
+     * browse() on a warm browser: same options and result.
+     * @param {string} url
+     * @param {object} [callOpts] - browse() options; `pool` and browser-level options are ignored
+     * @returns {Promise<any>}
+     */
+    async browse(url, callOpts = {}) {
+      assertNavigable(url, urlGuard);
+      const callMode = callOpts.mode || mode;
+      const noAuth = !!callOpts.incognito || callOpts.cookies === false;
+      // A headed call on a headless pool skips straight to a one-off browser.
+      let pooled = null;
+      if (callMode !== 'headed' || mode === 'headed') {
+        const lease = await leases.acquire();
+        let handle = null;
+        try {
+          handle = lease.resource.newContext
+            ? await lease.resource.newContext(noAuth ? { incognito: true } : {})
+            : await lease.resource.createTab();
+          pooled = await visit(handle, url, callOpts);
+        } finally {
+          if (handle) await handle.close().catch(() => {});
+          lease.release();
+        }
+        if (!(pooled.blocked && callMode === 'hybrid')) return pooled.snapshot;
+      }
+      // One-off headed browser: an explicit headed call, or the hybrid retry
+      // of a bot-blocked one. A failed launch (no display) keeps the pooled result.
+      try {
+        const headed = await connect({ ...launchOpts, mode: 'headed', incognito: connectOpts.incognito || noAuth });
+        try {
+          return (await visit(headed, url, callOpts)).snapshot;
+        } finally {
+          await headed.close().catch(() => {});
+        }
+      } catch (err) {
+        if (!pooled) throw err;
+        return pooled.snapshot;
+      }
+    },
+
+    /** Browsers in use and calls waiting for one. */
+    get stats() { return leases.stats; },
+
+    /** Close every pooled browser. Calls still queued fail. */
+    close() { return leases.close(); },
+  };
+}
+
+/** Reject if `p` doesn't settle within `ms` — a wedged browser never answers. */
+function withTimeout(p, ms) {
+  let timer;
+  const t = new Promise((_, rej) => { timer = setTimeout(() => rej(new Error(`timed out after ${ms}ms`)), ms); });
+  return Promise.race([p, t]).finally(() => clearTimeout(timer));
+}
@@ -53,6 +53,12 @@ const SKIP_ROLES = new Set([
   'InlineTextBox', 'LineBreak', 'superscript',
 ]);
 
+// Filler words in a context string — "the", "for" would match nearly every branch
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'at', 'by', 'for', 'from', 'in', 'into', 'is', 'it', 'me',
+  'my', 'of', 'on', 'or', 'the', 'this', 'to', 'with',
+]);
+
 // --- Main export ---
 
 /**
@@ -61,23 +67,28 @@ const SKIP_ROLES = new Set([
  * @param {object} tree - Root node from buildTree() (CDP format)
  * @param {object} [options]
  * @param {'act'|'browse'|'navigate'|'full'|'read'} [options.mode='act'] - Pruning mode ('read' is an alias for 'browse')
- * @param {string} [options.context=''] - Search context for relevance filtering
+ * @param {string} [options.context=''] - Search context for relevance filtering: the
+ *   agent's current goal ("shipping address form"). Non-matching product cards are
+ *   condensed, and branches that score low against it are dropped (step 9).
+ * @param {boolean} [options.subtree=false] - The tree is a subtree the caller
+ *   picked (snapshot({ root })), not a page: skip landmark extraction, which
+ *   would otherwise drop a root that is itself a form, nav or search region.
  * @returns {object|null} Pruned tree
  */
 export function prune(tree, options = {}) {
-  let { mode = 'act', context = '' } = options;
+  let { mode = 'act', context = '', subtree = false } = options;
   if (mode === 'read') mode = 'browse';
   const allowedRegions = MODE_REGIONS[mode] || MODE_REGIONS.act;
   const isBrowse = mode === 'browse';
   const keywords = context
-    ? context.toLowerCase().split(/\s+/).filter((w) => w.length > 1)
+    ? context.toLowerCase().split(/\s+/).filter((w) => w.length > 1 && !STOPWORDS.has(w))
     : [];
 
   // Wrap as array for pipeline
   let nodes = tree ? [tree] : [];
 
   // Step 1: Extract landmark regions
-  nodes = extractRegions(nodes, allowedRegions);
+  if (!subtree) nodes = extractRegions(nodes, allowedRegions);
 
   // Step 2: Prune nodes
   const ctx = { mode, parentRole: null, keywords };
@@ -97,6 +108,9 @@ export function prune(tree, options = {}) {
     nodes = nodes.map((n) => dropFilterGroups(n)).filter(Boolean);
   }
 
+  // Step 9: Focus — keep the branches relevant to the context
+  if (keywords.length > 0) nodes = focusNodes(nodes, keywords);
+
   // Return single root or wrap multiple
   if (nodes.length === 0) return null;
   if (nodes.length === 1) return nodes[0];
@@ -421,6 +435,57 @@ function dropFilterGroups(node) {
   return node;
 }
 
+// --- Step 9: Focus ---
+
+/**
+ * Rank sibling branches by how many context keywords their text contains and
+ * drop the ones scoring under half the best sibling, recursing into the kept
+ * ones. Leaves (buttons, text, headings) stay: only subtrees are dropped. A
+ * branch whose own name matches is kept whole, as is everything under a
+ * matching heading up to the next heading of the same or higher level — so a
+ * "Shipping address" form keeps its "Street" and "City" fields. A level where
+ * nothing matches is left alone rather than emptied.
+ */
+function focusNodes(nodes, keywords) {
+  const scores = nodes.map((n) => relevance(extractText(n), keywords));
+  const best = Math.max(0, ...scores);
+  if (best === 0) return nodes;
+  const threshold = Math.max(1, best / 2);
+
+  const result = [];
+  let sectionLevel = 0; // level of the matching heading whose section we're in
+  for (let i = 0; i < nodes.length; i++) {
+    const node = nodes[i];
+    if (node.role === 'heading') {
+      const level = Number(node.properties?.level) || 7;
+      if (scores[i] > 0) sectionLevel = level;
+      else if (sectionLevel && level <= sectionLevel) sectionLevel = 0;
+      result.push(node);
+      continue;
+    }
+    if (!node.children?.length || sectionLevel) {
+      result.push(node);
+      continue;
+    }
+    if (scores[i] < threshold) {
+      // Low relevance: a product card keeps its title link, anything else goes
+      if (node.role === 'listitem') {
+        const card = condenseCard(node);
+        if (card) result.push(card);
+      }
+      continue;
+    }
+    if (relevance(node.name || '', keywords) > 0) result.push(node);
+    else result.push({ ...node, children: focusNodes(node.children, keywords) });
+  }
+  return result;
+}
+
+function relevance(text, keywords) {
+  const t = text.toLowerCase();
+  return keywords.filter((kw) => t.includes(kw)).length;
+}
+
 // --- Helpers ---
 
 function hasInteractive(node) {
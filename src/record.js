@@ -0,0 +1,258 @@
+/**
+ * record.js — Session recording and replay: connect({ record }), replay().
+ *
+ * connect({ record: 'flow.jsonl' }) appends one JSON line per successful
+ * goto / click / type / press / select / upload on the main page. A ref
+ * step stores the ref and a durable locator: role, exact name, the
+ * landmark/named ancestor path find.js reports, and the element's index
+ * among matches that share all three. The ref alone is useless to a fresh
+ * browser, because refs are per-session numbers.
+ *
+ *   {"action":"goto","url":"https://shop.test/"}
+ *   {"action":"click","ref":"31","locator":{"role":"button","name":"Pay","path":["form \"Checkout\""],"index":0}}
+ *
+ * replay() runs such a script on any page. Each ref step resolves its
+ * locator against a fresh page.find(), polling while the page settles, then
+ * acts on the ref it found. A successful agent run becomes a cheap,
+ * deterministic script with no model in the loop.
+ *
+ * The script holds whatever was typed (passwords included), so it is
+ * written owner-only (0600).
+ */
+
+import { appendFileSync, chmodSync, readFileSync, writeFileSync } from 'node:fs';
+import { connect } from './index.js';
+import { findNodes } from './find.js';
+
+/**
+ * @typedef {object} Locator
+ * @property {string} role
+ * @property {string} name - Exact accessible name ('' for none)
+ * @property {string[]} path - Landmark/named ancestors, outermost first (find.js)
+ * @property {number} index - Position among elements with the same role, name and path
+ */
+
+/**
+ * @typedef {object} Step
+ * @property {'goto'|'click'|'type'|'press'|'select'|'upload'} action
+ * @property {string} [url] - goto
+ * @property {string} [key] - press
+ * @property {string} [ref] - The ref when recorded (informational)
+ * @property {?Locator} [locator] - Ref steps
+ * @property {string} [text] - type
+ * @property {object} [opts] - type options ({ clear })
+ * @property {string} [value] - select
+ * @property {string|string[]} [files] - upload
+ */
+
+/** Ref actions and the names of their arguments after the ref. */
+const REF_ACTIONS = {
+  click: [],
+  type: ['text', 'opts'],
+  select: ['value'],
+  upload: ['files'],
+};
+
+const DEFAULT_TIMEOUT = 5000;
+const POLL_MS = 250;
+
+/**
+ * Record a page's actions to a JSONL script (truncated first). Wraps the
+ * page's methods in place and returns it.
+ * @param {any} page
+ * @param {object} io
+ * @param {string} io.file
+ * @param {() => Promise<?object>} io.tree - The page's full (unpruned) tree
+ * @returns {any}
+ */
+export function recordActions(page, { file, tree }) {
+  writeFileSync(file, '', { mode: 0o600 });
+  // `mode` only applies when the file is created; an existing one keeps its own.
+  try { chmodSync(file, 0o600); } catch { /* best effort, as in storage-state.js */ }
+  const log = (step) => appendFileSync(file, JSON.stringify(step) + '\n');
+
+  const goto = page.goto.bind(page);
+  page.goto = async (url, ...rest) => {
+    const result = await goto(url, ...rest);
+    log({ action: 'goto', url });
+    return result;
+  };
+  const press = page.press.bind(page);
+  page.press = async (key) => {
+    const result = await press(key);
+    log({ action: 'press', key });
+    return result;
+  };
+  for (const [action, names] of Object.entries(REF_ACTIONS)) {
+    const run = page[action].bind(page);
+    page[action] = async (ref, ...rest) => {
+      // Before acting: a click may remove the element or leave the page.
+      const locator = locatorFor(await tree().catch(() => null), String(ref));
+      const result = await run(ref, ...rest);
+      const args = Object.fromEntries(names.map((n, i) => [n, rest[i]]).filter(([, v]) => v !== undefined));
+      log({ action, ref: String(ref), locator, ...args });
+      return result;
+    };
+  }
+  return page;
+}
+
+/**
+ * The durable locator of a ref in a tree, or null when the ref isn't there
+ * (or isn't rendered).
+ * @param {?object} tree
+ * @param {string} ref
+ * @returns {?Locator}
+ */
+export function locatorFor(tree, ref) {
+  let node = null;
+  (function walk(n) {
+    if (!n || node) return;
+    if (String(n.nodeId) === ref) { node = n; return; }
+    for (const c of n.children || []) walk(c);
+  })(tree);
+  if (!node) return null;
+  const role = node.role;
+  const name = node.name || '';
+  const matches = sameAs(findNodes(tree, { role, ...(name && { name }), exact: true, limit: Infinity }), role, name);
+  const self = matches.find((m) => m.ref === ref);
+  if (!self) return null;
+  const index = matches.filter((m) => samePath(m.path, self.path)).indexOf(self);
+  return { role, name, path: self.path, index };
+}
+
+/**
+ * The ref a locator points at among find() matches, or null. The recorded
+ * path and index pick the element; an element whose ancestors changed is
+ * still found when it is the only one with its role and name.
+ * @param {import('./find.js').FindMatch[]} matches
+ * @param {Locator} locator
+ * @returns {?string}
+ */
+export function resolveLocator(matches, locator) {
+  const same = sameAs(matches, locator.role, locator.name);
+  const inPlace = same.filter((m) => samePath(m.path, locator.path));
+  if (inPlace[locator.index]) return inPlace[locator.index].ref;
+  if (same.length === 1) return same[0].ref;
+  return null;
+}
+
+/**
+ * Read a JSONL script.
+ * @param {string} file
+ * @returns {Step[]}
+ */
+export function readScript(file) {
+  return readFileSync(file, 'utf8').split('\n').flatMap((line, i) => {
+    if (!line.trim()) return [];
+    try {
+      return [JSON.parse(line)];
+    } catch {
+      throw new Error(`replay: ${file}:${i + 1} is not JSON`);
+    }
+  });
+}
+
+/**
+ * One-line description of a step: `click button "Pay" in form "Checkout"`.
+ * @param {Step} step
+ * @returns {string}
+ */
+export function describeStep(step) {
+  if (step.action === 'goto') return `goto ${step.url}`;
+  if (step.action === 'press') return `press ${step.key}`;
+  const l = step.locator;
+  if (!l) return `${step.action} ref ${step.ref}`;
+  return `${step.action} ${l.role}${l.name ? ` "${l.name}"` : ''}${l.path.length ? ` in ${l.path.join(' > ')}` : ''}`
+    + (l.index ? ` (#${l.index + 1})` : '');
+}
+
+/**
+ * Run steps on a page.
+ * @param {any} page
+ * @param {Step[]} steps
+ * @param {object} [opts]
+ * @param {number} [opts.timeout=5000] - How long a ref step waits for its element, ms
+ * @param {(result: {step: number, action: string, description: string, ref?: string}) => void} [opts.onStep]
+ * @returns {Promise<{step: number, action: string, description: string, ref?: string}[]>}
+ */
+export async function replaySteps(page, steps, { timeout = DEFAULT_TIMEOUT, onStep } = {}) {
+  const results = [];
+  for (const [i, step] of steps.entries()) {
+    const description = describeStep(step);
+    const fail = (why) => new Error(`replay: step ${i + 1} (${description}): ${why}`);
+    /** @type {{step: number, action: string, description: string, ref?: string}} */
+    const result = { step: i + 1, action: step.action, description };
+    if (step.action === 'goto') {
+      await page.goto(step.url);
+    } else if (step.action === 'press') {
+      await page.press(step.key);
+    } else if (REF_ACTIONS[step.action]) {
+      if (!step.locator) throw fail('recorded without a locator (the element was not in the tree)');
+      const ref = await locate(page, step.locator, timeout).catch((err) => { throw fail(err.message); });
+      const args = REF_ACTIONS[step.action].map((n) => step[n]);
+      while (args.length && args.at(-1) === undefined) args.pop();
+      try {
+        await page[step.action](ref, ...args);
+      } catch (err) {
+        throw fail(err.message);
+      }
+      result.ref = ref;
+    } else {
+      throw fail(`unknown action "${step.action}"`);
+    }
+    results.push(result);
+    onStep?.(result);
+  }
+  return results;
+}
+
+/**
+ * Replay a recorded script. Runs on `opts.page` when given (left open),
+ * else on a fresh connect(opts) page, which is returned open for the caller
+ * to inspect and close (closed here if a step fails).
+ * @param {string|Step[]} script - A JSONL file from connect({ record }), or its steps
+ * @param {object} [opts] - connect() options, plus:
+ * @param {any} [opts.page] - Replay on this page instead of connecting
+ * @param {number} [opts.timeout=5000] - How long a ref step waits for its element, ms
+ * @param {(result: {step: number, action: string, description: string, ref?: string}) => void} [opts.onStep]
+ * @returns {Promise<{page: any, steps: {step: number, action: string, description: string, ref?: string}[]}>}
+ */
+export async function replay(script, opts = {}) {
+  const steps = typeof script === 'string' ? readScript(script) : script;
+  const { page: given, timeout, onStep, ...connectOpts } = opts;
+  const page = given || await connect(connectOpts);
+  try {
+    return { page, steps: await replaySteps(page, steps, { timeout, onStep }) };
+  } catch (err) {
+    if (!given) await page.close().catch(() => {});
+    throw err;
+  }
+}
+
+/** Poll page.find() until the locator resolves or the timeout passes. */
+async function locate(page, locator, timeout) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    let lastError = null;
+    try {
+      const matches = await page.find({ role: locator.role, ...(locator.name && { name: locator.name }), exact: true, limit: Infinity });
+      const ref = resolveLocator(matches, locator);
+      if (ref) return ref;
+    } catch (err) {
+      lastError = err; // mid-navigation: the tree isn't readable yet
+    }
+    if (Date.now() >= deadline) {
+      throw new Error(lastError ? lastError.message : `no matching element after ${timeout}ms`);
+    }
+    await new Promise((r) => setTimeout(r, POLL_MS));
+  }
+}
+
+function sameAs(matches, role, name) {
+  return matches.filter((m) => m.role === role && m.name === name);
+}
+
+function samePath(a, b) {
+  return a.length === b.length && a.every((p, i) => p === b[i]);
+}
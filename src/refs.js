@@ -0,0 +1,147 @@
+/**
+ * refs.js — Stable element refs across snapshots.
+ *
+ * A ref names a DOM node, not a position in one snapshot. The CDP path keys
+ * refs on (session, backendDOMNodeId); the Firefox path on the data-bb-ref
+ * attribute ax-snapshot.js stamps on each element. Re-snapshotting hands an
+ * element that is still in the DOM the same ref, and new elements get fresh
+ * ones from a counter that never rewinds — so a ref can't silently move to a
+ * different element after a re-render or navigation. A ref whose element has
+ * left the DOM fails with an "element gone" error instead.
+ */
+
+/**
+ * Whether `ref` was handed out by a registry whose highest ref is `last`.
+ * @param {string|number} ref
+ * @param {number} last
+ */
+export function wasIssued(ref, last) {
+  const n = Number(ref);
+  return Number.isInteger(n) && n >= 1 && n <= last;
+}
+
+/**
+ * The error for a ref that can't be acted on. An issued ref whose element is
+ * gone and a ref that was never issued read differently, so an agent knows
+ * whether to re-snapshot or to stop guessing refs.
+ * @param {string|number} ref
+ * @param {boolean} issued - From wasIssued()
+ * @returns {Error}
+ */
+export function refError(ref, issued) {
+  return new Error(issued
+    ? `No element found for ref "${ref}": element gone — it is no longer in the page (take a new snapshot)`
+    : `No element found for ref "${ref}" (take a snapshot first)`);
+}
+
+/**
+ * The node carrying `ref` in a (raw, unpruned) snapshot tree — the root for
+ * snapshot({ root: ref }). An iframe placeholder's node already holds the
+ * child frame's tree, so its subtree spans the frame. Throws refError() when
+ * the element isn't in the tree.
+ * @param {?object} tree
+ * @param {string|number} ref
+ * @param {boolean} issued - Whether the ref was ever handed out
+ * @returns {object}
+ */
+export function subtreeAt(tree, ref, issued) {
+  const want = String(ref);
+  const stack = tree ? [tree] : [];
+  while (stack.length) {
+    const node = stack.pop();
+    if (node.nodeId === want) return node;
+    for (let i = (node.children || []).length - 1; i >= 0; i--) stack.push(node.children[i]);
+  }
+  throw refError(ref, issued);
+}
+
+/**
+ * CDP ref registry. Maps (session, backendNodeId) → ref and back. A session is
+ * part of the key because OOPIF frames live in other renderer processes, whose
+ * backendNodeIds are an independent sequence.
+ * @returns {{
+ *   refFor: (session: object, backendNodeId: number) => string,
+ *   allocate: () => string,
+ *   get: (ref: string|number) => ({session: object, backendNodeId: number}|undefined),
+ *   issued: (ref: string|number) => boolean,
+ *   reset: () => void,
+ *   readonly generation: number,
+ * }}
+ */
+export function createRefRegistry() {
+  let next = 1;
+  let bySession = new Map();
+  let entries = new Map();
+  let generation = 0;
+  return {
+    /** The node's ref, allocated on first sight. */
+    refFor(session, backendNodeId) {
+      let byNode = bySession.get(session);
+      if (!byNode) { byNode = new Map(); bySession.set(session, byNode); }
+      let ref = byNode.get(backendNodeId);
+      if (!ref) {
+        ref = String(next++);
+        byNode.set(backendNodeId, ref);
+        entries.set(ref, { session, backendNodeId });
+      }
+      return ref;
+    },
+    /** A fresh ref for an AX node with no DOM node behind it (never resolvable). */
+    allocate() {
+      return String(next++);
+    },
+    get(ref) {
+      return entries.get(String(ref));
+    },
+    issued(ref) {
+      return wasIssued(ref, next - 1);
+    },
+    /**
+     * Forget every node mapping. Called when the main frame loads a new
+     * document: a new renderer restarts backendNodeIds, so an old mapping
+     * could name a new node. The counter keeps running, so refs from the old
+     * document stay distinguishable as gone.
+     */
+    reset() {
+      bySession = new Map();
+      entries = new Map();
+      generation++;
+    },
+    /** Bumped by every reset() — identifies the document the refs belong to. */
+    get generation() {
+      return generation;
+    },
+  };
+}
+
+/**
+ * Resolve a ref to its live { session, backendNodeId }, or throw refError().
+ * A mapped node that was removed from the document is still resolvable by
+ * backendNodeId, so isConnected is checked in-page — otherwise a click on a
+ * detached node would surface as a CDP box-model error.
+ * @param {ReturnType<typeof createRefRegistry>} refs
+ * @param {string} ref
+ */
+export async function resolveCdpRef(refs, ref) {
+  const entry = refs.get(ref);
+  if (!entry) throw refError(ref, refs.issued(ref));
+  if (!(await isConnected(entry))) throw refError(ref, true);
+  return entry;
+}
+
+async function isConnected({ session, backendNodeId }) {
+  let objectId;
+  try {
+    ({ object: { objectId } } = await session.send('DOM.resolveNode', { backendNodeId }));
+    const { result } = await session.send('Runtime.callFunctionOn', {
+      objectId,
+      functionDeclaration: 'function() { return this.isConnected; }',
+      returnByValue: true,
+    });
+    return result?.value === true;
+  } catch {
+    return false; // node destroyed, or its frame session detached
+  } finally {
+    if (objectId) session.send('Runtime.releaseObject', { objectId }).catch(() => {});
+  }
+}
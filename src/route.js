@@ -0,0 +1,141 @@
+/**
+ * route.js — Shared request-routing core for both engines (page.route).
+ *
+ * A paused request surfaces differently per protocol — CDP's
+ * `Fetch.requestPaused` vs BiDi's `network.beforeRequestSent` with an
+ * intercept — but which route handles it, what the handler sees, and what it
+ * may answer are the same. This module single-sources that part, like
+ * dialog.js does for dialogs; index.js and firefox-page.js only translate the
+ * normalized decision into protocol calls.
+ *
+ * Patterns are CDP-format globs, the same syntax as `blockUrls` ('*' = any
+ * run of characters, '?' = one character, whole-URL match), compiled with
+ * makeBlockMatcher so both engines match identically.
+ */
+
+import { makeBlockMatcher } from './blocklist.js';
+
+/**
+ * @typedef {object} RouteRequest
+ * @property {string} url
+ * @property {string} method
+ * @property {Record<string, string>} headers
+ * @property {string} [postData]
+ * @property {string} [resourceType] - CDP only ('Document', 'XHR', 'Fetch', …)
+ */
+
+/**
+ * What a route handler may return. Returning nothing falls through to the
+ * previously registered matching route, and finally to the network.
+ * @typedef {{action: 'continue', url?: string, method?: string, headers?: Record<string, string>, postData?: string}
+ *   | {action: 'abort'}
+ *   | {action: 'fulfill', status?: number, headers?: Record<string, string>, contentType?: string, body?: string|Uint8Array}
+ * } RouteDecision
+ */
+
+/**
+ * A decision ready for the wire: headers as a `{name, value}` list, bodies
+ * base64 (both CDP and BiDi take binary-safe base64).
+ * @typedef {{action: 'continue', url?: string, method?: string, headers?: {name: string, value: string}[], postData?: string}
+ *   | {action: 'abort'}
+ *   | {action: 'fulfill', status: number, headers: {name: string, value: string}[], body: string}
+ * } WireDecision
+ */
+
+/** @typedef {(request: RouteRequest) => (RouteDecision|void|Promise<RouteDecision|void>)} RouteHandler */
+
+/**
+ * The route table behind page.route()/unroute(). Routes registered later take
+ * precedence, so a test can override a broad mock with a narrower one.
+ * `fallback` (HAR replay) answers every request no route did; it sits outside
+ * the table, so unroute() can't drop it and send a replayed session to the
+ * network.
+ * @param {object} [opts]
+ * @param {?RouteHandler} [opts.fallback]
+ * @returns {{
+ *   add: (pattern: string, handler: RouteHandler) => void,
+ *   remove: (pattern?: string) => void,
+ *   readonly patterns: string[],
+ *   decide: (request: RouteRequest) => Promise<WireDecision>,
+ * }}
+ */
+export function createRouter({ fallback = null } = {}) {
+  /** @type {{pattern: string, matches: (url: string) => boolean, handler: RouteHandler}[]} */
+  let routes = [];
+  const table = () => (fallback
+    ? [{ pattern: '*', matches: () => true, handler: fallback }, ...routes]
+    : routes);
+  return {
+    add(pattern, handler) {
+      if (typeof pattern !== 'string' || !pattern) throw new Error('route() pattern must be a non-empty URL glob');
+      if (typeof handler !== 'function') throw new Error('route() handler must be a function');
+      routes.push({ pattern, matches: makeBlockMatcher([pattern]), handler });
+    },
+    /** Drop every route registered for `pattern`, or all routes when omitted. */
+    remove(pattern) {
+      routes = pattern === undefined ? [] : routes.filter((r) => r.pattern !== pattern);
+    },
+    /** Distinct patterns, for the protocol-side filter (CDP Fetch.enable). */
+    get patterns() {
+      return [...new Set(table().map((r) => r.pattern))];
+    },
+    /**
+     * Ask the matching routes, newest first, until one answers. A handler that
+     * throws (or answers nonsense) is warned about and the request continues,
+     * so the page never hangs on a paused request.
+     */
+    async decide(request) {
+      for (const route of [...table()].reverse()) {
+        if (!route.matches(request.url)) continue;
+        try {
+          const decision = await route.handler({ ...request, headers: { ...request.headers } });
+          if (decision) return toWire(decision);
+        } catch (err) {
+          console.warn(`barebrowse: route handler for "${route.pattern}" failed — request continued (${err.message})`);
+          return { action: 'continue' };
+        }
+      }
+      return { action: 'continue' };
+    },
+  };
+}
+
+/**
+ * Validate a handler's decision and encode it for the wire.
+ * @param {RouteDecision} decision
+ * @returns {WireDecision}
+ */
+function toWire(decision) {
+  switch (decision.action) {
+    case 'abort':
+      return { action: 'abort' };
+    case 'fulfill': {
+      const headers = headerList(decision.headers || {});
+      if (decision.contentType && !headers.some((h) => h.name.toLowerCase() === 'content-type')) {
+        headers.push({ name: 'Content-Type', value: decision.contentType });
+      }
+      return { action: 'fulfill', status: decision.status || 200, headers, body: base64(decision.body ?? '') };
+    }
+    case 'continue': {
+      /** @type {WireDecision} */
+      const out = { action: 'continue' };
+      if (decision.url) out.url = decision.url;
+      if (decision.method) out.method = decision.method;
+      if (decision.headers) out.headers = headerList(decision.headers);
+      if (decision.postData !== undefined) out.postData = base64(decision.postData);
+      return out;
+    }
+    default:
+      throw new Error(`route handler returned unknown action "${/** @type {any} */ (decision).action}" — use continue, abort or fulfill`);
+  }
+}
+
+/** `{ name: value }` → `[{ name, value }]` */
+function headerList(headers) {
+  return Object.entries(headers).map(([name, value]) => ({ name, value: String(value) }));
+}
+
+/** @param {string|Uint8Array} body */
+function base64(body) {
+  return Buffer.from(body).toString('base64');
+}
@@ -0,0 +1,176 @@
+/**
+ * scroll-until.js — Harvest an infinite-scroll page into one snapshot.
+ *
+ * page.scrollUntil() scrolls, waits for the network to go quiet, and merges
+ * whatever the AX tree now holds into a running tree, until a stop condition
+ * holds: some text has appeared, enough items (nodes of one role) have been
+ * collected, scrolling stopped adding anything, or `maxScrolls` ran out.
+ *
+ * Merging keys nodes by ref, which is stable for as long as an element stays
+ * in the DOM (refs.js, ax-snapshot.js), so a feed item seen on several
+ * scrolls appears once. Virtualized lists drop items that scroll out of view;
+ * those stay in the merged tree where they were. An item the page removed and
+ * re-rendered under a new ref is recognised by its content (its lines with
+ * refs stripped) and kept once.
+ *
+ * Engine-neutral: each engine's page passes the primitives (scroll, network
+ * idle, pruned tree, URL), as with dialog.js and route.js.
+ */
+
+import { formatTree, treeToJSON, formatMarkdown } from './aria.js';
+
+const DEFAULTS = { maxScrolls: 20, step: 1000, idleMs: 500, idleTimeout: 5000, noNewContent: 2 };
+
+/**
+ * @typedef {object} ScrollUntilOpts
+ * @property {number} [maxScrolls=20] - Scrolls before giving up
+ * @property {{text?: string, count?: number, role?: string, noNewContent?: number|boolean}} [until] -
+ *   Stop once `text` appears (case-insensitive), once `count` nodes of `role`
+ *   (default 'listitem'; 'article' for most feeds) are collected, or after
+ *   `noNewContent` scrolls in a row add nothing (default 2; `false` turns it
+ *   off and only `maxScrolls` ends a page that stopped growing)
+ * @property {number} [idleMs=500] - Network quiet time to wait for after each scroll
+ * @property {number} [step=1000] - Pixels per scroll
+ * @property {'act'|'browse'|'navigate'|'full'|'read'} [mode='browse'] - Prune mode
+ * @property {'text'|'json'|'markdown'} [format='text']
+ */
+
+/**
+ * Run the scroll loop over one engine's primitives.
+ * @param {object} io
+ * @param {(deltaY: number) => Promise<void>} io.scroll
+ * @param {(opts: {idle: number, timeout: number}) => Promise<void>} io.idle - Network idle wait
+ * @param {(mode: 'act'|'browse'|'navigate'|'full'|'read') => Promise<?object>} io.tree - The current pruned tree
+ * @param {() => Promise<string>} io.url
+ * @param {ScrollUntilOpts} [opts]
+ * @returns {Promise<any>} Snapshot text with a scroll summary line, or
+ *   `{ url, scrolls, stopped, tree }` for format 'json'
+ */
+export async function scrollUntil(io, opts = {}) {
+  const { until = {}, mode = 'browse', format = 'text' } = opts;
+  const maxScrolls = opts.maxScrolls ?? DEFAULTS.maxScrolls;
+  const step = opts.step ?? DEFAULTS.step;
+  const idleMs = opts.idleMs ?? DEFAULTS.idleMs;
+  const patience = until.noNewContent === false ? Infinity
+    : typeof until.noNewContent === 'number' ? until.noNewContent : DEFAULTS.noNewContent;
+  const role = until.role || 'listitem';
+  if (!(maxScrolls >= 0)) throw new Error(`scrollUntil: maxScrolls must be a number >= 0, got ${maxScrolls}`);
+
+  let merged = await io.tree(mode);
+  let size = countNodes(merged);
+  const firstSize = size;
+  let scrolls = 0;
+  let idleRounds = 0;
+  /** @type {'text'|'count'|'noNewContent'|'maxScrolls'} */
+  let stopped = 'maxScrolls';
+
+  /** @returns {?('text'|'count')} */
+  const reached = () => {
+    if (until.text && formatTree(merged).toLowerCase().includes(until.text.toLowerCase())) return 'text';
+    if (until.count && countNodes(merged, role) >= until.count) return 'count';
+    return null;
+  };
+
+  /** @type {?('text'|'count'|'noNewContent')} */
+  let hit = reached();
+  while (!hit && scrolls < maxScrolls) {
+    await io.scroll(step);
+    scrolls++;
+    // A page that streams or long-polls never goes idle: carry on regardless.
+    await io.idle({ idle: idleMs, timeout: DEFAULTS.idleTimeout }).catch(() => {});
+    merged = mergeTrees(merged, await io.tree(mode));
+    const grown = countNodes(merged);
+    idleRounds = grown > size ? 0 : idleRounds + 1;
+    size = grown;
+    hit = reached();
+    if (!hit && idleRounds >= patience) hit = 'noNewContent';
+  }
+  if (hit) stopped = hit;
+
+  const url = await io.url();
+  if (format === 'json') return { url, scrolls, stopped, tree: treeToJSON(merged) };
+  const summary = `scrolled ${scrolls} time${scrolls === 1 ? '' : 's'}, stopped: ${stopped}`
+    + ` — ${size - firstSize} nodes added to the first view's ${firstSize}`;
+  if (format === 'markdown') return `url: ${url}\n${summary}\n\n` + formatMarkdown(merged);
+  return `url: ${url}\n${summary}\n` + (merged ? formatTree(merged) : '');
+}
+
+/**
+ * Merge a newer tree of the same page into an older one. Children are matched
+ * by ref (then by content, for re-rendered items); the newer node's fields
+ * win, and older children the page has since dropped keep their place.
+ * @param {?object} prev
+ * @param {?object} next
+ * @returns {?object}
+ */
+export function mergeTrees(prev, next) {
+  if (!prev) return next;
+  if (!next) return prev;
+  return { ...next, children: mergeChildren(prev.children || [], next.children || []) };
+}
+
+function mergeChildren(oldKids, newKids) {
+  const oldKeys = keysOf(oldKids);
+  const oldIndex = new Map(oldKeys.map((k, i) => [k, i]));
+  const used = new Set();
+  const matchOf = keysOf(newKids).map((k) => {
+    const i = oldIndex.get(k);
+    if (i === undefined) return -1;
+    used.add(i);
+    return i;
+  });
+
+  // Unmatched old children by content, for new children under a fresh ref.
+  /** @type {Map<string, number[]>} */
+  const bySignature = new Map();
+  oldKids.forEach((kid, i) => {
+    const sig = used.has(i) ? '' : signature(kid);
+    if (!sig) return;
+    if (!bySignature.has(sig)) bySignature.set(sig, []);
+    /** @type {number[]} */ (bySignature.get(sig)).push(i);
+  });
+  newKids.forEach((kid, j) => {
+    if (matchOf[j] !== -1) return;
+    const i = bySignature.get(signature(kid))?.shift();
+    if (i !== undefined) { matchOf[j] = i; used.add(i); }
+  });
+
+  // New order, with each dropped old child placed before the next match
+  // that followed it.
+  const out = [];
+  let cursor = 0;
+  newKids.forEach((kid, j) => {
+    const m = matchOf[j];
+    if (m >= cursor) {
+      for (; cursor < m; cursor++) if (!used.has(cursor)) out.push(oldKids[cursor]);
+      cursor = m + 1;
+    }
+    out.push(m === -1 ? kid : mergeTrees(oldKids[m], kid));
+  });
+  for (; cursor < oldKids.length; cursor++) if (!used.has(cursor)) out.push(oldKids[cursor]);
+  return out;
+}
+
+/** Sibling keys: the ref, or role + name with an occurrence suffix. */
+function keysOf(kids) {
+  const seen = new Map();
+  return kids.map((kid) => {
+    const base = kid.nodeId ? `ref:${kid.nodeId}` : `anon:${kid.role}|${kid.name}`;
+    const n = (seen.get(base) || 0) + 1;
+    seen.set(base, n);
+    return n === 1 ? base : `${base}#${n}`;
+  });
+}
+
+/** A subtree's rendered lines without refs: equal for a re-rendered copy. */
+function signature(node) {
+  return formatTree(node).replace(/ \[ref=[^\]]*\]/g, '');
+}
+
+/** Nodes in a tree, or only those with `role`. */
+function countNodes(node, role) {
+  if (!node) return 0;
+  let n = !role || node.role === role ? 1 : 0;
+  for (const c of node.children || []) n += countNodes(c, role);
+  return n;
+}
@@ -0,0 +1,114 @@
+/**
+ * snapshot-diff.js — What changed between two snapshots of the same page.
+ *
+ * Refs are stable across snapshots (refs.js), so a node is matched to its
+ * previous self by ref. A node whose ref is new was added, a ref that
+ * vanished was removed, and a ref whose rendered line differs (name, value,
+ * checked/expanded state, …) changed. Nodes with no stable ref (prune's
+ * synthetic wrappers, and CDP nodes with no DOM node behind them, which get
+ * a fresh ref every snapshot) are matched by their parent and role + name.
+ * Output reuses the formatTree() line syntax, prefixed unified-diff style:
+ *
+ *   diff: 1 added, 1 removed, 1 changed since the previous snapshot
+ *   +   - button "Undo" [ref=57]
+ *   - - textbox "Email" [ref=12]
+ *   + - textbox "Email" [value="a@b.c"] [ref=12]
+ *   -   - alert "Saved" [ref=40]
+ *
+ * A changed node is a `-` old line followed by its `+` new line. Added and
+ * changed lines follow the new tree's order; removed lines come last, in the
+ * old tree's order.
+ */
+
+import { formatLine, isRendered } from './aria.js';
+
+/**
+ * Flatten the lines formatTree() would render into an ordered Map keyed by
+ * ref. Nodes without a stable ref (none, or a `transientRef` one) key on
+ * their rendered parent's key plus role + name, and compare without the
+ * ref; a repeated key (prune copies a ref onto nodes it synthesizes) gets an
+ * occurrence suffix so every line stays addressable.
+ * @param {?object} tree
+ * @returns {Map<string, {line: string, text: string}>}
+ */
+function flatten(tree) {
+  const out = new Map();
+  (function walk(node, depth, parent) {
+    if (!node) return;
+    if (node.ignored) {
+      for (const c of node.children || []) walk(c, depth, parent);
+      return;
+    }
+    if (!isRendered(node)) return;
+    const stable = node.nodeId && !node.transientRef;
+    const base = stable ? `ref:${node.nodeId}` : `anon:${parent}>${node.role}|${node.name}`;
+    let key = base;
+    for (let n = 2; out.has(key); n++) key = `${base}#${n}`;
+    const line = formatLine(node, depth);
+    const text = stable ? line.trimStart() : formatLine({ ...node, nodeId: '' });
+    out.set(key, { line, text });
+    for (const c of node.children || []) walk(c, depth + 1, key);
+  })(tree, 0, '');
+  return out;
+}
+
+/**
+ * Diff two (pruned) trees.
+ * @param {?object} prev - Tree from the previous snapshot
+ * @param {?object} next - Tree from this snapshot
+ * @returns {{added: number, removed: number, changed: number, lines: string[]}}
+ */
+export function diffTrees(prev, next) {
+  const before = flatten(prev);
+  const after = flatten(next);
+  const lines = [];
+  let added = 0, removed = 0, changed = 0;
+  for (const [key, cur] of after) {
+    const old = before.get(key);
+    if (!old) {
+      lines.push(`+ ${cur.line}`);
+      added++;
+    } else if (old.text !== cur.text) {
+      lines.push(`- ${old.line}`, `+ ${cur.line}`);
+      changed++;
+    }
+  }
+  for (const [key, old] of before) {
+    if (!after.has(key)) {
+      lines.push(`- ${old.line}`);
+      removed++;
+    }
+  }
+  return { added, removed, changed, lines };
+}
+
+/**
+ * Render a diff-mode snapshot body against the page's previous snapshot.
+ * Returns null when there is nothing comparable — no previous snapshot, a
+ * different document (navigation, tab switch), or a different prune mode,
+ * focus or root — so the caller can fall back to the full tree.
+ * @param {?{document: *, mode: string, tree: ?object}} prev
+ * @param {{document: *, mode: string, tree: ?object}} next
+ * @returns {?string}
+ */
+export function formatSnapshotDiff(prev, next) {
+  if (!prev || prev.document !== next.document || prev.mode !== next.mode) return null;
+  const { added, removed, changed, lines } = diffTrees(prev.tree, next.tree);
+  if (!lines.length) return 'diff: no changes since the previous snapshot';
+  return `diff: ${added} added, ${removed} removed, ${changed} changed since the previous snapshot\n`
+    + lines.join('\n');
+}
+
+/**
+ * The `mode` key a snapshot is stored under: the prune mode plus any focus
+ * or subtree root, since those prune a different tree that isn't comparable.
+ * @param {string} mode
+ * @param {string} [focus]
+ * @param {string|number} [root]
+ */
+export function diffMode(mode, focus, root) {
+  return mode + (focus ? ` focus=${focus}` : '') + (root ? ` root=${root}` : '');
+}
+
+/** Header line for a diff request that fell back to the full tree. */
+export const DIFF_FALLBACK_NOTE = 'diff: no previous snapshot of this page — full snapshot follows';
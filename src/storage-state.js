@@ -0,0 +1,301 @@
+/**
+ * storage-state.js — Save and restore per-origin web storage alongside cookies.
+ *
+ * A state file is `{ cookies, localStorage, origins }`:
+ *   - `cookies`      CDP Network.Cookie shape (Firefox flattens to it too)
+ *   - `origins`      [{ origin, localStorage, sessionStorage, indexedDB? }],
+ *                    one entry per origin seen in the tab's frames
+ *   - `localStorage` the top frame's localStorage, kept for files written
+ *                    before `origins` existed and for callers that read it
+ *
+ * Web storage can only be written from a document of the owning origin, so a
+ * restore can't happen up front the way cookies do. Instead a seed script is
+ * installed on every new document (CDP Page.addScriptToEvaluateOnNewDocument,
+ * BiDi script.addPreloadScript): when a document of a saved origin loads, it
+ * writes that origin's entries before any page script runs, then reports back
+ * so the origin is dropped from the pending set. Each origin is seeded once —
+ * a later logout (the app clearing its own storage) is not undone on the next
+ * navigation.
+ *
+ * IndexedDB is opt-in (`saveState(path, { indexedDB: true })`) and
+ * best-effort: records round-trip through JSON, so values that don't
+ * (Blob, Date, typed arrays) come back lossy.
+ */
+
+import { readFileSync, writeFileSync, chmodSync } from 'node:fs';
+
+// Runtime binding the CDP seed script reports seeded origins through. The
+// script captures and deletes the global before page code can see it.
+const SEED_BINDING = '__bbStorageSeeded';
+// BiDi script.message channel the preload script reports through.
+const SEED_CHANNEL = 'bb-storage-state';
+
+/**
+ * In-page seed function source: `(origins, notify) => void`. Writes the entry
+ * matching `location.origin` (if any) into localStorage, sessionStorage and
+ * IndexedDB, then calls notify(origin). Opaque origins never match.
+ */
+export const SEED_FUNCTION = `function seedStorageState(origins, notify) {
+  let origin;
+  try { origin = location.origin; } catch { return; }
+  const entry = origins.find((o) => o.origin === origin);
+  if (!entry) return;
+  try {
+    for (const [k, v] of Object.entries(entry.localStorage || {})) localStorage.setItem(k, v);
+  } catch {}
+  try {
+    for (const [k, v] of Object.entries(entry.sessionStorage || {})) sessionStorage.setItem(k, v);
+  } catch {}
+  if (entry.indexedDB && entry.indexedDB.length && typeof indexedDB !== 'undefined') {
+    for (const db of entry.indexedDB) {
+      let req;
+      try { req = indexedDB.open(db.name, db.version); } catch { continue; }
+      req.onupgradeneeded = () => {
+        const idb = req.result;
+        for (const s of db.stores) {
+          if (idb.objectStoreNames.contains(s.name)) continue;
+          const store = idb.createObjectStore(s.name, { keyPath: s.keyPath, autoIncrement: !!s.autoIncrement });
+          for (const ix of s.indexes || []) {
+            store.createIndex(ix.name, ix.keyPath, { unique: !!ix.unique, multiEntry: !!ix.multiEntry });
+          }
+        }
+      };
+      req.onsuccess = () => {
+        const idb = req.result;
+        const names = db.stores.map((s) => s.name).filter((n) => idb.objectStoreNames.contains(n));
+        if (!names.length) { idb.close(); return; }
+        const tx = idb.transaction(names, 'readwrite');
+        for (const s of db.stores) {
+          if (!names.includes(s.name)) continue;
+          const store = tx.objectStore(s.name);
+          for (const r of s.records || []) {
+            if (store.keyPath !== null) store.put(r.value);
+            else store.put(r.value, r.key);
+          }
+        }
+        tx.oncomplete = tx.onerror = tx.onabort = () => idb.close();
+      };
+      req.onerror = () => {};
+    }
+  }
+  if (typeof notify === 'function') {
+    try { notify(origin); } catch {}
+  }
+}`;
+
+/**
+ * In-page collector source: `async (includeIndexedDB) => string|null`.
+ * Returns the current document's origin entry as a JSON string, or null for
+ * an opaque origin (about:blank, data:, sandboxed frames).
+ */
+export const COLLECT_FUNCTION = `async function collectStorageState(includeIndexedDB) {
+  const origin = location.origin;
+  if (!origin || origin === 'null') return null;
+  const dump = (s) => {
+    const out = {};
+    for (let i = 0; i < s.length; i++) { const k = s.key(i); out[k] = s.getItem(k); }
+    return out;
+  };
+  const entry = { origin, localStorage: {}, sessionStorage: {} };
+  try { entry.localStorage = dump(localStorage); } catch {}
+  try { entry.sessionStorage = dump(sessionStorage); } catch {}
+  if (includeIndexedDB && typeof indexedDB !== 'undefined' && indexedDB.databases) {
+    const wrap = (req) => new Promise((res, rej) => {
+      req.onsuccess = () => res(req.result);
+      req.onerror = () => rej(req.error);
+    });
+    entry.indexedDB = [];
+    try {
+      for (const { name } of await indexedDB.databases()) {
+        const db = await wrap(indexedDB.open(name));
+        const names = Array.from(db.objectStoreNames);
+        const stores = [];
+        if (names.length) {
+          // Issue every read up front: a transaction auto-commits once it has
+          // no pending requests, so awaiting store by store could outlive it.
+          const tx = db.transaction(names, 'readonly');
+          const reads = names.map((sn) => {
+            const store = tx.objectStore(sn);
+            const meta = {
+              name: sn,
+              keyPath: store.keyPath,
+              autoIncrement: store.autoIncrement,
+              indexes: Array.from(store.indexNames).map((n) => {
+                const ix = store.index(n);
+                return { name: n, keyPath: ix.keyPath, unique: ix.unique, multiEntry: ix.multiEntry };
+              }),
+            };
+            return Promise.all([wrap(store.getAllKeys()), wrap(store.getAll())]).then(([keys, values]) => {
+              meta.records = keys.map((key, i) => ({ key, value: values[i] }));
+              return meta;
+            });
+          });
+          stores.push(...(await Promise.all(reads)));
+        }
+        entry.indexedDB.push({ name, version: db.version, stores });
+        db.close();
+      }
+    } catch {}
+  }
+  return JSON.stringify(entry);
+}`;
+
+/**
+ * Expression that collects the current document's origin entry.
+ * @param {boolean} [includeIndexedDB=false]
+ * @returns {string} Expression evaluating to a Promise<string|null>
+ */
+export function collectExpression(includeIndexedDB = false) {
+  return `(${COLLECT_FUNCTION})(${includeIndexedDB ? 'true' : 'false'})`;
+}
+
+/**
+ * Read and parse a state file. Missing or invalid files yield null so the
+ * caller can continue without auth state rather than fail the launch.
+ * @param {string} filePath
+ * @returns {?{cookies?: object[], localStorage?: object, origins?: object[]}}
+ */
+export function readStorageState(filePath) {
+  try {
+    const state = JSON.parse(readFileSync(filePath, 'utf8'));
+    return state && typeof state === 'object' ? state : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The restorable origin entries of a state. Legacy files (top-level
+ * `localStorage` only) carry no origin, so there is nothing to seed them into.
+ * @param {?object} state
+ * @returns {Array<{origin: string, localStorage: object, sessionStorage: object, indexedDB?: object[]}>}
+ */
+export function stateOrigins(state) {
+  if (!state || !Array.isArray(state.origins)) return [];
+  return mergeOrigins(state.origins.filter((o) => o && typeof o.origin === 'string' && o.origin !== 'null'));
+}
+
+/**
+ * Merge entries that share an origin (several frames of one origin). Later
+ * entries win per key; IndexedDB databases are kept from the first entry
+ * that has them.
+ * @param {Array<object>} entries
+ * @returns {Array<object>}
+ */
+export function mergeOrigins(entries) {
+  const byOrigin = new Map();
+  for (const e of entries) {
+    const prev = byOrigin.get(e.origin);
+    if (!prev) {
+      byOrigin.set(e.origin, {
+        ...e,
+        localStorage: { ...(e.localStorage || {}) },
+        sessionStorage: { ...(e.sessionStorage || {}) },
+      });
+      continue;
+    }
+    Object.assign(prev.localStorage, e.localStorage || {});
+    Object.assign(prev.sessionStorage, e.sessionStorage || {});
+    if (!prev.indexedDB && e.indexedDB) prev.indexedDB = e.indexedDB;
+  }
+  return [...byOrigin.values()];
+}
+
+/**
+ * Assemble the state object written by saveState().
+ * @param {object[]} cookies - CDP-shaped cookies
+ * @param {Array<?string>} rawEntries - Collector results (JSON strings or null)
+ * @param {?string} topOrigin - Origin of the top frame, for the legacy field
+ */
+export function buildState(cookies, rawEntries, topOrigin) {
+  const entries = [];
+  for (const raw of rawEntries) {
+    if (!raw) continue;
+    try { entries.push(JSON.parse(raw)); } catch { /* skip malformed frame */ }
+  }
+  const origins = mergeOrigins(entries);
+  const top = origins.find((o) => o.origin === topOrigin);
+  return { cookies, localStorage: top ? top.localStorage : {}, origins };
+}
+
+/**
+ * Write a state file owner-only: it holds session tokens, so a multi-user
+ * host must not be able to read another user's credentials off disk.
+ * @param {string} filePath
+ * @param {object} state
+ */
+export function writeStorageState(filePath, state) {
+  writeFileSync(filePath, JSON.stringify(state, null, 2), { mode: 0o600 });
+  try { chmodSync(filePath, 0o600); } catch { /* best effort if pre-existing */ }
+}
+
+/**
+ * Seed saved origins into every new document of a CDP page session. Runs
+ * before the first navigation; each origin is seeded once, then the script is
+ * reinstalled without it. No Runtime.enable — bindingCalled is delivered
+ * without it, and Runtime stays off (an automation tell) unless console
+ * capture asks for it (capture.js).
+ * @param {object} session - CDP page session
+ * @param {Array<object>} origins - From stateOrigins()
+ */
+export async function seedOriginsCDP(session, origins) {
+  let pending = [...origins];
+  if (!pending.length) return;
+  let identifier = null;
+  const install = async () => {
+    const source = `(() => {
+      const notify = globalThis[${JSON.stringify(SEED_BINDING)}];
+      try { delete globalThis[${JSON.stringify(SEED_BINDING)}]; } catch {}
+      (${SEED_FUNCTION})(${JSON.stringify(pending)}, notify);
+    })();`;
+    ({ identifier } = await session.send('Page.addScriptToEvaluateOnNewDocument', { source }));
+  };
+  const unsub = session.on('Runtime.bindingCalled', async (params) => {
+    if (params.name !== SEED_BINDING) return;
+    const before = pending.length;
+    pending = pending.filter((o) => o.origin !== params.payload);
+    if (pending.length === before) return;
+    try {
+      if (identifier) await session.send('Page.removeScriptToEvaluateOnNewDocument', { identifier });
+      identifier = null;
+      if (pending.length) await install();
+      else unsub();
+    } catch { /* session gone */ }
+  });
+  await session.send('Runtime.addBinding', { name: SEED_BINDING });
+  await install();
+}
+
+/**
+ * BiDi counterpart of seedOriginsCDP: a preload script with a channel
+ * argument, reinstalled without each origin once it reports in.
+ * @param {object} bidi - BiDi client
+ * @param {Array<object>} origins - From stateOrigins()
+ */
+export async function seedOriginsBiDi(bidi, origins) {
+  let pending = [...origins];
+  if (!pending.length) return;
+  let scriptId = null;
+  const install = async () => {
+    const { script } = await bidi.send('script.addPreloadScript', {
+      functionDeclaration: `(notify) => (${SEED_FUNCTION})(${JSON.stringify(pending)}, notify)`,
+      arguments: [{ type: 'channel', value: { channel: SEED_CHANNEL } }],
+    });
+    scriptId = script;
+  };
+  await bidi.subscribe(['script.message']);
+  const unsub = bidi.on('script.message', async (e) => {
+    if (e.channel !== SEED_CHANNEL) return;
+    const origin = e.data?.value;
+    const before = pending.length;
+    pending = pending.filter((o) => o.origin !== origin);
+    if (pending.length === before) return;
+    try {
+      if (scriptId) await bidi.send('script.removePreloadScript', { script: scriptId });
+      scriptId = null;
+      if (pending.length) await install();
+      else unsub();
+    } catch { /* connection gone */ }
+  });
+  await install();
+}
@@ -0,0 +1,301 @@
+/**
+ * trace.js — Post-mortem traces: connect({ trace: 'dir/' }) and a static
+ * HTML timeline viewer (barebrowse trace view).
+ *
+ * Each action on the main page (goto, click, type, fillForm, …) appends
+ * one record to a single archive, <dir>/trace-<timestamp>.jsonl. A record
+ * holds:
+ *   - the action, its arguments, when it started, how long it took, and the
+ *     error if it threw
+ *   - the act-mode snapshot before and after, and the URL after
+ *   - a screenshot after (JPEG, downscaled)
+ *   - the console and network entries and JS dialogs since the previous
+ *     record
+ * It replaces rebuilding a failure from scattered page-*.yml and
+ * console-*.json files with no order between them. Records are appended as
+ * they happen, so a crashed run keeps everything up to the crash; a clean
+ * close() adds an end record.
+ *
+ * traceViewerHtml() renders an archive as one self-contained HTML file: the
+ * timeline on the left, the selected step's screenshot, snapshots, console,
+ * network and dialogs on the right. No server. Page text is only ever set as
+ * textContent, so a hostile page can't script the viewer.
+ *
+ * The archive holds typed text and authenticated page content: it is
+ * owner-only (0700 directory, 0600 file).
+ */
+
+import { appendFileSync, mkdirSync, readdirSync, readFileSync, statSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { prune as pruneTree } from './prune.js';
+import { formatTree } from './aria.js';
+
+/** Page methods traced, where the page has them. */
+const TRACED_ACTIONS = [
+  'goto', 'goBack', 'goForward', 'reload', 'click', 'type', 'press', 'scroll',
+  'hover', 'select', 'drag', 'upload', 'fillForm', 'waitFor',
+];
+
+/** Let the page react before the after-snapshot (bareagent's settle). */
+const SETTLE_MS = 300;
+const SCREENSHOT = { format: 'jpeg', quality: 60, maxWidth: 960 };
+
+/**
+ * @typedef {object} TraceAction
+ * @property {'action'} type
+ * @property {number} seq - 1-based
+ * @property {string} action - Page method name
+ * @property {any[]} args
+ * @property {string} startedAt - ISO time
+ * @property {number} ms - How long the action took
+ * @property {?string} error - The action's error message, null on success
+ * @property {string} url - After the action
+ * @property {?string} before - Act-mode snapshot before (null: unreadable)
+ * @property {?string} after - Act-mode snapshot after
+ * @property {?string} screenshot - base64 JPEG after
+ * @property {import('./capture.js').ConsoleEntry[]} console
+ * @property {import('./capture.js').NetworkEntry[]} network
+ * @property {{type: string, message: string, timestamp: string}[]} dialogs
+ */
+
+/**
+ * @typedef {object} Trace
+ * @property {?{type: 'trace', version: number, startedAt: string, engine: string}} header
+ * @property {TraceAction[]} actions
+ * @property {?{type: 'end', endedAt: string}} end - null when the run didn't close cleanly
+ */
+
+/**
+ * Trace a page's actions into a new archive under `dir`. Wraps the page's
+ * methods in place and returns it.
+ * @param {any} page
+ * @param {object} io
+ * @param {string} io.dir
+ * @param {() => Promise<?object>} io.tree - The page's full (unpruned) tree
+ * @param {() => Promise<string>} io.url
+ * @param {string} io.engine
+ * @returns {any}
+ */
+export function traceActions(page, { dir, tree, url, engine }) {
+  mkdirSync(dir, { recursive: true, mode: 0o700 });
+  const startedAt = new Date().toISOString();
+  const file = join(dir, `trace-${startedAt.replace(/[:.]/g, '-')}.jsonl`);
+  writeFileSync(file, '', { mode: 0o600 });
+  const append = (record) => appendFileSync(file, JSON.stringify(record) + '\n');
+  append({ type: 'trace', version: 1, startedAt, engine });
+
+  // Entries since the previous record.
+  let consoleSince = [];
+  let networkSince = [];
+  let dialogsSeen = page.dialogLog.length;
+  page.on('console', (e) => consoleSince.push(e));
+  page.on('response', (e) => networkSince.push(e));
+  page.on('requestfailed', (e) => networkSince.push(e));
+
+  async function snapshotText() {
+    try {
+      const raw = await tree();
+      return `url: ${await url()}\n` + (raw ? formatTree(pruneTree(raw, { mode: 'act' })) : '');
+    } catch {
+      return null; // mid-navigation, or the page is gone
+    }
+  }
+
+  let seq = 0;
+  for (const action of TRACED_ACTIONS) {
+    if (typeof page[action] !== 'function') continue;
+    const run = page[action].bind(page);
+    page[action] = async (...args) => {
+      const record = { type: 'action', seq: ++seq, action, args, startedAt: '', ms: 0, error: null };
+      const before = await snapshotText();
+      const start = Date.now();
+      record.startedAt = new Date(start).toISOString();
+      let result;
+      let error = null;
+      try {
+        result = await run(...args);
+      } catch (err) {
+        error = err;
+      }
+      record.ms = Date.now() - start;
+      record.error = error ? error.message : null;
+      if (!error) await new Promise((r) => setTimeout(r, SETTLE_MS));
+      const after = await snapshotText();
+      const screenshot = await page.screenshot(SCREENSHOT).catch(() => null);
+      append({
+        ...record,
+        url: await url().catch(() => ''),
+        before,
+        after,
+        screenshot,
+        console: consoleSince,
+        network: networkSince,
+        dialogs: page.dialogLog.slice(dialogsSeen),
+      });
+      consoleSince = [];
+      networkSince = [];
+      dialogsSeen = page.dialogLog.length;
+      if (error) throw error;
+      return result;
+    };
+  }
+
+  const close = page.close.bind(page);
+  page.close = async (...args) => {
+    await close(...args);
+    append({ type: 'end', endedAt: new Date().toISOString() });
+  };
+  return page;
+}
+
+/**
+ * Read a trace archive. A file path, or a directory (its newest archive).
+ * A torn last line (a crash mid-write) is dropped.
+ * @param {string} path
+ * @returns {Trace}
+ */
+export function readTrace(path) {
+  const file = resolveTrace(path);
+  const lines = readFileSync(file, 'utf8').split('\n').filter((l) => l.trim());
+  /** @type {Trace} */
+  const trace = { header: null, actions: [], end: null };
+  lines.forEach((line, i) => {
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch {
+      if (i === lines.length - 1) return;
+      throw new Error(`trace: ${file}:${i + 1} is not JSON`);
+    }
+    if (record.type === 'trace') trace.header = record;
+    else if (record.type === 'action') trace.actions.push(record);
+    else if (record.type === 'end') trace.end = record;
+  });
+  if (!trace.header) throw new Error(`trace: ${file} is not a barebrowse trace`);
+  return trace;
+}
+
+/**
+ * The archive a path names: the file itself, or a directory's newest
+ * trace-*.jsonl.
+ * @param {string} path
+ * @returns {string}
+ */
+export function resolveTrace(path) {
+  if (!statSync(path).isDirectory()) return path;
+  const names = readdirSync(path).filter((n) => /^trace-.*\.jsonl$/.test(n)).sort();
+  if (!names.length) throw new Error(`trace: no trace-*.jsonl in ${path}`);
+  return join(path, names[names.length - 1]);
+}
+
+/**
+ * Write the HTML viewer for an archive next to it (or to `out`).
+ * @param {string} path - Archive file, or a trace directory
+ * @param {string} [out] - Default: the archive path with .html
+ * @returns {string} The HTML file written
+ */
+export function writeTraceViewer(path, out) {
+  const file = resolveTrace(path);
+  const target = out || file.replace(/\.jsonl$/, '') + '.html';
+  writeFileSync(target, traceViewerHtml(readTrace(file)), { mode: 0o600 });
+  return target;
+}
+
+/**
+ * Render a trace as one self-contained HTML page.
+ * @param {Trace} trace
+ * @returns {string}
+ */
+export function traceViewerHtml(trace) {
+  // JSON in a non-executed script element; escaping "<" keeps a page's
+  // "</script>" from closing it.
+  const data = JSON.stringify(trace).replace(/</g, '\\u003c');
+  return `<!DOCTYPE html>
+<html lang="en"><head><meta charset="utf-8">
+<title>barebrowse trace ${trace.header?.startedAt || ''}</title>
+<style>
+body{margin:0;font:13px/1.4 system-ui,sans-serif;display:flex;height:100vh;color:#222}
+#list{width:340px;flex:none;overflow:auto;border-right:1px solid #ddd}
+#list header{padding:8px 10px;border-bottom:1px solid #ddd;color:#555}
+.step{padding:6px 10px;border-bottom:1px solid #eee;cursor:pointer}
+.step:hover{background:#f5f7fa}.step.sel{background:#e6efff}
+.step.failed{border-left:3px solid #d33}
+.bar{height:4px;margin-top:4px;min-width:2px;background:#4a7bd0}.failed .bar{background:#d33}
+.meta{color:#777;font-size:12px;overflow:hidden;text-overflow:ellipsis;white-space:nowrap}
+#detail{flex:1;overflow:auto;padding:12px 16px}
+#detail h2{font-size:15px;margin:0 0 6px}#detail h3{font-size:13px;margin:14px 0 4px}
+#detail img{max-width:100%;border:1px solid #ddd}
+.cols{display:flex;gap:12px}.cols>div{flex:1;min-width:0}
+pre{margin:0;background:#f6f8fa;padding:8px;overflow:auto;max-height:420px;white-space:pre-wrap;font:12px/1.35 ui-monospace,monospace}
+table{border-collapse:collapse;width:100%;font-size:12px}
+td,th{border-bottom:1px solid #eee;padding:3px 6px;text-align:left;vertical-align:top;word-break:break-all}
+.error{color:#b00;font-weight:600}.none{color:#999}
+</style></head>
+<body><nav id="list"></nav><main id="detail"></main>
+<script type="application/json" id="trace">${data}</script>
+<script>
+const trace = JSON.parse(document.getElementById('trace').textContent);
+const list = document.getElementById('list');
+const detail = document.getElementById('detail');
+const t0 = Date.parse(trace.header.startedAt);
+const longest = Math.max(1, ...trace.actions.map((a) => a.ms));
+
+function el(tag, props, ...children) {
+  const node = Object.assign(document.createElement(tag), props);
+  for (const c of children) if (c != null) node.append(c);
+  return node;
+}
+const short = (v, n = 70) => { const s = JSON.stringify(v) ?? ''; return s.length > n ? s.slice(0, n - 1) + '…' : s; };
+const table = (rows, head) => rows.length
+  ? el('table', {}, el('tr', {}, ...head.map((h) => el('th', { textContent: h }))),
+    ...rows.map((r) => el('tr', {}, ...r.map((c) => el('td', { textContent: c ?? '' })))))
+  : el('div', { className: 'none', textContent: 'none' });
+
+list.append(el('header', {
+  textContent: trace.actions.length + ' actions · ' + trace.header.engine + ' · ' + trace.header.startedAt
+    + (trace.end ? '' : ' · no clean close'),
+}));
+const items = trace.actions.map((a, i) => {
+  const item = el('div', { className: 'step' + (a.error ? ' failed' : '') },
+    el('div', { textContent: '#' + a.seq + ' ' + a.action + ' ' + short(a.args, 50) }),
+    el('div', { className: 'meta', textContent: '+' + ((Date.parse(a.startedAt) - t0) / 1000).toFixed(2) + 's · ' + a.ms + 'ms · ' + a.url }),
+    el('div', { className: 'bar', style: 'width:' + (100 * a.ms / longest) + '%' }));
+  item.onclick = () => show(i);
+  list.append(item);
+  return item;
+});
+
+let current = -1;
+function show(i) {
+  const a = trace.actions[i];
+  if (!a) return;
+  items[current]?.classList.remove('sel');
+  items[i].classList.add('sel');
+  items[i].scrollIntoView({ block: 'nearest' });
+  current = i;
+  detail.replaceChildren(
+    el('h2', { textContent: '#' + a.seq + ' ' + a.action + '(' + (JSON.stringify(a.args) ?? '').slice(1, -1) + ')' }),
+    el('div', { className: 'meta', textContent: a.startedAt + ' · ' + a.ms + 'ms · ' + a.url }),
+    a.error ? el('p', { className: 'error', textContent: a.error }) : null,
+    el('h3', { textContent: 'Screenshot after' }),
+    a.screenshot ? el('img', { src: 'data:image/jpeg;base64,' + a.screenshot, alt: 'page after #' + a.seq })
+      : el('div', { className: 'none', textContent: 'none' }),
+    el('div', { className: 'cols' },
+      el('div', {}, el('h3', { textContent: 'Snapshot before' }), el('pre', { textContent: a.before ?? '(unreadable)' })),
+      el('div', {}, el('h3', { textContent: 'Snapshot after' }), el('pre', { textContent: a.after ?? '(unreadable)' }))),
+    el('h3', { textContent: 'Console (' + a.console.length + ')' }),
+    table(a.console.map((c) => [c.timestamp, c.type, c.args.map((x) => typeof x === 'string' ? x : JSON.stringify(x)).join(' ')]), ['time', 'type', 'message']),
+    el('h3', { textContent: 'Network (' + a.network.length + ')' }),
+    table(a.network.map((n) => [n.timestamp, n.method, String(n.status ?? ''), n.url, n.error]), ['time', 'method', 'status', 'url', 'error']),
+    el('h3', { textContent: 'Dialogs (' + a.dialogs.length + ')' }),
+    table(a.dialogs.map((d) => [d.timestamp, d.type, d.message]), ['time', 'type', 'message']));
+}
+document.addEventListener('keydown', (e) => {
+  if (e.key === 'ArrowDown' || e.key === 'j') { show(current + 1); e.preventDefault(); }
+  if (e.key === 'ArrowUp' || e.key === 'k') { show(current - 1); e.preventDefault(); }
+});
+const firstFailure = trace.actions.findIndex((a) => a.error);
+show(firstFailure === -1 ? 0 : firstFailure);
+</script></body></html>
+`;
+}
@@ -7,7 +7,7 @@
 
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
-import { browse, connect } from '../../src/index.js';
+import { browse, browseMany, connect, createBrowsePool } from '../../src/index.js';
 
 describe('browse()', () => {
   it('returns ARIA snapshot for a public page', async () => {
@@ -188,3 +188,48 @@ describe('createTab()', () => {
     }
   });
 });
+
+describe('createBrowsePool()', () => {
+  const page = (title) => 'data:text/html,' + encodeURIComponent(`<title>${title}</title><main><h1>${title}</h1></main>`);
+
+  it('serves browse() calls from warm browsers, at most `size` at once', async () => {
+    const pool = createBrowsePool({ size: 2 });
+    try {
+      const titles = ['One', 'Two', 'Three', 'Four'];
+      const calls = titles.map((t) => browse(page(t), { pool, pruneMode: 'browse' }));
+      await new Promise((r) => setTimeout(r, 50));
+      assert.ok(pool.stats.busy <= 2, 'never more browsers in use than the pool size');
+      const snaps = await Promise.all(calls);
+      snaps.forEach((snap, i) => assert.match(snap, new RegExp(`heading "${titles[i]}"`)));
+      assert.deepEqual(pool.stats, { busy: 0, waiting: 0 });
+    } finally {
+      await pool.close();
+    }
+  });
+
+  it('keeps serving across a maxUses relaunch, with the navigation guard in force', async () => {
+    const pool = createBrowsePool({ size: 1, maxUses: 2 });
+    try {
+      for (const t of ['Alpha', 'Beta', 'Gamma']) {
+        const snap = await browse(page(t), { pool, format: 'json' });
+        assert.match(JSON.stringify(snap.tree), new RegExp(t));
+      }
+      await assert.rejects(browse('file:///etc/passwd', { pool }), /Refusing to navigate/, 'the navigation guard still applies');
+    } finally {
+      await pool.close();
+    }
+  });
+});
+
+describe('browseMany()', () => {
+  it('browses a list on shared browsers, one record per URL in order', async () => {
+    const page = (title) => 'data:text/html,' + encodeURIComponent(`<title>${title}</title><main><h1>${title}</h1></main>`);
+    const urls = [page('First'), 'file:///etc/passwd', page('Second')];
+    const records = await browseMany(urls, { concurrency: 2, pruneMode: 'browse' });
+    assert.equal(records.length, 3);
+    assert.match(records[0].snapshot, /heading "First"/);
+    assert.match(records[1].error, /Refusing to navigate/, 'a failing URL is a record, not a thrown batch');
+    assert.equal(records[1].snapshot, null);
+    assert.match(records[2].snapshot, /heading "Second"/);
+  });
+});
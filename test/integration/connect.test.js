@@ -88,14 +88,77 @@ describe('connect() — page handle contract', () => {
       // Page.loadEventFired never fires — navigate() would hang to timeout.
       // 10s gives us a clear failure rather than the integration suite's full hang.
       await tab.goto(url, 10000);
-      assert.ok(page.dialogLog.some((d) => d.message === 'from-tab'),
-        `tab's alert should be captured in dialogLog, got: ${JSON.stringify(page.dialogLog)}`);
+      assert.ok(tab.dialogLog.some((d) => d.message === 'from-tab'),
+        `tab's alert should be captured in its dialogLog, got: ${JSON.stringify(tab.dialogLog)}`);
+      assert.equal(page.dialogLog.length, 0, 'the main page keeps its own dialogLog');
       await tab.close();
     } finally {
       await page.close();
     }
   });
 
+  it('createTab returns a full page handle with its own refs, dialogs and logs', async () => {
+    const page = await connect({ mode: 'headless', captureConsole: true });
+    try {
+      const tab = await page.createTab();
+      await Promise.all([
+        page.goto('data:text/html,<button onclick="console.log(\'main\')">MAIN-BTN</button>'),
+        tab.goto('data:text/html,<button onclick="alert(\'tab\')">TAB-BTN</button>'),
+      ]);
+      const [mainSnap, tabSnap] = await Promise.all([page.snapshot(), tab.snapshot()]);
+      assert.match(mainSnap, /MAIN-BTN/);
+      assert.match(tabSnap, /TAB-BTN/);
+      assert.doesNotMatch(tabSnap, /MAIN-BTN/, 'each handle snapshots its own tab');
+
+      const ref = (snap, name) => snap.match(new RegExp(`button "${name}"[^\\n]*\\[ref=(\\d+)\\]`))[1];
+      await tab.click(ref(tabSnap, 'TAB-BTN'));
+      await page.click(ref(mainSnap, 'MAIN-BTN'));
+      await new Promise((r) => setTimeout(r, 300));
+      assert.deepEqual(tab.dialogLog.map((d) => d.message), ['tab']);
+      assert.equal(page.dialogLog.length, 0);
+      assert.ok(page.consoleLogs.some((l) => l.args[0] === 'main'));
+      assert.ok(!tab.consoleLogs.some((l) => l.args[0] === 'main'), 'console capture is per tab');
+      await tab.close();
+    } finally {
+      await page.close();
+    }
+  });
+
+  it('newContext gives each identity its own cookie jar in one browser', async () => {
+    const { createServer } = await import('node:http');
+    const server = createServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end(`<h1>cookie: ${req.headers.cookie || 'none'}</h1>`);
+    });
+    await new Promise((r) => server.listen(0, '127.0.0.1', r));
+    const origin = `http://127.0.0.1:${server.address().port}/`;
+    const page = await connect({ mode: 'headless' });
+    try {
+      const alice = await page.newContext();
+      const bob = await page.newContext();
+      for (const [ctx, who] of [[alice, 'alice'], [bob, 'bob']]) {
+        await ctx.goto(origin);
+        await ctx.cdp.send('Runtime.evaluate', { expression: `document.cookie = 'who=${who}'` });
+        await ctx.goto(origin);
+      }
+      assert.match(await alice.snapshot(), /cookie: who=alice/);
+      assert.match(await bob.snapshot(), /cookie: who=bob/);
+      const aliceTab = await alice.createTab();
+      await aliceTab.goto(origin);
+      assert.match(await aliceTab.snapshot(), /cookie: who=alice/, 'tabs in a context share its jar');
+      await page.goto(origin);
+      assert.match(await page.snapshot(), /cookie: none/, 'the default context sees neither');
+
+      await alice.close();
+      await assert.rejects(alice.snapshot(), 'the context and its tabs are gone');
+      assert.match(await bob.snapshot(), /cookie: who=bob/, 'other contexts are unaffected');
+      await bob.close();
+    } finally {
+      await page.close();
+      server.close();
+    }
+  });
+
   it('goto invalidates refMap so stale refs error clearly (F5)', async () => {
     const page = await connect({ mode: 'headless' });
     try {
@@ -119,6 +182,98 @@ describe('connect() — page handle contract', () => {
     }
   });
 
+  it('refs are stable across snapshots; a removed element fails as "element gone"', async () => {
+    const page = await connect({ mode: 'headless' });
+    try {
+      await page.goto('data:text/html,<button id="keep">KEEP</button><button id="drop">DROP</button>');
+      const refOf = (snap, label) => snap.match(new RegExp(`button "${label}"[^\\n]*\\[ref=(\\d+)\\]`))?.[1];
+      const first = await page.snapshot();
+      const keep = refOf(first, 'KEEP');
+      const drop = refOf(first, 'DROP');
+      assert.ok(keep && drop, `expected both button refs, got:\n${first}`);
+
+      // Re-render around the kept button: a new element is inserted before it.
+      await page.cdp.send('Runtime.evaluate', {
+        expression: `document.body.insertAdjacentHTML('afterbegin', '<button>NEW</button>');
+          document.getElementById('drop').remove();`,
+      });
+      const second = await page.snapshot();
+      assert.equal(refOf(second, 'KEEP'), keep, 'an element keeps its ref while it stays in the DOM');
+      assert.notEqual(refOf(second, 'NEW'), drop, 'a new element never inherits a removed element\'s ref');
+      await page.click(keep);
+      await assert.rejects(() => page.click(drop), /element gone/);
+      await assert.rejects(() => page.click('999999'), /take a snapshot first/);
+    } finally {
+      await page.close();
+    }
+  });
+
+  it('snapshot({ diff: true }) returns only what changed since the last snapshot', async () => {
+    const page = await connect({ mode: 'headless' });
+    try {
+      await page.goto('data:text/html,<button>STAY</button><button id="x">GOES</button>');
+      const first = await page.snapshot({ diff: true });
+      assert.match(first, /diff: no previous snapshot/, 'first snapshot falls back to the full tree');
+      assert.match(first, /button "STAY"/);
+
+      await page.cdp.send('Runtime.evaluate', {
+        expression: `document.getElementById('x').remove();
+          document.body.insertAdjacentHTML('beforeend', '<button>ARRIVES</button>');`,
+      });
+      const diff = await page.snapshot({ diff: true });
+      assert.match(diff, /^\+ .*button "ARRIVES"/m);
+      assert.match(diff, /^- .*button "GOES"/m);
+      assert.doesNotMatch(diff, /STAY/, 'unchanged nodes are left out');
+    } finally {
+      await page.close();
+    }
+  });
+
+  it('snapshot({ root }) snapshots only the subtree under a ref, iframes included', async () => {
+    const page = await connect({ mode: 'headless' });
+    try {
+      const inner = encodeURIComponent('<button>INSIDE-FRAME</button>');
+      await page.goto('data:text/html,' + encodeURIComponent('<button>OUTSIDE</button>'
+        + '<form aria-label="Ship"><input aria-label="Street"><button>Save</button></form>'
+        + `<iframe src="data:text/html,${inner}"></iframe>`));
+      await new Promise((r) => setTimeout(r, 500));
+      const raw = await page.snapshot(false);
+      const formRef = raw.match(/form "Ship" \[ref=(\d+)\]/)[1];
+      const frameRef = raw.match(/Iframe[^\n]*\[ref=(\d+)\]/)[1];
+
+      const form = await page.snapshot({ root: formRef });
+      assert.match(form, /textbox "Street"/);
+      assert.doesNotMatch(form, /OUTSIDE|INSIDE-FRAME/);
+
+      const frame = await page.snapshot({ root: frameRef });
+      assert.match(frame, /button "INSIDE-FRAME"/);
+      assert.doesNotMatch(frame, /OUTSIDE|Street/);
+
+      await assert.rejects(() => page.snapshot({ root: '999999' }), /take a snapshot first/);
+    } finally {
+      await page.close();
+    }
+  });
+
+  it('find() returns refs that act on the matched element, ranked by near', async () => {
+    const page = await connect({ mode: 'headless' });
+    try {
+      await page.goto('data:text/html,' + encodeURIComponent(
+        '<form aria-label="Newsletter"><input aria-label="Email"><button onclick="document.title=\'news\';return false">Submit</button></form>'
+        + '<form aria-label="Shipping"><input aria-label="Street"><button onclick="document.title=\'ship\';return false">Submit</button></form>'));
+      const all = await page.find({ role: 'button', name: 'submit' });
+      assert.equal(all.length, 2);
+
+      const [ship] = await page.find({ role: 'button', name: 'Submit', near: 'Street' });
+      assert.deepEqual(ship.path, ['form "Shipping"']);
+      await page.click(ship.ref);
+      const { result } = await page.cdp.send('Runtime.evaluate', { expression: 'document.title', returnByValue: true });
+      assert.equal(result.value, 'ship');
+    } finally {
+      await page.close();
+    }
+  });
+
   it('connect({ port }) attaches to a running browser and leaves it alive on close (H1)', async () => {
     const { launch, cleanupBrowser } = await import('../../src/chromium.js');
     // Stand up a "user's browser" that already exists with a debug port.
@@ -157,6 +312,108 @@ describe('connect() — page handle contract', () => {
     }
   });
 
+  it('har() exports the session as HAR 1.2, redirects and bodies included', async () => {
+    const { createServer } = await import('node:http');
+    const server = createServer((req, res) => {
+      if (req.url === '/old') {
+        res.writeHead(302, { Location: '/page' });
+        return res.end();
+      }
+      if (req.url === '/api') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        return res.end('{"n":42}');
+      }
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end('<p>hi</p><script>fetch("/api")</script>');
+    });
+    await new Promise((r) => server.listen(0, '127.0.0.1', r));
+    const origin = `http://127.0.0.1:${server.address().port}`;
+    const page = await connect({ mode: 'headless' });
+    try {
+      await page.goto(origin + '/old');
+      await page.waitForNetworkIdle({ timeout: 5000 });
+      const { log } = await page.har({ content: true });
+      assert.equal(log.version, '1.2');
+      const urls = log.entries.map((e) => `${e.response.status} ${e.request.url}`);
+      assert.deepEqual(urls.slice(0, 2), [`302 ${origin}/old`, `200 ${origin}/page`]);
+      assert.equal(log.entries[0].response.redirectURL, `${origin}/page`);
+      const api = log.entries.find((e) => e.request.url === `${origin}/api`);
+      assert.equal(api.response.content.text, '{"n":42}');
+      assert.ok(api.response.headers.some((h) => h.name.toLowerCase() === 'content-type'));
+      assert.ok(log.pages.length >= 1 && api.pageref === log.pages.at(-1).id);
+    } finally {
+      await page.close();
+      server.close();
+    }
+  });
+
+  it('connect({ replayHar }) serves a recorded session with the server gone', async () => {
+    const { createServer } = await import('node:http');
+    const { mkdtempSync, writeFileSync, rmSync } = await import('node:fs');
+    const { tmpdir } = await import('node:os');
+    const { join } = await import('node:path');
+    const server = createServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end('<h1>Recorded heading</h1>');
+    });
+    await new Promise((r) => server.listen(0, '127.0.0.1', r));
+    const origin = `http://127.0.0.1:${server.address().port}`;
+    const dir = mkdtempSync(join(tmpdir(), 'bb-replay-'));
+    const file = join(dir, 'run.har');
+    try {
+      const recorder = await connect({ mode: 'headless' });
+      try {
+        await recorder.goto(origin + '/');
+        writeFileSync(file, JSON.stringify(await recorder.har({ content: true })));
+      } finally {
+        await recorder.close();
+      }
+      await new Promise((r) => server.close(r));
+
+      const page = await connect({ mode: 'headless', replayHar: file });
+      try {
+        await page.goto(origin + '/');
+        assert.match(await page.snapshot(), /Recorded heading/);
+      } finally {
+        await page.close();
+      }
+    } finally {
+      server.close();
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('consoleLogs / networkLog / on() capture the page without the daemon', async () => {
+    const { createServer } = await import('node:http');
+    const server = createServer((req, res) => {
+      if (req.url === '/missing') {
+        res.writeHead(404);
+        return res.end();
+      }
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end('<script>console.warn("careful", 7); fetch("/missing")</script>');
+    });
+    await new Promise((r) => server.listen(0, '127.0.0.1', r));
+    const origin = `http://127.0.0.1:${server.address().port}`;
+    const page = await connect({ mode: 'headless' });
+    try {
+      // The first read starts console capture (Runtime.enable is lazy).
+      assert.equal(page.consoleLogs.length, 0);
+      const responses = [];
+      const off = page.on('response', (entry) => responses.push(entry.url));
+      await page.goto(origin + '/');
+      await page.waitForNetworkIdle({ timeout: 5000 });
+      off();
+      assert.ok(page.consoleLogs.some((l) => l.type === 'warning' && l.args[0] === 'careful' && l.args[1] === 7));
+      const missing = page.networkLog.find((l) => l.url === `${origin}/missing`);
+      assert.equal(missing?.status, 404);
+      assert.ok(responses.includes(`${origin}/`) && responses.includes(`${origin}/missing`));
+    } finally {
+      await page.close();
+      server.close();
+    }
+  });
+
   it('downloads array captures Content-Disposition attachments (H7)', async () => {
     const { createServer } = await import('node:http');
     const { existsSync, readFileSync, rmSync, mkdtempSync } = await import('node:fs');
@@ -0,0 +1,75 @@
+/**
+ * Integration tests for crawl() on both engines.
+ *
+ * Strategy: a localhost fixture server serves a small linked site — a home
+ * page, two sections, a page behind a robots.txt Disallow, an off-origin
+ * link — and logs every path it is asked for. The crawl's records and the
+ * server's request log are checked against the depth limit, the origin scope
+ * and robots.txt.
+ *
+ * Run: node --test test/integration/crawl.test.js
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { crawl } from '../../src/index.js';
+import { findFirefox } from '../../src/firefox.js';
+
+let hasFirefox = false;
+try { findFirefox(); hasFirefox = true; } catch { /* skip below */ }
+
+const SITE = {
+  '/': ['/docs', '/blog', '/private/admin', 'https://elsewhere.example/'],
+  '/docs': ['/docs/install', '/'],
+  '/blog': ['/blog/post-1'],
+  '/docs/install': ['/docs/install/linux'],
+  '/blog/post-1': [],
+  '/docs/install/linux': [],
+  '/private/admin': [],
+};
+
+let server, origin;
+const served = [];
+before(async () => {
+  server = createServer((req, res) => {
+    served.push(req.url);
+    if (req.url === '/robots.txt') {
+      res.writeHead(200, { 'content-type': 'text/plain' });
+      return res.end('User-agent: *\nDisallow: /private\n');
+    }
+    const links = SITE[req.url];
+    if (!links) return res.writeHead(404).end();
+    res.writeHead(200, { 'content-type': 'text/html' });
+    res.end(`<!doctype html><title>${req.url}</title><main><h1>Page ${req.url}</h1>
+      <article><p>Some text about ${req.url}. ${'This fixture paragraph is long enough to read as prose. '.repeat(12)}</p></article>
+      <nav>${links.map((href) => `<a href="${href}">${href}</a>`).join(' ')}</nav></main>`);
+  });
+  await new Promise((r) => server.listen(0, '127.0.0.1', r));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => server?.close());
+
+for (const engine of ['chromium', 'firefox']) {
+  describe(`crawl() — ${engine}`, { skip: engine === 'firefox' && !hasFirefox && 'no Firefox installed' }, () => {
+    it('follows AX-tree links within depth and origin, and obeys robots.txt', async () => {
+      served.length = 0;
+      const { pages, blocked } = await crawl(origin + '/', { engine, maxDepth: 2, delay: 0 });
+      assert.deepEqual(pages.map((p) => [new URL(p.url).pathname, p.depth]), [
+        ['/', 0], ['/docs', 1], ['/blog', 1], ['/docs/install', 2], ['/blog/post-1', 2],
+      ]);
+      assert.ok(pages.every((p) => p.error === null));
+      assert.match(pages[1].snapshot, /Page \/docs/);
+      assert.deepEqual(blocked, [origin + '/private/admin']);
+      assert.ok(!served.includes('/private/admin'), 'a disallowed page is never requested');
+      assert.ok(!served.includes('/docs/install/linux'), 'nothing past maxDepth');
+      assert.equal(served.filter((u) => u === '/robots.txt').length, 1, 'robots.txt fetched once');
+    });
+
+    it('stores readable() articles', async () => {
+      const { pages } = await crawl(origin + '/blog', { engine, maxDepth: 1, delay: 0, content: 'readable' });
+      assert.equal(pages.length, 2);
+      assert.match(pages[1].article.text, /Some text about \/blog\/post-1/);
+    });
+  });
+}
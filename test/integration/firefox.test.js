@@ -80,6 +80,28 @@ describe('connect({ engine: firefox }) — BiDi transport + AX reconstruction',
     }
   });
 
+  it('keeps refs stable across snapshots; a removed element fails as "element gone"', async () => {
+    const page = await connect({ engine: 'firefox', mode: 'headless' });
+    try {
+      await page.goto(data('<button id="keep">KEEP</button><button id="drop">DROP</button>'));
+      const refOf = (snap, label) => snap.match(new RegExp(`button "${label}"[^\\n]*\\[ref=(\\d+)\\]`))?.[1];
+      const first = treeOnly(await page.snapshot());
+      const keep = refOf(first, 'KEEP');
+      const drop = refOf(first, 'DROP');
+      assert.ok(keep && drop, `expected both button refs, got:\n${first}`);
+
+      await page.bidi.evaluate(page.context, `document.body.insertAdjacentHTML('afterbegin', '<button>NEW</button>');
+        document.getElementById('drop').remove();`, false);
+      const second = treeOnly(await page.snapshot());
+      assert.equal(refOf(second, 'KEEP'), keep, 'an element keeps its ref while it stays in the DOM');
+      assert.notEqual(refOf(second, 'NEW'), drop, 'a new element never inherits a removed element\'s ref');
+      await page.click(keep);
+      await assert.rejects(() => page.click(drop), /element gone/);
+    } finally {
+      await page.close();
+    }
+  });
+
   it('traverses open shadow roots (getFullAXTree parity)', async () => {
     const page = await connect({ engine: 'firefox', mode: 'headless' });
     try {
@@ -242,6 +264,38 @@ describe('connect({ engine: firefox }) — BiDi transport + AX reconstruction',
     }
   });
 
+  it('createTab() returns a full page handle over its own browsing context', async () => {
+    const page = await connect({ engine: 'firefox', mode: 'headless' });
+    try {
+      const tab = await page.createTab();
+      assert.notEqual(tab.context, page.context);
+      await Promise.all([
+        page.goto(data('<button onclick="console.log(\'main\')">MAIN-BTN</button>')),
+        tab.goto(data('<button onclick="alert(\'tab\')">TAB-BTN</button>')),
+      ]);
+      const [mainSnap, tabSnap] = await Promise.all([page.snapshot(), tab.snapshot()]);
+      assert.match(mainSnap, /MAIN-BTN/);
+      assert.match(tabSnap, /TAB-BTN/);
+      assert.doesNotMatch(tabSnap, /MAIN-BTN/, 'each handle snapshots its own context');
+
+      const ref = (snap, name) => snap.match(new RegExp(`button "${name}"[^\\n]*\\[ref=(\\d+)\\]`))[1];
+      await tab.click(ref(tabSnap, 'TAB-BTN'));
+      await page.click(ref(mainSnap, 'MAIN-BTN'));
+      await new Promise((r) => setTimeout(r, 300));
+      assert.deepEqual(tab.dialogLog.map((d) => d.message), ['tab']);
+      assert.equal(page.dialogLog.length, 0, 'the tab\'s dialog is not the main page\'s');
+      assert.ok(page.consoleLogs.some((l) => l.args[0] === 'main'));
+      assert.ok(!tab.consoleLogs.some((l) => l.args[0] === 'main'), 'console capture is per context');
+
+      await tab.close();
+      await tab.close(); // idempotent
+      assert.ok((await page.tabs()).every((t) => t.context !== tab.context), 'tab closed');
+      assert.match(await page.snapshot(), /MAIN-BTN/, 'main page unaffected');
+    } finally {
+      await page.close();
+    }
+  });
+
   it('nests multi-level iframes correctly (parent → child → grandchild + sibling)', async () => {
     // Guards the positional iframe-splice on the hard case the single-level
     // test doesn't cover: a grandchild frame plus a sibling frame must each
@@ -434,9 +488,9 @@ describe('connect({ engine: firefox }) — consent auto-dismiss', { skip: !hasFi
 });
 
 // v0.17.0 — Firefox parity Phase 2: observability (waitForNetworkIdle over BiDi
-// network.* events). Console/network *log* capture lives in the daemon and is
-// unit-tested via attachBiDiCapture (test/unit/daemon.test.js) against the
-// measured event shapes; here we prove the page-level idle wait works live.
+// network.* events). Console/network *log* capture (page.consoleLogs /
+// networkLog) is unit-tested via captureBiDi (test/unit/capture.test.js)
+// against the measured event shapes; here we prove the idle wait works live.
 describe('connect({ engine: firefox }) — waitForNetworkIdle (Phase 2)', { skip: !hasFirefox && 'no Firefox installed' }, () => {
   it('resolves once the page network goes quiet (no longer a CDP-only stub)', async () => {
     const page = await connect({ engine: 'firefox', mode: 'headless' });
@@ -7,8 +7,15 @@
 
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
-import { connect } from '../../src/index.js';
+import { connect, replay, readTrace, writeTraceViewer } from '../../src/index.js';
 import { extractCookies, injectCookies } from '../../src/auth.js';
+import { findFirefox } from '../../src/firefox.js';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+let hasFirefox = false;
+try { findFirefox(); hasFirefox = true; } catch { /* skip below */ }
 
 // --- Data URL fixtures ---
 
@@ -79,6 +86,45 @@ function findTextboxRef(snapshot, name) {
   return findRoleRef(snapshot, 'textbox', name);
 }
 
+// A virtualized infinite feed: scrolling near the bottom appends 5 posts
+// (up to 30) and keeps only the newest 10 in the DOM.
+const FEED = `data:text/html,${encodeURIComponent(`<!DOCTYPE html>
+<html><body><main><h1>Feed</h1><ul id="feed"></ul><p id="end"></p></main><script>
+  let n = 0;
+  const feed = document.getElementById('feed');
+  function more() {
+    for (let i = 0; i < 5 && n < 30; i++) {
+      const li = document.createElement('li');
+      li.textContent = 'Post number ' + (++n);
+      li.style.height = '200px';
+      feed.appendChild(li);
+    }
+    while (feed.children.length > 10) feed.firstElementChild.remove();
+    if (n >= 30) document.getElementById('end').textContent = 'You reached the end';
+  }
+  more();
+  addEventListener('scroll', () => {
+    if (innerHeight + scrollY >= document.body.scrollHeight - 300) more();
+  });
+</script></body></html>`)}`;
+
+// A checkout form: autocomplete tokens, a name-only field, a select, a radio
+// group, a required checkbox, and a search box outside the form.
+const CHECKOUT = `data:text/html,${encodeURIComponent(`<!DOCTYPE html>
+<html><body><input type="search" aria-label="Search site">
+<form aria-label="Checkout">
+  <label>Email <input type="email" name="email" autocomplete="email" required></label>
+  <label>Password <input type="password" name="pw" autocomplete="current-password"></label>
+  <label>ZIP <input name="zip"></label>
+  <label>Country <select name="country" autocomplete="country-name">
+    <option value="be">Belgium</option><option value="nl">Netherlands</option></select></label>
+  <fieldset><legend>Delivery</legend>
+    <label><input type="radio" name="ship" value="std" checked> Standard</label>
+    <label><input type="radio" name="ship" value="exp"> Express</label></fieldset>
+  <label><input type="checkbox" name="terms" required> I accept the terms</label>
+  <button>Pay</button>
+</form></body></html>`)}`;
+
 // ===== Round 1: Controlled fixture (data: URL) =====
 
 describe('interact — data: URL fixture', () => {
@@ -512,3 +558,202 @@ describe('interact — Firefox cookie injection', () => {
     }
   });
 });
+
+for (const engine of ['chromium', 'firefox']) {
+  describe(`interact — scrollUntil (${engine})`, { skip: engine === 'firefox' && !hasFirefox && 'no Firefox installed' }, () => {
+    it('harvests a virtualized feed into one deduplicated snapshot', async () => {
+      const page = await connect({ engine, mode: 'headless' });
+      try {
+        await page.goto(FEED);
+        const out = await page.scrollUntil({ maxScrolls: 40, idleMs: 100, until: { text: 'You reached the end' } });
+        assert.match(out, /stopped: text/);
+        const posts = out.match(/Post number \d+/g);
+        assert.equal(posts.length, 30, 'every post once, though the DOM holds only 10');
+        assert.deepEqual(posts, Array.from({ length: 30 }, (_, i) => `Post number ${i + 1}`), 'in feed order');
+      } finally {
+        await page.close();
+      }
+    });
+
+    it('stops at a count of items', async () => {
+      const page = await connect({ engine, mode: 'headless' });
+      try {
+        await page.goto(FEED);
+        const json = await page.scrollUntil({ idleMs: 100, until: { count: 12, role: 'listitem' }, format: 'json' });
+        assert.equal(json.stopped, 'count');
+        assert.ok(json.scrolls >= 1);
+      } finally {
+        await page.close();
+      }
+    });
+  });
+}
+
+for (const engine of ['chromium', 'firefox']) {
+  describe(`interact — forms (${engine})`, { skip: engine === 'firefox' && !hasFirefox && 'no Firefox installed' }, () => {
+    it('reads fields with purpose and state, and fills them by purpose', async () => {
+      const page = await connect({ engine, mode: 'headless' });
+      try {
+        await page.goto(CHECKOUT);
+        const forms = await page.forms();
+        assert.equal(forms.length, 2, 'the page-level search box, then the form');
+        const checkout = forms[1];
+        assert.deepEqual(checkout.fields.map((f) => f.purpose), ['email', 'password', 'postal-code', 'country', null, null]);
+        assert.equal(checkout.fields[0].required, true);
+        assert.equal(checkout.fields[3].value, 'Belgium');
+        assert.deepEqual(checkout.fields[4].options.map((o) => [o.label, o.checked]), [['Standard', true], ['Express', false]]);
+
+        const result = await page.fillForm(null, {
+          email: 'a@b.co', password: 'hunter2', zip: '3511AB', country: 'netherlands', delivery: 'Express', terms: true,
+        });
+        assert.deepEqual(result.unmatched, []);
+        assert.deepEqual(result.failed, []);
+        const fields = result.form.fields;
+        assert.equal(fields[0].value, 'a@b.co');
+        assert.equal(fields[1].value, '********', 'passwords are never read back');
+        assert.equal(fields[2].value, '3511AB');
+        assert.equal(fields[3].value, 'Netherlands');
+        assert.equal(fields[4].value, 'Express');
+        assert.equal(fields[5].checked, true);
+      } finally {
+        await page.close();
+      }
+    });
+  });
+}
+
+for (const engine of ['chromium', 'firefox']) {
+  describe(`interact — actions (${engine})`, { skip: engine === 'firefox' && !hasFirefox && 'no Firefox installed' }, () => {
+    it('ranks the goal\'s control first, with a measured visibility', async () => {
+      const page = await connect({ engine, mode: 'headless' });
+      try {
+        await page.goto(CHECKOUT);
+        const [pay] = await page.actions({ goal: 'pay now', limit: 1 });
+        assert.equal(pay.role, 'button');
+        assert.equal(pay.name, 'Pay');
+        assert.equal(pay.description, 'Click button "Pay" in form "Checkout"');
+        assert.equal(pay.scores.visibility, 1, 'in the viewport');
+        await page.click(pay.ref); // the ref is live
+
+        const all = await page.actions({ limit: 20 });
+        assert.ok(all.some((a) => a.role === 'searchbox' && a.action === 'type'));
+        assert.ok(all.every((a, i) => i === 0 || all[i - 1].score >= a.score), 'best first');
+      } finally {
+        await page.close();
+      }
+    });
+  });
+}
+
+for (const engine of ['chromium', 'firefox']) {
+  describe(`interact — annotated screenshot (${engine})`, { skip: engine === 'firefox' && !hasFirefox && 'no Firefox installed' }, () => {
+    it('marks interactive refs with their boxes, and the refs still act', async () => {
+      const page = await connect({ engine, mode: 'headless' });
+      try {
+        await page.goto(CHECKOUT);
+        const { data, refs } = await page.screenshot({ annotate: true });
+        assert.equal(Buffer.from(data, 'base64').subarray(1, 4).toString(), 'PNG');
+        const [pay] = await page.find({ role: 'button', name: 'Pay' });
+        const mark = refs[pay.ref];
+        assert.ok(mark, 'the Pay button is marked under its ref');
+        assert.equal(mark.role, 'button');
+        assert.ok(mark.width > 0 && mark.height > 0);
+        assert.equal(typeof await page.screenshot(), 'string', 'a plain screenshot is unchanged');
+        await page.click(pay.ref);
+      } finally {
+        await page.close();
+      }
+    });
+
+    it('captures one element, the whole page beyond the viewport, or a downscaled shot', async () => {
+      const page = await connect({ engine, mode: 'headless' });
+      // PNG width/height sit big-endian in the IHDR chunk, bytes 16–23.
+      const size = (b64) => { const b = Buffer.from(b64, 'base64'); return { width: b.readUInt32BE(16), height: b.readUInt32BE(20) }; };
+      try {
+        await page.goto(`data:text/html,${encodeURIComponent('<body style="margin:0"><div style="height:3000px">Tall</div><button style="width:200px;height:50px">Far</button></body>')}`);
+        const viewport = size(await page.screenshot());
+        const full = size(await page.screenshot({ fullPage: true }));
+        assert.ok(full.height > viewport.height * 2, 'the full page is taller than the viewport');
+        const small = size(await page.screenshot({ maxWidth: 320 }));
+        assert.ok(small.width <= 320 && small.width >= 316, `downscaled to maxWidth, got ${small.width}`);
+        assert.ok(Math.abs(small.width / small.height - viewport.width / viewport.height) < 0.02, 'aspect ratio kept');
+
+        const [far] = await page.find({ role: 'button', name: 'Far' });
+        const { data, refs } = await page.screenshot({ ref: far.ref, annotate: true });
+        const element = size(data);
+        assert.equal(element.height * 4, element.width, 'the button alone, 200x50 at any scale');
+        assert.deepEqual([refs[far.ref].x, refs[far.ref].y], [0, 0], 'its mark is relative to the element image');
+        await assert.rejects(page.screenshot({ ref: far.ref, fullPage: true }), /ref or fullPage/);
+      } finally {
+        await page.close();
+      }
+    });
+  });
+}
+
+for (const engine of ['chromium', 'firefox']) {
+  describe(`interact — record and replay (${engine})`, { skip: engine === 'firefox' && !hasFirefox && 'no Firefox installed' }, () => {
+    it('records a checkout run and replays it in a fresh browser', async () => {
+      const dir = mkdtempSync(join(tmpdir(), 'bb-flow-'));
+      const file = join(dir, 'flow.jsonl');
+      try {
+        const recording = await connect({ engine, mode: 'headless', record: file });
+        try {
+          await recording.goto(CHECKOUT);
+          const [zip] = await recording.find({ role: 'textbox', name: 'ZIP' });
+          await recording.type(zip.ref, '1000');
+          const [country] = await recording.find({ role: 'combobox', name: 'Country' });
+          await recording.select(country.ref, 'nl');
+          await recording.fillForm(null, { email: 'a@b.co' }); // recorded as its fields' steps
+        } finally {
+          await recording.close();
+        }
+
+        const { page, steps } = await replay(file, { engine, mode: 'headless' });
+        try {
+          assert.deepEqual(steps.map((s) => s.action), ['goto', 'type', 'select', 'type']);
+          const fields = (await page.forms())[1].fields;
+          assert.equal(fields[0].value, 'a@b.co');
+          assert.equal(fields[2].value, '1000');
+          assert.equal(fields[3].value, 'Netherlands');
+        } finally {
+          await page.close();
+        }
+      } finally {
+        rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+}
+
+for (const engine of ['chromium', 'firefox']) {
+  describe(`interact — trace (${engine})`, { skip: engine === 'firefox' && !hasFirefox && 'no Firefox installed' }, () => {
+    it('traces each action with snapshots, a screenshot and the console', async () => {
+      const dir = mkdtempSync(join(tmpdir(), 'bb-trace-'));
+      try {
+        const page = await connect({ engine, mode: 'headless', trace: dir });
+        try {
+          await page.goto(`data:text/html,${encodeURIComponent('<button onclick="console.log(\'clicked\'); this.textContent = \'Done\'">Go</button>')}`);
+          const [go] = await page.find({ role: 'button', name: 'Go' });
+          await page.click(go.ref);
+          await assert.rejects(page.click('9999'));
+        } finally {
+          await page.close();
+        }
+
+        const trace = readTrace(dir);
+        assert.ok(trace.end, 'closed cleanly');
+        assert.deepEqual(trace.actions.map((a) => a.action), ['goto', 'click', 'click']);
+        const [, click, failed] = trace.actions;
+        assert.match(click.before, /button "Go"/);
+        assert.match(click.after, /button "Done"/);
+        assert.ok(click.screenshot, 'a screenshot after the click');
+        assert.ok(click.console.some((c) => c.args.includes('clicked')));
+        assert.ok(failed.error);
+        assert.match(readFileSync(writeTraceViewer(dir), 'utf8'), /<!DOCTYPE html>/);
+      } finally {
+        rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+}
@@ -0,0 +1,98 @@
+/**
+ * Integration tests for page.route() — request interception on both engines
+ * (CDP Fetch.requestPaused, BiDi network.addIntercept).
+ *
+ * Strategy: a localhost server serves a page whose script fetches /api/data
+ * and writes the outcome into a paragraph, and echoes the X-Test request
+ * header at /api/echo. Each route decision (fulfill, abort, continue with
+ * headers) is read back from the snapshot, so the same assertions run on
+ * Chromium and Firefox.
+ *
+ * Run: node --test test/integration/route.test.js
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { connect } from '../../src/index.js';
+import { findFirefox } from '../../src/firefox.js';
+
+let hasFirefox = false;
+try { findFirefox(); hasFirefox = true; } catch { /* skip below */ }
+
+let server, origin;
+let apiHits = 0;
+before(async () => {
+  server = createServer((req, res) => {
+    if (req.url === '/api/data') {
+      apiHits++;
+      res.writeHead(200, { 'content-type': 'text/plain' });
+      return res.end('real');
+    }
+    if (req.url === '/api/echo') {
+      res.writeHead(200, { 'content-type': 'text/plain' });
+      return res.end(String(req.headers['x-test'] || 'none'));
+    }
+    const api = req.url === '/echo' ? '/api/echo' : '/api/data';
+    res.writeHead(200, { 'content-type': 'text/html' });
+    res.end(`<!doctype html><p id="o">pending</p><script>
+      fetch('${api}').then((r) => r.text()).then((t) => { o.textContent = 'GOT ' + t; })
+        .catch(() => { o.textContent = 'FAILED'; });
+    </script>`);
+  });
+  await new Promise((r) => server.listen(0, '127.0.0.1', r));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => server?.close());
+
+const settle = () => new Promise((r) => setTimeout(r, 500));
+
+for (const engine of ['chromium', 'firefox']) {
+  describe(`page.route() — ${engine}`, { skip: engine === 'firefox' && !hasFirefox && 'no Firefox installed' }, () => {
+    it('fulfills a matched request with a mocked body, without hitting the server', async () => {
+      const page = await connect({ engine, mode: 'headless' });
+      try {
+        const before = apiHits;
+        await page.route('*/api/data', () => ({ action: 'fulfill', body: 'mocked', contentType: 'text/plain' }));
+        await page.goto(origin + '/');
+        await settle();
+        assert.match(await page.snapshot({ mode: 'read' }), /GOT mocked/);
+        assert.equal(apiHits, before);
+      } finally {
+        await page.close();
+      }
+    });
+
+    it('aborts a request, and unroute() restores the network', async () => {
+      const page = await connect({ engine, mode: 'headless' });
+      try {
+        await page.route('*/api/*', () => ({ action: 'abort' }));
+        await page.goto(origin + '/');
+        await settle();
+        assert.match(await page.snapshot({ mode: 'read' }), /FAILED/);
+
+        await page.unroute('*/api/*');
+        await page.goto(origin + '/');
+        await settle();
+        assert.match(await page.snapshot({ mode: 'read' }), /GOT real/);
+      } finally {
+        await page.close();
+      }
+    });
+
+    it('continues with modified headers; no answer falls through to the network', async () => {
+      const page = await connect({ engine, mode: 'headless' });
+      try {
+        const seen = [];
+        await page.route('*/api/echo', ({ headers }) => ({ action: 'continue', headers: { ...headers, 'X-Test': 'routed' } }));
+        await page.route('*', ({ url }) => { seen.push(url); });
+        await page.goto(origin + '/echo');
+        await settle();
+        assert.match(await page.snapshot({ mode: 'read' }), /GOT routed/);
+        assert.ok(seen.includes(origin + '/echo'), 'the catch-all saw the document request');
+      } finally {
+        await page.close();
+      }
+    });
+  });
+}
@@ -0,0 +1,107 @@
+/**
+ * Unit tests for actions.js — page.actions()'s ranking.
+ *
+ * A hand-built shop page (banner with a sign-in link, navigation, a product
+ * in main with an Add to cart button, repeated review buttons, a footer) and
+ * hand-set element boxes stand in for the AX tree and the geometry the
+ * engines measure. Checked: the goal-free ranking, goal and synonym matches,
+ * the visibility and repeat penalties, descriptions, and the text format.
+ * Real trees and geometry are covered by the integration tests.
+ *
+ * Run: node --test test/unit/actions.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { rankActions, formatActions } from '../../src/actions.js';
+
+const node = (ref, role, name = '', children = [], properties = {}) => ({ nodeId: ref, role, name, properties, ignored: false, children });
+
+function shop() {
+  return node('1', 'RootWebArea', 'Shop', [
+    node('2', 'banner', '', [
+      node('3', 'link', 'Sign in', [], { url: 'https://shop.test/account/login' }),
+      node('4', 'searchbox', 'Search products'),
+    ]),
+    node('5', 'navigation', 'Categories', [
+      node('6', 'link', 'Shoes', [], { url: 'https://shop.test/shoes' }),
+      node('7', 'link', 'Pricing', [], { url: 'https://shop.test/pricing' }),
+    ]),
+    node('8', 'main', '', [
+      node('9', 'heading', 'Trail runner'),
+      node('10', 'combobox', 'Size', [node('11', 'option', '42'), node('12', 'option', '43')]),
+      node('13', 'button', 'Add to cart'),
+      node('14', 'button', 'Helpful'),
+      node('15', 'button', 'Helpful'),
+      node('16', 'button', 'Helpful'),
+      node('17', 'button', 'Notify me', [], { disabled: true }),
+      node('18', 'button', ''),
+    ]),
+    node('19', 'contentinfo', '', [node('20', 'link', 'Contact us', [], { url: 'https://shop.test/contact' })]),
+  ]);
+}
+
+const viewport = { width: 1280, height: 800 };
+const box = (y, width = 120, height = 40) => ({ x: 100, y, width, height });
+
+describe('rankActions', () => {
+  it('ranks the main call to action first without a goal, and skips a select\'s options', () => {
+    const actions = rankActions(shop());
+    assert.equal(actions[0].ref, '13');
+    assert.equal(actions[0].description, 'Click button "Add to cart" in main');
+    assert.equal(actions[0].action, 'click');
+    assert.ok(!actions.some((a) => a.role === 'option'));
+    assert.equal(actions.length, 10, 'default limit');
+    assert.deepEqual(Object.keys(actions[0].scores), ['prominence', 'landmark', 'visibility']);
+  });
+
+  it('puts goal matches first, synonyms and URL words included', () => {
+    assert.equal(rankActions(shop(), { goal: 'add it to my cart' })[0].ref, '13');
+    assert.equal(rankActions(shop(), { goal: 'log in' })[0].ref, '3', '"log in" finds "Sign in"');
+    assert.equal(rankActions(shop(), { goal: 'buy now' })[0].ref, '13', 'synonym "buy" → "cart"');
+    assert.equal(rankActions(shop(), { goal: 'show me shoes' })[0].ref, '6');
+    assert.equal(rankActions(shop(), { goal: 'see the plans' })[0].ref, '7', 'synonym "plan" → "Pricing"');
+    const search = rankActions(shop(), { goal: 'search for socks', limit: 1 });
+    assert.deepEqual(search.map((a) => [a.ref, a.action]), [['4', 'type']]);
+    assert.equal(search[0].scores.keyword, 0.5);
+  });
+
+  it('sinks repeated, unlabeled, disabled and off-screen controls', () => {
+    const geometry = {
+      viewport,
+      boxes: new Map([['13', box(3000)], ['3', box(10)], ['17', box(300)], ['4', box(10, 0, 0)]]),
+    };
+    const all = rankActions(shop(), { limit: 50 }, geometry);
+    const at = (ref) => all.findIndex((a) => a.ref === ref);
+    const score = (ref) => all[at(ref)].scores;
+    assert.ok(score('14').prominence < score('6').prominence, 'three "Helpful" buttons share their prominence');
+    assert.ok(score('18').prominence < score('14').prominence);
+    assert.match(all[at('18')].description, /Click button \(unlabeled\) in main/);
+    assert.match(all[at('17')].description, /\(disabled\)$/);
+    assert.equal(score('17').visibility, 0.2);
+    assert.equal(score('3').visibility, 1);
+    assert.equal(score('13').visibility, 0.35, 'far below the fold');
+    assert.equal(score('4').visibility, 0, 'zero-size');
+    assert.equal(score('20').visibility, 0.5, 'not measured: neutral');
+    assert.ok(at('20') > at('13'), 'the footer ranks low');
+  });
+
+  it('describes fields and links by what you do with them', () => {
+    const byRef = new Map(rankActions(shop(), { limit: 50 }).map((a) => [a.ref, a]));
+    assert.equal(byRef.get('10').description, 'Select combobox "Size" in main');
+    assert.equal(byRef.get('7').description, 'Click link "Pricing" → shop.test/pricing in navigation "Categories"');
+  });
+
+  it('rejects a bad limit', () => {
+    assert.throws(() => rankActions(shop(), { limit: 0 }), /limit must be a positive number/);
+    assert.deepEqual(rankActions(null), []);
+  });
+});
+
+describe('formatActions', () => {
+  it('numbers candidates with ref, description and score', () => {
+    const text = formatActions(rankActions(shop(), { goal: 'add to cart', limit: 2 }));
+    assert.match(text, /^1\. \[ref=13\] Click button "Add to cart" in main \(0\.\d\d\)\n2\. \[ref=/);
+    assert.equal(formatActions([]), 'no actions');
+  });
+});
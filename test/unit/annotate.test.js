@@ -0,0 +1,115 @@
+/**
+ * Unit tests for annotate.js — set-of-marks screenshots.
+ *
+ * annotatedScreenshot() runs over a small shop tree with a box per ref set
+ * by hand; evaluate() and capture() only log what they are asked to do, so
+ * nothing is drawn. Checked: which refs get marks (interactive, in the
+ * captured region — viewport, scrolled page, full page or one element — and
+ * clipped), the draw → capture → clear order (clear also on a failed
+ * capture), the quad → box conversion, and the text rendering. The layer
+ * drawn in a real page is checked in test/integration/interact.test.js.
+ *
+ * Run: node --test test/unit/annotate.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { annotatedScreenshot, interactiveNodes, marksFor, quadBox, formatMarks } from '../../src/annotate.js';
+
+function node(ref, role, name = '', children = []) {
+  return { nodeId: ref, role, name, properties: {}, ignored: false, children };
+}
+
+const tree = node('1', 'RootWebArea', 'Shop', [
+  node('2', 'heading', 'Trail runner'),
+  node('3', 'button', 'Add to cart'),
+  node('4', 'combobox', 'Size', [node('5', 'option', '42')]),
+  node('6', 'link', 'Footer link'),
+  node('7', 'textbox', 'Half in view'),
+  node('8', 'button', 'Hidden'),
+]);
+
+const boxes = new Map([
+  ['3', { x: 100, y: 200, width: 120, height: 40 }],
+  ['4', { x: 100, y: 260, width: 80, height: 30 }],
+  ['6', { x: 100, y: 2000, width: 80, height: 20 }], // below the fold
+  ['7', { x: -50, y: 780, width: 200, height: 40 }], // clipped on two sides
+  ['8', { x: 10, y: 10, width: 0, height: 0 }], // display:none-ish
+]);
+const view = { width: 1280, height: 800, scrollX: 0, scrollY: 0 };
+
+function fakeIo({ failCapture = false } = {}) {
+  const log = [];
+  return {
+    log,
+    io: {
+      async tree() { return tree; },
+      async boxes(refs) { log.push(['boxes', refs]); return boxes; },
+      async view() { return view; },
+      async evaluate(expression) { log.push([expression.includes('createElement') ? 'draw' : 'clear', expression]); },
+      async capture() {
+        log.push(['capture']);
+        if (failCapture) throw new Error('capture failed');
+        return 'iVBORw0KGgo=';
+      },
+    },
+  };
+}
+
+describe('annotatedScreenshot', () => {
+  it('draws the in-view marks, captures, then clears the layer', async () => {
+    const { io, log } = fakeIo();
+    const { data, refs } = await annotatedScreenshot(io);
+    assert.equal(data, 'iVBORw0KGgo=');
+    assert.deepEqual(log.map(([step]) => step), ['boxes', 'draw', 'capture', 'clear']);
+    assert.deepEqual(log[0][1], ['3', '4', '6', '7', '8'], 'only interactive refs are measured');
+    assert.deepEqual(Object.keys(refs), ['3', '4', '7']);
+    assert.deepEqual(refs['3'], { x: 100, y: 200, width: 120, height: 40, role: 'button', name: 'Add to cart' });
+
+    const draw = log[1][1];
+    assert.doesNotThrow(() => new Function(draw), 'the draw expression parses');
+    assert.match(draw, /"ref":"3"/);
+    assert.match(draw, /aria-hidden/);
+    assert.match(draw, /pointer-events:none/);
+  });
+
+  it('removes the layer even when the capture fails', async () => {
+    const { io, log } = fakeIo({ failCapture: true });
+    await assert.rejects(annotatedScreenshot(io), /capture failed/);
+    assert.equal(log.at(-1)[0], 'clear');
+  });
+});
+
+describe('marksFor / interactiveNodes / quadBox', () => {
+  it('clips a box to the viewport and drops empty or off-screen ones', () => {
+    const marks = marksFor(interactiveNodes(tree), boxes, view, { x: 0, y: 0, width: 1280, height: 800 });
+    assert.deepEqual(marks['7'], { x: 0, y: 780, width: 150, height: 20, role: 'textbox', name: 'Half in view' });
+    assert.equal(marks['6'], undefined);
+    assert.equal(marks['8'], undefined);
+  });
+
+  it('places marks relative to a scrolled page, a full page or an element region', () => {
+    const scrolled = { ...view, scrollY: 1500 }; // boxes are viewport-relative: '6' sits at y=2000 in view → 3500 in the document
+    const full = marksFor(interactiveNodes(tree), boxes, scrolled, { x: 0, y: 0, width: 1280, height: 5000 });
+    assert.deepEqual([full['6'].y, full['3'].y], [3500, 1700]);
+    const element = marksFor(interactiveNodes(tree), boxes, view, { x: 90, y: 190, width: 200, height: 100 });
+    assert.deepEqual(Object.keys(element), ['3', '4']);
+    assert.deepEqual([element['3'].x, element['3'].y], [10, 10], 'relative to the element image');
+  });
+
+  it('leaves a select\'s options out', () => {
+    assert.deepEqual(interactiveNodes(tree).map((n) => n.nodeId), ['3', '4', '6', '7', '8']);
+  });
+
+  it('bounds a rotated quad', () => {
+    assert.deepEqual(quadBox([10, 0, 20, 10, 10, 20, 0, 10]), { x: 0, y: 0, width: 20, height: 20 });
+  });
+});
+
+describe('formatMarks', () => {
+  it('lists one ref per line', async () => {
+    const { refs } = await annotatedScreenshot(fakeIo().io);
+    assert.equal(formatMarks(refs).split('\n')[0], '[3] button "Add to cart" at 100,200 120x40');
+    assert.equal(formatMarks({}), 'no interactive elements in view');
+  });
+});
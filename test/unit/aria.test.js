@@ -0,0 +1,107 @@
+/**
+ * Unit tests for the snapshot renderers in aria.js — the typed JSON tree
+ * (format: 'json') and the Markdown renderer (format: 'markdown').
+ * No browser needed — pure function tests on tree objects.
+ *
+ * Run: node --test test/unit/aria.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatTree, treeToJSON, formatMarkdown } from '../../src/aria.js';
+
+// Helper: a minimal ARIA node (ref '' = no ref marker)
+function node(role, name = '', children = [], props = {}, ref = '') {
+  return { nodeId: ref, role, name, properties: props, ignored: false, children };
+}
+
+const text = (t) => node('StaticText', t);
+
+describe('treeToJSON()', () => {
+  it('returns the formatTree nodes as typed objects, omitting empty fields', () => {
+    const tree = node('main', '', [
+      node('heading', 'Cart', [], { level: '2' }),
+      node('checkbox', 'Gift wrap', [], { checked: 'mixed', focusable: true }, '7'),
+      node('textbox', 'Qty', [], { value: 3, required: true }, '8'),
+    ]);
+    assert.deepEqual(treeToJSON(tree), {
+      role: 'main',
+      children: [
+        { role: 'heading', name: 'Cart', properties: { level: 2 } },
+        { role: 'checkbox', name: 'Gift wrap', ref: '7', properties: { checked: 'mixed' } },
+        { role: 'textbox', name: 'Qty', ref: '8', properties: { value: '3', required: true } },
+      ],
+    });
+  });
+
+  it('normalizes CDP string states and Firefox booleans alike', () => {
+    const cdp = treeToJSON(node('checkbox', 'A', [], { checked: 'false', expanded: 'true' }));
+    const ff = treeToJSON(node('checkbox', 'A', [], { checked: false, expanded: true }));
+    assert.deepEqual(cdp, ff);
+    assert.deepEqual(cdp.properties, { checked: false, expanded: true });
+  });
+
+  it('hoists ignored nodes and prune wrappers, drops rendering noise', () => {
+    const tree = node('RootWebArea', 'Doc', [
+      { ...node('generic', '', [node('link', 'Home', [], {}, '2')]), ignored: true },
+      node('_promote', '', [node('button', 'Go', [node('InlineTextBox', 'Go')], {}, '3')]),
+    ]);
+    assert.deepEqual(treeToJSON(tree).children, [
+      { role: 'link', name: 'Home', ref: '2' },
+      { role: 'button', name: 'Go', ref: '3' },
+    ]);
+    assert.equal(treeToJSON(null), null);
+  });
+
+  it('keeps the refs formatTree prints', () => {
+    const tree = node('form', 'Login', [node('textbox', 'User', [], {}, '12')], {}, '11');
+    const refs = [...formatTree(tree).matchAll(/\[ref=(\d+)\]/g)].map((m) => m[1]);
+    const json = treeToJSON(tree);
+    assert.deepEqual([json.ref, json.children[0].ref], refs);
+  });
+});
+
+describe('formatMarkdown()', () => {
+  it('renders headings, paragraphs and links', () => {
+    const tree = node('main', '', [
+      node('heading', 'Docs', [], { level: 1 }),
+      node('paragraph', '', [text('Read the'), node('link', 'guide', [text('guide')], { url: 'https://x.test/g' }, '4'), text('first.')]),
+      node('heading', 'Deep', [], { level: 9 }),
+    ]);
+    assert.equal(formatMarkdown(tree),
+      '# Docs\n\nRead the [guide](https://x.test/g) [ref=4] first.\n\n###### Deep');
+  });
+
+  it('renders nested lists without list markers', () => {
+    const tree = node('list', '', [
+      node('listitem', '', [node('ListMarker', '• '), text('one')]),
+      node('listitem', '', [text('two'), node('list', '', [node('listitem', '', [text('nested')])])]),
+    ]);
+    assert.equal(formatMarkdown(tree), '- one\n- two\n  - nested');
+  });
+
+  it('renders tables, escaping pipes and padding short rows', () => {
+    const tree = node('table', '', [
+      node('row', '', [node('columnheader', 'Plan'), node('columnheader', 'Price')]),
+      node('row', '', [node('cell', '', [text('Pro')]), node('cell', '', [text('$9 | mo')])]),
+      node('row', '', [node('cell', '', [text('Free')])]),
+    ]);
+    assert.equal(formatMarkdown(tree),
+      '| Plan | Price |\n| --- | --- |\n| Pro | $9 \\| mo |\n| Free |  |');
+  });
+
+  it('keeps form controls actionable inline, quotes and code as blocks', () => {
+    const tree = node('main', '', [
+      node('blockquote', '', [node('paragraph', '', [text('Wise words')])]),
+      node('code', '', [text('npm i barebrowse')]),
+      node('button', 'Buy', [], {}, '9'),
+      node('checkbox', 'Agree', [], { checked: 'true' }, '10'),
+    ]);
+    assert.equal(formatMarkdown(tree),
+      '> Wise words\n\n```\nnpm i barebrowse\n```\n\nbutton "Buy" [ref=9] checkbox "Agree" [checked=true] [ref=10]');
+  });
+
+  it('returns an empty string for an empty tree', () => {
+    assert.equal(formatMarkdown(null), '');
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Unit tests for batch.js — browseMany() and the --from list parser.
+ *
+ * browseMany() runs on a fake pool whose browse() resolves (or rejects) after
+ * a per-URL delay, so what is checked is the scheduling contract: records in
+ * input order, at most `concurrency` calls in flight, failures as records,
+ * JSONL output in completion order, and that a caller's pool is left open.
+ * Real browsers are covered by test/integration/browse.test.js.
+ *
+ * Run: node --test test/unit/batch.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { browseMany, parseUrlList } from '../../src/batch.js';
+
+/** A pool whose browse() answers `snap:<url>` after delays[url] ms, or throws for URLs containing "bad". */
+function fakePool(delays = {}) {
+  const state = { inFlight: 0, peak: 0, calls: [], closed: false };
+  return {
+    state,
+    async browse(url, opts) {
+      state.calls.push({ url, opts });
+      state.peak = Math.max(state.peak, ++state.inFlight);
+      try {
+        await new Promise((r) => setTimeout(r, delays[url] || 0));
+        if (url.includes('bad')) throw new Error(`Navigation failed: ${url}`);
+        return `snap:${url}`;
+      } finally {
+        state.inFlight--;
+      }
+    },
+    async close() { state.closed = true; },
+  };
+}
+
+describe('browseMany', () => {
+  it('returns one record per URL in input order, failures included', async () => {
+    const pool = fakePool({ 'http://a/': 30, 'http://b/': 5 });
+    const records = await browseMany(['http://a/', 'http://bad/', 'http://b/'], { pool, concurrency: 3 });
+    assert.deepEqual(records.map((r) => [r.url, r.snapshot, r.error]), [
+      ['http://a/', 'snap:http://a/', null],
+      ['http://bad/', null, 'Navigation failed: http://bad/'],
+      ['http://b/', 'snap:http://b/', null],
+    ]);
+    assert.ok(records.every((r) => typeof r.ms === 'number'));
+    assert.equal(pool.state.closed, false, "a caller's pool stays open");
+  });
+
+  it('keeps at most `concurrency` calls in flight', async () => {
+    const pool = fakePool();
+    const urls = Array.from({ length: 10 }, (_, i) => `http://e.com/${i}`);
+    await browseMany(urls, { pool, concurrency: 3 });
+    assert.equal(pool.state.peak, 3);
+    assert.equal(pool.state.calls.length, 10);
+  });
+
+  it('passes browse options through and keeps batch options out', async () => {
+    const pool = fakePool();
+    await browseMany(['http://e.com/'], { pool, concurrency: 2, pruneMode: 'read', format: 'markdown', onResult() {} });
+    assert.deepEqual(pool.state.calls[0].opts, { pruneMode: 'read', format: 'markdown' });
+  });
+
+  it('writes JSONL and calls onResult as each URL finishes', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'bb-batch-'));
+    try {
+      const out = join(dir, 'out.jsonl');
+      const seen = [];
+      const pool = fakePool({ 'http://slow/': 30 });
+      await browseMany(['http://slow/', 'http://fast/'], { pool, out, onResult: (r) => seen.push(r.url) });
+      assert.deepEqual(seen, ['http://fast/', 'http://slow/'], 'completion order');
+      const lines = readFileSync(out, 'utf8').trim().split('\n').map((l) => JSON.parse(l));
+      assert.deepEqual(lines.map((l) => l.url), ['http://fast/', 'http://slow/']);
+      assert.equal(lines[1].snapshot, 'snap:http://slow/');
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('rejects a concurrency that is not a positive integer', async () => {
+    await assert.rejects(browseMany(['http://e.com/'], { pool: fakePool(), concurrency: 0 }), /positive integer/);
+  });
+});
+
+describe('parseUrlList', () => {
+  it('takes one URL per line, skipping blanks and # comments', () => {
+    const text = '# research set\nhttps://a.example/\r\n\n  https://b.example/page  \n# done\n';
+    assert.deepEqual(parseUrlList(text), ['https://a.example/', 'https://b.example/page']);
+  });
+});
@@ -145,6 +145,27 @@ describe('applyFirefoxBlocklist — intercept + per-request decision', () => {
     assert.ok(true, 'no unhandled rejection from the swallowed race');
   });
 
+  it('leaves an allowed request another intercept (page.route) also paused to its owner', async () => {
+    const bidi = fakeBiDi();
+    const send = bidi.send;
+    bidi.send = async function (method, params) {
+      await send.call(this, method, params);
+      return method === 'network.addIntercept' ? { intercept: 'block' } : {};
+    };
+    await applyFirefoxBlocklist(bidi, { blockAds: true });
+    bidi.emit('network.beforeRequestSent', {
+      isBlocked: true, intercepts: ['block', 'route'],
+      request: { request: 'shared', url: 'https://example.com/api' },
+    });
+    bidi.emit('network.beforeRequestSent', {
+      isBlocked: true, intercepts: ['block', 'route'],
+      request: { request: 'ad', url: 'https://www.google-analytics.com/collect' },
+    });
+    await tick();
+    assert.equal(bidi.sent.find((c) => c.params?.request === 'shared'), undefined, 'not continued');
+    assert.equal(bidi.sent.find((c) => c.params?.request === 'ad')?.method, 'network.failRequest', 'still blocked');
+  });
+
   it('blockAds:false with no blockUrls installs nothing', async () => {
     const bidi = fakeBiDi();
     await applyFirefoxBlocklist(bidi, { blockAds: false });
@@ -0,0 +1,266 @@
+/**
+ * Unit tests for capture.js — page.consoleLogs / networkLog / on().
+ *
+ * Fake CDP sessions and BiDi connections replay the exact event shapes each
+ * protocol emits (BiDi shapes measured against real Firefox). Guards the
+ * mapping (warn→warning normalization, arg extraction, response/error
+ * pairing, orphan safety), redirect hops, the ring-buffer limits, the
+ * page.on() event contract, and CDP's Runtime.enable waiting until console
+ * capture is wanted.
+ *
+ * Run: node --test test/unit/capture.test.js
+ */
+
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCapture, captureCdp, captureBiDi } from '../../src/capture.js';
+
+/** Fake event source: on() registers, emit() replays; CDP sends and BiDi subscriptions are recorded. */
+function fakeSource() {
+  const handlers = new Map();
+  return {
+    sent: [],
+    subscribed: [],
+    async send(method) { this.sent.push(method); return {}; },
+    async subscribe(events) { this.subscribed.push(...events); },
+    on(method, handler) {
+      if (!handlers.has(method)) handlers.set(method, new Set());
+      handlers.get(method).add(handler);
+      return () => handlers.get(method)?.delete(handler);
+    },
+    emit(method, params) {
+      const set = handlers.get(method);
+      if (set) for (const h of [...set]) h(params);
+    },
+  };
+}
+
+describe('captureBiDi — Firefox console/network capture', () => {
+  it('subscribes the console + network events', async () => {
+    const bidi = fakeSource();
+    await captureBiDi(bidi, createCapture());
+    assert.deepEqual(bidi.subscribed, [
+      'log.entryAdded',
+      'network.beforeRequestSent',
+      'network.responseCompleted',
+      'network.fetchError',
+    ]);
+  });
+
+  it('normalizes console levels and extracts arg values (warn→warning)', async () => {
+    const bidi = fakeSource();
+    const capture = createCapture();
+    await captureBiDi(bidi, capture);
+
+    bidi.emit('log.entryAdded', {
+      type: 'console', method: 'warn', level: 'warn',
+      args: [{ type: 'string', value: 'hi' }, { type: 'number', value: 42 }],
+      text: 'hi 42',
+    });
+    bidi.emit('log.entryAdded', {
+      type: 'console', method: 'log', level: 'info',
+      args: [{ type: 'string', value: 'plain' }], text: 'plain',
+    });
+    // Uncaught JS error: no console method, args often absent → fall back to level + text.
+    bidi.emit('log.entryAdded', { type: 'javascript', level: 'error', text: 'ReferenceError: x' });
+    // Object/array args carry a nested {type,value} serialization — it must NOT
+    // be splatted into the log; fall back to the type name (CDP logs "Object").
+    bidi.emit('log.entryAdded', {
+      type: 'console', method: 'log', level: 'info',
+      args: [
+        { type: 'string', value: 'obj' },
+        { type: 'object', value: [['user', { type: 'string', value: 'x' }]] },
+        { type: 'array', value: [{ type: 'number', value: 1 }] },
+      ],
+      text: 'obj [object Object] 1',
+    });
+
+    const { consoleLogs } = capture;
+    assert.equal(consoleLogs[0].type, 'warning', 'BiDi warn maps to CDP warning');
+    assert.deepEqual(consoleLogs[0].args, ['hi', 42]);
+    assert.equal(consoleLogs[1].type, 'log');
+    assert.deepEqual(consoleLogs[1].args, ['plain']);
+    assert.equal(consoleLogs[2].type, 'error', 'javascript entry uses level');
+    assert.deepEqual(consoleLogs[2].args, ['ReferenceError: x'], 'no args → [text]');
+    assert.deepEqual(consoleLogs[3].args, ['obj', 'object', 'array'], 'non-primitive args → type name, no nested dump');
+  });
+
+  it('pairs responseCompleted with its pending request, once', async () => {
+    const bidi = fakeSource();
+    const capture = createCapture();
+    await captureBiDi(bidi, capture);
+
+    bidi.emit('network.beforeRequestSent', { request: { request: 'r1', url: 'http://e.com/', method: 'GET' } });
+    const completed = {
+      request: { request: 'r1' },
+      response: { status: 200, statusText: 'OK', mimeType: 'text/html' },
+    };
+    bidi.emit('network.responseCompleted', completed);
+    bidi.emit('network.responseCompleted', completed);
+
+    const { networkLog } = capture;
+    assert.equal(networkLog.length, 1, 'completed request cleared from in-flight tracking');
+    assert.deepEqual(networkLog[0], {
+      url: 'http://e.com/', method: 'GET', timestamp: networkLog[0].timestamp,
+      status: 200, statusText: 'OK', mimeType: 'text/html',
+    });
+  });
+
+  it('records fetchError as status 0 + errorText', async () => {
+    const bidi = fakeSource();
+    const capture = createCapture();
+    await captureBiDi(bidi, capture);
+
+    bidi.emit('network.beforeRequestSent', { request: { request: 'bad', url: 'http://nope.invalid/', method: 'GET' } });
+    bidi.emit('network.fetchError', { request: { request: 'bad' }, errorText: 'NS_ERROR_UNKNOWN_HOST' });
+
+    assert.equal(capture.networkLog.length, 1);
+    assert.equal(capture.networkLog[0].status, 0);
+    assert.equal(capture.networkLog[0].error, 'NS_ERROR_UNKNOWN_HOST');
+  });
+
+  it('ignores orphan responses with no matching pending request', async () => {
+    const bidi = fakeSource();
+    const capture = createCapture();
+    await captureBiDi(bidi, capture);
+    // response for a request whose start we never saw — must not push a log.
+    bidi.emit('network.responseCompleted', { request: { request: 'ghost' }, response: { status: 200 } });
+    bidi.emit('network.fetchError', { request: { request: 'ghost2' }, errorText: 'x' });
+    assert.equal(capture.networkLog.length, 0);
+  });
+
+  it('captures only the contexts it owns, until unsubscribed', async () => {
+    const bidi = fakeSource();
+    const capture = createCapture();
+    const off = await captureBiDi(bidi, capture, (context) => context === 'tab');
+    const log = (context, text) => bidi.emit('log.entryAdded', {
+      type: 'console', method: 'log', level: 'info', source: { context }, args: [{ type: 'string', value: text }], text,
+    });
+    log('tab', 'mine');
+    log('main', 'theirs');
+    bidi.emit('network.beforeRequestSent', { context: 'main', request: { request: 'r1', url: 'http://e.com/', method: 'GET' } });
+    bidi.emit('network.responseCompleted', { context: 'main', request: { request: 'r1' }, response: { status: 200 } });
+    off();
+    log('tab', 'late');
+
+    assert.deepEqual(capture.consoleLogs.map((l) => l.args[0]), ['mine']);
+    assert.equal(capture.networkLog.length, 0, 'no network entry for another context');
+  });
+});
+
+describe('captureCdp — Chromium console/network capture', () => {
+  it('enables Runtime only once console capture is wanted, and on later sessions', async () => {
+    const session = fakeSource();
+    const capture = createCapture();
+    await captureCdp(session, capture);
+    assert.deepEqual(session.sent, [], 'no Runtime.enable for network capture alone');
+    const off = capture.on('console', () => {});
+    off();
+    capture.wantConsole();
+    assert.deepEqual(session.sent, ['Runtime.enable'], 'once');
+
+    const swapped = fakeSource(); // hybrid relaunch / switchTab
+    await captureCdp(swapped, capture);
+    assert.deepEqual(swapped.sent, ['Runtime.enable']);
+  });
+
+  it('maps console calls and uncaught exceptions', async () => {
+    const session = fakeSource();
+    const capture = createCapture();
+    capture.wantConsole();
+    await captureCdp(session, capture);
+
+    session.emit('Runtime.consoleAPICalled', {
+      type: 'warning',
+      args: [{ type: 'string', value: 'hi' }, { type: 'object', description: 'Object' }, { type: 'undefined' }],
+    });
+    session.emit('Runtime.exceptionThrown', {
+      exceptionDetails: { text: 'Uncaught', exception: { description: 'TypeError: x is not a function' } },
+    });
+
+    assert.deepEqual(capture.consoleLogs.map((l) => [l.type, l.args]), [
+      ['warning', ['hi', 'Object', 'undefined']],
+      ['error', ['TypeError: x is not a function']],
+    ]);
+  });
+
+  it('logs each redirect hop, then the final response or failure', async () => {
+    const session = fakeSource();
+    const capture = createCapture();
+    await captureCdp(session, capture);
+
+    session.emit('Network.requestWillBeSent', { requestId: '1', request: { url: 'http://e.com/old', method: 'GET' } });
+    session.emit('Network.requestWillBeSent', {
+      requestId: '1', request: { url: 'http://e.com/new', method: 'GET' },
+      redirectResponse: { status: 302, statusText: 'Found', mimeType: '' },
+    });
+    session.emit('Network.responseReceived', {
+      requestId: '1', response: { status: 200, statusText: 'OK', mimeType: 'text/html' },
+    });
+    session.emit('Network.requestWillBeSent', { requestId: '2', request: { url: 'http://e.com/x.js', method: 'GET' } });
+    session.emit('Network.loadingFailed', { requestId: '2', errorText: 'net::ERR_BLOCKED_BY_CLIENT' });
+
+    assert.deepEqual(capture.networkLog.map((l) => `${l.status} ${l.url}`), [
+      '302 http://e.com/old', '200 http://e.com/new', '0 http://e.com/x.js',
+    ]);
+    assert.equal(capture.networkLog[2].error, 'net::ERR_BLOCKED_BY_CLIENT');
+  });
+});
+
+describe('createCapture', () => {
+  it('keeps only the newest entries, trimming the same array in place', () => {
+    const capture = createCapture({ maxConsole: 2, maxNetwork: 2 });
+    const { consoleLogs, networkLog } = capture;
+    for (let i = 0; i < 5; i++) {
+      capture.console({ type: 'log', args: [i] });
+      capture.request(String(i), { url: `http://e.com/${i}`, method: 'GET' });
+      capture.response(String(i), { status: 200, statusText: 'OK', mimeType: 'text/plain' });
+    }
+    assert.strictEqual(capture.consoleLogs, consoleLogs);
+    assert.deepEqual(consoleLogs.map((l) => l.args[0]), [3, 4]);
+    assert.deepEqual(networkLog.map((l) => l.url), ['http://e.com/3', 'http://e.com/4']);
+  });
+
+  it('bounds in-flight tracking: the oldest unfinished request is dropped', () => {
+    const capture = createCapture({ maxNetwork: 2 });
+    for (const id of ['a', 'b', 'c']) capture.request(id, { url: `http://e.com/${id}`, method: 'GET' });
+    for (const id of ['a', 'b', 'c']) capture.failed(id, 'net::ERR_ABORTED');
+    assert.deepEqual(capture.networkLog.map((l) => l.url), ['http://e.com/b', 'http://e.com/c']);
+  });
+
+  it('on() delivers each event and returns an unsubscribe function', () => {
+    const capture = createCapture();
+    const seen = [];
+    const offs = ['console', 'request', 'response', 'requestfailed']
+      .map((event) => capture.on(event, (entry) => seen.push([event, entry.url || entry.args[0]])));
+    capture.console({ type: 'log', args: ['hello'] });
+    capture.request('1', { url: 'http://e.com/ok', method: 'GET' });
+    capture.response('1', { status: 200, statusText: 'OK', mimeType: 'text/html' });
+    capture.request('2', { url: 'http://e.com/bad', method: 'GET' });
+    capture.failed('2', 'net::ERR_FAILED');
+    for (const off of offs) off();
+    capture.console({ type: 'log', args: ['after'] });
+
+    assert.deepEqual(seen, [
+      ['console', 'hello'],
+      ['request', 'http://e.com/ok'],
+      ['response', 'http://e.com/ok'],
+      ['request', 'http://e.com/bad'],
+      ['requestfailed', 'http://e.com/bad'],
+    ]);
+  });
+
+  it('on() rejects unknown events; a throwing listener is warned about, not fatal', () => {
+    const capture = createCapture();
+    assert.throws(() => capture.on('dialog', () => {}), /unknown event "dialog"/);
+    const warn = mock.method(console, 'warn', () => {});
+    try {
+      capture.on('console', () => { throw new Error('boom'); });
+      capture.console({ type: 'log', args: ['x'] });
+      assert.equal(capture.consoleLogs.length, 1, 'entry still recorded');
+      assert.match(warn.mock.calls[0].arguments[0], /page\.on\('console'\) listener threw \(boom\)/);
+    } finally {
+      warn.mock.restore();
+    }
+  });
+});
@@ -0,0 +1,211 @@
+/**
+ * Unit tests for crawl.js — robots.txt parsing, scope, and the crawl loop.
+ *
+ * The crawl runs on a fake page over a small link graph (goto/snapshot/
+ * readable/find), while robots.txt is served by a real local HTTP fixture
+ * server, so the fetch and RFC 9309 status handling are exercised for real.
+ * The browser side is covered by test/integration/crawl.test.js.
+ *
+ * Run: node --test test/unit/crawl.test.js
+ */
+
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { mkdtempSync, readFileSync, readdirSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { crawl, parseRobots, normalizeUrl } from '../../src/crawl.js';
+
+/** A page over `site`: { path: [linked paths or absolute URLs] }, relative to `base`. */
+function fakePage(base, site) {
+  const state = { visited: [], closed: false, current: null };
+  return {
+    state,
+    async goto(url) {
+      const path = new URL(url).pathname;
+      if (!(path in site)) throw new Error(`net::ERR_HTTP_RESPONSE_CODE_FAILURE ${url}`);
+      state.visited.push(path);
+      state.current = path;
+    },
+    async snapshot(opts) { return `url: ${base}${state.current}\n${opts.mode} ${state.current}`; },
+    async readable() { return { ok: true, title: state.current, text: `article ${state.current}` }; },
+    async find(query) {
+      assert.equal(query.role, 'link');
+      return site[state.current].map((href) => ({ ref: '1', role: 'link', name: href, url: new URL(href, base).href }));
+    },
+    async close() { state.closed = true; },
+  };
+}
+
+describe('parseRobots', () => {
+  it('uses the barebrowse group over *, longest match winning, Allow on a tie', () => {
+    const rules = parseRobots([
+      'User-agent: *',
+      'Disallow: /',
+      '',
+      'User-agent: otherbot',
+      'User-Agent: BareBrowse # us',
+      'Disallow: /private',
+      'Allow: /private/ok',
+      'Disallow: /*.pdf$',
+      'Allow: /tie',
+      'Disallow: /tie',
+    ].join('\n'));
+    assert.equal(rules.allows('/'), true, 'the * group does not apply');
+    assert.equal(rules.allows('/private/x'), false);
+    assert.equal(rules.allows('/private/ok/deeper'), true, 'longer Allow wins');
+    assert.equal(rules.allows('/docs/a.pdf'), false);
+    assert.equal(rules.allows('/docs/a.pdf?x=1'), true, '$ anchors the end');
+    assert.equal(rules.allows('/tie'), true);
+  });
+
+  it('falls back to *, reads Crawl-delay in seconds, and always allows /robots.txt', () => {
+    const rules = parseRobots('User-agent: *\nCrawl-delay: 2\nDisallow: /\n');
+    assert.equal(rules.delay, 2000);
+    assert.equal(rules.allows('/anything'), false);
+    assert.equal(rules.allows('/robots.txt'), true);
+    assert.equal(parseRobots('').allows('/x'), true, 'empty file: no rules');
+    assert.equal(parseRobots('User-agent: *\nDisallow:\n').allows('/x'), true, 'empty Disallow allows all');
+  });
+});
+
+describe('normalizeUrl', () => {
+  it('keeps http(s) URLs without their fragment', () => {
+    assert.equal(normalizeUrl('https://a.test/x?q=1#top'), 'https://a.test/x?q=1');
+    assert.equal(normalizeUrl('mailto:me@a.test'), null);
+    assert.equal(normalizeUrl('javascript:void(0)'), null);
+    assert.equal(normalizeUrl(undefined), null);
+  });
+});
+
+describe('crawl', () => {
+  let server;
+  let base;
+  let robots = { status: 200, body: '' };
+
+  before(async () => {
+    server = createServer((req, res) => {
+      if (req.url === '/robots.txt') {
+        res.writeHead(robots.status, { 'content-type': 'text/plain' });
+        res.end(robots.body);
+      } else {
+        res.writeHead(404).end();
+      }
+    });
+    await new Promise((r) => server.listen(0, '127.0.0.1', r));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise((r) => server.close(r)));
+
+  const site = () => ({
+    '/': ['/a', '/b#section', 'mailto:x@y.test', 'https://elsewhere.test/', '/'],
+    '/a': ['/a/deep', '/b'],
+    '/b': ['/private/secret'],
+    '/a/deep': ['/a/deeper'],
+    '/a/deeper': [],
+    '/private/secret': [],
+  });
+
+  it('crawls breadth-first within depth and origin, each page once', async () => {
+    robots = { status: 404, body: '' };
+    const page = fakePage(base, site());
+    const { pages, blocked } = await crawl(`${base}/`, { page, delay: 0, maxDepth: 2 });
+    assert.deepEqual(pages.map((p) => [new URL(p.url).pathname, p.depth]), [
+      ['/', 0], ['/a', 1], ['/b', 1], ['/a/deep', 2], ['/private/secret', 2],
+    ]);
+    assert.equal(pages[1].from, `${base}/`);
+    assert.equal(pages[0].links, 5);
+    assert.equal(pages[3].links, 0, 'links are not collected past maxDepth');
+    assert.match(pages[0].snapshot, /^url: .*\nread \/$/, "pruneMode defaults to 'read'");
+    assert.deepEqual(blocked, []);
+    assert.equal(page.state.closed, false, "a caller's page stays open");
+  });
+
+  it('obeys robots.txt and include/exclude, and stops at maxPages', async () => {
+    robots = { status: 200, body: 'User-agent: *\nDisallow: /private\n' };
+    const page = fakePage(base, site());
+    const { pages, blocked } = await crawl(`${base}/`, { page, delay: 0, exclude: ['*/b'] });
+    assert.deepEqual(page.state.visited, ['/', '/a', '/a/deep']);
+    assert.deepEqual(blocked, []);
+
+    const again = await crawl(`${base}/`, { page: fakePage(base, site()), delay: 0, include: [/\/(b|private)/] });
+    assert.deepEqual(again.pages.map((p) => new URL(p.url).pathname), ['/', '/b']);
+    assert.deepEqual(again.blocked, [`${base}/private/secret`]);
+
+    const capped = await crawl(`${base}/`, { page: fakePage(base, site()), delay: 0, maxPages: 2 });
+    assert.equal(capped.pages.length, 2);
+    assert.equal(pages.length, 3);
+  });
+
+  it('stays out of an origin whose robots.txt answers 5xx', async () => {
+    robots = { status: 503, body: '' };
+    const warn = mock.method(console, 'warn', () => {});
+    try {
+      const page = fakePage(base, site());
+      const { pages, blocked } = await crawl(`${base}/`, { page, delay: 0 });
+      assert.deepEqual(pages, []);
+      assert.deepEqual(blocked, [`${base}/`]);
+      assert.match(warn.mock.calls[0].arguments[0], /answered 503/);
+    } finally {
+      warn.mock.restore();
+    }
+  });
+
+  it('spaces requests to one host by the robots.txt Crawl-delay', async () => {
+    robots = { status: 200, body: 'User-agent: *\nCrawl-delay: 0.05\n' };
+    const page = fakePage(base, { '/': ['/a'], '/a': [] });
+    const started = Date.now();
+    await crawl(`${base}/`, { page, delay: 0 });
+    assert.ok(Date.now() - started >= 50, 'second request waited for the crawl delay');
+  });
+
+  it('records a failing page and carries on', async () => {
+    robots = { status: 404, body: '' };
+    const page = fakePage(base, { '/': ['/missing', '/a'], '/a': [] });
+    const { pages } = await crawl(`${base}/`, { page, delay: 0 });
+    assert.deepEqual(pages.map((p) => [new URL(p.url).pathname, p.error && 'error']), [
+      ['/', null], ['/missing', 'error'], ['/a', null],
+    ]);
+  });
+
+  it('writes a JSONL file or a corpus directory', async () => {
+    robots = { status: 404, body: '' };
+    const dir = mkdtempSync(join(tmpdir(), 'bb-crawl-'));
+    try {
+      const file = join(dir, 'pages.jsonl');
+      await crawl(`${base}/`, { page: fakePage(base, { '/': ['/a'], '/a': [] }), delay: 0, out: file });
+      const lines = readFileSync(file, 'utf8').trim().split('\n').map((l) => JSON.parse(l));
+      assert.deepEqual(lines.map((l) => new URL(l.url).pathname), ['/', '/a']);
+      assert.match(lines[1].snapshot, /read \/a/);
+
+      const corpus = join(dir, 'corpus');
+      await crawl(`${base}/`, { page: fakePage(base, { '/': ['/a'], '/a': [] }), delay: 0, out: corpus, content: 'readable' });
+      assert.deepEqual(readdirSync(corpus).sort(), ['0001.json', '0002.json', 'index.jsonl']);
+      const index = readFileSync(join(corpus, 'index.jsonl'), 'utf8').trim().split('\n').map((l) => JSON.parse(l));
+      assert.equal(index[1].file, '0002.json');
+      assert.equal('article' in index[1], false, 'content lives in the page file, not the index');
+      assert.equal(JSON.parse(readFileSync(join(corpus, '0002.json'), 'utf8')).text, 'article /a');
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('never queues, or fetches robots.txt from, a link the URL guard rejects', async () => {
+    const origin = 'https://docs.test';
+    const fetched = [];
+    const fetchImpl = async (url) => { fetched.push(url); return new Response('', { status: 404 }); };
+    const page = fakePage(origin, { '/': ['http://169.254.169.254/latest/meta-data/', 'https://other.test/'] });
+    const { pages } = await crawl(`${origin}/`, {
+      page, delay: 0, sameOrigin: false, blockPrivateNetwork: true, fetch: /** @type {any} */ (fetchImpl),
+    });
+    assert.deepEqual(fetched, [`${origin}/robots.txt`, 'https://other.test/robots.txt']);
+    assert.deepEqual(pages.map((p) => p.url), [`${origin}/`, 'https://other.test/']);
+  });
+
+  it('rejects a non-http start URL and an unknown content kind', async () => {
+    await assert.rejects(crawl('file:///etc/passwd', { page: {} }), /not an http\(s\) URL/);
+    await assert.rejects(crawl(`${base}/`, { page: {}, content: 'pdf' }), /content must be/);
+  });
+});
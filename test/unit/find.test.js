@@ -0,0 +1,85 @@
+/**
+ * Unit tests for find.js — locating elements by role, name or text in an AX
+ * tree, ranking by proximity, and the text rendering MCP/bareagent return.
+ * No browser needed — pure function tests on tree objects.
+ *
+ * Run: node --test test/unit/find.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { findNodes, formatMatches } from '../../src/find.js';
+
+// Helper: a minimal ARIA node with an explicit ref
+function node(ref, role, name = '', children = []) {
+  return { nodeId: ref, role, name, properties: {}, ignored: false, children };
+}
+const text = (ref, t) => node(ref, 'StaticText', t);
+
+// A checkout page: two forms, each with a "Submit" button
+const page = () => node('1', 'RootWebArea', 'Shop', [
+  node('2', 'navigation', 'Main', [node('3', 'link', 'Home', [text('4', 'Home')])]),
+  node('5', 'main', '', [
+    node('6', 'form', 'Newsletter', [
+      text('7', 'Join our list'),
+      node('8', 'button', 'Submit', [text('9', 'Submit')]),
+    ]),
+    node('10', 'form', 'Shipping address', [
+      node('11', 'textbox', 'Street'),
+      { ...node('12', 'generic', '', [node('13', 'button', 'Submit', [text('14', 'Submit')])]), ignored: true },
+    ]),
+  ]),
+]);
+
+describe('findNodes()', () => {
+  it('matches role + name, case-insensitively by default, in document order', () => {
+    const m = findNodes(page(), { role: 'Button', name: 'submit' });
+    assert.deepEqual(m.map((x) => x.ref), ['8', '13']);
+    assert.equal(m[0].line, '- button "Submit" [ref=8]');
+  });
+
+  it('reports the landmark/named ancestor path and surrounding text', () => {
+    const [m] = findNodes(page(), { role: 'button', name: 'Submit', near: 'Street' });
+    assert.equal(m.ref, '13');
+    assert.deepEqual(m.path, ['main', 'form "Shipping address"']);
+    assert.equal(m.context, 'Street …');
+  });
+
+  it('ranks by tree distance to a ref given as near', () => {
+    const m = findNodes(page(), { role: 'button', near: '7' });
+    assert.deepEqual(m.map((x) => x.ref), ['8', '13']);
+    assert.throws(() => findNodes(page(), { role: 'button', near: 'nowhere' }), /no element found for near/);
+  });
+
+  it("carries a link's target url, and only a link's", () => {
+    const tree = page();
+    tree.children[0].children[0].properties = { url: 'https://shop.test/' };
+    const [home] = findNodes(tree, { role: 'link' });
+    assert.equal(home.url, 'https://shop.test/');
+    assert.equal('url' in findNodes(tree, { role: 'button' })[0], false);
+  });
+
+  it('text matches the innermost element containing it, never bare text nodes', () => {
+    const m = findNodes(page(), { text: 'join our' });
+    assert.deepEqual(m.map((x) => x.ref), ['6']);
+  });
+
+  it('exact requires a whole, case-sensitive match', () => {
+    assert.equal(findNodes(page(), { name: 'Ship', exact: true }).length, 0);
+    assert.equal(findNodes(page(), { name: 'shipping address', exact: true }).length, 0);
+    assert.deepEqual(findNodes(page(), { name: 'Shipping address', exact: true }).map((x) => x.ref), ['10']);
+  });
+
+  it('honours limit and needs a criterion', () => {
+    assert.equal(findNodes(page(), { role: 'button', limit: 1 }).length, 1);
+    assert.throws(() => findNodes(page(), {}), /at least one of/);
+  });
+});
+
+describe('formatMatches()', () => {
+  it('renders a count, then each line with its path and context', () => {
+    const out = formatMatches(findNodes(page(), { role: 'textbox' }));
+    assert.equal(out, '1 match\n- textbox "Street" [ref=11]\n  in: main > form "Shipping address"\n  context: … Submit');
+    assert.equal(formatMatches([]), 'no matches');
+  });
+});
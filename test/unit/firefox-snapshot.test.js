@@ -0,0 +1,70 @@
+/**
+ * Unit tests for the Firefox page's snapshot() — whole page and root-scoped.
+ *
+ * Drives createFirefoxPage().snapshot() against a fake BiDi whose in-page
+ * reconstruction returns a fixed tree (a search form and a link), as
+ * firefox-hybrid.test.js does for goto(). Checked: a snapshot without `root`
+ * renders the whole tree (not some other object) in text and JSON, one with
+ * `root` only that subtree, and an unknown root fails with the ref error.
+ * The in-page reconstruction itself is covered by the integration tests.
+ *
+ * Run: node --test test/unit/firefox-snapshot.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFirefoxPage } from '../../src/firefox-page.js';
+
+function node(ref, role, name = '', children = []) {
+  return { nodeId: ref, role, name, properties: {}, ignored: false, children };
+}
+
+const TREE = node('1', 'RootWebArea', 'Shop', [
+  node('2', 'main', '', [
+    node('3', 'form', 'Search', [
+      node('4', 'textbox', 'Query'),
+      node('5', 'button', 'Go'),
+    ]),
+    node('6', 'link', 'Checkout'),
+  ]),
+]);
+
+function fakeBidi() {
+  return {
+    async send(method) {
+      if (method === 'browsingContext.getTree') return { contexts: [{ context: 'ctx1', children: [] }] };
+      return {};
+    },
+    async subscribe() {},
+    on() { return () => {}; },
+    async evaluate(_ctx, expr) {
+      if (expr === 'location.href') return 'http://shop.test/';
+      // Stand in for axSnapshotExpression — the {tree,last,refs,fresh} shape.
+      return JSON.stringify({ tree: TREE, last: 6, refs: ['1', '2', '3', '4', '5', '6'], fresh: false });
+    },
+    close() {},
+  };
+}
+
+describe('Firefox snapshot()', () => {
+  it('renders the whole tree without a root', async () => {
+    const page = await createFirefoxPage(fakeBidi(), { consent: false });
+    const text = await page.snapshot();
+    assert.match(text, /^url: http:\/\/shop\.test\//);
+    assert.match(text, /textbox "Query" \[ref=4\]/);
+    assert.match(text, /link "Checkout" \[ref=6\]/);
+
+    const { tree } = await page.snapshot({ format: 'json' });
+    const refs = [];
+    (function walk(n) { if (n.ref) refs.push(n.ref); for (const c of n.children || []) walk(c); })(tree);
+    assert.ok(refs.includes('5') && refs.includes('6'), `both branches present, got ${refs}`);
+  });
+
+  it('renders only the subtree under root', async () => {
+    const page = await createFirefoxPage(fakeBidi(), { consent: false });
+    const text = await page.snapshot({ root: '3' });
+    assert.match(text, /textbox "Query" \[ref=4\]/);
+    assert.doesNotMatch(text, /Checkout/);
+    await assert.rejects(page.snapshot({ root: '99' }), /99/);
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * Unit tests for forms.js — page.forms() and page.fillForm().
+ *
+ * Forms are read from a hand-built AX tree plus per-ref field facts (what
+ * FIELD_FACTS_FN returns in the page), and filled through a fake io that
+ * records type/select/click calls and updates the facts the way a browser
+ * would. Checked: grouping into forms, purpose detection, radio groups,
+ * matching values to fields, and the action chosen per field kind. The
+ * in-page facts function is covered by the integration tests.
+ *
+ * Run: node --test test/unit/forms.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readForms, formSkeletons, purposeOf, planFill, fillForm, formatForms, formatFillResult } from '../../src/forms.js';
+
+function node(ref, role, name = '', children = []) {
+  return { nodeId: ref, role, name, properties: {}, ignored: false, children };
+}
+
+/** A signup form, a newsletter box outside any form, and their fields' facts. */
+function fixture() {
+  const tree = node('1', 'RootWebArea', 'Shop', [
+    node('2', 'form', 'Checkout', [
+      node('3', 'textbox', 'Email'),
+      node('4', 'textbox', 'Password'),
+      node('5', 'textbox', 'Street'),
+      node('6', 'textbox', 'ZIP'),
+      node('7', 'combobox', 'Country', [node('70', 'option', 'Netherlands')]),
+      node('8', 'textbox', 'Card number'),
+      node('9', 'radio', 'Standard'),
+      node('10', 'radio', 'Express'),
+      node('11', 'checkbox', 'I accept the terms'),
+      node('12', 'alert', '', [node('120', 'StaticText', 'Please fix the errors below')]),
+      node('13', 'button', 'Pay'),
+    ]),
+    node('20', 'searchbox', 'Search'),
+  ]);
+  const facts = {
+    3: { type: 'email', name: 'email', autocomplete: 'email', required: true, value: '', invalid: true, error: 'Enter an email' },
+    4: { type: 'password', name: 'pw', autocomplete: 'current-password', value: '' },
+    5: { type: 'text', name: 'street', autocomplete: 'shipping street-address', value: '' },
+    6: { type: 'text', name: 'zip', value: '' },
+    7: { type: 'select', name: 'country', value: 'Belgium', options: [
+      { label: 'Belgium', value: 'be', selected: true }, { label: 'Netherlands', value: 'nl', selected: false },
+    ] },
+    8: { type: 'text', name: 'ccnum', autocomplete: 'cc-number', value: '' },
+    9: { type: 'radio', name: 'shipping', group: 'Delivery', checked: true },
+    10: { type: 'radio', name: 'shipping', group: 'Delivery', checked: false },
+    11: { type: 'checkbox', name: 'terms', required: true, checked: false },
+    20: { type: 'search', name: 'q', value: '' },
+  };
+  return { tree, facts };
+}
+
+/** An io over the fixture that applies each action to the facts. */
+function fakeIo() {
+  const { tree, facts } = fixture();
+  const calls = [];
+  const io = {
+    forms: () => readForms(tree, async (ref) => structuredClone(facts[ref])),
+    async type(ref, text) {
+      calls.push(['type', ref, text]);
+      facts[ref].value = text;
+      facts[ref].invalid = false;
+      delete facts[ref].error;
+    },
+    async select(ref, value) {
+      calls.push(['select', ref, value]);
+      for (const o of facts[ref].options) o.selected = o.value === value;
+      facts[ref].value = facts[ref].options.find((o) => o.selected).label;
+    },
+    async click(ref) {
+      calls.push(['click', ref]);
+      if (facts[ref].type === 'radio') for (const f of Object.values(facts)) if (f.name === facts[ref].name) f.checked = false;
+      facts[ref].checked = !facts[ref].checked;
+    },
+  };
+  return { io, calls, facts };
+}
+
+describe('readForms', () => {
+  it('groups fields under their form, page-level fields first, with purpose and state', async () => {
+    const [page, checkout] = await fakeIo().io.forms();
+    assert.equal(page.ref, '1');
+    assert.deepEqual(page.fields.map((f) => [f.label, f.purpose]), [['Search', 'search']]);
+
+    assert.equal(checkout.ref, '2');
+    assert.equal(checkout.name, 'Checkout');
+    assert.deepEqual(checkout.fields.map((f) => f.purpose), [
+      'email', 'password', 'street-address', 'postal-code', 'country', 'card-number', null, null,
+    ]);
+    const email = checkout.fields[0];
+    assert.deepEqual([email.type, email.required, email.invalid, email.error], ['email', true, true, 'Enter an email']);
+    assert.equal(checkout.fields[4].value, 'Belgium');
+    assert.deepEqual(checkout.buttons, [{ ref: '13', name: 'Pay' }]);
+    assert.deepEqual(checkout.errors, ['Please fix the errors below']);
+  });
+
+  it('merges radios of one name into a field with one option per radio', async () => {
+    const [, checkout] = await fakeIo().io.forms();
+    const delivery = checkout.fields[6];
+    assert.equal(delivery.label, 'Delivery');
+    assert.equal(delivery.value, 'Standard');
+    assert.deepEqual(delivery.options, [
+      { ref: '9', label: 'Standard', checked: true }, { ref: '10', label: 'Express', checked: false },
+    ]);
+    assert.equal(checkout.fields[7].checked, false);
+  });
+
+  it('finds nothing in a tree without fields', () => {
+    assert.deepEqual(formSkeletons(node('1', 'RootWebArea', '', [node('2', 'form')])), []);
+    assert.deepEqual(formSkeletons(null), []);
+  });
+});
+
+describe('purposeOf', () => {
+  it('prefers the autocomplete token, then type, then name/label hints', () => {
+    assert.equal(purposeOf({ autocomplete: 'section-a billing postal-code' }, 'Code'), 'postal-code');
+    assert.equal(purposeOf({ type: 'password', name: 'confirm_pw' }, 'Repeat password'), 'new-password');
+    assert.equal(purposeOf({ type: 'text', name: 'fname' }, ''), 'given-name');
+    assert.equal(purposeOf({ type: 'text' }, 'Email address'), 'email', 'email beats address');
+    assert.equal(purposeOf({ type: 'text' }, 'Name on card'), 'card-name', 'card name beats name');
+    assert.equal(purposeOf({ type: 'text', placeholder: 'MM / YY' }, ''), 'card-expiry');
+    assert.equal(purposeOf({ type: 'text', name: 'nickname' }, 'Nickname'), null);
+  });
+});
+
+describe('planFill', () => {
+  it('matches purposes, aliases, nested groups and labels, each field once', async () => {
+    const [, checkout] = await fakeIo().io.forms();
+    const { steps, unmatched } = planFill(checkout, {
+      email: 'a@b.co',
+      address: { street: '1 Main St', zip: '3511AB', country: 'nl' },
+      card: { number: '4242424242424242', cvc: '123' },
+      delivery: 'express',
+      terms: true,
+    });
+    assert.deepEqual(steps.map((s) => [s.key, s.field.ref]), [
+      ['email', '3'], ['address-street', '5'], ['address-zip', '6'], ['address-country', '7'],
+      ['card-number', '8'], ['delivery', '9'], ['terms', '11'],
+    ]);
+    assert.deepEqual(unmatched, ['card.cvc']);
+  });
+});
+
+describe('fillForm', () => {
+  it('types, selects, picks radios and checks boxes, then re-reads the form', async () => {
+    const { io, calls } = fakeIo();
+    const result = await fillForm(io, null, {
+      email: 'a@b.co', password: 's3cret', postalCode: '3511AB', country: 'Netherlands', delivery: 'Express', terms: 'yes',
+    });
+    assert.deepEqual(calls, [
+      ['type', '3', 'a@b.co'], ['type', '4', 's3cret'], ['type', '6', '3511AB'],
+      ['select', '7', 'nl'], ['click', '10'], ['click', '11'],
+    ]);
+    assert.equal(result.form?.ref, '2', 'the form with the most matches');
+    assert.deepEqual(result.unmatched, []);
+    assert.equal(result.form?.fields[0].invalid, false);
+    assert.equal(result.form?.fields[4].value, 'Netherlands');
+  });
+
+  it('leaves a field already in the wanted state alone and reports bad options', async () => {
+    const { io, calls } = fakeIo();
+    const result = await fillForm(io, '2', { delivery: 'Standard', terms: false, country: 'Mars' });
+    assert.deepEqual(calls, []);
+    assert.equal(result.failed.length, 1);
+    assert.match(result.failed[0].error, /no option "Mars" \(options: Belgium, Netherlands\)/);
+  });
+
+  it('rejects an unknown form ref', async () => {
+    await assert.rejects(fillForm(fakeIo().io, '99', { email: 'x' }), /no form with ref 99/);
+  });
+});
+
+describe('formatForms / formatFillResult', () => {
+  it('renders one line per field with its refs and state', async () => {
+    const { io } = fakeIo();
+    const text = formatForms(await io.forms());
+    assert.match(text, /^form \[ref=1\]\n {2}searchbox "Search" \[ref=20\] search\n/);
+    assert.match(text, /textbox "Email" \[ref=3\] email, required, invalid: Enter an email/);
+    assert.match(text, /combobox "Country" \[ref=7\] country, select, value="Belgium", options: Belgium\*, Netherlands/);
+    assert.match(text, /radio "Delivery" \[ref=9\] value="Standard", options: Standard\* \[ref=9\], Express \[ref=10\]/);
+    assert.match(text, /buttons: "Pay" \[ref=13\]\n {2}error: Please fix the errors below$/);
+    assert.equal(formatForms([]), 'no forms');
+
+    const filled = formatFillResult(await fillForm(io, '2', { email: 'a@b.co', fax: '1' }));
+    assert.match(filled, /^filled 1: email → "Email" \[ref=3\]\nno field for: fax\nform "Checkout"/);
+  });
+});
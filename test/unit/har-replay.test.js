@@ -0,0 +1,125 @@
+/**
+ * Unit tests for har-replay.js — serving requests from a recorded HAR.
+ * The handler is driven through the shared router (route.js), so what is
+ * checked is the wire decision each engine would send: fulfilled bodies and
+ * headers, redirects, recorded failures, repeats and the miss policy.
+ *
+ * Run: node --test test/unit/har-replay.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { readHar, harReplayHandler } from '../../src/har-replay.js';
+import { createRouter } from '../../src/route.js';
+
+function entry(method, url, response) {
+  return {
+    request: { method, url, headers: [] },
+    response: { status: 200, headers: [], content: { size: 0, mimeType: 'text/plain' }, redirectURL: '', ...response },
+  };
+}
+
+const HAR = {
+  log: {
+    version: '1.2',
+    entries: [
+      entry('GET', 'https://e.com/old', { status: 302, headers: [{ name: 'Location', value: '/page' }], redirectURL: 'https://e.com/page' }),
+      entry('GET', 'https://e.com/page', {
+        headers: [
+          { name: 'Content-Type', value: 'text/html' },
+          { name: 'Content-Encoding', value: 'gzip' },
+          { name: 'Content-Length', value: '9999' },
+          { name: 'Set-Cookie', value: 'a=1' },
+          { name: 'Set-Cookie', value: 'b=2' },
+        ],
+        content: { size: 12, mimeType: 'text/html', text: '<h1>hi</h1>' },
+      }),
+      entry('GET', 'https://e.com/logo.png', { content: { size: 3, mimeType: 'image/png', text: 'AQID', encoding: 'base64' } }),
+      entry('GET', 'https://e.com/poll', { content: { mimeType: 'application/json', text: '1' } }),
+      entry('GET', 'https://e.com/poll', { content: { mimeType: 'application/json', text: '2' } }),
+      entry('POST', 'https://e.com/api', { status: 201, content: { mimeType: 'application/json' } }),
+      entry('GET', 'https://e.com/down', { status: 0, _error: 'net::ERR_CONNECTION_REFUSED' }),
+    ],
+  },
+};
+
+function replay(opts) {
+  const router = createRouter();
+  router.add('*', harReplayHandler(HAR, opts));
+  return (method, url) => router.decide({ method, url, headers: {} });
+}
+
+const text = (d) => Buffer.from(d.body, 'base64').toString();
+const header = (d, name) => d.headers.filter((h) => h.name.toLowerCase() === name).map((h) => h.value);
+
+describe('harReplayHandler', () => {
+  it('fulfills a recorded response with its status, headers and body', async () => {
+    const d = await replay()('GET', 'https://e.com/page');
+    assert.equal(d.action, 'fulfill');
+    assert.equal(d.status, 200);
+    assert.equal(text(d), '<h1>hi</h1>');
+    assert.deepEqual(header(d, 'content-type'), ['text/html']);
+    assert.deepEqual(header(d, 'set-cookie'), ['a=1, b=2']);
+  });
+
+  it('drops encoding/length headers that no longer describe the decoded body', async () => {
+    const d = await replay()('GET', 'https://e.com/page');
+    assert.deepEqual(header(d, 'content-encoding'), []);
+    assert.deepEqual(header(d, 'content-length'), []);
+  });
+
+  it('decodes base64 content and falls back to mimeType for Content-Type', async () => {
+    const d = await replay()('GET', 'https://e.com/logo.png');
+    assert.deepEqual([...Buffer.from(d.body, 'base64')], [1, 2, 3]);
+    assert.deepEqual(header(d, 'content-type'), ['image/png']);
+  });
+
+  it('replays redirects as 3xx + Location and bodiless entries as empty', async () => {
+    const next = replay();
+    const r = await next('GET', 'https://e.com/old');
+    assert.equal(r.status, 302);
+    assert.deepEqual(header(r, 'location'), ['/page']);
+    const post = await next('post', 'https://e.com/api#frag');
+    assert.equal(post.status, 201);
+    assert.equal(text(post), '');
+  });
+
+  it('serves repeated requests in recorded order, then repeats the last', async () => {
+    const next = replay();
+    const bodies = [];
+    for (let i = 0; i < 3; i++) bodies.push(text(await next('GET', 'https://e.com/poll')));
+    assert.deepEqual(bodies, ['1', '2', '2']);
+  });
+
+  it('replays a recorded failure as an aborted request', async () => {
+    assert.deepEqual(await replay()('GET', 'https://e.com/down'), { action: 'abort' });
+  });
+
+  it('fails misses by default, continues them with miss: passthrough', async () => {
+    assert.deepEqual(await replay()('GET', 'https://e.com/other'), { action: 'abort' });
+    assert.deepEqual(await replay()('POST', 'https://e.com/page'), { action: 'abort' }, 'method is part of the match');
+    assert.deepEqual(await replay({ miss: 'passthrough' })('GET', 'https://e.com/other'), { action: 'continue' });
+  });
+
+  it('rejects an unknown miss policy', () => {
+    assert.throws(() => harReplayHandler(HAR, { miss: /** @type {any} */ ('ignore') }), /fail.*passthrough/);
+  });
+});
+
+describe('readHar', () => {
+  it('reads a HAR file and rejects anything without log.entries', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'bb-har-replay-'));
+    try {
+      writeFileSync(join(dir, 'ok.har'), JSON.stringify(HAR));
+      writeFileSync(join(dir, 'bad.har'), JSON.stringify({ log: {} }));
+      assert.equal(readHar(join(dir, 'ok.har')).log.entries.length, HAR.log.entries.length);
+      assert.throws(() => readHar(join(dir, 'bad.har')), /not a HAR file/);
+      assert.throws(() => readHar(join(dir, 'missing.har')), /cannot read/);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,236 @@
+/**
+ * Unit tests for har.js — HAR 1.2 recording from CDP and BiDi network events.
+ * Fake sessions replay the event shapes each protocol emits (redirect hops,
+ * failures, timings, load events); the output is checked against the HAR
+ * fields a viewer needs. No browser needed.
+ *
+ * Run: node --test test/unit/har.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createHarRecorder, recordCdpHar, recordBiDiHar } from '../../src/har.js';
+
+/** Fake event source: on() registers, emit() replays, send() answers getResponseBody. */
+function fakeSession() {
+  const listeners = new Map();
+  return {
+    async send(method, params) {
+      if (method === 'Network.getResponseBody' && params.requestId === 'r2') return { body: 'hello', base64Encoded: false };
+      throw new Error('No resource with given identifier found');
+    },
+    async subscribe() {},
+    on(m, cb) {
+      if (!listeners.has(m)) listeners.set(m, new Set());
+      listeners.get(m).add(cb);
+      return () => listeners.get(m)?.delete(cb);
+    },
+    emit(m, params) { for (const cb of listeners.get(m) || []) cb(params); },
+  };
+}
+
+const WALL = 1_700_000_000; // epoch seconds at monotonic t=100
+
+describe('recordCdpHar()', () => {
+  function session() {
+    const s = fakeSession();
+    const recorder = createHarRecorder();
+    recordCdpHar(s, recorder, () => 'MAIN');
+    // A document redirected once, then a fetch that fails.
+    s.emit('Network.requestWillBeSent', {
+      requestId: 'r1', frameId: 'MAIN', type: 'Document', timestamp: 100, wallTime: WALL,
+      request: { url: 'http://a.test/old?q=1', method: 'GET', headers: { Accept: 'text/html' } },
+    });
+    s.emit('Network.requestWillBeSent', {
+      requestId: 'r1', frameId: 'MAIN', type: 'Document', timestamp: 100.05, wallTime: WALL + 0.05,
+      request: { url: 'http://a.test/new', method: 'GET', headers: {} },
+      redirectResponse: { status: 301, statusText: 'Moved', protocol: 'http/1.1', headers: { Location: '/new' }, mimeType: '' },
+    });
+    s.emit('Network.responseReceived', {
+      requestId: 'r1', timestamp: 100.2,
+      response: {
+        status: 200, statusText: 'OK', protocol: 'h2', mimeType: 'text/html', encodedDataLength: 100,
+        headers: { 'Content-Type': 'text/html', 'Set-Cookie': 'a=1\nb=2' }, remoteIPAddress: '10.0.0.1',
+        timing: { requestTime: 100.05, dnsStart: 1, dnsEnd: 11, connectStart: 11, connectEnd: 41, sslStart: 21, sslEnd: 41, sendStart: 42, sendEnd: 44, receiveHeadersEnd: 144 },
+      },
+    });
+    s.emit('Network.dataReceived', { requestId: 'r1', dataLength: 2000 });
+    s.emit('Network.loadingFinished', { requestId: 'r1', timestamp: 100.25, encodedDataLength: 600 });
+    s.emit('Network.requestWillBeSent', {
+      requestId: 'r9', frameId: 'MAIN', type: 'Fetch', timestamp: 100.3, wallTime: WALL + 0.3,
+      request: { url: 'http://a.test/api', method: 'POST', headers: { 'Content-Type': 'application/json' }, postData: '{"x":1}' },
+    });
+    s.emit('Network.loadingFailed', { requestId: 'r9', timestamp: 100.31, errorText: 'net::ERR_CONNECTION_REFUSED' });
+    s.emit('Page.loadEventFired', { timestamp: 100.5 });
+    return recorder;
+  }
+
+  it('records one entry per redirect hop, with the redirect URL', async () => {
+    const { log } = await session().toHAR();
+    assert.equal(log.version, '1.2');
+    const { version } = JSON.parse(readFileSync(new URL('../../package.json', import.meta.url), 'utf8'));
+    assert.deepEqual(log.creator, { name: 'barebrowse', version });
+    assert.deepEqual(log.entries.map((e) => [e.request.url, e.response.status]), [
+      ['http://a.test/old?q=1', 301], ['http://a.test/new', 200], ['http://a.test/api', 0],
+    ]);
+    assert.equal(log.entries[0].response.redirectURL, 'http://a.test/new');
+    assert.deepEqual(log.entries[0].request.queryString, [{ name: 'q', value: '1' }]);
+    assert.equal(log.entries[0].startedDateTime, new Date(WALL * 1000).toISOString());
+    assert.equal(log.entries[0].time, 50);
+  });
+
+  it('maps headers, timings and sizes', async () => {
+    const [, doc] = (await session().toHAR()).log.entries;
+    assert.equal(doc.response.httpVersion, 'HTTP/2');
+    assert.deepEqual(doc.response.headers.filter((h) => h.name === 'Set-Cookie').map((h) => h.value), ['a=1', 'b=2']);
+    assert.deepEqual(doc.timings, { blocked: 1, dns: 10, connect: 30, ssl: 20, send: 2, wait: 100, receive: 57 });
+    assert.equal(doc.time, 200);
+    assert.equal(doc.response.bodySize, 500);
+    assert.equal(doc.response.content.size, 2000);
+    assert.equal(doc.response.content.mimeType, 'text/html');
+    assert.equal(doc.serverIPAddress, '10.0.0.1');
+  });
+
+  it('records failures as status 0 with _error, and request bodies', async () => {
+    const { log } = await session().toHAR();
+    const api = log.entries[2];
+    assert.equal(api.response._error, 'net::ERR_CONNECTION_REFUSED');
+    assert.deepEqual(api.request.postData, { mimeType: 'application/json', text: '{"x":1}' });
+    assert.equal(api.request.bodySize, 7);
+  });
+
+  it('groups entries under the main-frame page, with its load time', async () => {
+    const { log } = await session().toHAR();
+    assert.equal(log.pages.length, 1);
+    assert.equal(log.pages[0].title, 'http://a.test/old?q=1');
+    assert.equal(log.pages[0].pageTimings.onLoad, 500);
+    assert.ok(log.entries.every((e) => e.pageref === log.pages[0].id));
+  });
+
+  it('content: true adds response bodies, leaving evicted ones out', async () => {
+    const s = fakeSession();
+    const recorder = createHarRecorder();
+    recordCdpHar(s, recorder, () => 'MAIN');
+    for (const id of ['r2', 'r3']) {
+      s.emit('Network.requestWillBeSent', { requestId: id, frameId: 'MAIN', type: 'XHR', timestamp: 1, wallTime: WALL, request: { url: `http://a.test/${id}`, method: 'GET', headers: {} } });
+      s.emit('Network.loadingFinished', { requestId: id, timestamp: 2, encodedDataLength: 5 });
+    }
+    const [withBody, evicted] = (await recorder.toHAR({ content: true })).log.entries;
+    assert.equal(withBody.response.content.text, 'hello');
+    assert.equal(evicted.response.content.text, undefined);
+    assert.equal((await recorder.toHAR()).log.entries[0].response.content.text, undefined);
+  });
+
+  it('feeds an OOPIF frame session into the page recorder without starting pages', async () => {
+    const page = fakeSession();
+    const frame = fakeSession();
+    const recorder = createHarRecorder();
+    recordCdpHar(page, recorder, () => 'MAIN');
+    recordCdpHar(frame, recorder, null);
+    page.emit('Network.requestWillBeSent', { requestId: 'p1', frameId: 'MAIN', type: 'Document', timestamp: 1, wallTime: WALL, request: { url: 'http://a.test/', method: 'GET', headers: {} } });
+    frame.emit('Network.requestWillBeSent', { requestId: 'f1', frameId: 'F', type: 'Document', timestamp: 1.1, wallTime: WALL + 0.1, request: { url: 'http://ads.test/frame', method: 'GET', headers: {} } });
+    frame.emit('Network.loadingFinished', { requestId: 'f1', timestamp: 1.2, encodedDataLength: 10 });
+    frame.emit('Page.loadEventFired', { timestamp: 1.2 });
+    page.emit('Page.loadEventFired', { timestamp: 1.5 });
+
+    const { log } = await recorder.toHAR();
+    assert.deepEqual(log.entries.map((e) => [e.request.url, e.pageref]), [['http://a.test/', 'page_1'], ['http://ads.test/frame', 'page_1']]);
+    assert.equal(log.pages.length, 1);
+    assert.equal(log.pages[0].pageTimings.onLoad, 500, 'the frame\'s load event is not the page\'s');
+  });
+
+  it('drops the oldest entries beyond maxEntries', async () => {
+    const s = fakeSession();
+    const recorder = createHarRecorder({ maxEntries: 2 });
+    recordCdpHar(s, recorder, () => 'MAIN');
+    for (const id of ['a', 'b', 'c']) {
+      s.emit('Network.requestWillBeSent', { requestId: id, frameId: 'X', type: 'Image', timestamp: 1, wallTime: WALL, request: { url: `http://a.test/${id}`, method: 'GET', headers: {} } });
+    }
+    assert.deepEqual((await recorder.toHAR()).log.entries.map((e) => e.request.url), ['http://a.test/b', 'http://a.test/c']);
+  });
+
+  it('stops tracking an evicted request that never finishes', () => {
+    const recorder = createHarRecorder({ maxEntries: 2 });
+    const req = (url) => ({ url, method: 'GET', headers: [], time: 1 });
+    recorder.request('poll', req('http://a.test/poll')); // never finishes
+    recorder.request('b', req('http://a.test/b'));
+    assert.equal(recorder.inFlight, 2);
+    recorder.request('c', req('http://a.test/c'));
+    assert.equal(recorder.inFlight, 2, 'the evicted long poll is no longer tracked');
+    recorder.finish('b', { time: 2 });
+    recorder.finish('c', { time: 2 });
+    assert.equal(recorder.inFlight, 0);
+  });
+});
+
+describe('recordBiDiHar()', () => {
+  const h = (name, value) => ({ name, value: { type: 'string', value } });
+
+  it('records redirect hops by redirectCount, failures, and pages', async () => {
+    const bidi = fakeSession();
+    const recorder = createHarRecorder();
+    await recordBiDiHar(bidi, recorder, () => 'top');
+    const request = (url, extra = {}) => ({ request: 'n1', url, method: 'GET', headers: [h('Accept', '*/*')], ...extra });
+    bidi.emit('network.beforeRequestSent', { context: 'top', navigation: 'nav1', redirectCount: 0, timestamp: 1000, request: request('http://a.test/old') });
+    bidi.emit('network.responseCompleted', {
+      redirectCount: 0, timestamp: 1010, request: request('http://a.test/old'),
+      response: { status: 302, statusText: 'Found', protocol: 'http/1.1', headers: [h('Location', '/new')], mimeType: '' },
+    });
+    bidi.emit('network.beforeRequestSent', { context: 'top', navigation: 'nav1', redirectCount: 1, timestamp: 1010, request: request('http://a.test/new') });
+    bidi.emit('network.responseCompleted', {
+      redirectCount: 1, timestamp: 1050,
+      request: request('http://a.test/new', { timings: { fetchStart: 5, dnsStart: 6, dnsEnd: 8, connectStart: 8, connectEnd: 12, tlsStart: 0, requestStart: 12, responseStart: 40, responseEnd: 45 } }),
+      response: { status: 200, statusText: 'OK', protocol: 'http/1.1', headers: [h('Content-Type', 'text/html')], mimeType: 'text/html', bodySize: 321, headersSize: 80, content: { size: 900 } },
+    });
+    bidi.emit('network.beforeRequestSent', { context: 'top', redirectCount: 0, timestamp: 1060, request: { ...request('http://gone.test/'), request: 'n2' } });
+    bidi.emit('network.fetchError', { redirectCount: 0, timestamp: 1070, errorText: 'NS_ERROR_UNKNOWN_HOST', request: { ...request('http://gone.test/'), request: 'n2' } });
+    bidi.emit('browsingContext.load', { context: 'top', timestamp: 1100 });
+
+    const { log } = await recorder.toHAR();
+    assert.deepEqual(log.entries.map((e) => [e.request.url, e.response.status]), [
+      ['http://a.test/old', 302], ['http://a.test/new', 200], ['http://gone.test/', 0],
+    ]);
+    assert.equal(log.entries[0].response.redirectURL, 'http://a.test/new');
+    assert.deepEqual(log.entries[0].request.headers, [{ name: 'Accept', value: '*/*' }]);
+    const doc = log.entries[1];
+    assert.deepEqual(doc.timings, { blocked: 1, dns: 2, connect: 4, ssl: -1, send: 0, wait: 28, receive: 5 });
+    assert.deepEqual([doc.response.bodySize, doc.response.headersSize, doc.response.content.size], [321, 80, 900]);
+    assert.equal(log.entries[2].response._error, 'NS_ERROR_UNKNOWN_HOST');
+    assert.equal(log.pages.length, 1, 'the redirected hop does not start a new page');
+    assert.equal(log.pages[0].pageTimings.onLoad, 100);
+  });
+
+  it('keeps a malformed Location header as sent instead of throwing', async () => {
+    const bidi = fakeSession();
+    const recorder = createHarRecorder();
+    await recordBiDiHar(bidi, recorder, () => 'top');
+    const request = { request: 'n1', url: 'http://a.test/old', method: 'GET', headers: [] };
+    bidi.emit('network.beforeRequestSent', { context: 'top', redirectCount: 0, timestamp: 1000, request });
+    bidi.emit('network.responseCompleted', {
+      redirectCount: 0, timestamp: 1010, request,
+      response: { status: 301, statusText: 'Moved', headers: [h('Location', 'http://[::1')], mimeType: '' },
+    });
+    const { log } = await recorder.toHAR();
+    assert.deepEqual(log.entries.map((e) => [e.response.status, e.response.redirectURL]), [[301, 'http://[::1']]);
+  });
+
+  it('records only the contexts it owns, until unsubscribed', async () => {
+    const bidi = fakeSession();
+    const recorder = createHarRecorder();
+    const off = await recordBiDiHar(bidi, recorder, () => 'top', (context) => context === 'top');
+    const sent = (context, id) => bidi.emit('network.beforeRequestSent', {
+      context, redirectCount: 0, timestamp: 1000, request: { request: id, url: `http://a.test/${id}`, method: 'GET', headers: [] },
+    });
+    const failed = (context, id) => bidi.emit('network.fetchError', {
+      context, redirectCount: 0, timestamp: 1010, errorText: 'x', request: { request: id, url: `http://a.test/${id}`, method: 'GET', headers: [] },
+    });
+    sent('top', 'mine'); failed('top', 'mine');
+    sent('other-tab', 'theirs'); failed('other-tab', 'theirs');
+    off();
+    sent('top', 'late'); failed('top', 'late');
+
+    const { log } = await recorder.toHAR();
+    assert.deepEqual(log.entries.map((e) => e.request.url), ['http://a.test/mine']);
+  });
+});
@@ -1,5 +1,6 @@
 /**
- * Unit tests for MCP server helpers (maxChars, saveSnapshot, withRetry).
+ * Unit tests for MCP server helpers (maxChars, saveSnapshot, withRetry,
+ * tool result content).
  *
  * Run: node --test test/unit/mcp.test.js
  */
@@ -7,7 +8,7 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
 import { readFileSync, statSync, unlinkSync } from 'node:fs';
-import { TIMEOUTS, TOOLS, saveSnapshot } from '../../mcp-server.js';
+import { TIMEOUTS, TOOLS, saveSnapshot, screenshotContent, toolContent } from '../../mcp-server.js';
 import { execFileSync } from 'node:child_process';
 import { fileURLToPath } from 'node:url';
 import { dirname, join as joinPath } from 'node:path';
@@ -225,6 +226,7 @@ describe('per-tool MCP timeouts (H5)', () => {
     assert.equal(TIMEOUTS.snapshot, 15000);
     assert.equal(TIMEOUTS.tabs, 5000);
     assert.equal(TIMEOUTS.eval, 15000);
+    assert.equal(TIMEOUTS.actions, 15000);
   });
 
   it('heavy I/O ops (pdf/screenshot/upload) get 45s', () => {
@@ -232,6 +234,11 @@ describe('per-tool MCP timeouts (H5)', () => {
     assert.equal(TIMEOUTS.screenshot, 45000);
     assert.equal(TIMEOUTS.upload, 45000);
   });
+
+  it('fill_form (several fields in one call) gets 30s', () => {
+    assert.equal(TIMEOUTS.fill_form, 30000);
+    assert.ok(TOOLS.some((t) => t.name === 'fill_form'));
+  });
 });
 
 describe('MCP tool surface (H6)', () => {
@@ -315,3 +322,25 @@ describe('MCP tool surface (H6)', () => {
     }
   });
 });
+
+describe('MCP tool result content', () => {
+  it('returns a screenshot as an image item, with its notes as text items', () => {
+    assert.deepEqual(toolContent(screenshotContent('iVBORw0KGgo=', 'png')), [
+      { type: 'image', data: 'iVBORw0KGgo=', mimeType: 'image/png' },
+    ]);
+    const content = toolContent(screenshotContent('/9j/4AAQ', 'jpeg', [null, '[3] button "Pay" at 0,0 80x30']));
+    assert.deepEqual(content.map((c) => c.type), ['image', 'text'], 'an unsaved shot has no path item');
+    assert.equal(content[0].mimeType, 'image/jpeg');
+  });
+
+  it('wraps plain results as one text item', () => {
+    assert.deepEqual(toolContent('ok'), [{ type: 'text', text: 'ok' }]);
+    assert.deepEqual(toolContent([{ index: 0 }]), [{ type: 'text', text: '[{"index":0}]' }]);
+  });
+
+  it('screenshot saving and downscaling are opt-in params', () => {
+    const { properties } = TOOLS.find((t) => t.name === 'screenshot').inputSchema;
+    assert.equal(properties.save.type, 'boolean');
+    assert.equal(properties.maxWidth.type, 'number');
+  });
+});
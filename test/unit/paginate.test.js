@@ -0,0 +1,114 @@
+/**
+ * Unit tests for paginate.js — splitting oversized snapshots into pages on
+ * subtree boundaries, and the cursor store the MCP server pages through.
+ * No browser needed — pure functions on snapshot text.
+ *
+ * Run: node --test test/unit/paginate.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { paginate, createPager } from '../../src/paginate.js';
+
+const HEADER = 'url: https://shop.test/\n12,000 chars → 600 chars (95% pruned)';
+
+// A landmark with `n` links under a list, ~40 chars per link line
+function landmark(role, n) {
+  const lines = [`- ${role}`, '  - list'];
+  for (let i = 0; i < n; i++) lines.push(`    - link "${role} item ${i}" [ref=${i}]`);
+  return lines.join('\n');
+}
+
+describe('paginate()', () => {
+  it('returns the text as one page when it fits', () => {
+    assert.deepEqual(paginate('short', 100), ['short']);
+  });
+
+  it('breaks between top-level landmarks, never inside one', () => {
+    const text = [HEADER, landmark('banner', 3), landmark('main', 3), landmark('contentinfo', 3)].join('\n');
+    const pages = paginate(text, 250);
+    assert.ok(pages.length > 1);
+    for (const page of pages) {
+      assert.ok(page.length <= 250, `page within the limit:\n${page}`);
+      const first = page.split('\n')[0];
+      assert.ok(first.startsWith('url:') || first.startsWith('- '), `page starts at a landmark:\n${page}`);
+    }
+    assert.equal(pages.join('\n'), text, 'nothing lost or reordered');
+  });
+
+  it('cuts an oversized landmark at its children, one level down', () => {
+    const text = landmark('main', 30);
+    const pages = paginate(text, 300);
+    assert.ok(pages.length > 1);
+    assert.equal(pages.join('\n'), text);
+    for (const page of pages.slice(1)) assert.match(page, /^ {4}- link/, 'continues at a whole child');
+  });
+
+  it('splits a single overlong line (JSON) by length', () => {
+    const json = JSON.stringify({ tree: 'x'.repeat(500) });
+    const pages = paginate(json, 200);
+    assert.ok(pages.every((p) => p.length <= 200));
+    assert.equal(pages.join(''), json);
+  });
+
+  it('splits Markdown at blank lines', () => {
+    const md = Array.from({ length: 6 }, (_, i) => `## Section ${i}\n\nParagraph ${i} text.`).join('\n\n');
+    const pages = paginate(md, 80);
+    assert.ok(pages.length > 1);
+    assert.ok(pages.every((p) => p.length <= 80));
+  });
+});
+
+describe('createPager()', () => {
+  const big = [HEADER, landmark('banner', 20), landmark('main', 20)].join('\n');
+
+  it('returns small text untouched', () => {
+    assert.equal(createPager().first('tiny', 100), 'tiny');
+  });
+
+  it('pages through by cursor until the end', () => {
+    const pager = createPager();
+    let out = pager.first(big, 600);
+    const seen = [];
+    for (;;) {
+      const footer = out.split('\n').at(-1);
+      seen.push(out.slice(0, out.length - footer.length - 1));
+      const m = footer.match(/cursor: "([^"]+)"/);
+      if (!m) { assert.match(footer, /end of snapshot/); break; }
+      out = pager.page(m[1]);
+    }
+    assert.ok(seen.length > 2);
+    assert.equal(seen.join('\n'), big);
+  });
+
+  it('keeps every page, footer included, within a small maxChars, and rejects one too small', () => {
+    const pager = createPager();
+    let out = pager.first(big, 200);
+    for (;;) {
+      assert.ok(out.length <= 200, `page of ${out.length} chars`);
+      const m = out.match(/cursor: "([^"]+)"\]$/);
+      if (!m) break;
+      out = pager.page(m[1]);
+    }
+    assert.throws(() => pager.first(big, 150), /maxChars must be at least 200 to page a snapshot, got 150/);
+    assert.equal(pager.first('tiny', 150), 'tiny', 'text that fits needs no paging');
+  });
+
+  it('jumps by offset, into the named or latest snapshot', () => {
+    const pager = createPager();
+    const firstPage = pager.first(big, 600);
+    assert.match(pager.page(undefined, 1), /^\s*- .*\n[^]*\[page 2\//);
+    assert.equal(pager.page('s1.0'), firstPage);
+    assert.throws(() => pager.page('s1.0', 99), /out of range/);
+  });
+
+  it('rejects unknown and expired cursors', () => {
+    const pager = createPager({ keep: 1 });
+    assert.throws(() => pager.page(), /take a snapshot first/);
+    pager.first(big, 600);
+    pager.first(big, 600);
+    assert.throws(() => pager.page('s1.1'), /expired cursor/);
+    assert.throws(() => pager.page('bogus'), /Unknown or expired cursor/);
+    assert.match(pager.page('s2.1'), /\[page 2\//);
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Unit tests for pool.js — the lease pool behind createBrowsePool().
+ *
+ * Resources are plain objects from a counting fake opener, so what is checked
+ * is the lifecycle: lazy open and reuse, the concurrency bound and FIFO
+ * queueing, recycle after maxUses, replacement on a failed health check, and
+ * close(). The browser side (connect(), newContext/createTab) is covered by
+ * test/integration/browse.test.js.
+ *
+ * Run: node --test test/unit/pool.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLeasePool } from '../../src/pool.js';
+
+/** A pool over numbered fake resources that records opens and disposals. */
+function fakePool(opts = {}) {
+  const log = { opened: 0, disposed: [] };
+  const pool = createLeasePool({
+    size: 1,
+    open: async () => ({ id: ++log.opened }),
+    dispose: async (r) => { log.disposed.push(r.id); },
+    ...opts,
+  });
+  return { pool, log };
+}
+
+describe('createLeasePool', () => {
+  it('opens on first demand and reuses the resource', async () => {
+    const { pool, log } = fakePool();
+    assert.equal(log.opened, 0, 'nothing opened up front');
+    const a = await pool.acquire();
+    a.release();
+    const b = await pool.acquire();
+    assert.equal(b.resource, a.resource);
+    assert.equal(log.opened, 1);
+    b.release();
+  });
+
+  it('leases at most `size` at once and serves waiters in order', async () => {
+    const { pool } = fakePool({ size: 2 });
+    const first = await pool.acquire();
+    const second = await pool.acquire();
+    const order = [];
+    const third = pool.acquire().then((l) => { order.push('third'); return l; });
+    const fourth = pool.acquire().then((l) => { order.push('fourth'); return l; });
+    await new Promise((r) => setImmediate(r));
+    assert.deepEqual(pool.stats, { busy: 2, waiting: 2 });
+    assert.deepEqual(order, []);
+
+    second.release();
+    second.release(); // a second release is a no-op, not a free slot
+    const l3 = await third;
+    assert.equal(l3.resource, second.resource, 'the freed slot is handed over');
+    first.release();
+    await fourth;
+    assert.deepEqual(order, ['third', 'fourth']);
+  });
+
+  it('replaces a resource after maxUses leases', async () => {
+    const { pool, log } = fakePool({ maxUses: 2 });
+    const ids = [];
+    for (let i = 0; i < 5; i++) {
+      const l = await pool.acquire();
+      ids.push(l.resource.id);
+      l.release();
+    }
+    assert.deepEqual(ids, [1, 1, 2, 2, 3]);
+    assert.deepEqual(log.disposed, [1, 2]);
+  });
+
+  it('replaces a resource that fails its health check', async () => {
+    let sick = false;
+    const { pool, log } = fakePool({ healthy: async () => { if (sick) throw new Error('socket closed'); return true; } });
+    (await pool.acquire()).release();
+    sick = true;
+    const l = await pool.acquire();
+    assert.equal(l.resource.id, 2);
+    assert.deepEqual(log.disposed, [1]);
+  });
+
+  it('frees the slot when opening fails', async () => {
+    let fail = true;
+    const pool = createLeasePool({
+      size: 1,
+      open: async () => { if (fail) throw new Error('launch failed'); return {}; },
+      dispose: async () => {},
+    });
+    await assert.rejects(pool.acquire(), /launch failed/);
+    fail = false;
+    const l = await pool.acquire();
+    assert.ok(l.resource);
+  });
+
+  it('close() fails waiting acquires and disposes every resource', async () => {
+    const { pool, log } = fakePool();
+    await pool.acquire();
+    const waiting = pool.acquire();
+    await pool.close();
+    await assert.rejects(waiting, /pool is closed/);
+    await assert.rejects(pool.acquire(), /pool is closed/);
+    assert.deepEqual(log.disposed, [1]);
+  });
+
+  it('rejects a size that is not a positive integer', () => {
+    assert.throws(() => createLeasePool({ size: 0, open: async () => ({}), dispose: async () => {} }), /positive integer/);
+  });
+});
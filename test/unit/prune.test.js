@@ -297,6 +297,81 @@ describe('prune() landmark extraction', () => {
   });
 });
 
+describe('prune() subtree', () => {
+  it('keeps a landmark root that region extraction would drop', () => {
+    const form = node('form', 'Shipping', [node('textbox', 'Street'), node('button', 'Save')]);
+    assert.equal(prune(form), null, 'as a page, a lone form is not an allowed region in act mode');
+    const names = flattenTree(prune(form, { subtree: true })).map((n) => n.name);
+    assert.deepEqual(names.filter(Boolean), ['Shipping', 'Street', 'Save']);
+  });
+});
+
+describe('prune() focus (context relevance)', () => {
+  // A checkout page: two address forms, a cross-sell list, a newsletter form
+  const checkout = () => node('RootWebArea', '', [
+    node('main', '', [
+      node('heading', 'Checkout', [], { level: 1 }),
+      node('form', 'Shipping address', [
+        node('textbox', 'Street'),
+        node('textbox', 'City'),
+      ]),
+      node('form', 'Billing address', [
+        node('textbox', 'Card number'),
+      ]),
+      node('group', 'You may also like', [
+        node('link', 'Phone case'),
+        node('link', 'Charger'),
+      ]),
+      node('form', 'Newsletter', [
+        node('textbox', 'Email'),
+        node('button', 'Subscribe'),
+      ]),
+      node('button', 'Place order'),
+    ]),
+  ]);
+
+  it('drops branches that score low against the focus', () => {
+    const names = flattenTree(prune(checkout(), { context: 'shipping address form' })).map((n) => n.name);
+    assert.ok(names.includes('Street') && names.includes('City'), 'matching form kept whole');
+    assert.ok(names.includes('Card number'), 'half-relevant sibling (address) kept');
+    assert.ok(!names.includes('Charger'), 'irrelevant group dropped');
+    assert.ok(!names.includes('Subscribe'), 'irrelevant form dropped');
+    assert.ok(names.includes('Place order') && names.includes('Checkout'), 'leaves are kept');
+  });
+
+  it('ranks: keeps only the best branches when one matches clearly better', () => {
+    const names = flattenTree(prune(checkout(), { context: 'shipping street city' })).map((n) => n.name);
+    assert.ok(names.includes('Street'));
+    assert.ok(!names.includes('Card number'), 'billing scores 0 of 3');
+  });
+
+  it('keeps the section under a matching heading', () => {
+    const tree = node('RootWebArea', '', [
+      node('main', '', [
+        node('heading', 'Delivery', [], { level: 2 }),
+        node('group', '', [node('radio', 'Standard'), node('radio', 'Express')]),
+        node('heading', 'Payment', [], { level: 2 }),
+        node('group', '', [node('radio', 'Card'), node('radio', 'PayPal')]),
+      ]),
+    ]);
+    const names = flattenTree(prune(tree, { context: 'delivery' })).map((n) => n.name);
+    assert.ok(names.includes('Express'));
+    assert.ok(!names.includes('PayPal'));
+  });
+
+  it('leaves the tree alone when nothing matches, and ignores stopwords', () => {
+    const plain = flattenTree(prune(checkout())).length;
+    assert.equal(flattenTree(prune(checkout(), { context: 'warranty' })).length, plain);
+    assert.equal(flattenTree(prune(checkout(), { context: 'the of for' })).length, plain);
+  });
+
+  it('applies in browse mode too', () => {
+    const names = flattenTree(prune(checkout(), { mode: 'browse', context: 'newsletter' })).map((n) => n.name);
+    assert.ok(names.includes('Subscribe'));
+    assert.ok(!names.includes('Street'));
+  });
+});
+
 // Helper: flatten tree to array for easy assertions
 function flattenTree(node) {
   if (!node) return [];
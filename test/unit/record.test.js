@@ -0,0 +1,155 @@
+/**
+ * Unit tests for record.js — session recording and replay.
+ *
+ * The shop tree holds three "Helpful" buttons and a checkout form. Recording
+ * wraps a page object whose actions log their arguments and whose find()
+ * runs find.js over that tree; replay gets the same tree with every ref
+ * shifted, as a fresh browser would number it. Checked: the locator of a
+ * repeated control, what gets written to the script (and what doesn't),
+ * re-resolving locators on replay (moved elements included), the step
+ * errors, and reading a script. Recording a live page is in
+ * test/integration/interact.test.js.
+ *
+ * Run: node --test test/unit/record.test.js
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { chmodSync, mkdtempSync, rmSync, statSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { recordActions, locatorFor, resolveLocator, replaySteps, readScript, describeStep } from '../../src/record.js';
+import { findNodes } from '../../src/find.js';
+
+function node(ref, role, name = '', children = []) {
+  return { nodeId: ref, role, name, properties: {}, ignored: false, children };
+}
+
+/** A review list with three same-named buttons, and a checkout form; refs offset by `base`. */
+function shop(base = 0, { formName = 'Checkout' } = {}) {
+  const r = (n) => String(n + base);
+  return node(r(1), 'RootWebArea', 'Shop', [
+    node(r(2), 'main', '', [
+      node(r(3), 'button', 'Helpful'),
+      node(r(4), 'button', 'Helpful'),
+      node(r(5), 'button', 'Helpful'),
+      node(r(6), 'form', formName, [
+        node(r(7), 'textbox', 'Email'),
+        node(r(8), 'combobox', 'Country'),
+        node(r(9), 'button', 'Pay'),
+      ]),
+    ]),
+  ]);
+}
+
+function fakePage(tree) {
+  const calls = [];
+  const act = (name) => async (...args) => { calls.push([name, ...args]); };
+  return {
+    calls,
+    tree,
+    async find(query) { return findNodes(this.tree, query); },
+    goto: act('goto'), click: act('click'), type: act('type'), press: act('press'),
+    select: act('select'), upload: act('upload'), hover: act('hover'),
+  };
+}
+
+const dir = mkdtempSync(join(tmpdir(), 'bb-record-'));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+describe('locatorFor / resolveLocator', () => {
+  it('tells repeated controls apart by index within their path', () => {
+    assert.deepEqual(locatorFor(shop(), '4'), { role: 'button', name: 'Helpful', path: ['main'], index: 1 });
+    assert.deepEqual(locatorFor(shop(), '9'), { role: 'button', name: 'Pay', path: ['main', 'form "Checkout"'], index: 0 });
+    assert.equal(locatorFor(shop(), '99'), null);
+  });
+
+  it('finds the element again under new refs, and tolerates a moved unique one', () => {
+    const fresh = findNodes(shop(100), { role: 'button', limit: Infinity });
+    assert.equal(resolveLocator(fresh, locatorFor(shop(), '4')), '104');
+    const moved = findNodes(shop(100, { formName: 'Payment' }), { role: 'button', limit: Infinity });
+    assert.equal(resolveLocator(moved, locatorFor(shop(), '9')), '109', 'the only "Pay" button');
+    assert.equal(resolveLocator(moved, { role: 'button', name: 'Helpful', path: ['aside'], index: 0 }), null, 'ambiguous');
+  });
+});
+
+describe('recordActions', () => {
+  it('writes one line per successful action, ref steps with their locator', async () => {
+    const file = join(dir, 'flow.jsonl');
+    const page = fakePage(shop());
+    recordActions(page, { file, tree: async () => page.tree });
+    await page.goto('https://shop.test/');
+    await page.click('4');
+    await page.type('7', 'a@b.test', { clear: true });
+    await page.select('8', 'BE');
+    await page.press('Enter');
+    await page.hover('9'); // not a recorded action
+
+    const steps = readScript(file);
+    assert.deepEqual(steps.map((s) => s.action), ['goto', 'click', 'type', 'select', 'press']);
+    assert.deepEqual(steps[1], { action: 'click', ref: '4', locator: { role: 'button', name: 'Helpful', path: ['main'], index: 1 } });
+    assert.deepEqual([steps[2].text, steps[2].opts], ['a@b.test', { clear: true }]);
+    assert.equal(steps[3].value, 'BE');
+    assert.equal(statSync(file).mode & 0o777, 0o600, 'typed text is sensitive');
+    assert.deepEqual(page.calls.map((c) => c[0]), ['goto', 'click', 'type', 'select', 'press', 'hover'], 'the actions still run');
+  });
+
+  it('makes an existing script owner-only before recording into it', async () => {
+    const file = join(dir, 'shared.jsonl');
+    writeFileSync(file, '{"action":"press","key":"Tab"}\n', { mode: 0o644 });
+    chmodSync(file, 0o644); // past the umask
+    recordActions(fakePage(shop()), { file, tree: async () => null });
+    assert.equal(statSync(file).mode & 0o777, 0o600);
+    assert.deepEqual(readScript(file), [], 'truncated');
+  });
+
+  it('skips a failed action', async () => {
+    const file = join(dir, 'failed.jsonl');
+    const page = fakePage(shop());
+    page.click = async () => { throw new Error('element gone'); };
+    recordActions(page, { file, tree: async () => page.tree });
+    await assert.rejects(page.click('9'), /element gone/);
+    assert.deepEqual(readScript(file), []);
+  });
+});
+
+describe('replaySteps', () => {
+  it('re-resolves each locator against the fresh page', async () => {
+    const file = join(dir, 'replay.jsonl');
+    const recording = fakePage(shop());
+    recordActions(recording, { file, tree: async () => recording.tree });
+    await recording.goto('https://shop.test/');
+    await recording.click('5');
+    await recording.type('7', 'a@b.test');
+    await recording.click('9');
+
+    const page = fakePage(shop(100));
+    const seen = [];
+    const results = await replaySteps(page, readScript(file), { onStep: (r) => seen.push(r.description) });
+    assert.deepEqual(page.calls, [['goto', 'https://shop.test/'], ['click', '105'], ['type', '107', 'a@b.test'], ['click', '109']]);
+    assert.deepEqual(results.map((r) => r.ref), [undefined, '105', '107', '109']);
+    assert.deepEqual(seen, ['goto https://shop.test/', 'click button "Helpful" in main (#3)', 'type textbox "Email" in main > form "Checkout"', 'click button "Pay" in main > form "Checkout"']);
+  });
+
+  it('waits for a late element, then names the step it gave up on', async () => {
+    const page = fakePage(node('1', 'RootWebArea', 'Loading'));
+    setTimeout(() => { page.tree = shop(100); }, 300);
+    const [result] = await replaySteps(page, [{ action: 'click', locator: locatorFor(shop(), '9') }], { timeout: 2000 });
+    assert.equal(result.ref, '109');
+
+    await assert.rejects(replaySteps(page, [{ action: 'click', locator: { role: 'link', name: 'Gone', path: [], index: 0 } }], { timeout: 300 }),
+      /^Error: replay: step 1 \(click link "Gone"\): no matching element after 300ms$/);
+    await assert.rejects(replaySteps(page, [{ action: 'click', ref: '3', locator: null }]), /step 1 \(click ref 3\): recorded without a locator/);
+    await assert.rejects(replaySteps(page, [{ action: 'eval' }]), /unknown action "eval"/);
+  });
+});
+
+describe('readScript / describeStep', () => {
+  it('skips blank lines and points at a bad one', () => {
+    const file = join(dir, 'bad.jsonl');
+    writeFileSync(file, '{"action":"press","key":"Tab"}\n\nnot json\n');
+    assert.throws(() => readScript(file), /bad\.jsonl:3 is not JSON/);
+    writeFileSync(file, '{"action":"press","key":"Tab"}\n\n');
+    assert.deepEqual(readScript(file).map(describeStep), ['press Tab']);
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Unit tests for refs.js — the stable CDP ref registry and ref resolution
+ * (fake CDP sessions; the in-browser behaviour is covered by the connect and
+ * firefox integration suites).
+ *
+ * Run: node --test test/unit/refs.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRefRegistry, resolveCdpRef, wasIssued, refError, subtreeAt } from '../../src/refs.js';
+
+/** Fake CDP session answering resolveNode/callFunctionOn for a set of live nodes. */
+function fakeSession(connected = new Set()) {
+  const released = [];
+  return {
+    released,
+    async send(method, params) {
+      if (method === 'DOM.resolveNode') {
+        if (params.backendNodeId < 0) throw new Error('No node with given id found');
+        return { object: { objectId: `obj-${params.backendNodeId}` } };
+      }
+      if (method === 'Runtime.callFunctionOn') {
+        const id = Number(params.objectId.slice(4));
+        return { result: { value: connected.has(id) } };
+      }
+      if (method === 'Runtime.releaseObject') { released.push(params.objectId); return {}; }
+      return {};
+    },
+  };
+}
+
+describe('createRefRegistry', () => {
+  it('hands the same node the same ref on every snapshot', () => {
+    const refs = createRefRegistry();
+    const s = {};
+    const a = refs.refFor(s, 10);
+    const b = refs.refFor(s, 11);
+    assert.equal(refs.refFor(s, 10), a);
+    assert.equal(refs.refFor(s, 11), b);
+    assert.notEqual(a, b);
+    assert.deepEqual(refs.get(a), { session: s, backendNodeId: 10 });
+  });
+
+  it('keys on the session — OOPIF backendNodeIds are an independent sequence', () => {
+    const refs = createRefRegistry();
+    assert.notEqual(refs.refFor({}, 5), refs.refFor({}, 5));
+  });
+
+  it('reset() forgets nodes but never reuses a ref number', () => {
+    const refs = createRefRegistry();
+    const s = {};
+    const old = refs.refFor(s, 1);
+    refs.allocate();
+    refs.reset();
+    assert.equal(refs.get(old), undefined);
+    assert.equal(refs.issued(old), true, 'still known as issued → "element gone"');
+    const fresh = refs.refFor(s, 1);
+    assert.notEqual(fresh, old, 'a reused backendNodeId gets a new ref after a new document');
+    assert.equal(Number(fresh), 3);
+  });
+});
+
+describe('wasIssued / refError', () => {
+  it('only accepts integer refs within the issued range', () => {
+    assert.equal(wasIssued('3', 3), true);
+    assert.equal(wasIssued('4', 3), false);
+    assert.equal(wasIssued('0', 3), false);
+    assert.equal(wasIssued('e7', 3), false);
+  });
+
+  it('tells a gone element apart from a never-issued ref', () => {
+    assert.match(refError('4', true).message, /^No element found for ref "4": element gone/);
+    assert.match(refError('9', false).message, /take a snapshot first/);
+  });
+});
+
+describe('resolveCdpRef', () => {
+  it('returns the entry for a connected node and releases the probe object', async () => {
+    const refs = createRefRegistry();
+    const session = fakeSession(new Set([7]));
+    const ref = refs.refFor(session, 7);
+    const entry = await resolveCdpRef(refs, ref);
+    assert.equal(entry.backendNodeId, 7);
+    await new Promise((r) => setImmediate(r));
+    assert.deepEqual(session.released, ['obj-7']);
+  });
+
+  it('throws "element gone" for a detached or destroyed node', async () => {
+    const refs = createRefRegistry();
+    const session = fakeSession();
+    await assert.rejects(() => resolveCdpRef(refs, refs.refFor(session, 7)), /element gone/);
+    await assert.rejects(() => resolveCdpRef(refs, refs.refFor(session, -1)), /element gone/);
+  });
+
+  it('throws "element gone" for a ref from before a navigation, else "snapshot first"', async () => {
+    const refs = createRefRegistry();
+    const ref = refs.refFor(fakeSession(new Set([1])), 1);
+    refs.reset();
+    await assert.rejects(() => resolveCdpRef(refs, ref), /element gone/);
+    await assert.rejects(() => resolveCdpRef(refs, '42'), /take a snapshot first/);
+  });
+});
+
+describe('subtreeAt', () => {
+  const n = (nodeId, role, children = []) => ({ nodeId, role, name: '', properties: {}, ignored: false, children });
+  const tree = n('1', 'RootWebArea', [
+    n('2', 'form', [n('3', 'textbox')]),
+    n('4', 'Iframe', [n('5', 'RootWebArea', [n('6', 'button')])]),
+  ]);
+
+  it('returns the node carrying the ref, with its subtree', () => {
+    assert.equal(subtreeAt(tree, '2', true).children[0].nodeId, '3');
+    assert.equal(subtreeAt(tree, 6, true).role, 'button');
+  });
+
+  it('an iframe placeholder spans the spliced-in frame tree', () => {
+    assert.equal(subtreeAt(tree, '4', true).children[0].children[0].role, 'button');
+  });
+
+  it('throws the ref errors for a missing element', () => {
+    assert.throws(() => subtreeAt(tree, '9', true), /element gone/);
+    assert.throws(() => subtreeAt(tree, '9', false), /take a snapshot first/);
+    assert.throws(() => subtreeAt(null, '1', false), /take a snapshot first/);
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Unit tests for route.js — page.route() request interception: which route
+ * answers a paused request, how decisions are encoded for the wire, and the
+ * Firefox/BiDi intercept wiring (driven by a fake BiDi replaying
+ * network.beforeRequestSent). No browser needed.
+ *
+ * Run: node --test test/unit/route.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRouter } from '../../src/route.js';
+import { createFirefoxPage } from '../../src/firefox-page.js';
+
+const req = (url, extra = {}) => ({ url, method: 'GET', headers: { Accept: '*/*' }, ...extra });
+
+describe('createRouter()', () => {
+  it('continues unmatched requests without calling any handler', async () => {
+    const router = createRouter();
+    let calls = 0;
+    router.add('*://api.test/*', () => { calls++; });
+    assert.deepEqual(await router.decide(req('https://example.com/')), { action: 'continue' });
+    assert.equal(calls, 0);
+  });
+
+  it('asks the newest matching route first and falls through on no answer', async () => {
+    const router = createRouter();
+    const seen = [];
+    router.add('*://api.test/*', () => { seen.push('broad'); return { action: 'abort' }; });
+    router.add('*://api.test/users*', () => { seen.push('narrow'); });
+    assert.deepEqual(await router.decide(req('https://api.test/users/1')), { action: 'abort' });
+    assert.deepEqual(seen, ['narrow', 'broad']);
+    assert.deepEqual(router.patterns, ['*://api.test/*', '*://api.test/users*']);
+  });
+
+  it('encodes a fulfill as status, header list and base64 body', async () => {
+    const router = createRouter();
+    router.add('*/data.json', () => ({ action: 'fulfill', body: '{"ok":true}', contentType: 'application/json' }));
+    assert.deepEqual(await router.decide(req('https://x.test/data.json')), {
+      action: 'fulfill',
+      status: 200,
+      headers: [{ name: 'Content-Type', value: 'application/json' }],
+      body: Buffer.from('{"ok":true}').toString('base64'),
+    });
+  });
+
+  it('passes header and postData overrides through a continue', async () => {
+    const router = createRouter();
+    router.add('*', ({ headers }) => ({ action: 'continue', headers: { ...headers, 'X-Test': 1 }, postData: 'a=1' }));
+    assert.deepEqual(await router.decide(req('https://x.test/', { method: 'POST' })), {
+      action: 'continue',
+      headers: [{ name: 'Accept', value: '*/*' }, { name: 'X-Test', value: '1' }],
+      postData: Buffer.from('a=1').toString('base64'),
+    });
+  });
+
+  it('continues (with a warning) when a handler throws or answers an unknown action', async (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const router = createRouter();
+    router.add('*/boom', () => { throw new Error('kaput'); });
+    router.add('*/odd', () => /** @type {any} */ ({ action: 'retry' }));
+    assert.deepEqual(await router.decide(req('https://x.test/boom')), { action: 'continue' });
+    assert.deepEqual(await router.decide(req('https://x.test/odd')), { action: 'continue' });
+    assert.equal(warn.mock.callCount(), 2);
+    assert.match(warn.mock.calls[0].arguments[0], /route handler for "\*\/boom" failed.*kaput/);
+  });
+
+  it('asks the fallback when no route answers, and keeps it through remove()', async () => {
+    const router = createRouter({ fallback: () => ({ action: 'fulfill', body: 'replayed' }) });
+    assert.deepEqual(router.patterns, ['*']);
+    router.add('*/mock', () => ({ action: 'abort' }));
+    router.add('*/pass', () => {});
+    assert.equal((await router.decide(req('https://x.test/mock'))).action, 'abort');
+    assert.equal((await router.decide(req('https://x.test/pass'))).action, 'fulfill', 'falls through to the fallback');
+    router.remove('*');
+    router.remove();
+    assert.deepEqual(router.patterns, ['*']);
+    assert.equal((await router.decide(req('https://x.test/mock'))).action, 'fulfill');
+  });
+
+  it('remove() drops one pattern, or everything', () => {
+    const router = createRouter();
+    router.add('*/a', () => {});
+    router.add('*/b', () => {});
+    router.remove('*/a');
+    assert.deepEqual(router.patterns, ['*/b']);
+    router.remove();
+    assert.deepEqual(router.patterns, []);
+    assert.throws(() => router.add('', () => {}), /non-empty URL glob/);
+  });
+});
+
+/** Fake BiDi recording send() calls; addIntercept hands out ids. */
+function fakeBidi() {
+  const listeners = new Map();
+  let intercepts = 0;
+  return {
+    sent: [],
+    async send(method, params) {
+      this.sent.push({ method, params });
+      if (method === 'browsingContext.getTree') return { contexts: [{ context: 'ctx1', children: [] }] };
+      if (method === 'network.addIntercept') return { intercept: `i${++intercepts}` };
+      return {};
+    },
+    async subscribe() {},
+    on(m, cb) {
+      if (!listeners.has(m)) listeners.set(m, new Set());
+      listeners.get(m).add(cb);
+      return () => listeners.get(m)?.delete(cb);
+    },
+    emit(m, params) { for (const cb of listeners.get(m) || []) cb(params); },
+    async evaluate() { return ''; },
+    close() {},
+  };
+}
+
+const tick = () => new Promise((r) => setTimeout(r, 0));
+const paused = (id, url, intercepts) => ({
+  isBlocked: true, intercepts,
+  request: { request: id, url, method: 'GET', headers: [{ name: 'Accept', value: { type: 'string', value: '*/*' } }] },
+});
+
+describe('Firefox page.route() wiring', () => {
+  it('adds a catch-all intercept and answers its paused requests', async () => {
+    const bidi = fakeBidi();
+    const page = await createFirefoxPage(bidi, { consent: false });
+    await page.route('*://api.test/*', () => ({ action: 'fulfill', status: 201, body: 'hi' }));
+    const add = bidi.sent.find((c) => c.method === 'network.addIntercept');
+    assert.deepEqual(add.params, { phases: ['beforeRequestSent'], urlPatterns: [] });
+
+    bidi.emit('network.beforeRequestSent', paused('r1', 'https://api.test/x', ['i1']));
+    bidi.emit('network.beforeRequestSent', paused('r2', 'https://other.test/', ['i1']));
+    bidi.emit('network.beforeRequestSent', paused('r3', 'https://api.test/y', ['blocklist']));
+    await tick();
+    const replies = bidi.sent.filter((c) => c.params?.request)
+      .sort((a, b) => a.params.request.localeCompare(b.params.request));
+    assert.deepEqual(replies, [
+      { method: 'network.provideResponse', params: { request: 'r1', statusCode: 201, headers: [], body: { type: 'base64', value: 'aGk=' } } },
+      { method: 'network.continueRequest', params: { request: 'r2' } },
+    ], 'a request only another intercept paused is left to its owner');
+  });
+
+  it('removes the intercept once the last route is gone', async () => {
+    const bidi = fakeBidi();
+    const page = await createFirefoxPage(bidi, { consent: false });
+    await page.route('*/a', () => ({ action: 'abort' }));
+    await page.route('*/b', () => ({ action: 'abort' }));
+    await page.unroute('*/a');
+    assert.equal(bidi.sent.filter((c) => c.method === 'network.removeIntercept').length, 0);
+    await page.unroute();
+    assert.deepEqual(bidi.sent.find((c) => c.method === 'network.removeIntercept')?.params, { intercept: 'i1' });
+    assert.equal(bidi.sent.filter((c) => c.method === 'network.addIntercept').length, 1);
+  });
+
+  it('keeps HAR replay intercepting after unroute()', async () => {
+    const bidi = fakeBidi();
+    const page = await createFirefoxPage(bidi, { consent: false, replay: () => ({ action: 'fulfill', body: 'hi' }) });
+    await page.route('*/a', () => ({ action: 'abort' }));
+    await page.unroute();
+    assert.equal(bidi.sent.filter((c) => c.method === 'network.removeIntercept').length, 0);
+    bidi.emit('network.beforeRequestSent', paused('r1', 'https://x.test/a', ['i1']));
+    await tick();
+    assert.equal(bidi.sent.find((c) => c.params?.request === 'r1')?.method, 'network.provideResponse');
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Unit tests for scroll-until.js — page.scrollUntil()'s loop and tree merge.
+ *
+ * A fake page replays a scripted feed: each scroll reveals the next view, as
+ * a list of items (refs + text). Views can overlap (items still on screen),
+ * drop earlier items (a virtualized list) or re-render an item under a new
+ * ref. Checked: each item merged once and in order, every stop condition,
+ * and the output formats. The real scroll/idle/tree primitives are covered by
+ * the integration tests.
+ *
+ * Run: node --test test/unit/scroll-until.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { scrollUntil, mergeTrees } from '../../src/scroll-until.js';
+
+function node(ref, role, name = '', children = []) {
+  return { nodeId: ref, role, name, properties: {}, ignored: false, children };
+}
+const item = (ref, text) => node(ref, 'listitem', '', [node(`${ref}t`, 'StaticText', text)]);
+const page = (items) => node('1', 'RootWebArea', 'Feed', [node('2', 'list', '', items)]);
+
+/** Primitives over `views` (one tree per scroll position; the last repeats). */
+function fakeIo(views) {
+  const calls = { scrolls: [], idles: 0 };
+  let at = 0;
+  return {
+    calls,
+    io: {
+      async scroll(deltaY) { calls.scrolls.push(deltaY); at = Math.min(at + 1, views.length - 1); },
+      async idle() { calls.idles++; },
+      async tree() { return structuredClone(views[at]); },
+      async url() { return 'https://feed.test/'; },
+    },
+  };
+}
+
+const items = (text) => text.match(/StaticText "[^"]+"/g).map((s) => s.slice(12, -1));
+
+describe('scrollUntil', () => {
+  it('merges overlapping and virtualized views once each, in feed order', async () => {
+    const { io, calls } = fakeIo([
+      page([item('10', 'one'), item('11', 'two')]),
+      page([item('11', 'two'), item('12', 'three')]), // 'one' scrolled out of a virtual list
+      page([item('12', 'three'), item('13', 'four')]),
+    ]);
+    const out = await scrollUntil(io, { maxScrolls: 10, step: 600 });
+    assert.deepEqual(items(out), ['one', 'two', 'three', 'four']);
+    assert.match(out, /^url: https:\/\/feed\.test\/\nscrolled 4 times, stopped: noNewContent/);
+    assert.deepEqual(calls.scrolls, [600, 600, 600, 600]);
+    assert.equal(calls.idles, 4, 'network idle awaited after every scroll');
+  });
+
+  it('keeps an item re-rendered under a new ref once', async () => {
+    const { io } = fakeIo([
+      page([item('10', 'one'), item('11', 'two')]),
+      page([item('20', 'two'), item('21', 'three')]), // list rebuilt: fresh refs
+    ]);
+    assert.deepEqual(items(await scrollUntil(io)), ['one', 'two', 'three']);
+  });
+
+  it('stops once the text appears, or once enough items are in', async () => {
+    const views = [
+      page([item('10', 'one')]),
+      page([item('11', 'two')]),
+      page([item('12', 'Load more')]),
+      page([item('13', 'four')]),
+    ];
+    const byText = fakeIo(views);
+    assert.match(await scrollUntil(byText.io, { until: { text: 'load MORE' } }), /scrolled 2 times, stopped: text/);
+
+    const byCount = fakeIo(views);
+    const json = await scrollUntil(byCount.io, { until: { count: 2 }, format: 'json' });
+    assert.equal(json.stopped, 'count');
+    assert.equal(json.scrolls, 1);
+    assert.equal(json.url, 'https://feed.test/');
+    assert.equal(json.tree.children[0].children.length, 2);
+
+    const already = fakeIo(views);
+    await scrollUntil(already.io, { until: { text: 'one' } });
+    assert.equal(already.calls.scrolls.length, 0, 'no scroll when the text is already there');
+  });
+
+  it('gives up after maxScrolls, or after noNewContent idle scrolls', async () => {
+    const growing = Array.from({ length: 30 }, (_, i) => page([item(String(100 + i), `item ${i}`)]));
+    assert.match(await scrollUntil(fakeIo(growing).io, { maxScrolls: 3 }), /scrolled 3 times, stopped: maxScrolls/);
+
+    const still = [page([item('10', 'only')])];
+    assert.match(await scrollUntil(fakeIo(still).io, { until: { noNewContent: 4 } }), /scrolled 4 times, stopped: noNewContent/);
+    assert.match(await scrollUntil(fakeIo(still).io, { maxScrolls: 5, until: { noNewContent: false } }), /stopped: maxScrolls/);
+  });
+
+  it('rejects a negative maxScrolls', async () => {
+    await assert.rejects(scrollUntil(fakeIo([page([])]).io, { maxScrolls: -1 }), /maxScrolls must be/);
+  });
+});
+
+describe('mergeTrees', () => {
+  it('places a dropped node before the next node that followed it, and takes newer fields', () => {
+    const a = page([item('10', 'a'), item('11', 'b'), item('12', 'c')]);
+    const b = page([item('10', 'a'), item('12', 'c'), item('13', 'd')]);
+    b.name = 'Feed (4)';
+    const merged = mergeTrees(a, b);
+    assert.equal(merged.name, 'Feed (4)');
+    assert.deepEqual(merged.children[0].children.map((n) => n.nodeId), ['10', '11', '12', '13']);
+    assert.equal(mergeTrees(null, b), b);
+    assert.equal(mergeTrees(a, null), a);
+  });
+});
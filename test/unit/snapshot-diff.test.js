@@ -0,0 +1,107 @@
+/**
+ * Unit tests for snapshot diff mode — matching nodes across snapshots by
+ * their (stable) ref and rendering +/- formatTree lines.
+ * No browser needed — pure function tests on tree objects.
+ *
+ * Run: node --test test/unit/snapshot-diff.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffTrees, formatSnapshotDiff, diffMode } from '../../src/snapshot-diff.js';
+
+// Helper: a minimal ARIA node with an explicit ref
+function node(ref, role, name = '', children = [], props = {}) {
+  return { nodeId: ref, role, name, properties: props, ignored: false, children };
+}
+
+const page = (...kids) => node('1', 'RootWebArea', 'Shop', kids);
+
+describe('diffTrees()', () => {
+  it('reports nothing for identical trees', () => {
+    const a = page(node('2', 'button', 'Buy'));
+    const b = page(node('2', 'button', 'Buy'));
+    assert.deepEqual(diffTrees(a, b), { added: 0, removed: 0, changed: 0, lines: [] });
+  });
+
+  it('marks added, removed and changed nodes with formatTree lines', () => {
+    const before = page(
+      node('2', 'textbox', 'Email'),
+      node('3', 'alert', 'Saved'),
+    );
+    const after = page(
+      node('2', 'textbox', 'Email', [], { value: 'a@b.c' }),
+      node('4', 'button', 'Undo'),
+    );
+    const d = diffTrees(before, after);
+    assert.equal(d.added, 1);
+    assert.equal(d.removed, 1);
+    assert.equal(d.changed, 1);
+    assert.deepEqual(d.lines, [
+      '-   - textbox "Email" [ref=2]',
+      '+   - textbox "Email" [value="a@b.c"] [ref=2]',
+      '+   - button "Undo" [ref=4]',
+      '-   - alert "Saved" [ref=3]',
+    ]);
+  });
+
+  it('lists every node of a newly inserted subtree, indented', () => {
+    const before = page(node('2', 'main', ''));
+    const after = page(node('2', 'main', '', [
+      node('5', 'dialog', 'Cart', [node('6', 'button', 'Checkout')]),
+    ]));
+    assert.deepEqual(diffTrees(before, after).lines, [
+      '+     - dialog "Cart" [ref=5]',
+      '+       - button "Checkout" [ref=6]',
+    ]);
+  });
+
+  it('follows formatTree: ignored nodes are transparent, InlineTextBox is skipped', () => {
+    const wrapper = (kids) => ({ ...node('9', 'none', '', kids), ignored: true });
+    const before = page(wrapper([node('2', 'link', 'Home')]));
+    const after = page(wrapper([node('2', 'link', 'Home'), node('7', 'InlineTextBox', 'x')]));
+    assert.equal(diffTrees(before, after).lines.length, 0);
+  });
+
+  it('keeps nodes that share a ref apart (prune copies refs onto synthesized nodes)', () => {
+    const before = page(node('2', 'listitem', ''), node('2', 'StaticText', 'red, blue'));
+    const after = page(node('2', 'listitem', ''), node('2', 'StaticText', 'red, green'));
+    const d = diffTrees(before, after);
+    assert.equal(d.changed, 1);
+    assert.match(d.lines[1], /red, green/);
+  });
+
+  it('matches nodes with a per-snapshot ref by parent and role + name, not by the ref', () => {
+    const generated = (ref, name) => ({ ...node(ref, 'StaticText', name), transientRef: true });
+    const before = page(node('2', 'heading', 'Cart', [generated('40', 'Total: ')]), generated('41', '→'));
+    const after = page(node('2', 'heading', 'Cart', [generated('57', 'Total: ')]), generated('58', '→'));
+    assert.deepEqual(diffTrees(before, after), { added: 0, removed: 0, changed: 0, lines: [] });
+
+    const moved = page(node('2', 'heading', 'Cart'), generated('60', 'Total: '));
+    assert.deepEqual(diffTrees(before, moved).lines, [
+      '+   - StaticText "Total: " [ref=60]',
+      '-     - StaticText "Total: " [ref=40]',
+      '-   - StaticText "→" [ref=41]',
+    ]);
+  });
+});
+
+describe('formatSnapshotDiff()', () => {
+  const tree = page(node('2', 'button', 'Buy'));
+
+  it('returns null when there is nothing comparable', () => {
+    const cur = { document: 'd1', mode: 'act', tree };
+    assert.equal(formatSnapshotDiff(null, cur), null, 'no previous snapshot');
+    assert.equal(formatSnapshotDiff({ ...cur, document: 'd0' }, cur), null, 'navigated since');
+    assert.equal(formatSnapshotDiff({ ...cur, mode: 'read' }, cur), null, 'different prune mode');
+    assert.equal(formatSnapshotDiff({ ...cur, mode: diffMode('act', 'cart') }, cur), null, 'different focus');
+  });
+
+  it('renders a summary header and the changed lines', () => {
+    const prev = { document: 'd1', mode: 'act', tree };
+    assert.equal(formatSnapshotDiff(prev, { ...prev }), 'diff: no changes since the previous snapshot');
+    const next = { ...prev, tree: page(node('2', 'button', 'Buy'), node('3', 'link', 'Help')) };
+    assert.equal(formatSnapshotDiff(prev, next),
+      'diff: 1 added, 0 removed, 0 changed since the previous snapshot\n+   - link "Help" [ref=3]');
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Unit tests for storage-state.js — the state-file format, the in-page
+ * seed/collect functions (run in a vm with fake Web Storage), and the
+ * seed-once reinstall loop on both engines (fake CDP session / fake BiDi).
+ *
+ * Run: node --test test/unit/storage-state.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { runInNewContext } from 'node:vm';
+import { mkdtempSync, writeFileSync, readFileSync, statSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  SEED_FUNCTION, collectExpression, readStorageState, stateOrigins, mergeOrigins,
+  buildState, writeStorageState, seedOriginsCDP, seedOriginsBiDi,
+} from '../../src/storage-state.js';
+
+/** Minimal Web Storage stand-in (length/key/getItem/setItem). */
+function fakeStorage(init = {}) {
+  const m = new Map(Object.entries(init));
+  return {
+    get length() { return m.size; },
+    key: (i) => [...m.keys()][i] ?? null,
+    getItem: (k) => (m.has(k) ? m.get(k) : null),
+    setItem: (k, v) => { m.set(k, String(v)); },
+    dump: () => Object.fromEntries(m),
+  };
+}
+
+function pageGlobals(origin, ls = {}, ss = {}) {
+  return { location: { origin }, localStorage: fakeStorage(ls), sessionStorage: fakeStorage(ss) };
+}
+
+/** Fake event source: on() returns an unsub, emit() fires; send() is recorded. */
+function fakeClient(replies = {}) {
+  const handlers = new Map();
+  const sent = [];
+  let n = 0;
+  return {
+    sent,
+    async send(method, params) {
+      sent.push({ method, params });
+      const r = replies[method];
+      return typeof r === 'function' ? r(++n) : r || {};
+    },
+    async subscribe() {},
+    on(event, handler) {
+      if (!handlers.has(event)) handlers.set(event, new Set());
+      handlers.get(event).add(handler);
+      return () => handlers.get(event)?.delete(handler);
+    },
+    async emit(event, params) {
+      for (const h of [...(handlers.get(event) || [])]) await h(params);
+    },
+    listeners: (event) => handlers.get(event)?.size || 0,
+  };
+}
+
+const A = { origin: 'https://a.test', localStorage: { token: 'xyz' }, sessionStorage: { tab: '1' } };
+const B = { origin: 'https://b.test', localStorage: { k: 'v' }, sessionStorage: {} };
+
+describe('state file', () => {
+  it('readStorageState returns null for a missing or invalid file', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'bb-ss-'));
+    assert.equal(readStorageState(join(dir, 'nope.json')), null);
+    writeFileSync(join(dir, 'bad.json'), '{not json');
+    assert.equal(readStorageState(join(dir, 'bad.json')), null);
+  });
+
+  it('stateOrigins ignores legacy files and opaque origins', () => {
+    assert.deepEqual(stateOrigins({ cookies: [], localStorage: { a: '1' } }), []);
+    assert.deepEqual(stateOrigins({ origins: [{ origin: 'null' }, A] }).map((o) => o.origin), [A.origin]);
+  });
+
+  it('mergeOrigins folds frames of one origin into a single entry', () => {
+    const merged = mergeOrigins([A, { origin: A.origin, localStorage: { extra: '2' }, sessionStorage: {} }, B]);
+    assert.equal(merged.length, 2);
+    assert.deepEqual(merged[0].localStorage, { token: 'xyz', extra: '2' });
+    assert.deepEqual(A.localStorage, { token: 'xyz' }, 'inputs are not mutated');
+  });
+
+  it('buildState keeps the top frame localStorage at the top level', () => {
+    const state = buildState([{ name: 'c' }], [JSON.stringify(A), null, JSON.stringify(B)], A.origin);
+    assert.deepEqual(state.localStorage, { token: 'xyz' });
+    assert.deepEqual(state.origins.map((o) => o.origin), [A.origin, B.origin]);
+    assert.equal(state.cookies.length, 1);
+  });
+
+  it('writeStorageState writes owner-only JSON', () => {
+    const file = join(mkdtempSync(join(tmpdir(), 'bb-ss-')), 'state.json');
+    writeStorageState(file, { cookies: [], origins: [A] });
+    assert.equal(statSync(file).mode & 0o777, 0o600);
+    assert.deepEqual(JSON.parse(readFileSync(file, 'utf8')).origins, [A]);
+  });
+});
+
+describe('in-page functions', () => {
+  it('seed writes only the matching origin, then notifies', () => {
+    const g = pageGlobals('https://a.test');
+    const notified = [];
+    g.notify = (o) => notified.push(o);
+    runInNewContext(`(${SEED_FUNCTION})(${JSON.stringify([A, B])}, notify)`, g);
+    assert.deepEqual(g.localStorage.dump(), { token: 'xyz' });
+    assert.deepEqual(g.sessionStorage.dump(), { tab: '1' });
+    assert.deepEqual(notified, ['https://a.test']);
+  });
+
+  it('seed is a no-op for an unsaved origin', () => {
+    const g = pageGlobals('https://other.test');
+    let called = false;
+    g.notify = () => { called = true; };
+    runInNewContext(`(${SEED_FUNCTION})(${JSON.stringify([A])}, notify)`, g);
+    assert.deepEqual(g.localStorage.dump(), {});
+    assert.equal(called, false);
+  });
+
+  it('collect returns the origin entry, null for an opaque origin', async () => {
+    const raw = await runInNewContext(collectExpression(), pageGlobals('https://a.test', { t: '1' }, { s: '2' }));
+    assert.deepEqual(JSON.parse(raw), { origin: 'https://a.test', localStorage: { t: '1' }, sessionStorage: { s: '2' } });
+    assert.equal(await runInNewContext(collectExpression(), pageGlobals('null')), null);
+  });
+});
+
+describe('seedOriginsCDP', () => {
+  it('installs a seed script and drops each origin once it reports in', async () => {
+    const session = fakeClient({ 'Page.addScriptToEvaluateOnNewDocument': (n) => ({ identifier: `s${n}` }) });
+    await seedOriginsCDP(session, [A, B]);
+    const methods = () => session.sent.map((s) => s.method);
+    assert.deepEqual(methods(), ['Runtime.addBinding', 'Page.addScriptToEvaluateOnNewDocument']);
+    assert.ok(session.sent[1].params.source.includes('https://b.test'));
+
+    await session.emit('Runtime.bindingCalled', { name: '__bbStorageSeeded', payload: A.origin });
+    const reinstall = session.sent.at(-1).params.source;
+    assert.ok(!reinstall.includes('https://a.test') && reinstall.includes('https://b.test'));
+    assert.deepEqual(session.sent.at(-2), { method: 'Page.removeScriptToEvaluateOnNewDocument', params: { identifier: 's1' } });
+
+    // Other bindings and repeat reports are ignored.
+    const count = session.sent.length;
+    await session.emit('Runtime.bindingCalled', { name: 'other', payload: B.origin });
+    await session.emit('Runtime.bindingCalled', { name: '__bbStorageSeeded', payload: A.origin });
+    assert.equal(session.sent.length, count);
+
+    await session.emit('Runtime.bindingCalled', { name: '__bbStorageSeeded', payload: B.origin });
+    assert.equal(session.sent.at(-1).method, 'Page.removeScriptToEvaluateOnNewDocument');
+    assert.equal(session.listeners('Runtime.bindingCalled'), 0, 'listener removed once all are seeded');
+  });
+
+  it('does nothing without origins', async () => {
+    const session = fakeClient();
+    await seedOriginsCDP(session, []);
+    assert.equal(session.sent.length, 0);
+  });
+});
+
+describe('seedOriginsBiDi', () => {
+  it('installs a channel preload script and reinstalls without seeded origins', async () => {
+    const bidi = fakeClient({ 'script.addPreloadScript': (n) => ({ script: `p${n}` }) });
+    await seedOriginsBiDi(bidi, [A, B]);
+    const add = bidi.sent[0].params;
+    assert.equal(bidi.sent[0].method, 'script.addPreloadScript');
+    assert.deepEqual(add.arguments, [{ type: 'channel', value: { channel: 'bb-storage-state' } }]);
+
+    await bidi.emit('script.message', { channel: 'bb-storage-state', data: { type: 'string', value: A.origin } });
+    assert.deepEqual(bidi.sent[1], { method: 'script.removePreloadScript', params: { script: 'p1' } });
+    assert.ok(!bidi.sent[2].params.functionDeclaration.includes('https://a.test'));
+
+    await bidi.emit('script.message', { channel: 'bb-storage-state', data: { type: 'string', value: B.origin } });
+    assert.equal(bidi.sent.length, 4);
+    assert.equal(bidi.listeners('script.message'), 0);
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Unit tests for trace.js — trace archives and the HTML viewer.
+ *
+ * Each test traces a page object whose click() adds a "Cart (1)" link, logs
+ * a console line, a POST and an alert, and whose screenshot() is the string
+ * 'SHOT'. Archives go to a temp directory. Checked: the archive's lines
+ * (header, one record per action with snapshots before and after, end on
+ * close), a failed action recorded and rethrown, console/network/dialog
+ * entries attributed to the action they happened during, reading an archive
+ * (directory, torn last line), and the viewer not letting page text out of
+ * its data block. A traced live session is in
+ * test/integration/interact.test.js.
+ *
+ * Run: node --test test/unit/trace.test.js
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { appendFileSync, mkdtempSync, readFileSync, readdirSync, rmSync, statSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { traceActions, readTrace, traceViewerHtml, writeTraceViewer } from '../../src/trace.js';
+
+/** The shop page's raw tree; once something is in the cart it links there. */
+function shopTree({ cart = false } = {}) {
+  const el = (ref, role, name) => ({ nodeId: ref, role, name, properties: {}, ignored: false, children: [] });
+  const root = el('1', 'RootWebArea', 'Shop');
+  root.children = [el('2', 'button', 'Add to cart'), ...(cart ? [el('3', 'link', 'Cart (1)')] : [])];
+  return root;
+}
+
+function fakePage() {
+  const listeners = {};
+  const page = {
+    tree: shopTree(),
+    url: 'https://shop.test/',
+    dialogLog: [],
+    closed: false,
+    emit(event, entry) { for (const cb of listeners[event] || []) cb(entry); },
+    on(event, cb) { (listeners[event] ||= []).push(cb); return () => {}; },
+    async goto(url) { page.url = url; },
+    async click(ref) {
+      if (ref === '99') throw new Error('click: ref 99 not found');
+      page.emit('console', { type: 'log', timestamp: 't', args: ['added'] });
+      page.emit('response', { url: 'https://shop.test/cart', method: 'POST', timestamp: 't', status: 200 });
+      page.dialogLog.push({ type: 'alert', message: 'Added!', timestamp: 't' });
+      page.tree = shopTree({ cart: true });
+    },
+    async screenshot(opts) { page.shot = opts; return 'SHOT'; },
+    async close() { page.closed = true; },
+  };
+  return page;
+}
+
+function trace(page, dir) {
+  return traceActions(page, { dir, engine: 'chromium', tree: async () => page.tree, url: async () => page.url });
+}
+
+const dir = mkdtempSync(join(tmpdir(), 'bb-trace-'));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+describe('traceActions', () => {
+  it('writes a header, one record per action and an end line, owner-only', async () => {
+    const traces = join(dir, 'run1');
+    const page = fakePage();
+    trace(page, traces);
+    await page.goto('https://shop.test/p/1');
+    await page.click('2');
+    await page.close();
+    assert.equal(page.closed, true);
+
+    const [name] = readdirSync(traces);
+    assert.match(name, /^trace-.*\.jsonl$/);
+    assert.equal(statSync(join(traces, name)).mode & 0o777, 0o600);
+    assert.equal(statSync(traces).mode & 0o777, 0o700);
+    const lines = readFileSync(join(traces, name), 'utf8').trim().split('\n').map((l) => JSON.parse(l));
+    assert.deepEqual(lines.map((l) => l.type), ['trace', 'action', 'action', 'end']);
+    assert.equal(lines[0].engine, 'chromium');
+
+    const [goto, click] = lines.slice(1, 3);
+    assert.deepEqual([goto.seq, goto.action, goto.args, goto.url, goto.error], [1, 'goto', ['https://shop.test/p/1'], 'https://shop.test/p/1', null]);
+    assert.match(goto.before, /^url: https:\/\/shop\.test\/\n/);
+    assert.equal(typeof goto.ms, 'number');
+    assert.doesNotMatch(click.before, /Cart \(1\)/);
+    assert.match(click.after, /link "Cart \(1\)" \[ref=3\]/);
+    assert.equal(click.screenshot, 'SHOT');
+    assert.deepEqual(page.shot, { format: 'jpeg', quality: 60, maxWidth: 960 });
+  });
+
+  it('attributes console, network and dialogs to the action they happened during', async () => {
+    const page = fakePage();
+    trace(page, join(dir, 'run2'));
+    page.emit('console', { type: 'warning', timestamp: 't', args: ['before anything'] });
+    await page.click('2');
+    await page.goto('https://shop.test/cart');
+    const { actions } = readTrace(join(dir, 'run2'));
+    assert.deepEqual(actions[0].console.map((c) => c.args[0]), ['before anything', 'added']);
+    assert.deepEqual(actions[0].network.map((n) => n.url), ['https://shop.test/cart']);
+    assert.deepEqual(actions[0].dialogs.map((d) => d.message), ['Added!']);
+    assert.deepEqual([actions[1].console, actions[1].network, actions[1].dialogs], [[], [], []]);
+  });
+
+  it('records a failed action with its error, then rethrows', async () => {
+    const page = fakePage();
+    trace(page, join(dir, 'run3'));
+    await assert.rejects(page.click('99'), /ref 99 not found/);
+    const { actions, end } = readTrace(join(dir, 'run3'));
+    assert.equal(actions[0].error, 'click: ref 99 not found');
+    assert.ok(actions[0].after, 'the page is still snapshotted after a failure');
+    assert.equal(end, null, 'not closed');
+  });
+
+  it('skips methods the page lacks', () => {
+    const page = fakePage();
+    trace(page, join(dir, 'run4'));
+    assert.equal(page.fillForm, undefined);
+  });
+});
+
+describe('readTrace / writeTraceViewer', () => {
+  it('reads the newest archive of a directory and drops a torn last line', async () => {
+    const traces = join(dir, 'run5');
+    const page = fakePage();
+    trace(page, traces);
+    await page.goto('https://shop.test/a');
+    const [name] = readdirSync(traces);
+    appendFileSync(join(traces, name), '{"type":"action","seq":2,"act');
+    const read = readTrace(traces);
+    assert.equal(read.header.version, 1);
+    assert.deepEqual(read.actions.map((a) => a.seq), [1]);
+  });
+
+  it('rejects a file that is not a trace', () => {
+    const file = join(dir, 'flow.jsonl');
+    appendFileSync(file, '{"action":"goto","url":"https://shop.test/"}\n');
+    assert.throws(() => readTrace(file), /is not a barebrowse trace/);
+  });
+
+  it('writes the viewer next to the archive', async () => {
+    const traces = join(dir, 'run6');
+    const page = fakePage();
+    trace(page, traces);
+    await page.goto('https://shop.test/');
+    const out = writeTraceViewer(traces);
+    assert.match(out, /trace-.*\.html$/);
+    assert.match(readFileSync(out, 'utf8'), /^<!DOCTYPE html>/);
+  });
+});
+
+describe('traceViewerHtml', () => {
+  it('keeps page text inside the data block', () => {
+    const hostile = '</script><script>alert(1)</script>';
+    const html = traceViewerHtml({
+      header: { type: 'trace', version: 1, startedAt: '2026-01-01T00:00:00.000Z', engine: 'chromium' },
+      actions: [{
+        type: 'action', seq: 1, action: 'type', args: ['4', hostile], startedAt: '2026-01-01T00:00:00.100Z', ms: 12,
+        error: null, url: 'https://shop.test/', before: hostile, after: hostile, screenshot: null,
+        console: [{ type: 'log', timestamp: 't', args: [hostile] }], network: [], dialogs: [],
+      }],
+      end: null,
+    });
+    assert.equal(html.split('</script>').length - 1, 2, 'only the viewer\'s own data and code blocks close');
+    const data = html.match(/<script type="application\/json" id="trace">([\s\S]*?)<\/script>/)[1];
+    assert.equal(JSON.parse(data).actions[0].before, hostile);
+    assert.doesNotMatch(html, /innerHTML/);
+    const code = html.match(/<script>([\s\S]*?)<\/script>/)[1];
+    assert.doesNotThrow(() => new Function(code), 'the viewer script parses');
+  });
+});